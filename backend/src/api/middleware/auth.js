@@ -3,6 +3,18 @@ import config from '../../config/index.js';
 import UserModel from '../../models/user.js';
 import logger from '../../utils/logger.js';
 
+/**
+ * Verify an access token. Other tokens signed with the same secret (preview
+ * tokens) carry a type and are turned down.
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, config.jwt.secret);
+  if (decoded.type) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+};
+
 /**
  * Middleware to verify JWT access token
  */
@@ -19,7 +31,7 @@ export const authenticate = (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
     
-    const decoded = jwt.verify(token, config.jwt.secret);
+    const decoded = verifyAccessToken(token);
     
     // Get user from database
     const user = UserModel.findById(decoded.userId);
@@ -58,12 +70,23 @@ export const authenticate = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware for Server-Sent Events streams.
+ * EventSource can't send headers, so the access token may also be passed as ?token=
+ */
+export const authenticateStream = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return authenticate(req, res, next);
+};
+
 /**
  * Verify JWT token for WebSocket connections
  */
 export const authenticateWebSocket = (token) => {
   try {
-    const decoded = jwt.verify(token, config.jwt.secret);
+    const decoded = verifyAccessToken(token);
     const user = UserModel.findById(decoded.userId);
     
     if (!user) {
@@ -96,6 +119,28 @@ export const generateTokens = (userId) => {
   return { accessToken, refreshToken };
 };
 
+/**
+ * Generate a token for a session's preview URLs. host is the Host header sent to the
+ * session's ingress (null passes the browser's on), context the cluster context whose
+ * ingress is used (null for the main cluster).
+ */
+export const generatePreviewToken = (userId, sessionId, { host = null, context = null } = {}) => jwt.sign(
+  { userId, sessionId, host, context, type: 'preview' },
+  config.jwt.secret,
+  { expiresIn: config.preview.tokenExpiresIn }
+);
+
+/**
+ * Verify a preview token
+ */
+export const verifyPreviewToken = (token) => {
+  const decoded = jwt.verify(token, config.jwt.secret);
+  if (decoded.type !== 'preview') {
+    throw new Error('Invalid token type');
+  }
+  return decoded;
+};
+
 /**
  * Verify refresh token
  */
@@ -111,7 +156,10 @@ export const verifyRefreshToken = (token) => {
   }
 };
 
-export default { authenticate, authenticateWebSocket, generateTokens, verifyRefreshToken };
+export default {
+  authenticate, authenticateStream, authenticateWebSocket, generateTokens, verifyRefreshToken,
+  generatePreviewToken, verifyPreviewToken,
+};
 
 
 
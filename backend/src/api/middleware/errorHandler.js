@@ -94,6 +94,15 @@ export class ConflictError extends AppError {
   }
 }
 
+export class InvalidStateTransitionError extends ConflictError {
+  constructor(from, to) {
+    super(`Cannot move session from '${from}' to '${to}'`);
+    this.name = 'InvalidStateTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
 export default { 
   notFoundHandler, 
   errorHandler, 
@@ -104,6 +113,7 @@ export default {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  InvalidStateTransitionError,
 };
 
 
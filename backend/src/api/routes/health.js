@@ -1,6 +1,12 @@
 import { Router } from 'express';
 import db from '../../db/index.js';
 import SessionModel from '../../models/session.js';
+import QueueModel from '../../models/queue.js';
+import PoolService from '../../services/pool.js';
+import ClusterDriver from '../../services/drivers/index.js';
+import TerminalService from '../../services/terminal.js';
+import KubernetesVersions from '../../services/kubernetesVersions.js';
+import AddonService from '../../services/addons.js';
 import config from '../../config/index.js';
 
 const router = Router();
@@ -19,8 +25,13 @@ router.get('/healthz', (req, res) => {
 /**
  * GET /readyz
  * Readiness check - is the server ready to accept traffic?
+ * Not ready while the terminal hardening profile is unchecked or can't be applied,
+ * or while add-on manifests the tasks need are missing.
  */
 router.get('/readyz', (req, res) => {
+  const checks = {};
+  const errors = [];
+
   try {
     // Check database connection
     const dbCheck = db.prepare('SELECT 1 as ok').get();
@@ -28,24 +39,40 @@ router.get('/readyz', (req, res) => {
     if (!dbCheck || dbCheck.ok !== 1) {
       throw new Error('Database check failed');
     }
-
-    res.json({
-      status: 'ready',
-      timestamp: new Date().toISOString(),
-      checks: {
-        database: 'ok',
-      },
-    });
+    checks.database = 'ok';
   } catch (error) {
-    res.status(503).json({
+    checks.database = 'failed';
+    errors.push(error.message);
+  }
+
+  const terminalProfile = TerminalService.getProfileStatus();
+  checks.terminalProfile = terminalProfile.status;
+  if (terminalProfile.status === 'failed') {
+    errors.push(`Terminal profile '${terminalProfile.profile}' can't be applied: ${terminalProfile.error}`);
+  } else if (terminalProfile.status === 'pending') {
+    errors.push(`Terminal profile '${terminalProfile.profile}' is still being checked`);
+  }
+
+  const addonProblem = AddonService.checkManifests();
+  checks.addons = addonProblem ? 'missing' : 'ok';
+  if (addonProblem) {
+    errors.push(addonProblem);
+  }
+
+  if (errors.length > 0) {
+    return res.status(503).json({
       status: 'not_ready',
       timestamp: new Date().toISOString(),
-      checks: {
-        database: 'failed',
-      },
-      error: error.message,
+      checks,
+      error: errors.join('; '),
     });
   }
+
+  res.json({
+    status: 'ready',
+    timestamp: new Date().toISOString(),
+    checks,
+  });
 });
 
 /**
@@ -53,21 +80,28 @@ router.get('/readyz', (req, res) => {
  * Get platform status (authenticated endpoint in production)
  */
 router.get('/api/status', (req, res) => {
-  const activeSessions = SessionModel.countActive();
+  const activeSessions = SessionModel.countHoldingSlots();
   
   res.json({
     status: 'operational',
     timestamp: new Date().toISOString(),
     environment: config.env,
     version: '1.0.0',
+    clusterDriver: ClusterDriver.name,
+    terminalProfile: TerminalService.getProfileStatus().profile,
     capacity: {
       maxConcurrentSessions: config.session.maxConcurrent,
       activeSessions,
       availableSlots: Math.max(0, config.session.maxConcurrent - activeSessions),
+      warmPool: PoolService.getStats(),
+      queued: QueueModel.count(),
     },
     sessionConfig: {
       defaultTTLMinutes: config.session.ttlMinutes,
       extensionMinutes: config.session.extensionMinutes,
+      kubernetesVersions: KubernetesVersions.list(),
+      defaultKubernetesVersion: KubernetesVersions.getDefault(),
+      addons: AddonService.list(),
     },
   });
 });
@@ -0,0 +1,186 @@
+import { Router } from 'express';
+import http from 'http';
+import config from '../../config/index.js';
+import SessionModel, { FINAL_STATES } from '../../models/session.js';
+import PortModel from '../../models/port.js';
+import { verifyPreviewToken } from '../middleware/auth.js';
+import logger from '../../utils/logger.js';
+
+const router = Router();
+
+// Cookie holding the preview token once the link has been opened
+const PREVIEW_COOKIE = 'ckad_preview';
+
+// Headers that only apply to one connection and are never forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade',
+];
+
+// Upstream headers that could weaken the sandbox below or set cookies on the platform's origin
+const BLOCKED_UPSTREAM_HEADERS = [
+  'content-security-policy', 'content-security-policy-report-only', 'set-cookie',
+];
+
+// Previews share the platform's origin, where the dashboard keeps its tokens. Without
+// allow-same-origin the user's app runs in an opaque origin and can't read them.
+const PREVIEW_CSP = 'sandbox allow-scripts allow-forms allow-popups allow-modals allow-downloads';
+
+/**
+ * Split a Cookie header into [name, value] pairs
+ */
+const parseCookies = (header) => (header || '')
+  .split(';')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const index = part.indexOf('=');
+    return index === -1 ? [part, ''] : [part.slice(0, index), part.slice(index + 1)];
+  });
+
+/**
+ * Copy of a set of headers without the hop-by-hop ones
+ */
+const withoutHopByHop = (headers) => {
+  const copy = { ...headers };
+  for (const name of HOP_BY_HOP_HEADERS) {
+    delete copy[name];
+  }
+  return copy;
+};
+
+// Preview responses are pages in a browser tab, so errors are plain text
+const sendError = (res, status, message) => res.status(status).type('text/plain').send(message);
+
+/**
+ * Forward a request to a session's ingress port and stream the response back.
+ * prefix is the /preview/<session id> path the app is served under.
+ */
+const forward = (req, res, { sessionId, port, host, prefix }) => {
+  const cookies = parseCookies(req.headers.cookie).filter(([name]) => name !== PREVIEW_COOKIE);
+
+  const headers = withoutHopByHop(req.headers);
+  delete headers.cookie;
+  if (cookies.length > 0) {
+    headers.cookie = cookies.map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+  headers.host = host || req.headers.host;
+  headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ');
+  headers['x-forwarded-host'] = req.headers.host;
+  headers['x-forwarded-proto'] = req.headers['x-forwarded-proto'] || req.protocol;
+  headers['x-forwarded-prefix'] = prefix;
+
+  const upstream = http.request({
+    host: config.preview.upstreamHost,
+    port,
+    method: req.method,
+    path: req.url,
+    headers,
+    timeout: config.preview.timeoutMs,
+  }, (upstreamRes) => {
+    const responseHeaders = withoutHopByHop(upstreamRes.headers);
+    for (const name of BLOCKED_UPSTREAM_HEADERS) {
+      delete responseHeaders[name];
+    }
+    responseHeaders['content-security-policy'] = PREVIEW_CSP;
+
+    // Keep absolute-path redirects inside the preview
+    const { location } = responseHeaders;
+    if (location && location.startsWith('/') && !location.startsWith('//')) {
+      responseHeaders.location = `${prefix}${location}`;
+    }
+
+    res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, responseHeaders);
+    upstreamRes.pipe(res);
+  });
+
+  upstream.on('timeout', () => upstream.destroy(new Error('Timed out waiting for the ingress')));
+
+  upstream.on('error', (error) => {
+    logger.warn('Preview request failed', { sessionId, port, path: req.url, error: error.message });
+
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    sendError(res, 502, error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET'
+      ? 'Nothing answered on your cluster\'s ingress port. Install an ingress controller that listens on port 80 of the control-plane node, then try again.'
+      : `The preview could not reach your cluster: ${error.message}`);
+  });
+
+  // The browser went away - stop talking to the ingress
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      upstream.destroy();
+    }
+  });
+
+  req.pipe(upstream);
+};
+
+/**
+ * ALL /preview/:sessionId/*
+ * Reverse proxy to a session's ingress port, opened with a link from
+ * POST /api/session/preview. The link's ?token= is moved into a cookie scoped to the
+ * session's preview path; every request checks it and that the session is still
+ * ready, so the preview stops working once the session ends.
+ */
+router.use('/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  const prefix = req.baseUrl;
+
+  if (!config.preview.enabled) {
+    return sendError(res, 404, 'Preview URLs are disabled');
+  }
+
+  const url = new URL(req.url, 'http://preview');
+  const linkToken = url.searchParams.get('token');
+  const token = linkToken || Object.fromEntries(parseCookies(req.headers.cookie))[PREVIEW_COOKIE];
+
+  let claims;
+  try {
+    claims = verifyPreviewToken(decodeURIComponent(token || ''));
+  } catch {
+    return sendError(res, 401, 'This preview link is invalid or has expired. Open the preview again from the dashboard.');
+  }
+
+  const session = SessionModel.findById(sessionId);
+  if (claims.sessionId !== sessionId || !session || session.user_id !== claims.userId) {
+    return sendError(res, 404, 'Session not found');
+  }
+
+  if (FINAL_STATES.includes(session.status) || session.status === 'completing') {
+    return sendError(res, 410, 'This session has ended, so its preview is no longer available.');
+  }
+  if (session.status === 'paused') {
+    return sendError(res, 409, 'This session is paused. Resume it to use the preview.');
+  }
+  if (session.status !== 'ready') {
+    return sendError(res, 503, 'Your cluster is being built. Try again in a moment.');
+  }
+
+  if (linkToken) {
+    url.searchParams.delete('token');
+    res.cookie(PREVIEW_COOKIE, linkToken, {
+      path: prefix,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+    });
+    return res.redirect(302, `${prefix}${url.pathname}${url.search}`);
+  }
+
+  // Relative links in the app only resolve under the prefix with a trailing slash
+  if (req.originalUrl.split('?')[0] === prefix) {
+    return res.redirect(301, `${prefix}/${url.search}`);
+  }
+
+  const ports = PortModel.getClusterPorts(sessionId, claims.context);
+  if (!ports) {
+    return sendError(res, 502, 'This session has no ingress port.');
+  }
+
+  forward(req, res, { sessionId, port: ports.ingressPort, host: claims.host, prefix });
+});
+
+export default router;
@@ -0,0 +1,95 @@
+import { Router } from 'express';
+import RecordingModel from '../../models/recording.js';
+import RecordingService from '../../services/recordings.js';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler, ValidationError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+
+const router = Router();
+
+/**
+ * Get a recording of the user's, or 404
+ */
+const getUserRecording = (userId, recordingId) => {
+  const recording = RecordingModel.findById(recordingId);
+  if (!recording || recording.user_id !== userId) {
+    throw new NotFoundError('Recording not found');
+  }
+  return recording;
+};
+
+/**
+ * GET /api/recordings
+ * List the user's terminal recordings, grouped by session (newest first).
+ * Query: sessionId? - only that session's recordings
+ */
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const { sessionId } = req.query;
+  const sessions = new Map();
+
+  for (const recording of RecordingModel.findByUserId(req.userId)) {
+    if (sessionId && recording.session_id !== sessionId) {
+      continue;
+    }
+    if (!sessions.has(recording.session_id)) {
+      sessions.set(recording.session_id, {
+        id: recording.session_id,
+        status: recording.session_status,
+        startTime: recording.session_start_time,
+        recordings: [],
+      });
+    }
+    sessions.get(recording.session_id).recordings.push(RecordingService.toJson(recording));
+  }
+
+  res.json({
+    success: true,
+    sessions: [...sessions.values()],
+  });
+}));
+
+/**
+ * GET /api/recordings/:id/cast
+ * A recording as an asciicast v2 file.
+ * Query: question? - only the parts where that question was open
+ */
+router.get('/:id/cast', authenticate, asyncHandler(async (req, res) => {
+  const recording = getUserRecording(req.userId, req.params.id);
+
+  let question = null;
+  if (req.query.question !== undefined) {
+    question = Number(req.query.question);
+    if (!Number.isInteger(question) || question < 1) {
+      throw new ValidationError('question must be a positive integer');
+    }
+  }
+
+  let cast;
+  try {
+    cast = await RecordingService.readCast(recording, { question });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new NotFoundError('Recording file not found');
+    }
+    throw error;
+  }
+
+  res.type('application/x-asciicast').send(cast);
+}));
+
+/**
+ * DELETE /api/recordings/:id
+ * Delete a finished recording
+ */
+router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
+  const recording = getUserRecording(req.userId, req.params.id);
+
+  if (recording.status !== 'finished') {
+    throw new ConflictError('The shell is still being recorded');
+  }
+
+  await RecordingService.delete(recording);
+
+  res.json({ success: true, message: 'Recording deleted' });
+}));
+
+export default router;
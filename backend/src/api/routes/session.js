@@ -1,13 +1,22 @@
 import { Router } from 'express';
-import { v4 as uuidv4 } from 'uuid';
 import config from '../../config/index.js';
 import db from '../../db/index.js';
-import SessionModel from '../../models/session.js';
-import TaskModel from '../../models/task.js';
+import SessionModel, { ACTIVE_STATES_SQL } from '../../models/session.js';
+import QueueModel from '../../models/queue.js';
+import SnapshotModel from '../../models/snapshot.js';
+import ProvisionerService from '../../services/provisioner.js';
+import AdmissionService from '../../services/admission.js';
+import KubernetesVersions from '../../services/kubernetesVersions.js';
+import ClusterTopology from '../../services/topology.js';
+import AddonService from '../../services/addons.js';
+import ClusterContexts from '../../services/contexts.js';
+import SnapshotService from '../../services/snapshots.js';
+import CommandAuditService from '../../services/commandAudit.js';
+import WatchdogService from '../../services/watchdog.js';
+import ClusterDriver from '../../services/drivers/index.js';
 import PortModel from '../../models/port.js';
-import KindService from '../../services/kind.js';
-import TerminalService from '../../services/terminal.js';
-import { authenticate } from '../middleware/auth.js';
+import { closeSessionConnections } from '../../websocket/terminal.js';
+import { authenticate, authenticateStream, generatePreviewToken } from '../middleware/auth.js';
 import { sessionStartLimiter } from '../middleware/rateLimit.js';
 import { 
   asyncHandler, 
@@ -20,145 +29,175 @@ import logger from '../../utils/logger.js';
 const router = Router();
 
 /**
- * POST /api/session/start
- * Create a new practice session
+ * Describe a session's cluster rebuilds against the per-exam limit
  */
-router.post('/start', authenticate, sessionStartLimiter, asyncHandler(async (req, res) => {
-  const userId = req.userId;
+const getRebuildAllowance = (sessionId) => {
+  const used = SessionModel.countTransitionsTo(sessionId, 'rebuilding');
+  const limit = config.session.rebuildLimit;
+  return { used, limit, remaining: Math.max(0, limit - used) };
+};
 
+/**
+ * Start a session for a user (restoring a snapshot, if given), or put them in the
+ * waiting queue when no slot is free, and send the response
+ */
+const startOrQueue = (res, userId, kubernetesVersion, snapshot = null) => {
   // Check if user already has an active session
   const existingSession = SessionModel.findActiveByUserId(userId);
   if (existingSession) {
     throw new ConflictError('You already have an active session. Please end it before starting a new one.');
   }
 
-  // Check global session limit
-  const activeCount = SessionModel.countActive();
-  if (activeCount >= config.session.maxConcurrent) {
-    throw new ConflictError(
-      `Maximum concurrent sessions (${config.session.maxConcurrent}) reached. Please try again later.`
-    );
+  // Already waiting - the session starts when it's their turn
+  if (QueueModel.findByUserId(userId)) {
+    throw new ConflictError('You are already waiting in the session queue.');
   }
 
-  // Generate cluster name
-  const shortId = uuidv4().split('-')[0];
-  const clusterName = `ckad-${shortId}`;
+  // Nobody jumps the queue: with users waiting, new starts go to the back
+  const result = QueueModel.count() === 0
+    ? AdmissionService.tryStart(userId, kubernetesVersion, snapshot)
+    : { reason: 'Other users are waiting for a session' };
 
-  logger.info('Starting new session', { userId, clusterName });
+  if (!result.session) {
+    const queue = AdmissionService.join(userId, kubernetesVersion, snapshot ? snapshot.id : null);
+    return res.status(202).json({
+      success: true,
+      queued: true,
+      reason: result.reason,
+      queue,
+    });
+  }
 
-  // Create a placeholder session to reserve the slot
-  const session = SessionModel.create({
-    userId,
-    clusterName,
-    kubeconfigPath: null,
-    terminalContainerId: null,
+  const { session, pooled } = result;
+
+  res.status(202).json({
+    success: true,
+    session: {
+      id: session.id,
+      clusterName: session.cluster_name,
+      status: 'provisioning',
+      kubernetesVersion: session.kubernetes_version,
+      topology: ClusterTopology.fromJson(session.topology),
+      addons: AddonService.fromJson(session.addons),
+      contexts: ClusterContexts.describe(session),
+      ttlMinutes: session.ttl_minutes,
+      extended: false,
+      pooled: !!pooled,
+      snapshotId: snapshot ? snapshot.id : null,
+    },
+    provisioning: ProvisionerService.getProgress(SessionModel.findById(session.id)),
+    events: {
+      url: `/api/session/events?sessionId=${session.id}`,
+    },
+    terminal: {
+      wsUrl: `/ws/terminal?sessionId=${session.id}`,
+      maxShells: config.terminal.maxShells,
+    },
   });
+};
 
-  try {
-    // Allocate ports
-    const ports = PortModel.allocatePorts(session.id);
-    logger.info('Ports allocated', { sessionId: session.id, ports });
-
-    // Create KIND cluster
-    const clusterResult = await KindService.createCluster(clusterName, ports);
-    
-    // Update session with kubeconfig path
-    SessionModel.updateDetails(session.id, { 
-      kubeconfigPath: clusterResult.kubeconfigPath 
-    });
-    SessionModel.addNotes(session.id, `Cluster created in ${clusterResult.duration}ms`);
+/**
+ * POST /api/session/start
+ * Create a new practice session.
+ * Body: { kubernetesVersion? } - defaults to the configured default version
+ * Returns immediately with a 'provisioning' session; the cluster is built in the background.
+ * When no slot is free (or the host is short on memory/disk) the user joins the waiting
+ * queue instead: { queued: true, queue: { position, estimatedWaitMinutes } }.
+ */
+router.post('/start', authenticate, sessionStartLimiter, asyncHandler(async (req, res) => {
+  const kubernetesVersion = KubernetesVersions.resolve(req.body?.kubernetesVersion);
+  startOrQueue(res, req.userId, kubernetesVersion);
+}));
 
-    // Create terminal container with the terminal-specific kubeconfig
-    const terminalResult = await TerminalService.createContainer(
-      clusterName, 
-      clusterResult.terminalKubeconfigPath || clusterResult.kubeconfigPath
-    );
+/**
+ * GET /api/session/queue
+ * Get the user's place in the waiting queue. Clients poll this while queued;
+ * once it's their turn the session has started and sessionId is returned.
+ */
+router.get('/queue', authenticate, asyncHandler(async (req, res) => {
+  QueueModel.touch(req.userId);
+  const queue = AdmissionService.getQueueStatus(req.userId);
 
-    // Update session with terminal container ID
-    SessionModel.updateDetails(session.id, { 
-      terminalContainerId: terminalResult.containerId 
-    });
+  if (queue) {
+    return res.json({ success: true, queued: true, queue });
+  }
 
-    // Initialize first namespace (q1) for first question
-    try {
-      await TerminalService.cleanTerminalForNextQuestion(
-        terminalResult.containerName,
-        1 // First question
-      );
-      logger.info('Initialized namespace for first question', {
-        sessionId: session.id,
-        namespace: 'q1',
-      });
-    } catch (error) {
-      logger.warn('Failed to initialize first namespace', {
-        sessionId: session.id,
-        error: error.message,
-      });
-      // Continue anyway - not critical for session creation
-    }
+  const session = SessionModel.findActiveByUserId(req.userId);
+  res.json({
+    success: true,
+    queued: false,
+    sessionId: session ? session.id : null,
+  });
+}));
 
-    // Assign random 20 tasks for CKAD exam (like real exam)
-    try {
-      const examTasks = TaskModel.getRandomExamTasks(20);
-      const taskIds = examTasks.map(task => task.id);
-      SessionModel.assignRandomTasks(session.id, taskIds);
-      logger.info('Assigned random exam tasks', { 
-        sessionId: session.id, 
-        taskCount: taskIds.length,
-        taskIds 
-      });
-    } catch (error) {
-      logger.error('Failed to assign tasks to session', { 
-        sessionId: session.id, 
-        error: error.message 
-      });
-      // Continue anyway - tasks can be added later
-      // Don't fail session creation just because of insufficient tasks
-    }
+/**
+ * DELETE /api/session/queue
+ * Leave the waiting queue
+ */
+router.delete('/queue', authenticate, asyncHandler(async (req, res) => {
+  if (!AdmissionService.leave(req.userId)) {
+    throw new NotFoundError('You are not in the session queue');
+  }
 
-    // Get session with time info
-    const sessionWithTime = SessionModel.getWithTimeInfo(session.id);
+  res.json({ success: true, message: 'Left the session queue' });
+}));
 
-    logger.info('Session started successfully', { 
-      sessionId: session.id, 
-      userId, 
-      clusterName 
-    });
+/**
+ * GET /api/session/events
+ * Server-Sent Events stream of provisioning (or cluster rebuild) progress for a session.
+ * Sends a snapshot first, then 'progress' events, and ends with 'ready' or 'failed'.
+ */
+router.get('/events', authenticateStream, (req, res) => {
+  const { sessionId } = req.query;
+  const session = sessionId
+    ? SessionModel.findById(sessionId)
+    : SessionModel.findActiveByUserId(req.userId);
+
+  if (!session || session.user_id !== req.userId) {
+    return res.status(404).json({ error: 'NotFound', message: 'Session not found' });
+  }
 
-    res.json({
-      success: true,
-      session: {
-        id: session.id,
-        clusterName,
-        status: 'started',
-        startTime: sessionWithTime.start_time,
-        ttlMinutes: sessionWithTime.ttl_minutes,
-        remainingMinutes: sessionWithTime.remaining_minutes,
-        extended: false,
-      },
-      terminal: {
-        wsUrl: `/ws/terminal?sessionId=${session.id}`,
-      },
-    });
-  } catch (error) {
-    // Cleanup on failure
-    logger.error('Session creation failed, cleaning up', { 
-      sessionId: session.id, 
-      error: error.message 
-    });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx buffering
+  });
 
-    await cleanupSession(session.id, clusterName);
-    
-    // Update session status
-    SessionModel.updateStatus(session.id, 'ended', `Failed: ${error.message}`);
+  const send = (event) => {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
 
-    throw error;
+  // Initial snapshot
+  send({ type: 'snapshot', status: session.status, ...ProvisionerService.getProgress(session) });
+
+  if (session.status !== 'provisioning' && session.status !== 'rebuilding') {
+    send(session.status === 'ready'
+      ? { type: 'ready', sessionId: session.id }
+      : { type: 'failed', message: session.notes || `Session ${session.status}` });
+    return res.end();
   }
-}));
+
+  const unsubscribe = ProvisionerService.subscribe(session.id, (event) => {
+    send(event);
+    if (event.type === 'ready' || event.type === 'failed') {
+      res.end();
+    }
+  });
+
+  // Keep the connection alive through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
 
 /**
  * GET /api/session/status
- * Get current session status
+ * Get current session status. For ready sessions `health` reports cluster outages
+ * found by the watchdog ({ status: 'healthy' | 'degraded', incident }).
  */
 router.get('/status', authenticate, asyncHandler(async (req, res) => {
   const session = SessionModel.findActiveByUserId(req.userId);
@@ -172,6 +211,8 @@ router.get('/status', authenticate, asyncHandler(async (req, res) => {
   }
 
   const sessionWithTime = SessionModel.getWithTimeInfo(session.id);
+  const isProvisioning = session.status === 'provisioning';
+  const isBuilding = isProvisioning || session.status === 'rebuilding';
 
   res.json({
     success: true,
@@ -180,13 +221,26 @@ router.get('/status', authenticate, asyncHandler(async (req, res) => {
       id: session.id,
       clusterName: session.cluster_name,
       status: session.status,
+      kubernetesVersion: session.kubernetes_version,
+      topology: ClusterTopology.fromJson(session.topology),
+      addons: AddonService.fromJson(session.addons),
+      contexts: ClusterContexts.describe(session),
       startTime: session.start_time,
       ttlMinutes: session.ttl_minutes,
-      remainingMinutes: Math.max(0, sessionWithTime.remaining_minutes),
+      remainingMinutes: isProvisioning
+        ? session.ttl_minutes
+        : Math.max(0, sessionWithTime.remaining_minutes),
       extended: !!session.extended,
+      pausedAt: session.paused_at,
+      maxPausedMinutes: config.session.maxPausedMinutes,
+      degradedAt: session.degraded_at,
     },
+    provisioning: isBuilding ? ProvisionerService.getProgress(session) : null,
+    rebuilds: getRebuildAllowance(session.id),
+    health: session.status === 'ready' ? WatchdogService.getHealth(session.id) : null,
     terminal: {
       wsUrl: `/ws/terminal?sessionId=${session.id}`,
+      maxShells: config.terminal.maxShells,
     },
   });
 }));
@@ -202,6 +256,10 @@ router.post('/extend', authenticate, asyncHandler(async (req, res) => {
     throw new NotFoundError('No active session found');
   }
 
+  if (session.status !== 'ready' && session.status !== 'paused') {
+    throw new ConflictError(`Session cannot be extended while ${session.status}`);
+  }
+
   if (session.extended) {
     throw new ConflictError('Session has already been extended');
   }
@@ -226,6 +284,224 @@ router.post('/extend', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * POST /api/session/pause
+ * Freeze the cluster and terminal, stopping the TTL clock and freeing the slot
+ */
+router.post('/pause', authenticate, asyncHandler(async (req, res) => {
+  const session = SessionModel.findActiveByUserId(req.userId);
+
+  if (!session) {
+    throw new NotFoundError('No active session found');
+  }
+
+  if (session.status !== 'ready' || ProvisionerService.isInFlight(session.id)) {
+    throw new ConflictError(`Session cannot be paused while ${session.status}`);
+  }
+
+  const containerName = `term-${session.cluster_name}`;
+
+  logger.info('Pausing session', { sessionId: session.id, clusterName: session.cluster_name });
+
+  // Paused containers can't serve the shell
+  closeSessionConnections(session.id);
+
+  const clusterNames = ClusterContexts.getClusterNames(session);
+
+  try {
+    await ClusterDriver.pauseTerminal(containerName);
+    for (const clusterName of clusterNames) {
+      await ClusterDriver.pauseCluster(clusterName);
+    }
+  } catch (error) {
+    logger.error('Failed to pause session', { sessionId: session.id, error: error.message });
+
+    // Leave the session usable rather than half frozen
+    await ClusterDriver.resumeTerminal(containerName).catch(() => {});
+    for (const clusterName of clusterNames) {
+      await ClusterDriver.resumeCluster(clusterName, ClusterDriver.getKubeconfig(clusterName).kubeconfigPath).catch(() => {});
+    }
+    throw error;
+  }
+
+  SessionModel.transition(session.id, 'paused', 'Paused by user');
+
+  // The freed slot goes to the next user in the queue
+  setImmediate(() => AdmissionService.tryProcessQueue());
+
+  const sessionWithTime = SessionModel.getWithTimeInfo(session.id);
+
+  res.json({
+    success: true,
+    message: `Session paused. It will be ended if not resumed within ${config.session.maxPausedMinutes} minutes.`,
+    session: {
+      id: session.id,
+      status: 'paused',
+      pausedAt: sessionWithTime.paused_at,
+      remainingMinutes: Math.max(0, sessionWithTime.remaining_minutes),
+      maxPausedMinutes: config.session.maxPausedMinutes,
+    },
+  });
+}));
+
+/**
+ * POST /api/session/resume
+ * Unfreeze a paused session (needs a free slot and enough host resources)
+ */
+router.post('/resume', authenticate, asyncHandler(async (req, res) => {
+  const session = SessionModel.findActiveByUserId(req.userId);
+
+  if (!session) {
+    throw new NotFoundError('No active session found');
+  }
+
+  if (session.status !== 'paused') {
+    throw new ConflictError(`Session cannot be resumed while ${session.status}`);
+  }
+
+  if (SessionModel.countHoldingSlots() >= config.session.maxConcurrent) {
+    throw new ConflictError('All session slots are in use. Please try resuming again in a few minutes.');
+  }
+
+  // The clusters take host resources again, so resuming is admitted like a new cluster
+  const reason = AdmissionService.reserveSlot();
+  if (reason) {
+    logger.warn('Session resume refused', { sessionId: session.id, reason });
+    throw new ConflictError(`${reason}. Please try resuming again in a few minutes.`);
+  }
+
+  logger.info('Resuming session', { sessionId: session.id, clusterName: session.cluster_name });
+
+  for (const { clusterName, primary } of ClusterContexts.list(session)) {
+    const kubeconfigPath = (primary && session.kubeconfig_path)
+      || ClusterDriver.getKubeconfig(clusterName).kubeconfigPath;
+    await ClusterDriver.resumeCluster(clusterName, kubeconfigPath);
+  }
+  await ClusterDriver.resumeTerminal(`term-${session.cluster_name}`);
+
+  SessionModel.transition(session.id, 'ready', 'Resumed by user');
+
+  const sessionWithTime = SessionModel.getWithTimeInfo(session.id);
+
+  res.json({
+    success: true,
+    message: 'Session resumed',
+    session: {
+      id: session.id,
+      status: 'ready',
+      remainingMinutes: Math.max(0, sessionWithTime.remaining_minutes),
+    },
+  });
+}));
+
+/**
+ * POST /api/session/rebuild
+ * Throw away a damaged cluster and terminal container and build them again under the
+ * same session. Ports, assigned tasks, the current question and task results are kept;
+ * the current question's namespace and setup script are applied again. Returns
+ * immediately with a 'rebuilding' session - clients follow /api/session/events.
+ * Limited to session.rebuildLimit rebuilds per exam; the TTL clock stops meanwhile.
+ */
+router.post('/rebuild', authenticate, asyncHandler(async (req, res) => {
+  const session = SessionModel.findActiveByUserId(req.userId);
+
+  if (!session) {
+    throw new NotFoundError('No active session found');
+  }
+
+  if (session.status !== 'ready' || ProvisionerService.isInFlight(session.id)) {
+    throw new ConflictError(`Cluster cannot be rebuilt while the session is ${session.status}`);
+  }
+
+  const allowance = getRebuildAllowance(session.id);
+  if (allowance.remaining === 0) {
+    throw new ConflictError(
+      allowance.limit === 0
+        ? 'Cluster rebuilds are disabled'
+        : `You have used all ${allowance.limit} cluster rebuild${allowance.limit === 1 ? '' : 's'} for this exam`
+    );
+  }
+
+  logger.info('Rebuilding session cluster', { sessionId: session.id, clusterName: session.cluster_name });
+
+  // The old terminal container is about to go away
+  closeSessionConnections(session.id);
+
+  const rebuilding = SessionModel.transition(session.id, 'rebuilding', 'Cluster rebuild requested by user');
+
+  // Build the environment in the background - clients follow /api/session/events
+  ProvisionerService.rebuild(rebuilding);
+
+  res.status(202).json({
+    success: true,
+    message: 'Rebuilding your cluster. Your progress is kept and the timer is stopped meanwhile.',
+    session: {
+      id: session.id,
+      status: 'rebuilding',
+    },
+    provisioning: ProvisionerService.getProgress(SessionModel.findById(session.id)),
+    rebuilds: getRebuildAllowance(session.id),
+    events: {
+      url: `/api/session/events?sessionId=${session.id}`,
+    },
+  });
+}));
+
+// Host header a preview may send to the ingress (a hostname, optionally with a port)
+const PREVIEW_HOST = /^[a-z0-9]([a-z0-9.-]{0,251}[a-z0-9])?(:\d{1,5})?$/i;
+
+/**
+ * POST /api/session/preview
+ * Get a preview URL for the session's ingress: /preview/<session id>/ proxies to the
+ * ingress port of the session's cluster (or of one of its contexts). Body:
+ * { host?: Host header to send, e.g. the host of an Ingress rule; context?: context name }
+ */
+router.post('/preview', authenticate, asyncHandler(async (req, res) => {
+  const session = SessionModel.findActiveByUserId(req.userId);
+
+  if (!session) {
+    throw new NotFoundError('No active session found');
+  }
+
+  if (!config.preview.enabled) {
+    throw new ConflictError('Preview URLs are disabled');
+  }
+
+  if (session.status !== 'ready') {
+    throw new ConflictError(`Preview is not available while the session is ${session.status}`);
+  }
+
+  const host = req.body.host ? String(req.body.host).trim().toLowerCase() : null;
+  if (host && !PREVIEW_HOST.test(host)) {
+    throw new ValidationError('Host must be a hostname, e.g. app.example.com');
+  }
+
+  const context = req.body.context || null;
+  if (context && !ClusterContexts.list(session).some(({ name }) => name === context)) {
+    throw new ValidationError(`Unknown context: ${context}`);
+  }
+  // The primary context's ports are stored without a context
+  const portContext = context === ClusterContexts.primary() ? null : context;
+
+  const ports = PortModel.getClusterPorts(session.id, portContext);
+  if (!ports) {
+    throw new ConflictError('This session has no ingress port');
+  }
+
+  const token = generatePreviewToken(req.userId, session.id, { host, context: portContext });
+
+  logger.info('Preview URL issued', { sessionId: session.id, host, context, ingressPort: ports.ingressPort });
+
+  res.json({
+    success: true,
+    url: `/preview/${session.id}/?token=${encodeURIComponent(token)}`,
+    host,
+    context,
+    ingressPort: ports.ingressPort,
+    ingressHttpsPort: ports.ingressHttpsPort,
+  });
+}));
+
 /**
  * POST /api/session/stop
  * End current session
@@ -237,13 +513,30 @@ router.post('/stop', authenticate, asyncHandler(async (req, res) => {
     throw new NotFoundError('No active session found');
   }
 
+  if (ProvisionerService.isInFlight(session.id)) {
+    throw new ConflictError(session.status === 'rebuilding'
+      ? 'The cluster is being rebuilt. Please wait until it is ready.'
+      : 'Session is still being provisioned. Please wait until it is ready.');
+  }
+
   logger.info('Stopping session', { sessionId: session.id, clusterName: session.cluster_name });
 
+  // Provisioning or a rebuild that nothing is running anymore (the backend restarted
+  // mid-way) can't complete, so the session is failed before its resources are released
+  const interrupted = session.status === 'provisioning' || session.status === 'rebuilding';
+
+  SessionModel.transition(session.id, interrupted ? 'failed' : 'completing',
+    interrupted ? `Failed: stopped by user after ${session.status} was interrupted` : 'Stopped by user');
+
   // Cleanup resources
-  await cleanupSession(session.id, session.cluster_name);
+  await ProvisionerService.cleanupSession(session.id, session.cluster_name);
+
+  if (!interrupted) {
+    SessionModel.transition(session.id, 'completed');
+  }
 
-  // Update session status
-  SessionModel.updateStatus(session.id, 'ended', 'Stopped by user');
+  // The freed slot goes to the next user in the queue
+  setImmediate(() => AdmissionService.tryProcessQueue());
 
   res.json({
     success: true,
@@ -252,42 +545,101 @@ router.post('/stop', authenticate, asyncHandler(async (req, res) => {
 }));
 
 /**
- * Helper function to cleanup session resources
+ * Find one of the user's snapshots
  */
-async function cleanupSession(sessionId, clusterName) {
-  const errors = [];
+const getUserSnapshot = (userId, snapshotId) => {
+  const snapshot = SnapshotModel.findById(snapshotId);
+  if (!snapshot || snapshot.user_id !== userId) {
+    throw new NotFoundError('Snapshot not found');
+  }
+  return snapshot;
+};
 
-  // Remove terminal container
-  try {
-    const containerName = `term-${clusterName}`;
-    await TerminalService.removeContainer(containerName);
-  } catch (error) {
-    errors.push(`Terminal cleanup: ${error.message}`);
-    logger.error('Failed to remove terminal container', { sessionId, error: error.message });
+/**
+ * GET /api/session/snapshots
+ * List the user's snapshots and their quota usage
+ */
+router.get('/snapshots', authenticate, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    snapshots: SnapshotModel.findByUserId(req.userId).map(SnapshotService.toJson),
+    quota: SnapshotService.getQuota(req.userId),
+  });
+}));
+
+/**
+ * POST /api/session/snapshots
+ * Snapshot the active session (progress, current question namespace and node files).
+ * Body: { name? }
+ */
+router.post('/snapshots', authenticate, asyncHandler(async (req, res) => {
+  const session = SessionModel.findActiveByUserId(req.userId);
+
+  if (!session) {
+    throw new NotFoundError('No active session found');
   }
 
-  // Delete KIND cluster
-  try {
-    await KindService.cleanupCluster(clusterName);
-  } catch (error) {
-    errors.push(`Cluster cleanup: ${error.message}`);
-    logger.error('Failed to cleanup cluster', { sessionId, error: error.message });
+  if (session.status !== 'ready') {
+    throw new ConflictError(`Session cannot be snapshotted while ${session.status}`);
   }
 
-  // Release ports
-  try {
-    PortModel.releasePorts(sessionId);
-  } catch (error) {
-    errors.push(`Port cleanup: ${error.message}`);
-    logger.error('Failed to release ports', { sessionId, error: error.message });
+  const name = (req.body?.name || '').trim()
+    || `Question ${session.current_task_id || 1} - ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`;
+  if (name.length > 80) {
+    throw new ValidationError('Snapshot name must be at most 80 characters');
   }
 
-  if (errors.length > 0) {
-    logger.warn('Session cleanup completed with errors', { sessionId, errors });
-  } else {
-    logger.info('Session cleanup completed successfully', { sessionId });
+  const quotaProblem = SnapshotService.checkQuota(req.userId);
+  if (quotaProblem) {
+    throw new ConflictError(quotaProblem);
   }
-}
+
+  const snapshot = await SnapshotService.create(session, name);
+
+  res.status(201).json({
+    success: true,
+    message: 'Snapshot saved',
+    snapshot: SnapshotService.toJson(snapshot),
+    quota: SnapshotService.getQuota(req.userId),
+  });
+}));
+
+/**
+ * DELETE /api/session/snapshots/:id
+ * Delete one of the user's snapshots
+ */
+router.delete('/snapshots/:id', authenticate, asyncHandler(async (req, res) => {
+  const snapshot = getUserSnapshot(req.userId, req.params.id);
+
+  if (snapshot.status !== 'ready') {
+    throw new ConflictError('Snapshot is still being saved');
+  }
+
+  await SnapshotService.delete(snapshot);
+
+  res.json({
+    success: true,
+    message: 'Snapshot deleted',
+    quota: SnapshotService.getQuota(req.userId),
+  });
+}));
+
+/**
+ * POST /api/session/snapshots/:id/restore
+ * Start a new session from a snapshot, on the snapshot's question with its
+ * namespace contents. Responds like /start (including queueing).
+ */
+router.post('/snapshots/:id/restore', authenticate, sessionStartLimiter, asyncHandler(async (req, res) => {
+  const snapshot = getUserSnapshot(req.userId, req.params.id);
+
+  if (snapshot.status !== 'ready') {
+    throw new ConflictError('Snapshot is still being saved');
+  }
+
+  // The snapshot's version must still be offered
+  const kubernetesVersion = KubernetesVersions.resolve(snapshot.kubernetes_version);
+  startOrQueue(res, req.userId, kubernetesVersion, snapshot);
+}));
 
 /**
  * GET /api/session/progress
@@ -301,12 +653,12 @@ router.get('/progress', authenticate, asyncHandler(async (req, res) => {
     SELECT 
       COUNT(DISTINCT s.id) as total_sessions,
       COUNT(DISTINCT CASE WHEN s.status = 'completed' THEN s.id END) as completed_sessions,
-      COUNT(DISTINCT CASE WHEN s.status = 'active' THEN s.id END) as active_sessions,
+      COUNT(DISTINCT CASE WHEN s.status IN (${ACTIVE_STATES_SQL}) THEN s.id END) as active_sessions,
       SUM(tr.score) as total_score,
       SUM(tr.max_score) as total_possible_score,
       COUNT(DISTINCT tr.id) as total_tasks_attempted,
       COUNT(DISTINCT CASE WHEN tr.passed THEN tr.id END) as tasks_passed,
-      MAX(s.completed_at) as last_session
+      MAX(s.end_time) as last_session
     FROM sessions s
     LEFT JOIN task_results tr ON s.id = tr.session_id
     WHERE s.user_id = ?
@@ -318,11 +670,12 @@ router.get('/progress', authenticate, asyncHandler(async (req, res) => {
       s.id,
       s.status,
       s.start_time,
-      s.completed_at,
+      s.end_time as completed_at,
       COUNT(tr.id) as tasks_completed,
       SUM(tr.score) as session_score,
       SUM(tr.max_score) as session_max_score,
-      COUNT(CASE WHEN tr.passed THEN 1 END) as tasks_passed
+      COUNT(CASE WHEN tr.passed THEN 1 END) as tasks_passed,
+      (SELECT COUNT(*) FROM session_recordings r WHERE r.session_id = s.id) as recordings
     FROM sessions s
     LEFT JOIN task_results tr ON s.id = tr.session_id
     WHERE s.user_id = ?
@@ -390,6 +743,7 @@ router.get('/progress', authenticate, asyncHandler(async (req, res) => {
           ? Math.round((session.session_score / session.session_max_score) * 100)
           : 0,
         tasksPassed: session.tasks_passed || 0,
+        recordings: session.recordings,
       })),
       byDifficulty: difficultyStats.map(stat => ({
         difficulty: stat.difficulty,
@@ -405,10 +759,12 @@ router.get('/progress', authenticate, asyncHandler(async (req, res) => {
         passRate: stat.attempted > 0 ? Math.round((stat.passed / stat.attempted) * 100) : 0,
         avgScore: stat.avg_score_pct || 0,
       })),
+      snapshots: SnapshotModel.findByUserId(userId).map(SnapshotService.toJson),
+      snapshotQuota: SnapshotService.getQuota(userId),
+      commands: CommandAuditService.getUserStats(userId),
     },
   });
 }));
 
-export { cleanupSession };
 export default router;
 
@@ -1,14 +1,144 @@
 import { Router } from 'express';
+import config from '../../config/index.js';
 import TaskModel from '../../models/task.js';
 import SessionModel from '../../models/session.js';
 import TaskResultModel from '../../models/taskResult.js';
+import CommandModel from '../../models/command.js';
 import VerificationService from '../../services/verification.js';
+import TerminalService from '../../services/terminal.js';
+import ClusterContexts from '../../services/contexts.js';
+import RecordingService from '../../services/recordings.js';
 import { authenticate } from '../middleware/auth.js';
-import { asyncHandler, NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import { asyncHandler, NotFoundError, ValidationError, ConflictError } from '../middleware/errorHandler.js';
 import logger from '../../utils/logger.js';
 
 const router = Router();
 
+// Sessions with a question reset in progress
+const resettingSessions = new Set();
+
+/**
+ * Describe a session's question resets against the per-exam limit
+ */
+const getResetAllowance = (sessionId) => {
+  const used = TaskResultModel.countResets(sessionId);
+  const limit = config.session.resetLimit;
+  return { used, limit, remaining: Math.max(0, limit - used) };
+};
+
+/**
+ * Describe each assigned question for the question grid
+ */
+const describeQuestions = (sessionId, taskState) => {
+  const attempted = new Set(TaskResultModel.findBySession(sessionId).map(result => result.task_id));
+  return taskState.assigned.map((taskId, index) => ({
+    number: index + 1,
+    taskId,
+    completed: taskState.completed.includes(taskId),
+    attempted: attempted.has(taskId),
+    flagged: taskState.flagged.includes(taskId),
+  }));
+};
+
+/**
+ * Index of the next question that isn't completed, after the current one and wrapping
+ * around to the start (null when every other question is completed)
+ */
+const findNextQuestionIndex = (taskState, currentIndex) => {
+  const { assigned, completed } = taskState;
+  for (let offset = 1; offset < assigned.length; offset++) {
+    const index = (currentIndex + offset) % assigned.length;
+    if (!completed.includes(assigned[index])) {
+      return index;
+    }
+  }
+  return null;
+};
+
+/**
+ * Switch the session's terminal to a question's namespace (in the context the task
+ * targets). The task's setup script only runs the first time a question is opened,
+ * so going back to a question keeps the work done in it. Records the question in
+ * taskState.opened.
+ */
+const openQuestion = async (session, taskState, questionNumber) => {
+  const containerName = `term-${session.cluster_name}`;
+  const taskId = taskState.assigned[questionNumber - 1];
+  const task = TaskModel.findById(taskId);
+  const context = ClusterContexts.forTask(session, task);
+
+  const opened = await TerminalService.openQuestionNamespace(containerName, questionNumber, context);
+  if (!opened.success) {
+    throw new Error(`Failed to open question ${questionNumber}: ${opened.error}`);
+  }
+
+  if (taskState.opened.includes(questionNumber)) {
+    return;
+  }
+
+  if (task && task.setup_script) {
+    logger.info('Executing setup script for question', {
+      sessionId: session.id,
+      taskId,
+      questionNumber,
+      context,
+    });
+
+    const setup = await TerminalService.execScript(containerName, task.setup_script, { timeout: 30000, context });
+    if (!setup.success) {
+      // Don't fail the switch - log and continue
+      logger.error('Setup script execution failed', {
+        sessionId: session.id,
+        taskId,
+        error: setup.error,
+      });
+    }
+  }
+
+  taskState.opened.push(questionNumber);
+};
+
+/**
+ * Move the session on from the current question to the next one that isn't completed
+ * and save the task state. Returns the new question's index, or null when there is
+ * none left (the exam is finished).
+ */
+const advance = async (session, taskState, currentIndex) => {
+  const nextIndex = findNextQuestionIndex(taskState, currentIndex);
+
+  if (nextIndex !== null) {
+    try {
+      await openQuestion(session, taskState, nextIndex + 1);
+    } catch (error) {
+      // Log but don't fail - the question can be opened again from the grid
+      logger.warn('Failed to open next question', { sessionId: session.id, error: error.message });
+    }
+  }
+
+  const questionNumber = nextIndex !== null ? nextIndex + 1 : taskState.assigned.length + 1;
+  SessionModel.updateTaskProgress(session.id, questionNumber, JSON.stringify(taskState));
+  if (nextIndex !== null) {
+    RecordingService.markQuestion(session.id, questionNumber);
+  }
+  return nextIndex;
+};
+
+/**
+ * Get the user's active session, requiring it to be ready for task work
+ */
+const getReadySession = (userId) => {
+  const session = SessionModel.findActiveByUserId(userId);
+  if (!session) {
+    throw new NotFoundError('No active session found');
+  }
+
+  if (session.status !== 'ready') {
+    throw new ConflictError(`Session is ${session.status}`);
+  }
+
+  return session;
+};
+
 /**
  * GET /api/tasks
  * Get all tasks (summary only)
@@ -79,7 +209,8 @@ router.get('/session/current', authenticate, asyncHandler(async (req, res) => {
   }
 
   // Get assigned tasks for this session
-  const { assigned, completed } = SessionModel.getAssignedTasks(session.id);
+  const taskState = SessionModel.getAssignedTasks(session.id);
+  const { assigned, completed } = taskState;
   
   if (assigned.length === 0) {
     throw new NotFoundError('No tasks assigned to this session');
@@ -103,14 +234,17 @@ router.get('/session/current', authenticate, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    task,
+    task: ClusterContexts.describeTask(session, task),
     progress,
+    questions: describeQuestions(session.id, taskState),
+    resets: getResetAllowance(session.id),
   });
 }));
 
 /**
  * POST /api/tasks/session/complete
- * Mark current task as complete and move to next (within assigned 20 tasks)
+ * Mark current task as complete and move to the next question that isn't completed
+ * (within assigned 20 tasks, wrapping around to earlier questions)
  * REQUIRES VERIFICATION: Must verify answer before advancing to next question
  */
 router.post('/session/complete', authenticate, asyncHandler(async (req, res) => {
@@ -122,12 +256,10 @@ router.post('/session/complete', authenticate, asyncHandler(async (req, res) =>
   }
   
   // Get active session
-  const session = SessionModel.findActiveByUserId(userId);
-  if (!session) {
-    throw new NotFoundError('No active session found');
-  }
+  const session = getReadySession(userId);
 
-  const { assigned, completed } = SessionModel.getAssignedTasks(session.id);
+  const taskState = SessionModel.getAssignedTasks(session.id);
+  const { assigned, completed } = taskState;
   
   if (assigned.length === 0) {
     throw new NotFoundError('No tasks assigned to this session');
@@ -167,83 +299,21 @@ router.post('/session/complete', authenticate, asyncHandler(async (req, res) =>
     completed.push(taskId);
   }
 
-  // Move to next task
-  const nextIndex = currentIndex + 1;
-  
-  // Clean terminal for next question (create new namespace, delete old one)
-  // And run setup script if the next task has one
-  if (nextIndex < assigned.length) {
-    try {
-      const containerName = `term-${session.cluster_name}`;
-      const TerminalService = (await import('../../services/terminal.js')).default;
-      
-      await TerminalService.cleanTerminalForNextQuestion(
-        containerName,
-        nextIndex + 1 // Question number (1-based)
-      );
-      
-      logger.info('Terminal cleaned for next question', {
-        sessionId: session.id,
-        questionNumber: nextIndex + 1,
-      });
-      
-      // Execute setup script for the next task if it exists
-      const nextTaskId = assigned[nextIndex];
-      const nextTaskData = TaskModel.findById(nextTaskId);
-      
-      if (nextTaskData && nextTaskData.setup_script) {
-        logger.info('Executing setup script for next task', {
-          sessionId: session.id,
-          taskId: nextTaskId,
-          questionNumber: nextIndex + 1,
-        });
-        
-        try {
-          await TerminalService.execCommand(
-            containerName,
-            nextTaskData.setup_script,
-            30000 // 30 second timeout
-          );
-          
-          logger.info('Setup script executed successfully', {
-            sessionId: session.id,
-            taskId: nextTaskId,
-          });
-        } catch (setupError) {
-          logger.error('Setup script execution failed', {
-            sessionId: session.id,
-            taskId: nextTaskId,
-            error: setupError.message,
-          });
-          // Don't fail the transition - log and continue
-        }
-      }
-    } catch (error) {
-      // Log but don't fail - terminal cleaning is not critical
-      logger.warn('Failed to clean terminal for next question', {
-        sessionId: session.id,
-        error: error.message,
-      });
-    }
-  }
-  
-  // Update session with new current task index and completed list
-  const taskData = JSON.stringify({ assigned, completed });
-  SessionModel.updateTaskProgress(session.id, nextIndex + 1, taskData);
-
-  const hasMore = nextIndex < assigned.length;
-  const nextTask = hasMore ? TaskModel.findById(assigned[nextIndex]) : null;
+  // Move to the next question that isn't done yet
+  const nextIndex = await advance(session, taskState, currentIndex);
+  const hasMore = nextIndex !== null;
 
   res.json({
     success: true,
     message: hasMore ? 'Task completed! Moving to next question.' : 'All tasks completed! 🎉',
-    nextTask: hasMore ? nextTask : null,
+    nextTask: hasMore ? ClusterContexts.describeTask(session, TaskModel.findById(assigned[nextIndex])) : null,
     progress: {
       current: hasMore ? nextIndex + 1 : assigned.length, // Current question number
       total: assigned.length,
       completed: completed.length,
       percentage: Math.round((completed.length / assigned.length) * 100)
     },
+    questions: describeQuestions(session.id, taskState),
     verificationResult: {
       passed: taskResult.passed,
       score: taskResult.score,
@@ -255,7 +325,7 @@ router.post('/session/complete', authenticate, asyncHandler(async (req, res) =>
 
 /**
  * POST /api/tasks/session/skip
- * Skip current task without verification and move to next
+ * Skip current task without verification and move to the next question that isn't completed
  * (Allows users to skip questions they want to come back to or can't solve)
  */
 router.post('/session/skip', authenticate, asyncHandler(async (req, res) => {
@@ -267,12 +337,10 @@ router.post('/session/skip', authenticate, asyncHandler(async (req, res) => {
   }
   
   // Get active session
-  const session = SessionModel.findActiveByUserId(userId);
-  if (!session) {
-    throw new NotFoundError('No active session found');
-  }
+  const session = getReadySession(userId);
 
-  const { assigned, completed } = SessionModel.getAssignedTasks(session.id);
+  const taskState = SessionModel.getAssignedTasks(session.id);
+  const { assigned, completed } = taskState;
   
   if (assigned.length === 0) {
     throw new NotFoundError('No tasks assigned to this session');
@@ -306,78 +374,204 @@ router.post('/session/skip', authenticate, asyncHandler(async (req, res) => {
     });
   }
 
-  // Move to next task
-  const nextIndex = currentIndex + 1;
-  
-  // Clean terminal for next question
-  if (nextIndex < assigned.length) {
-    try {
-      const containerName = `term-${session.cluster_name}`;
-      const TerminalService = (await import('../../services/terminal.js')).default;
-      
-      await TerminalService.cleanTerminalForNextQuestion(
-        containerName,
-        nextIndex + 1
-      );
-      
-      logger.info('Terminal cleaned for next question (skipped)', {
-        sessionId: session.id,
-        questionNumber: nextIndex + 1,
-      });
-      
-      // Execute setup script for the next task if it exists
-      const nextTaskId = assigned[nextIndex];
-      const nextTaskData = TaskModel.findById(nextTaskId);
-      
-      if (nextTaskData && nextTaskData.setup_script) {
-        try {
-          await TerminalService.execCommand(
-            containerName,
-            nextTaskData.setup_script,
-            30000
-          );
-          
-          logger.info('Setup script executed successfully (after skip)', {
-            sessionId: session.id,
-            taskId: nextTaskId,
-          });
-        } catch (setupError) {
-          logger.error('Setup script execution failed (after skip)', {
-            sessionId: session.id,
-            taskId: nextTaskId,
-            error: setupError.message,
-          });
-        }
-      }
-    } catch (error) {
-      logger.warn('Failed to clean terminal for next question (skip)', {
-        sessionId: session.id,
-        error: error.message,
-      });
-    }
-  }
-  
-  // Update session with new current task index
-  const taskData = JSON.stringify({ assigned, completed });
-  SessionModel.updateTaskProgress(session.id, nextIndex + 1, taskData);
-
-  const hasMore = nextIndex < assigned.length;
-  const nextTask = hasMore ? TaskModel.findById(assigned[nextIndex]) : null;
+  // Move to the next question that isn't done yet
+  const nextIndex = await advance(session, taskState, currentIndex);
+  const hasMore = nextIndex !== null;
 
   res.json({
     success: true,
     message: hasMore ? 'Question skipped. Moving to next question.' : 'Last question skipped. Session complete.',
     skipped: true,
-    nextTask: hasMore ? nextTask : null,
+    nextTask: hasMore ? ClusterContexts.describeTask(session, TaskModel.findById(assigned[nextIndex])) : null,
     progress: {
       current: hasMore ? nextIndex + 1 : assigned.length,
       total: assigned.length,
       completed: completed.length,
       percentage: Math.round((completed.length / assigned.length) * 100)
-    }
+    },
+    questions: describeQuestions(session.id, taskState),
   });
 }));
 
+/**
+ * POST /api/tasks/session/goto
+ * Switch to any assigned question. Body: { questionNumber } (1-based).
+ * Its qN namespace is created the first time (running the setup script) and kept
+ * afterwards, so switching back and forth doesn't lose work.
+ */
+router.post('/session/goto', authenticate, asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const questionNumber = Number(req.body.questionNumber);
+
+  const session = getReadySession(userId);
+
+  if (session.degraded_at) {
+    throw new ConflictError('Your cluster is recovering from an outage - switch questions once it is back');
+  }
+
+  const taskState = SessionModel.getAssignedTasks(session.id);
+  const { assigned, completed } = taskState;
+
+  if (!Number.isInteger(questionNumber) || questionNumber < 1 || questionNumber > assigned.length) {
+    throw new ValidationError(`questionNumber must be between 1 and ${assigned.length}`);
+  }
+
+  if (resettingSessions.has(session.id)) {
+    throw new ConflictError('The current question is being reset - switch questions once it is done');
+  }
+
+  if (questionNumber !== session.current_task_id) {
+    await openQuestion(session, taskState, questionNumber);
+    SessionModel.updateTaskProgress(session.id, questionNumber, JSON.stringify(taskState));
+    RecordingService.markQuestion(session.id, questionNumber);
+
+    logger.info('Switched question', {
+      sessionId: session.id,
+      from: session.current_task_id,
+      to: questionNumber,
+    });
+  }
+
+  res.json({
+    success: true,
+    task: ClusterContexts.describeTask(session, TaskModel.findById(assigned[questionNumber - 1])),
+    progress: {
+      current: questionNumber,
+      total: assigned.length,
+      completed: completed.length,
+      percentage: Math.round((completed.length / assigned.length) * 100)
+    },
+    questions: describeQuestions(session.id, taskState),
+  });
+}));
+
+/**
+ * POST /api/tasks/session/flag
+ * Flag an assigned question to come back to it, or clear the flag.
+ * Body: { taskId, flagged }
+ */
+router.post('/session/flag', authenticate, asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const { taskId, flagged } = req.body;
+
+  if (!taskId) {
+    throw new ValidationError('taskId is required');
+  }
+
+  if (typeof flagged !== 'boolean') {
+    throw new ValidationError('flagged must be true or false');
+  }
+
+  const session = getReadySession(userId);
+  const taskState = SessionModel.getAssignedTasks(session.id);
+
+  if (!taskState.assigned.includes(taskId)) {
+    throw new ValidationError(`Task ${taskId} is not part of this exam`);
+  }
+
+  taskState.flagged = taskState.flagged.filter(id => id !== taskId);
+  if (flagged) {
+    taskState.flagged.push(taskId);
+  }
+  SessionModel.updateTaskProgress(session.id, session.current_task_id, JSON.stringify(taskState));
+
+  res.json({
+    success: true,
+    flagged,
+    questions: describeQuestions(session.id, taskState),
+  });
+}));
+
+/**
+ * POST /api/tasks/session/reset
+ * Start the current question over: its qN namespace is deleted and created again and
+ * the task's setup script is rerun. Limited to session.resetLimit resets per exam.
+ */
+router.post('/session/reset', authenticate, asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const { taskId } = req.body;
+
+  if (!taskId) {
+    throw new ValidationError('taskId is required');
+  }
+
+  const session = getReadySession(userId);
+
+  if (session.degraded_at) {
+    throw new ConflictError('Your cluster is recovering from an outage - reset the question once it is back');
+  }
+
+  const { assigned } = SessionModel.getAssignedTasks(session.id);
+  const currentIndex = session.current_task_id ? session.current_task_id - 1 : 0;
+  const expectedTaskId = assigned[currentIndex];
+
+  if (taskId !== expectedTaskId) {
+    throw new ValidationError(
+      `Cannot reset task ${taskId}. Current task is ${expectedTaskId} (Question ${currentIndex + 1})`
+    );
+  }
+
+  const allowance = getResetAllowance(session.id);
+  if (allowance.remaining === 0) {
+    throw new ConflictError(
+      allowance.limit === 0
+        ? 'Question resets are disabled'
+        : `You have used all ${allowance.limit} question reset${allowance.limit === 1 ? '' : 's'} for this exam`
+    );
+  }
+
+  if (resettingSessions.has(session.id)) {
+    throw new ConflictError('This question is already being reset');
+  }
+  resettingSessions.add(session.id);
+
+  try {
+    const containerName = `term-${session.cluster_name}`;
+    const questionNumber = currentIndex + 1;
+    const task = TaskModel.findById(taskId);
+    const context = ClusterContexts.forTask(session, task);
+
+    const reset = await TerminalService.resetQuestionNamespace(containerName, questionNumber, context);
+    if (!reset.success) {
+      throw new Error(`Failed to reset the question: ${reset.error}`);
+    }
+
+    let setupReady = true;
+    if (task.setup_script) {
+      const setup = await TerminalService.execScript(containerName, task.setup_script, { timeout: 30000, context });
+      setupReady = setup.success && await TerminalService.waitForSetupResources(containerName, reset.namespace, { context });
+
+      if (!setupReady) {
+        logger.warn('Setup resources not ready after question reset', {
+          sessionId: session.id,
+          taskId,
+          error: setup.error,
+        });
+      }
+    }
+
+    TaskResultModel.recordReset({
+      sessionId: session.id,
+      taskId,
+      userId,
+      questionNumber,
+      setupReady,
+    });
+
+    res.json({
+      success: true,
+      message: setupReady
+        ? `Question ${questionNumber} has been reset.`
+        : `Question ${questionNumber} has been reset, but its setup resources are not ready yet.`,
+      namespace: reset.namespace,
+      setupReady,
+      resets: getResetAllowance(session.id),
+    });
+  } finally {
+    resettingSessions.delete(session.id);
+  }
+}));
+
 /**
  * POST /api/tasks/verify
  * Verify task completion using verification checks
@@ -391,9 +585,11 @@ router.post('/verify', authenticate, asyncHandler(async (req, res) => {
   }
 
   // Get active session
-  const session = SessionModel.findActiveByUserId(userId);
-  if (!session) {
-    throw new NotFoundError('No active session found');
+  const session = getReadySession(userId);
+
+  // Checks against a cluster that is down would all fail with connection errors
+  if (session.degraded_at) {
+    throw new ConflictError('Your cluster is recovering from an outage - verify again once it is back');
   }
 
   // Get task
@@ -412,6 +608,9 @@ router.post('/verify', authenticate, asyncHandler(async (req, res) => {
 
   const containerName = `term-${session.cluster_name}`;
 
+  // Checks run against the task's cluster, whichever context the user has switched to
+  const context = ClusterContexts.forTask(session, task);
+
   // Execute each verification check
   const checkResults = [];
   let allOutput = '';
@@ -424,12 +623,12 @@ router.post('/verify', authenticate, asyncHandler(async (req, res) => {
     const result = await VerificationService.executeVerification(
       containerName,
       check.command,
-      30000
+      { timeout: 30000, context }
     );
 
     allOutput += `\n--- ${check.name} ---\n${result.output}\n`;
 
-    const checkResult = VerificationService.evaluateCheck(check, result.output);
+    const checkResult = VerificationService.evaluateCheck(check, result.output, result.exitCode);
     checkResults.push(checkResult);
   }
 
@@ -476,7 +675,7 @@ router.post('/verify', authenticate, asyncHandler(async (req, res) => {
 
 /**
  * GET /api/tasks/session/:sessionId/results
- * Get all verification results for a session
+ * Get all verification results (and question resets) for a session
  */
 router.get('/session/:sessionId/results', authenticate, asyncHandler(async (req, res) => {
   const userId = req.userId;
@@ -500,6 +699,7 @@ router.get('/session/:sessionId/results', authenticate, asyncHandler(async (req,
     success: true,
     sessionId,
     results,
+    resets: TaskResultModel.findResetsBySession(sessionId),
     stats: {
       totalAttempts: stats.total_attempts || 0,
       tasksPassed: stats.tasks_passed || 0,
@@ -510,6 +710,39 @@ router.get('/session/:sessionId/results', authenticate, asyncHandler(async (req,
   });
 }));
 
+/**
+ * GET /api/tasks/session/:sessionId/commands
+ * Get the command audit log of a session (commands with the question open at the time)
+ */
+router.get('/session/:sessionId/commands', authenticate, asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const { sessionId } = req.params;
+
+  // Verify session belongs to user
+  const session = SessionModel.findById(sessionId);
+  if (!session) {
+    throw new NotFoundError('Session not found');
+  }
+
+  if (session.user_id !== userId) {
+    throw new ValidationError('Access denied');
+  }
+
+  res.json({
+    success: true,
+    sessionId,
+    commands: CommandModel.findBySessionId(sessionId).map(entry => ({
+      id: entry.id,
+      questionNumber: entry.question_number,
+      taskId: entry.task_id,
+      terminal: entry.terminal,
+      command: entry.command,
+      exitCode: entry.exit_code,
+      executedAt: entry.executed_at,
+    })),
+  });
+}));
+
 /**
  * GET /api/tasks/session/:sessionId/score
  * Get final score summary for a session
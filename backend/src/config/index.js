@@ -24,6 +24,14 @@ for (const envPath of envPaths) {
   }
 }
 
+/**
+ * Parse an integer setting that may be 0, using the default when it is unset, empty or invalid
+ */
+const parseCount = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 const config = {
   // Server
   env: process.env.NODE_ENV || 'development',
@@ -59,6 +67,48 @@ const config = {
     ttlMinutes: parseInt(process.env.SESSION_TTL_MINUTES, 10) || 60,
     extensionMinutes: parseInt(process.env.SESSION_EXTENSION_MINUTES, 10) || 30,
     maxConcurrent: parseInt(process.env.MAX_CONCURRENT_SESSIONS, 10) || 8,
+    // Paused sessions don't hold a slot, so they are reclaimed after this long
+    maxPausedMinutes: parseInt(process.env.SESSION_MAX_PAUSED_MINUTES, 10) || 30,
+    // Question resets allowed per exam (0 disables resets)
+    resetLimit: parseCount(process.env.SESSION_RESET_LIMIT, 3),
+    // Full cluster rebuilds allowed per exam (0 disables rebuilds)
+    rebuildLimit: parseCount(process.env.SESSION_REBUILD_LIMIT, 2),
+  },
+
+  // Warm cluster pool (pool entries count against session.maxConcurrent until an
+  // on-demand session needs the slot of a ready one)
+  pool: {
+    size: parseInt(process.env.WARM_POOL_SIZE, 10) || 0,
+    refillIntervalMs: parseInt(process.env.WARM_POOL_REFILL_INTERVAL_MS, 10) || 60000,
+  },
+
+  // Admission - host resources needed before building a cluster on demand (0 disables a check)
+  admission: {
+    minFreeMemoryMb: parseCount(process.env.ADMISSION_MIN_FREE_MEMORY_MB, 1024),
+    minFreeDiskMb: parseCount(process.env.ADMISSION_MIN_FREE_DISK_MB, 2048),
+    diskPath: process.env.ADMISSION_DISK_PATH || '/',
+  },
+
+  // Reconciler - repairs sessions whose cluster or terminal died (runs on startup and periodically)
+  reconciler: {
+    intervalMs: parseInt(process.env.RECONCILE_INTERVAL_MS, 10) || 120000,
+  },
+
+  // Watchdog - probes the API server and nodes of ready sessions and restarts crashed nodes
+  watchdog: {
+    intervalMs: parseInt(process.env.WATCHDOG_INTERVAL_MS, 10) || 30000,
+    // Failed probes in a row before the cluster counts as down
+    failureThreshold: parseInt(process.env.WATCHDOG_FAILURE_THRESHOLD, 10) || 2,
+    maxRecoveryAttempts: parseCount(process.env.WATCHDOG_MAX_RECOVERY_ATTEMPTS, 2),
+    // Sessions whose cluster stays down longer than this are failed
+    maxDownMinutes: parseInt(process.env.WATCHDOG_MAX_DOWN_MINUTES, 10) || 15,
+  },
+
+  // Waiting queue for session starts when no slot is free
+  queue: {
+    checkIntervalMs: parseInt(process.env.SESSION_QUEUE_CHECK_INTERVAL_MS, 10) || 5000,
+    // Users who stop polling their queue status are dropped from the queue
+    abandonAfterSeconds: parseInt(process.env.SESSION_QUEUE_ABANDON_AFTER_SECONDS, 10) || 120,
   },
 
   // Rate Limiting
@@ -74,8 +124,71 @@ const config = {
     path: process.env.DATABASE_PATH || './data/ckad.db',
   },
 
+  // Cluster driver ('kind' for real clusters, 'fake' for in-process simulation)
+  cluster: {
+    driver: process.env.CLUSTER_DRIVER || 'kind',
+    fakeDelayMs: parseInt(process.env.FAKE_DRIVER_DELAY_MS, 10) || 500,
+    // Upper bound on worker nodes a task topology can ask for (each worker is a node container)
+    maxWorkers: parseInt(process.env.CLUSTER_MAX_WORKERS, 10) || 2,
+    // Context of a session's main cluster, and the most contexts (each one its own cluster) a session can have
+    primaryContext: process.env.CLUSTER_PRIMARY_CONTEXT || 'ckad',
+    maxContexts: parseInt(process.env.CLUSTER_MAX_CONTEXTS, 10) || 2,
+  },
+
+  // Kubernetes versions offered to sessions. Each needs a local kindest/node image:
+  // KUBERNETES_VERSIONS=v1.30.0,v1.29.2=kindest/node:v1.29.2@sha256:...
+  kubernetes: {
+    versions: (process.env.KUBERNETES_VERSIONS || '').split(',').map(v => v.trim()).filter(Boolean),
+    defaultVersion: process.env.KUBERNETES_DEFAULT_VERSION || null,
+    nodeImage: process.env.KIND_NODE_IMAGE || 'kindest/node',
+  },
+
+  // Cluster add-ons (bundled manifests, fetched with scripts/fetch-addons.sh)
+  addons: {
+    directory: process.env.ADDONS_DIR || './addons',
+    readyTimeoutSeconds: parseInt(process.env.ADDONS_READY_TIMEOUT_SECONDS, 10) || 240,
+  },
+
+  // Session snapshots (saved progress and cluster state, restored into a later session)
+  snapshots: {
+    directory: process.env.SNAPSHOTS_DIR || './data/snapshots',
+    maxPerUser: parseInt(process.env.SNAPSHOT_MAX_PER_USER, 10) || 3,
+    maxTotalMb: parseInt(process.env.SNAPSHOT_MAX_TOTAL_MB, 10) || 200,
+    // Node directories saved with the cluster (hostPath volumes and files tasks leave on nodes)
+    nodePaths: (process.env.SNAPSHOT_NODE_PATHS || '/mnt,/data,/srv').split(',').map(p => p.trim()).filter(Boolean),
+  },
+
+  // Terminal recordings (asciicast v2, one file per shell, replayed on the review page)
+  recordings: {
+    enabled: process.env.RECORDINGS_ENABLED !== 'false',
+    directory: process.env.RECORDINGS_DIR || './data/recordings',
+    // Output recorded per session; later output isn't recorded
+    maxSessionMb: parseInt(process.env.RECORDING_MAX_SESSION_MB, 10) || 20,
+    // All recordings together; the oldest are deleted to stay under it
+    maxTotalMb: parseInt(process.env.RECORDING_MAX_TOTAL_MB, 10) || 2048,
+    retentionDays: parseInt(process.env.RECORDING_RETENTION_DAYS, 10) || 14,
+  },
+
+  // Docker Engine API (terminal containers, networks and node containers)
+  docker: {
+    socketPath: process.env.DOCKER_SOCKET_PATH || '/var/run/docker.sock',
+    apiVersion: process.env.DOCKER_API_VERSION || 'v1.41',
+  },
+
+  // Per-session preview URLs: /preview/<session id>/ proxies to the session's ingress port
+  preview: {
+    enabled: process.env.PREVIEW_ENABLED !== 'false',
+    // Where the ingress host ports are reachable from the backend
+    upstreamHost: process.env.PREVIEW_UPSTREAM_HOST || '127.0.0.1',
+    timeoutMs: parseInt(process.env.PREVIEW_TIMEOUT_MS, 10) || 30000,
+    tokenExpiresIn: process.env.PREVIEW_TOKEN_EXPIRES_IN || '4h',
+  },
+
   // KIND Configuration
   kind: {
+    // Host address cluster ports are published on. Only the backend should reach them
+    // (terminals get the API server over their own network), so keep it off 0.0.0.0.
+    listenAddress: process.env.KIND_LISTEN_ADDRESS || '127.0.0.1',
     portRange: {
       apiStart: parseInt(process.env.KIND_PORT_RANGE_API_START, 10) || 30000,
       apiEnd: parseInt(process.env.KIND_PORT_RANGE_API_END, 10) || 39999,
@@ -91,6 +204,25 @@ const config = {
     image: process.env.TERMINAL_IMAGE || 'ckad-terminal:latest',
     memoryLimit: process.env.TERMINAL_MEMORY_LIMIT || '512m',
     cpuLimit: process.env.TERMINAL_CPU_LIMIT || '0.5',
+    // Hardening profile: 'hardened' (non-root, read-only root filesystem, no capabilities,
+    // egress only to the session's cluster) or 'standard' (root, full networking)
+    profile: process.env.TERMINAL_PROFILE || 'hardened',
+    // uid:gid the hardened terminal runs as, and its home (a tmpfs of homeSize)
+    user: process.env.TERMINAL_USER || '1000:1000',
+    home: process.env.TERMINAL_HOME || '/home/ckad',
+    homeSize: process.env.TERMINAL_HOME_SIZE || '64m',
+    // Seccomp profile JSON for the hardened terminal (empty = Docker's default profile)
+    seccompProfile: process.env.TERMINAL_SECCOMP_PROFILE || '',
+    // Shells (terminal tabs) a user can have open at once per session
+    maxShells: parseInt(process.env.TERMINAL_MAX_SHELLS, 10) || 4,
+    // How long a shell outlives its WebSocket, waiting for a reconnect (0 = end it right away)
+    detachTimeoutSeconds: parseCount(process.env.TERMINAL_DETACH_TIMEOUT_SECONDS, 300),
+    // Recent output kept per shell and replayed on reconnect
+    scrollbackBytes: parseInt(process.env.TERMINAL_SCROLLBACK_BYTES, 10) || 256 * 1024,
+    // Log the commands users run (reported by the terminal image's PROMPT_COMMAND hook)
+    auditCommands: process.env.TERMINAL_AUDIT_COMMANDS !== 'false',
+    // Longer commands are cut to this many characters in the log
+    auditMaxCommandLength: parseInt(process.env.TERMINAL_AUDIT_MAX_COMMAND_LENGTH, 10) || 2000,
   },
 };
 
@@ -21,6 +21,207 @@ const db = new Database(config.database.path);
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
+/**
+ * Sessions table definition (shared by initial schema and migrations)
+ */
+const sessionsTableSql = (tableName) => `
+  CREATE TABLE IF NOT EXISTS ${tableName} (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    status TEXT DEFAULT 'provisioning' CHECK(status IN (
+      'provisioning', 'ready', 'paused', 'rebuilding', 'completing', 'completed', 'failed', 'expired'
+    )),
+    provisioning_step TEXT,
+    kubernetes_version TEXT,
+    topology TEXT,
+    addons TEXT,
+    contexts TEXT,
+    start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+    paused_at DATETIME,
+    paused_seconds INTEGER DEFAULT 0,
+    degraded_at DATETIME,
+    end_time DATETIME,
+    ttl_minutes INTEGER DEFAULT 60,
+    cluster_name TEXT UNIQUE,
+    kubeconfig_path TEXT,
+    terminal_container_id TEXT,
+    extended INTEGER DEFAULT 0,
+    current_task_id INTEGER DEFAULT 1,
+    completed_tasks TEXT DEFAULT '[]',
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`;
+
+/**
+ * Get the CREATE statement of an existing table
+ */
+const getTableSql = (tableName) => {
+  const row = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`).get(tableName);
+  return row ? row.sql : '';
+};
+
+/**
+ * Add a column to a table unless it already exists
+ */
+const addColumn = (tableName, columnName, definition) => {
+  const columns = db.pragma(`table_info(${tableName})`).map(col => col.name);
+  if (!columns.includes(columnName)) {
+    db.exec(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+  }
+};
+
+/**
+ * Rebuild a table with a new definition, copying the columns both versions share.
+ * SQLite can't alter CHECK constraints in place, so this follows the
+ * create/copy/drop/rename procedure with foreign keys switched off.
+ * `expressions` can replace the copied value of a column with an SQL expression.
+ */
+const rebuildTable = (tableName, createSql, expressions = {}) => {
+  const tempName = `${tableName}_new`;
+
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      db.exec(createSql(tempName));
+
+      const oldColumns = db.pragma(`table_info(${tableName})`).map(col => col.name);
+      const newColumns = new Set(db.pragma(`table_info(${tempName})`).map(col => col.name));
+      const shared = oldColumns.filter(name => newColumns.has(name));
+      const selected = shared.map(name => expressions[name] || name);
+
+      db.exec(`INSERT INTO ${tempName} (${shared.join(', ')}) SELECT ${selected.join(', ')} FROM ${tableName}`);
+      db.exec(`DROP TABLE ${tableName}`);
+      db.exec(`ALTER TABLE ${tempName} RENAME TO ${tableName}`);
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+
+  logger.info('Rebuilt table', { table: tableName });
+};
+
+/**
+ * Rebuild the sessions table with the current definition,
+ * mapping legacy statuses onto the session lifecycle
+ */
+const rebuildSessionsTable = () => {
+  rebuildTable('sessions', sessionsTableSql, {
+    status: `CASE status
+      WHEN 'started' THEN 'ready'
+      WHEN 'timeout' THEN 'expired'
+      WHEN 'ended' THEN CASE WHEN notes LIKE '%Failed:%' THEN 'failed' ELSE 'completed' END
+      ELSE status
+    END`,
+  });
+};
+
+/**
+ * Schema migrations, applied in order and tracked with PRAGMA user_version.
+ * Each migration must be safe to run against a freshly created schema.
+ */
+const migrations = [
+  {
+    name: 'sessions: provisioning status and step',
+    up: () => {
+      if (!getTableSql('sessions').includes(`'provisioning'`)) {
+        rebuildSessionsTable();
+      }
+    },
+  },
+  {
+    name: 'sessions: lifecycle states',
+    up: () => {
+      if (!getTableSql('sessions').includes(`'completing'`)) {
+        rebuildSessionsTable();
+      }
+    },
+  },
+  {
+    name: 'kubernetes versions for sessions, pool entries and tasks',
+    up: () => {
+      addColumn('sessions', 'kubernetes_version', 'TEXT');
+      addColumn('cluster_pool', 'kubernetes_version', 'TEXT');
+      addColumn('tasks', 'min_kubernetes_version', 'TEXT');
+    },
+  },
+  {
+    name: 'cluster topology for sessions and tasks',
+    up: () => {
+      addColumn('sessions', 'topology', 'TEXT');
+      addColumn('tasks', 'topology', 'TEXT');
+    },
+  },
+  {
+    name: 'cluster add-ons for sessions and tasks',
+    up: () => {
+      addColumn('sessions', 'addons', 'TEXT');
+      addColumn('tasks', 'addons', 'TEXT');
+    },
+  },
+  {
+    name: 'paused time for sessions',
+    up: () => {
+      addColumn('sessions', 'paused_at', 'DATETIME');
+      addColumn('sessions', 'paused_seconds', 'INTEGER DEFAULT 0');
+    },
+  },
+  {
+    name: 'snapshots to restore from the session queue',
+    up: () => {
+      addColumn('session_queue', 'snapshot_id', 'TEXT');
+    },
+  },
+  {
+    name: 'cluster downtime for sessions',
+    up: () => {
+      addColumn('sessions', 'degraded_at', 'DATETIME');
+    },
+  },
+  {
+    name: 'sessions: rebuilding status',
+    up: () => {
+      if (!getTableSql('sessions').includes(`'rebuilding'`)) {
+        rebuildSessionsTable();
+      }
+    },
+  },
+  {
+    name: 'cluster contexts for sessions, snapshots and tasks',
+    up: () => {
+      addColumn('sessions', 'contexts', 'TEXT');
+      addColumn('session_snapshots', 'contexts', 'TEXT');
+      addColumn('tasks', 'context', 'TEXT');
+    },
+  },
+  {
+    name: 'worker nodes of warm pool entries',
+    up: () => {
+      addColumn('cluster_pool', 'workers', 'INTEGER DEFAULT 0');
+    },
+  },
+  {
+    name: 'add-ons of warm pool entries',
+    up: () => {
+      addColumn('cluster_pool', 'addons', 'TEXT');
+    },
+  },
+];
+
+/**
+ * Run pending migrations
+ */
+const runMigrations = () => {
+  const version = db.pragma('user_version', { simple: true });
+
+  for (let i = version; i < migrations.length; i++) {
+    logger.info('Running migration', { version: i + 1, name: migrations[i].name });
+    migrations[i].up();
+    db.pragma(`user_version = ${i + 1}`);
+  }
+};
+
 // Initialize schema
 const initSchema = () => {
   logger.info('Initializing database schema...');
@@ -71,21 +272,81 @@ const initSchema = () => {
   `);
 
   // Sessions table
+  db.exec(sessionsTableSql('sessions'));
+
+  // Session state transitions (audit trail of the session lifecycle)
   db.exec(`
-    CREATE TABLE IF NOT EXISTS sessions (
+    CREATE TABLE IF NOT EXISTS session_transitions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Session incidents - cluster outages noticed by the watchdog and how they ended
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_incidents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK(kind IN ('api_server_down', 'nodes_not_ready')),
+      message TEXT,
+      recovery_attempts INTEGER DEFAULT 0,
+      resolution TEXT,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Warm cluster pool table - clusters provisioned ahead of time, claimed by new sessions
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cluster_pool (
       id TEXT PRIMARY KEY,
-      user_id TEXT NOT NULL,
-      status TEXT DEFAULT 'started' CHECK(status IN ('started', 'ended', 'timeout')),
-      start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
-      end_time DATETIME,
-      ttl_minutes INTEGER DEFAULT 60,
-      cluster_name TEXT UNIQUE,
+      cluster_name TEXT UNIQUE NOT NULL,
+      status TEXT DEFAULT 'provisioning' CHECK(status IN ('provisioning', 'ready')),
+      kubernetes_version TEXT,
+      workers INTEGER DEFAULT 0,
+      addons TEXT,
       kubeconfig_path TEXT,
+      terminal_kubeconfig_path TEXT,
       terminal_container_id TEXT,
-      extended INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      ready_at DATETIME
+    )
+  `);
+
+  // Waiting queue - users waiting for a free session slot, served first come first served
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT UNIQUE NOT NULL,
+      kubernetes_version TEXT,
+      snapshot_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Session snapshots - saved progress and cluster state, restored into a new session later
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_snapshots (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      session_id TEXT,
+      name TEXT NOT NULL,
+      status TEXT DEFAULT 'creating' CHECK(status IN ('creating', 'ready')),
+      kubernetes_version TEXT,
+      topology TEXT,
+      addons TEXT,
+      contexts TEXT,
       current_task_id INTEGER DEFAULT 1,
       completed_tasks TEXT DEFAULT '[]',
-      notes TEXT,
+      size_bytes INTEGER DEFAULT 0,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     )
@@ -101,6 +362,10 @@ const initSchema = () => {
       category TEXT,
       verification_config TEXT,
       setup_script TEXT,
+      min_kubernetes_version TEXT,
+      topology TEXT,
+      addons TEXT,
+      context TEXT,
       max_score INTEGER DEFAULT 10,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
@@ -127,6 +392,64 @@ const initSchema = () => {
     )
   `);
 
+  // Task resets - questions whose namespace the user wiped and set up again
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS task_resets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      task_id INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      question_number INTEGER NOT NULL,
+      setup_ready INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Terminal recordings - one asciicast file per shell, with the times questions were opened
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_recordings (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      terminal TEXT NOT NULL,
+      status TEXT DEFAULT 'recording' CHECK(status IN ('recording', 'finished')),
+      width INTEGER,
+      height INTEGER,
+      size_bytes INTEGER DEFAULT 0,
+      duration_seconds REAL DEFAULT 0,
+      truncated INTEGER DEFAULT 0,
+      markers TEXT,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      ended_at DATETIME,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Command audit log - commands run in the terminal, with the question that was open
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS command_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      task_id INTEGER,
+      user_id TEXT NOT NULL,
+      question_number INTEGER,
+      terminal TEXT NOT NULL,
+      command TEXT NOT NULL,
+      exit_code INTEGER,
+      executed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE SET NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Bring existing tables up to date
+  runMigrations();
+
   // Create indexes
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
@@ -137,6 +460,14 @@ const initSchema = () => {
     CREATE INDEX IF NOT EXISTS idx_allocated_ports_session_id ON allocated_ports(session_id);
     CREATE INDEX IF NOT EXISTS idx_task_results_session_id ON task_results(session_id);
     CREATE INDEX IF NOT EXISTS idx_task_results_task_id ON task_results(task_id);
+    CREATE INDEX IF NOT EXISTS idx_task_resets_session_id ON task_resets(session_id);
+    CREATE INDEX IF NOT EXISTS idx_session_snapshots_user_id ON session_snapshots(user_id);
+    CREATE INDEX IF NOT EXISTS idx_cluster_pool_status ON cluster_pool(status);
+    CREATE INDEX IF NOT EXISTS idx_session_transitions_session_id ON session_transitions(session_id);
+    CREATE INDEX IF NOT EXISTS idx_session_incidents_session_id ON session_incidents(session_id);
+    CREATE INDEX IF NOT EXISTS idx_session_recordings_session_id ON session_recordings(session_id);
+    CREATE INDEX IF NOT EXISTS idx_command_log_session_id ON command_log(session_id);
+    CREATE INDEX IF NOT EXISTS idx_command_log_user_id ON command_log(user_id);
   `);
 
   logger.info('Database schema initialized successfully');
@@ -406,6 +406,7 @@ kubectl get jobs --selector=job-name=backup-job
           },
         ],
       },
+      minKubernetesVersion: 'v1.21', // batch/v1 CronJob
       maxScore: 10,
     },
     {
@@ -583,6 +584,7 @@ kubectl get networkpolicy api-network-policy -o yaml
           },
         ],
       },
+      addons: ['calico'],
       maxScore: 10,
     },
     {
@@ -766,6 +768,7 @@ kubectl describe ingress web-ingress
           },
         ],
       },
+      addons: ['ingress-nginx'],
       maxScore: 10,
     },
     {
@@ -904,6 +907,8 @@ kubectl describe hpa php-apache-hpa
           },
         ],
       },
+      minKubernetesVersion: 'v1.23', // autoscaling/v2
+      addons: ['metrics-server'],
       maxScore: 10,
     },
     {
@@ -1592,6 +1597,7 @@ kubectl describe pod toleration-pod | grep -A5 Tolerations
 \`\`\``,
       difficulty: 'hard',
       category: 'Scheduling',
+      topology: { workers: 2 },
       verificationConfig: {
         checks: [
           {
@@ -1651,7 +1657,7 @@ kubectl describe pod affinity-pod | grep -A10 "Affinity"
 \`\`\``,
       difficulty: 'hard',
       category: 'Scheduling',
-      setupScript: 'kubectl label nodes $(kubectl get nodes -o jsonpath=\'{.items[0].metadata.name}\') disktype=ssd --overwrite',
+      topology: { workers: 2, nodes: [{ labels: { disktype: 'ssd' } }] },
       verificationConfig: {
         checks: [
           {
@@ -1885,6 +1891,7 @@ kubectl describe networkpolicy db-policy
           },
         ],
       },
+      addons: ['calico'],
       maxScore: 10,
     },
     {
@@ -1929,6 +1936,7 @@ kubectl describe pdb web-pdb
           },
         ],
       },
+      minKubernetesVersion: 'v1.21', // policy/v1 PodDisruptionBudget
       maxScore: 10,
     },
     {
@@ -1990,6 +1998,8 @@ kubectl describe hpa api-hpa
           },
         ],
       },
+      minKubernetesVersion: 'v1.23', // autoscaling/v2
+      addons: ['metrics-server'],
       maxScore: 10,
     },
     {
@@ -2011,6 +2021,7 @@ kubectl describe daemonset log-collector
 \`\`\``,
       difficulty: 'medium',
       category: 'DaemonSets',
+      topology: { workers: 2 },
       verificationConfig: {
         checks: [
           {
@@ -2198,6 +2209,7 @@ kubectl describe pod fast-storage-pod
 \`\`\``,
       difficulty: 'medium',
       category: 'Scheduling',
+      topology: { workers: 1 },
       verificationConfig: {
         checks: [
           {
@@ -2391,11 +2403,64 @@ kubectl describe service external-db
       },
       maxScore: 10,
     },
+    {
+      title: 'Deploy to Another Cluster',
+      body: `## Task: Deploy on the k8s-c2 Cluster
+
+This question uses a different cluster than the others. Switch to it first:
+
+\`\`\`bash
+kubectl config use-context k8s-c2
+\`\`\`
+
+Then create a Deployment named \`web-c2\` with:
+
+- Image: \`nginx:1.25\`
+- Replicas: \`2\`
+
+### Verification
+
+\`\`\`bash
+kubectl config current-context
+kubectl get deployment web-c2
+\`\`\``,
+      difficulty: 'easy',
+      category: 'Deployments',
+      context: 'k8s-c2',
+      verificationConfig: {
+        checks: [
+          {
+            name: 'Deployment exists',
+            command: 'kubectl get deployment web-c2 -o jsonpath=\'{.metadata.name}\'',
+            type: 'contains',
+            expected: 'web-c2',
+            points: 4,
+          },
+          {
+            name: 'Correct image',
+            command: 'kubectl get deployment web-c2 -o jsonpath=\'{.spec.template.spec.containers[0].image}\'',
+            type: 'contains',
+            expected: 'nginx:1.25',
+            points: 3,
+          },
+          {
+            name: 'Two replicas',
+            command: 'kubectl get deployment web-c2 -o jsonpath=\'{.spec.replicas}\'',
+            type: 'contains',
+            expected: '2',
+            points: 3,
+          },
+        ],
+      },
+      maxScore: 10,
+    },
   ];
 
   const insertStmt = db.prepare(`
-    INSERT OR IGNORE INTO tasks (title, body, difficulty, category, verification_config, setup_script, max_score)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT OR IGNORE INTO tasks (
+      title, body, difficulty, category, verification_config, setup_script, min_kubernetes_version, topology, addons, context, max_score
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const insertMany = db.transaction((tasks) => {
@@ -2407,6 +2472,10 @@ kubectl describe service external-db
         task.category,
         task.verificationConfig ? JSON.stringify(task.verificationConfig) : null,
         task.setupScript || null,
+        task.minKubernetesVersion || null,
+        task.topology ? JSON.stringify(task.topology) : null,
+        task.addons ? JSON.stringify(task.addons) : null,
+        task.context || null,
         task.maxScore || 10
       );
     }
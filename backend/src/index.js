@@ -11,6 +11,8 @@ import authRoutes from './api/routes/auth.js';
 import sessionRoutes from './api/routes/session.js';
 import taskRoutes from './api/routes/tasks.js';
 import healthRoutes from './api/routes/health.js';
+import previewRoutes from './api/routes/preview.js';
+import recordingRoutes from './api/routes/recordings.js';
 
 // Import middleware
 import { generalLimiter } from './api/middleware/rateLimit.js';
@@ -19,6 +21,12 @@ import { notFoundHandler, errorHandler } from './api/middleware/errorHandler.js'
 // Import WebSocket and cleanup
 import { initializeWebSocket } from './websocket/terminal.js';
 import { startCleanupScheduler, stopCleanupScheduler } from './services/cleanup.js';
+import PoolService from './services/pool.js';
+import AdmissionService from './services/admission.js';
+import ReconcilerService from './services/reconciler.js';
+import WatchdogService from './services/watchdog.js';
+import TerminalService from './services/terminal.js';
+import AddonService from './services/addons.js';
 
 // Initialize Express app
 const app = express();
@@ -73,6 +81,10 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
+// Session previews (proxied to the cluster's ingress) - before body parsing so request
+// bodies are streamed through, and outside the API rate limit
+app.use('/preview', previewRoutes);
+
 // Body parsing
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -111,6 +123,7 @@ app.use('/', healthRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/session', sessionRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/recordings', recordingRoutes);
 
 // Error handlers
 app.use(notFoundHandler);
@@ -131,6 +144,16 @@ const shutdown = async (signal) => {
   // Stop cleanup scheduler
   stopCleanupScheduler();
 
+  // Stop session reconciliation and cluster health probes
+  ReconcilerService.stop();
+  WatchdogService.stop();
+
+  // Stop warm pool refills (pooled clusters are reused on next start)
+  PoolService.stop();
+
+  // Stop starting queued sessions (the queue is kept for the next start)
+  AdmissionService.stop();
+
   // Close all WebSocket connections
   wss.clients.forEach((client) => {
     client.send(JSON.stringify({ 
@@ -160,8 +183,29 @@ server.listen(config.port, host, () => {
     frontendUrl: config.frontendUrl,
   });
 
+  // Check the terminal hardening profile can be applied (/readyz fails until it can)
+  TerminalService.validateProfile();
+
+  // Sessions can't install add-ons without their manifests (/readyz fails until they are there)
+  const addonProblem = AddonService.checkManifests();
+  if (addonProblem) {
+    logger.error('Cluster add-ons unavailable', { error: addonProblem });
+  }
+
+  // Repair or fail sessions whose cluster/terminal didn't survive the restart
+  ReconcilerService.start();
+
+  // Watch ready sessions' clusters for outages
+  WatchdogService.start();
+
   // Start cleanup scheduler
   startCleanupScheduler();
+
+  // Start warm cluster pool
+  PoolService.start();
+
+  // Start sessions for queued users as slots free up
+  AdmissionService.start();
 });
 
 // Handle server errors
@@ -0,0 +1,81 @@
+import db from '../db/index.js';
+
+export const CommandModel = {
+  /**
+   * Log a command run in a session's terminal
+   */
+  create({ sessionId, taskId, userId, questionNumber, terminal, command, exitCode }) {
+    const stmt = db.prepare(`
+      INSERT INTO command_log (session_id, task_id, user_id, question_number, terminal, command, exit_code)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(sessionId, taskId, userId, questionNumber, terminal, command, exitCode);
+    return result.lastInsertRowid;
+  },
+
+  /**
+   * Get a session's commands in the order they were run
+   */
+  findBySessionId(sessionId) {
+    const stmt = db.prepare(`
+      SELECT * FROM command_log
+      WHERE session_id = ?
+      ORDER BY id ASC
+    `);
+    return stmt.all(sessionId);
+  },
+
+  /**
+   * Get a user's latest commands (newest first)
+   */
+  findRecentByUserId(userId, limit) {
+    const stmt = db.prepare(`
+      SELECT command FROM command_log
+      WHERE user_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `);
+    return stmt.all(userId, limit);
+  },
+
+  /**
+   * Count a user's logged commands
+   */
+  countByUserId(userId) {
+    const stmt = db.prepare('SELECT COUNT(*) as count FROM command_log WHERE user_id = ?');
+    return stmt.get(userId).count;
+  },
+
+  /**
+   * Per question of the user's sessions (latest first): how many commands it took, when
+   * the first one was run and when the question first passed verification
+   */
+  getQuestionStats(userId, limit) {
+    const stmt = db.prepare(`
+      SELECT q.*,
+        CAST(ROUND((julianday(q.passed_at) - julianday(q.first_command_at)) * 86400) AS INTEGER) as seconds_to_pass
+      FROM (
+        SELECT
+          c.session_id,
+          c.task_id,
+          MAX(c.question_number) as question_number,
+          t.title,
+          COUNT(*) as commands,
+          MIN(c.executed_at) as first_command_at,
+          (
+            SELECT MIN(tr.verified_at) FROM task_results tr
+            WHERE tr.session_id = c.session_id AND tr.task_id = c.task_id AND tr.passed = 1
+          ) as passed_at
+        FROM command_log c
+        JOIN tasks t ON t.id = c.task_id
+        WHERE c.user_id = ?
+        GROUP BY c.session_id, c.task_id
+        ORDER BY MAX(c.id) DESC
+        LIMIT ?
+      ) q
+    `);
+    return stmt.all(userId, limit);
+  },
+};
+
+export default CommandModel;
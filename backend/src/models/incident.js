@@ -0,0 +1,94 @@
+import db from '../db/index.js';
+import logger from '../utils/logger.js';
+
+// Minutes since the outage started
+const DOWN_MINUTES_SQL = `(julianday(COALESCE(resolved_at, 'now')) - julianday(started_at)) * 24 * 60`;
+
+export const IncidentModel = {
+  /**
+   * Find incident by ID
+   */
+  findById(id) {
+    const stmt = db.prepare(`SELECT *, ${DOWN_MINUTES_SQL} as down_minutes FROM session_incidents WHERE id = ?`);
+    return stmt.get(id);
+  },
+
+  /**
+   * Get a session's unresolved incident, if any
+   */
+  findOpen(sessionId) {
+    const stmt = db.prepare(`
+      SELECT *, ${DOWN_MINUTES_SQL} as down_minutes FROM session_incidents
+      WHERE session_id = ? AND resolved_at IS NULL
+      ORDER BY id DESC
+      LIMIT 1
+    `);
+    return stmt.get(sessionId);
+  },
+
+  /**
+   * Get unresolved incidents of sessions that are no longer ready
+   */
+  findOpenForInactiveSessions() {
+    const stmt = db.prepare(`
+      SELECT i.*, s.status as session_status
+      FROM session_incidents i
+      JOIN sessions s ON s.id = i.session_id
+      WHERE i.resolved_at IS NULL AND s.status != 'ready'
+    `);
+    return stmt.all();
+  },
+
+  /**
+   * Get a session's incidents (oldest first)
+   */
+  findBySessionId(sessionId) {
+    const stmt = db.prepare(`
+      SELECT *, ${DOWN_MINUTES_SQL} as down_minutes FROM session_incidents
+      WHERE session_id = ?
+      ORDER BY id ASC
+    `);
+    return stmt.all(sessionId);
+  },
+
+  /**
+   * Record the start of an outage
+   */
+  open(sessionId, kind, message) {
+    const stmt = db.prepare(`
+      INSERT INTO session_incidents (session_id, kind, message)
+      VALUES (?, ?, ?)
+    `);
+    const { lastInsertRowid } = stmt.run(sessionId, kind, message);
+    logger.warn('Session incident opened', { sessionId, incidentId: lastInsertRowid, kind, message });
+    return this.findById(lastInsertRowid);
+  },
+
+  /**
+   * Count an automatic recovery attempt
+   */
+  recordRecoveryAttempt(id) {
+    const stmt = db.prepare(`
+      UPDATE session_incidents
+      SET recovery_attempts = recovery_attempts + 1
+      WHERE id = ?
+    `);
+    stmt.run(id);
+    return this.findById(id);
+  },
+
+  /**
+   * Close an incident with how it ended
+   */
+  resolve(id, resolution) {
+    const stmt = db.prepare(`
+      UPDATE session_incidents
+      SET resolution = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND resolved_at IS NULL
+    `);
+    stmt.run(resolution, id);
+    return this.findById(id);
+  },
+};
+
+export default IncidentModel;
@@ -0,0 +1,101 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/index.js';
+import logger from '../utils/logger.js';
+
+export const PoolModel = {
+  /**
+   * Find pool entry by ID
+   */
+  findById(id) {
+    const stmt = db.prepare('SELECT * FROM cluster_pool WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  /**
+   * Get all pool entries (oldest first)
+   */
+  findAll() {
+    const stmt = db.prepare('SELECT * FROM cluster_pool ORDER BY created_at ASC');
+    return stmt.all();
+  },
+
+  /**
+   * Get count of pool entries (provisioning + ready)
+   */
+  count() {
+    const stmt = db.prepare('SELECT COUNT(*) as count FROM cluster_pool');
+    return stmt.get().count;
+  },
+
+  /**
+   * Get count of pool entries that are ready to be claimed
+   */
+  countReady() {
+    const stmt = db.prepare(`SELECT COUNT(*) as count FROM cluster_pool WHERE status = 'ready'`);
+    return stmt.get().count;
+  },
+
+  /**
+   * Create a new pool entry in provisioning state
+   */
+  create(clusterName, kubernetesVersion = null, workers = 0, addons = []) {
+    const id = uuidv4();
+    const stmt = db.prepare(`
+      INSERT INTO cluster_pool (id, cluster_name, kubernetes_version, workers, addons, status)
+      VALUES (?, ?, ?, ?, ?, 'provisioning')
+    `);
+    stmt.run(id, clusterName, kubernetesVersion, workers, JSON.stringify(addons));
+    logger.info('Created pool entry', { poolId: id, clusterName, kubernetesVersion, workers, addons });
+    return this.findById(id);
+  },
+
+  /**
+   * Mark a pool entry as ready with its cluster and terminal details
+   */
+  markReady(id, { kubeconfigPath, terminalKubeconfigPath, terminalContainerId }) {
+    const stmt = db.prepare(`
+      UPDATE cluster_pool
+      SET status = 'ready',
+          kubeconfig_path = ?,
+          terminal_kubeconfig_path = ?,
+          terminal_container_id = ?,
+          ready_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    stmt.run(kubeconfigPath, terminalKubeconfigPath, terminalContainerId, id);
+    return this.findById(id);
+  },
+
+  /**
+   * Claim the oldest ready pool entry running a Kubernetes version that `fits` accepts
+   * (within a transaction). The entry is removed from the pool and returned, or null if none is ready
+   */
+  claimReady(kubernetesVersion = null, fits = () => true) {
+    const claim = db.transaction(() => {
+      const entry = db.prepare(`
+        SELECT * FROM cluster_pool
+        WHERE status = 'ready' AND kubernetes_version IS ?
+        ORDER BY ready_at ASC
+      `).all(kubernetesVersion).find(fits);
+
+      if (!entry) {
+        return null;
+      }
+
+      db.prepare('DELETE FROM cluster_pool WHERE id = ?').run(entry.id);
+      return entry;
+    });
+
+    return claim();
+  },
+
+  /**
+   * Delete pool entry
+   */
+  delete(id) {
+    const stmt = db.prepare('DELETE FROM cluster_pool WHERE id = ?');
+    return stmt.run(id);
+  },
+};
+
+export default PoolModel;
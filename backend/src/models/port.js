@@ -1,13 +1,19 @@
 import db from '../db/index.js';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import { ACTIVE_STATES_SQL } from './session.js';
+
+// Port types of a cluster. Clusters behind a session's extra contexts store theirs
+// as '<type>@<context>'.
+const portType = (type, context) => (context ? `${type}@${context}` : type);
 
 export const PortModel = {
   /**
-   * Allocate ports for a session (within a transaction)
+   * Allocate ports for a session or warm pool entry (within a transaction),
+   * or for the cluster behind one of a session's extra contexts
    * Returns { apiPort, ingressPort, ingressHttpsPort }
    */
-  allocatePorts(sessionId) {
+  allocatePorts(sessionId, context = null) {
     const { apiStart, apiEnd, ingressStart, ingressEnd, ingressHttpsStart, ingressHttpsEnd } = 
       config.kind.portRange;
 
@@ -36,12 +42,13 @@ export const PortModel = {
         VALUES (?, ?, ?)
       `);
 
-      insertStmt.run(apiPort, sessionId, 'api');
-      insertStmt.run(ingressPort, sessionId, 'ingress');
-      insertStmt.run(ingressHttpsPort, sessionId, 'ingress_https');
+      insertStmt.run(apiPort, sessionId, portType('api', context));
+      insertStmt.run(ingressPort, sessionId, portType('ingress', context));
+      insertStmt.run(ingressHttpsPort, sessionId, portType('ingress_https', context));
 
       logger.info('Allocated ports for session', { 
         sessionId, 
+        context,
         apiPort, 
         ingressPort, 
         ingressHttpsPort 
@@ -87,6 +94,22 @@ export const PortModel = {
     return result;
   },
 
+  /**
+   * Get the ports of one of a session's clusters (see allocatePorts), or null when
+   * they aren't allocated
+   */
+  getClusterPorts(sessionId, context = null) {
+    const ports = this.getPortsForSession(sessionId);
+    const apiPort = ports[portType('api', context)];
+    const ingressPort = ports[portType('ingress', context)];
+    const ingressHttpsPort = ports[portType('ingress_https', context)];
+
+    if (!apiPort || !ingressPort || !ingressHttpsPort) {
+      return null;
+    }
+    return { apiPort, ingressPort, ingressHttpsPort };
+  },
+
   /**
    * Release ports for a session
    */
@@ -99,6 +122,16 @@ export const PortModel = {
     return result.changes;
   },
 
+  /**
+   * Move ports from one owner to another (e.g. pool entry -> claiming session)
+   */
+  reassignPorts(fromId, toSessionId) {
+    const stmt = db.prepare('UPDATE allocated_ports SET session_id = ? WHERE session_id = ?');
+    const result = stmt.run(toSessionId, fromId);
+    logger.info('Reassigned ports', { from: fromId, to: toSessionId, count: result.changes });
+    return result.changes;
+  },
+
   /**
    * Check if a specific port is available
    */
@@ -117,11 +150,13 @@ export const PortModel = {
 
   /**
    * Clean up orphaned port allocations
+   * Ports owned by warm pool entries are not orphans
    */
   cleanupOrphanedPorts() {
     const stmt = db.prepare(`
       DELETE FROM allocated_ports 
-      WHERE session_id NOT IN (SELECT id FROM sessions WHERE status = 'started')
+      WHERE session_id NOT IN (SELECT id FROM sessions WHERE status IN (${ACTIVE_STATES_SQL}))
+      AND session_id NOT IN (SELECT id FROM cluster_pool)
     `);
     const result = stmt.run();
     if (result.changes > 0) {
@@ -0,0 +1,91 @@
+import db from '../db/index.js';
+import logger from '../utils/logger.js';
+
+export const QueueModel = {
+  /**
+   * Get all waiting entries, first in line first
+   */
+  findAll() {
+    const stmt = db.prepare('SELECT * FROM session_queue ORDER BY id ASC');
+    return stmt.all();
+  },
+
+  /**
+   * Find a user's queue entry
+   */
+  findByUserId(userId) {
+    const stmt = db.prepare('SELECT * FROM session_queue WHERE user_id = ?');
+    return stmt.get(userId);
+  },
+
+  /**
+   * Get the entry at the head of the queue
+   */
+  peek() {
+    const stmt = db.prepare('SELECT * FROM session_queue ORDER BY id ASC LIMIT 1');
+    return stmt.get();
+  },
+
+  /**
+   * Get count of waiting users
+   */
+  count() {
+    const stmt = db.prepare('SELECT COUNT(*) as count FROM session_queue');
+    return stmt.get().count;
+  },
+
+  /**
+   * Get a user's 1-based position in the queue (null if not queued)
+   */
+  getPosition(userId) {
+    const stmt = db.prepare(`
+      SELECT COUNT(*) as position FROM session_queue
+      WHERE id <= (SELECT id FROM session_queue WHERE user_id = ?)
+    `);
+    const { position } = stmt.get(userId);
+    return position > 0 ? position : null;
+  },
+
+  /**
+   * Add a user to the back of the queue (with the snapshot to restore, if any)
+   */
+  enqueue(userId, kubernetesVersion = null, snapshotId = null) {
+    const stmt = db.prepare(`
+      INSERT INTO session_queue (user_id, kubernetes_version, snapshot_id)
+      VALUES (?, ?, ?)
+    `);
+    stmt.run(userId, kubernetesVersion, snapshotId);
+    logger.info('User joined session queue', { userId, kubernetesVersion, snapshotId });
+    return this.findByUserId(userId);
+  },
+
+  /**
+   * Record that the user is still waiting (polled their queue status)
+   */
+  touch(userId) {
+    const stmt = db.prepare(`UPDATE session_queue SET last_seen_at = datetime('now') WHERE user_id = ?`);
+    stmt.run(userId);
+  },
+
+  /**
+   * Remove a user from the queue
+   */
+  remove(userId) {
+    const stmt = db.prepare('DELETE FROM session_queue WHERE user_id = ?');
+    return stmt.run(userId).changes > 0;
+  },
+
+  /**
+   * Remove entries whose user stopped polling, returning their user IDs
+   */
+  removeAbandoned(olderThanSeconds) {
+    const stmt = db.prepare(`
+      DELETE FROM session_queue
+      WHERE last_seen_at < datetime('now', '-' || ? || ' seconds')
+      RETURNING user_id
+    `);
+    return stmt.all(olderThanSeconds).map(row => row.user_id);
+  },
+};
+
+export default QueueModel;
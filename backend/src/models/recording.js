@@ -0,0 +1,150 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/index.js';
+import logger from '../utils/logger.js';
+
+export const RecordingModel = {
+  /**
+   * Find recording by ID
+   */
+  findById(id) {
+    const stmt = db.prepare('SELECT * FROM session_recordings WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  /**
+   * Get a session's recordings (oldest first)
+   */
+  findBySessionId(sessionId) {
+    const stmt = db.prepare(`
+      SELECT * FROM session_recordings
+      WHERE session_id = ?
+      ORDER BY started_at ASC, rowid ASC
+    `);
+    return stmt.all(sessionId);
+  },
+
+  /**
+   * Get a user's recordings with their session (newest session first)
+   */
+  findByUserId(userId) {
+    const stmt = db.prepare(`
+      SELECT r.*, s.status as session_status, s.start_time as session_start_time
+      FROM session_recordings r
+      JOIN sessions s ON s.id = r.session_id
+      WHERE r.user_id = ?
+      ORDER BY s.start_time DESC, r.started_at ASC, r.rowid ASC
+    `);
+    return stmt.all(userId);
+  },
+
+  /**
+   * Get recordings still marked as being written (left over by a restart)
+   */
+  findRecording() {
+    const stmt = db.prepare(`SELECT * FROM session_recordings WHERE status = 'recording'`);
+    return stmt.all();
+  },
+
+  /**
+   * Get finished recordings of sessions that ended more than `days` days ago
+   */
+  findExpired(days) {
+    const stmt = db.prepare(`
+      SELECT r.* FROM session_recordings r
+      JOIN sessions s ON s.id = r.session_id
+      WHERE r.status = 'finished'
+        AND COALESCE(s.end_time, r.ended_at) < datetime('now', '-' || ? || ' days')
+    `);
+    return stmt.all(days);
+  },
+
+  /**
+   * Get finished recordings, oldest first
+   */
+  findFinishedOldestFirst() {
+    const stmt = db.prepare(`
+      SELECT * FROM session_recordings
+      WHERE status = 'finished'
+      ORDER BY started_at ASC, rowid ASC
+    `);
+    return stmt.all();
+  },
+
+  /**
+   * Get the disk space taken by a session's recordings
+   */
+  getSessionSize(sessionId) {
+    const stmt = db.prepare(`
+      SELECT COALESCE(SUM(size_bytes), 0) as size_bytes
+      FROM session_recordings
+      WHERE session_id = ?
+    `);
+    return stmt.get(sessionId).size_bytes;
+  },
+
+  /**
+   * Get the disk space taken by all recordings
+   */
+  getTotalSize() {
+    const stmt = db.prepare('SELECT COALESCE(SUM(size_bytes), 0) as size_bytes FROM session_recordings');
+    return stmt.get().size_bytes;
+  },
+
+  /**
+   * Get the IDs of the sessions that have recordings
+   */
+  getSessionIds() {
+    const stmt = db.prepare('SELECT DISTINCT session_id FROM session_recordings');
+    return stmt.all().map(row => row.session_id);
+  },
+
+  /**
+   * Create a recording record for a shell
+   */
+  create({ sessionId, userId, terminal, width, height }) {
+    const id = uuidv4();
+    const stmt = db.prepare(`
+      INSERT INTO session_recordings (id, session_id, user_id, terminal, width, height, markers)
+      VALUES (?, ?, ?, ?, ?, ?, '[]')
+    `);
+    stmt.run(id, sessionId, userId, terminal, width, height);
+    logger.info('Created recording record', { recordingId: id, sessionId, terminal });
+    return this.findById(id);
+  },
+
+  /**
+   * Save how far a recording has got: size, duration, question markers
+   * ([{ time, question }]) and whether output was left out
+   */
+  updateProgress(id, { sizeBytes, durationSeconds, markers, truncated }) {
+    const stmt = db.prepare(`
+      UPDATE session_recordings
+      SET size_bytes = ?, duration_seconds = ?, markers = ?, truncated = ?
+      WHERE id = ?
+    `);
+    stmt.run(sizeBytes, durationSeconds, JSON.stringify(markers), truncated ? 1 : 0, id);
+  },
+
+  /**
+   * Mark a recording as finished
+   */
+  finish(id, { sizeBytes, durationSeconds }) {
+    const stmt = db.prepare(`
+      UPDATE session_recordings
+      SET status = 'finished', size_bytes = ?, duration_seconds = ?, ended_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    stmt.run(sizeBytes, durationSeconds, id);
+    return this.findById(id);
+  },
+
+  /**
+   * Delete a recording record
+   */
+  delete(id) {
+    const stmt = db.prepare('DELETE FROM session_recordings WHERE id = ?');
+    return stmt.run(id).changes > 0;
+  },
+};
+
+export default RecordingModel;
@@ -2,6 +2,55 @@ import { v4 as uuidv4 } from 'uuid';
 import db from '../db/index.js';
 import logger from '../utils/logger.js';
 import config from '../config/index.js';
+import { InvalidStateTransitionError } from '../api/middleware/errorHandler.js';
+
+/**
+ * Session lifecycle
+ *
+ *   provisioning -> ready <-> paused
+ *        |          |  ^        |
+ *        |          v  |        |
+ *        |       rebuilding     |
+ *        |            |         |
+ *        |            +-> completing -> completed
+ *        v            v         v
+ *      failed      expired / failed
+ */
+export const SESSION_TRANSITIONS = {
+  provisioning: ['ready', 'failed'],
+  ready: ['paused', 'rebuilding', 'completing', 'failed', 'expired'],
+  rebuilding: ['ready', 'failed'],
+  paused: ['ready', 'completing', 'failed', 'expired'],
+  completing: ['completed', 'failed'],
+  completed: [],
+  failed: [],
+  expired: [],
+};
+
+// Sessions in these states hold a cluster (the user has an active session)
+export const ACTIVE_STATES = ['provisioning', 'ready', 'paused', 'rebuilding', 'completing'];
+
+// Sessions in these states count toward session.maxConcurrent (paused clusters are frozen)
+export const SLOT_STATES = ACTIVE_STATES.filter(state => state !== 'paused');
+
+// States that stop the TTL clock (a cluster being rebuilt can't be worked on)
+export const CLOCK_STOPPED_STATES = ['paused', 'rebuilding'];
+
+// States with no way out - the session has ended
+export const FINAL_STATES = ['completed', 'failed', 'expired'];
+
+export const ACTIVE_STATES_SQL = ACTIVE_STATES.map(state => `'${state}'`).join(', ');
+const SLOT_STATES_SQL = SLOT_STATES.map(state => `'${state}'`).join(', ');
+
+// When the TTL runs out: time spent paused or with the cluster down doesn't count
+const SESSION_END_SQL = `datetime(start_time, '+' || ttl_minutes || ' minutes', '+' || paused_seconds || ' seconds')`;
+
+// Minutes left on the TTL clock (frozen while paused or degraded)
+const REMAINING_MINUTES_SQL = `ROUND((julianday(${SESSION_END_SQL}) - julianday(COALESCE(paused_at, degraded_at, 'now'))) * 24 * 60)`;
+
+// Seconds since a clock-stopping timestamp column was set (0 when it isn't)
+const elapsedSecondsSql = (column) => `CASE WHEN ${column} IS NOT NULL
+  THEN CAST(ROUND((julianday('now') - julianday(${column})) * 86400) AS INTEGER) ELSE 0 END`;
 
 export const SessionModel = {
   /**
@@ -13,12 +62,12 @@ export const SessionModel = {
   },
 
   /**
-   * Find active session by user ID
+   * Find active session by user ID (any non-final state)
    */
   findActiveByUserId(userId) {
     const stmt = db.prepare(`
       SELECT * FROM sessions 
-      WHERE user_id = ? AND status = 'started'
+      WHERE user_id = ? AND status IN (${ACTIVE_STATES_SQL})
       LIMIT 1
     `);
     return stmt.get(userId);
@@ -33,56 +82,120 @@ export const SessionModel = {
   },
 
   /**
-   * Get all active sessions
+   * Get all active sessions (any non-final state)
    */
   findAllActive() {
-    const stmt = db.prepare(`SELECT * FROM sessions WHERE status = 'started'`);
+    const stmt = db.prepare(`SELECT * FROM sessions WHERE status IN (${ACTIVE_STATES_SQL})`);
     return stmt.all();
   },
 
   /**
-   * Get count of active sessions
+   * Get count of active sessions (any non-final state)
    */
   countActive() {
-    const stmt = db.prepare(`SELECT COUNT(*) as count FROM sessions WHERE status = 'started'`);
+    const stmt = db.prepare(`SELECT COUNT(*) as count FROM sessions WHERE status IN (${ACTIVE_STATES_SQL})`);
     return stmt.get().count;
   },
 
   /**
-   * Get expired sessions (past TTL)
+   * Get count of sessions holding a concurrency slot (active and not paused)
+   */
+  countHoldingSlots() {
+    const stmt = db.prepare(`SELECT COUNT(*) as count FROM sessions WHERE status IN (${SLOT_STATES_SQL})`);
+    return stmt.get().count;
+  },
+
+  /**
+   * Get minutes left for each session holding a slot, soonest to end first
+   * (sessions still provisioning haven't started their TTL yet)
+   */
+  getRemainingMinutes() {
+    const stmt = db.prepare(`
+      SELECT
+        CASE WHEN status = 'provisioning' THEN ttl_minutes
+        ELSE MAX(0, ${REMAINING_MINUTES_SQL})
+        END as remaining_minutes
+      FROM sessions
+      WHERE status IN (${SLOT_STATES_SQL})
+      ORDER BY remaining_minutes ASC
+    `);
+    return stmt.all().map(row => row.remaining_minutes);
+  },
+
+  /**
+   * Get sessions stuck in provisioning (e.g. the backend restarted mid-way)
+   */
+  findStuckProvisioning(olderThanMinutes) {
+    const stmt = db.prepare(`
+      SELECT * FROM sessions 
+      WHERE status = 'provisioning' 
+      AND datetime(created_at, '+' || ? || ' minutes') < datetime('now')
+    `);
+    return stmt.all(olderThanMinutes);
+  },
+
+  /**
+   * Get expired sessions (past TTL, not counting a cluster outage in progress)
    */
   findExpired() {
     const stmt = db.prepare(`
       SELECT * FROM sessions 
-      WHERE status = 'started' 
-      AND datetime(start_time, '+' || ttl_minutes || ' minutes') < datetime('now')
+      WHERE status = 'ready' 
+      AND degraded_at IS NULL
+      AND ${SESSION_END_SQL} < datetime('now')
     `);
     return stmt.all();
   },
 
   /**
-   * Create a new session with random task assignment
+   * Get sessions paused for longer than the allowed time
    */
-  create({ userId, clusterName, kubeconfigPath, terminalContainerId }) {
+  findPausedTooLong(maxPausedMinutes) {
+    const stmt = db.prepare(`
+      SELECT * FROM sessions
+      WHERE status = 'paused'
+      AND datetime(paused_at, '+' || ? || ' minutes') < datetime('now')
+    `);
+    return stmt.all(maxPausedMinutes);
+  },
+
+  /**
+   * Create a new session in provisioning state
+   */
+  create({
+    userId, clusterName, kubeconfigPath, terminalContainerId, kubernetesVersion = null, topology = null, addons = [], contexts = [],
+  }) {
     const id = uuidv4();
     const stmt = db.prepare(`
       INSERT INTO sessions (
         id, user_id, cluster_name, kubeconfig_path, 
-        terminal_container_id, ttl_minutes, status
+        terminal_container_id, kubernetes_version, topology, addons, contexts, ttl_minutes, status
       )
-      VALUES (?, ?, ?, ?, ?, ?, 'started')
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'provisioning')
     `);
 
-    stmt.run(
-      id,
-      userId,
-      clusterName,
-      kubeconfigPath,
-      terminalContainerId,
-      config.session.ttlMinutes
-    );
+    const insertTransition = db.prepare(`
+      INSERT INTO session_transitions (session_id, from_status, to_status)
+      VALUES (?, NULL, 'provisioning')
+    `);
 
-    logger.info('Created new session', { sessionId: id, userId, clusterName });
+    db.transaction(() => {
+      stmt.run(
+        id,
+        userId,
+        clusterName,
+        kubeconfigPath,
+        terminalContainerId,
+        kubernetesVersion,
+        topology ? JSON.stringify(topology) : null,
+        addons.length > 0 ? JSON.stringify(addons) : null,
+        contexts.length > 0 ? JSON.stringify(contexts) : null,
+        config.session.ttlMinutes
+      );
+      insertTransition.run(id);
+    })();
+
+    logger.info('Created new session', { sessionId: id, userId, clusterName, kubernetesVersion });
     return this.findById(id);
   },
 
@@ -95,45 +208,164 @@ export const SessionModel = {
       SET completed_tasks = ?
       WHERE id = ?
     `);
-    // Store assigned task IDs in a special format: {"assigned":[...],"completed":[]}
-    const taskData = JSON.stringify({ assigned: taskIds, completed: [] });
+    // Store assigned task IDs in a special format: {"assigned":[...],"completed":[],"flagged":[],"opened":[1]}
+    const taskData = JSON.stringify({ assigned: taskIds, completed: [], flagged: [], opened: [1] });
     stmt.run(taskData, id);
     return this.findById(id);
   },
 
   /**
-   * Get assigned tasks for session
+   * Get assigned tasks for session, with the completed and flagged task IDs and the
+   * question numbers whose namespace has been set up ({ assigned, completed, flagged, opened })
    */
   getAssignedTasks(id) {
     const session = this.findById(id);
     if (!session || !session.completed_tasks) {
-      return { assigned: [], completed: [] };
+      return { assigned: [], completed: [], flagged: [], opened: [] };
     }
+    // Before free navigation only the current question's namespace was kept
+    const defaults = { flagged: [], opened: [session.current_task_id || 1] };
     try {
       const taskData = JSON.parse(session.completed_tasks);
       // Old format: just array of completed IDs
       if (Array.isArray(taskData)) {
-        return { assigned: [], completed: taskData };
+        return { assigned: [], completed: taskData, ...defaults };
       }
-      // New format: {assigned: [], completed: []}
-      return taskData;
+      // New format: {assigned: [], completed: [], flagged: [], opened: []}
+      return { ...defaults, ...taskData };
     } catch {
-      return { assigned: [], completed: [] };
+      return { assigned: [], completed: [], ...defaults };
     }
   },
 
   /**
-   * Update session status
+   * Forget which question namespaces were set up, except the current question's
+   * (after the session's cluster was replaced)
+   */
+  resetOpenedQuestions(id) {
+    const session = this.findById(id);
+    const taskData = this.getAssignedTasks(id);
+    taskData.opened = [session.current_task_id || 1];
+    return this.updateTaskProgress(id, session.current_task_id, JSON.stringify(taskData));
+  },
+
+  /**
+   * Record the last completed provisioning step
    */
-  updateStatus(id, status, notes = null) {
+  setProvisioningStep(id, step) {
+    const stmt = db.prepare('UPDATE sessions SET provisioning_step = ? WHERE id = ?');
+    stmt.run(step, id);
+  },
+
+  /**
+   * Check if a session may move from one state to another
+   */
+  canTransition(from, to) {
+    return (SESSION_TRANSITIONS[from] || []).includes(to);
+  },
+
+  /**
+   * Move a session to a new lifecycle state (within a transaction).
+   * Validates the transition, records it with a timestamp and
+   * keeps start_time/end_time and the paused time in step:
+   * - provisioning -> ready starts the TTL clock
+   * - entering 'paused' or 'rebuilding' stops the TTL clock, leaving it adds the stopped time to paused_seconds
+   * - any transition ends a cluster outage's clock stop (see markDegraded)
+   * - entering a final state sets end_time
+   * Throws InvalidStateTransitionError for transitions the lifecycle doesn't allow.
+   */
+  transition(id, toStatus, reason = null) {
+    const apply = db.transaction(() => {
+      const session = this.findById(id);
+      if (!session) {
+        return null;
+      }
+
+      if (!this.canTransition(session.status, toStatus)) {
+        throw new InvalidStateTransitionError(session.status, toStatus);
+      }
+
+      db.prepare(`
+        UPDATE sessions 
+        SET status = ?,
+            start_time = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE start_time END,
+            end_time = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE end_time END,
+            paused_seconds = paused_seconds + ${elapsedSecondsSql('paused_at')} + ${elapsedSecondsSql('degraded_at')},
+            paused_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE NULL END,
+            degraded_at = NULL
+        WHERE id = ?
+      `).run(
+        toStatus,
+        session.status === 'provisioning' && toStatus === 'ready' ? 1 : 0,
+        FINAL_STATES.includes(toStatus) ? 1 : 0,
+        CLOCK_STOPPED_STATES.includes(toStatus) ? 1 : 0,
+        id
+      );
+
+      db.prepare(`
+        INSERT INTO session_transitions (session_id, from_status, to_status, reason)
+        VALUES (?, ?, ?, ?)
+      `).run(id, session.status, toStatus, reason);
+
+      if (reason) {
+        this.addNotes(id, reason);
+      }
+
+      return session.status;
+    });
+
+    const fromStatus = apply();
+    logger.info('Session state changed', { sessionId: id, from: fromStatus, to: toStatus, reason });
+    return this.findById(id);
+  },
+
+  /**
+   * Get recorded state transitions for a session (oldest first)
+   */
+  getTransitions(id) {
     const stmt = db.prepare(`
-      UPDATE sessions 
-      SET status = ?, end_time = CURRENT_TIMESTAMP, notes = COALESCE(?, notes)
+      SELECT from_status, to_status, reason, created_at 
+      FROM session_transitions 
+      WHERE session_id = ? 
+      ORDER BY id ASC
+    `);
+    return stmt.all(id);
+  },
+
+  /**
+   * Count how often a session entered a state
+   */
+  countTransitionsTo(id, toStatus) {
+    const stmt = db.prepare(`
+      SELECT COUNT(*) as count FROM session_transitions
+      WHERE session_id = ? AND to_status = ?
+    `);
+    return stmt.get(id, toStatus).count;
+  },
+
+  /**
+   * Stop the TTL clock of a ready session while its cluster is down
+   */
+  markDegraded(id) {
+    const stmt = db.prepare(`
+      UPDATE sessions
+      SET degraded_at = COALESCE(degraded_at, CURRENT_TIMESTAMP)
+      WHERE id = ? AND status = 'ready'
+    `);
+    stmt.run(id);
+  },
+
+  /**
+   * Restart the TTL clock once the cluster is back, adding the downtime to paused_seconds
+   */
+  markRecovered(id) {
+    const stmt = db.prepare(`
+      UPDATE sessions
+      SET paused_seconds = paused_seconds + ${elapsedSecondsSql('degraded_at')},
+          degraded_at = NULL
       WHERE id = ?
     `);
-    stmt.run(status, notes, id);
-    logger.info('Updated session status', { sessionId: id, status });
-    return this.findById(id);
+    stmt.run(id);
   },
 
   /**
@@ -212,7 +444,7 @@ export const SessionModel = {
     const stmt = db.prepare(`
       SELECT 
         *,
-        ROUND((julianday(datetime(start_time, '+' || ttl_minutes || ' minutes')) - julianday('now')) * 24 * 60) as remaining_minutes
+        ${REMAINING_MINUTES_SQL} as remaining_minutes
       FROM sessions 
       WHERE id = ?
     `);
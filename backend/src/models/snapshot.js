@@ -0,0 +1,88 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../db/index.js';
+import logger from '../utils/logger.js';
+
+export const SnapshotModel = {
+  /**
+   * Find snapshot by ID
+   */
+  findById(id) {
+    const stmt = db.prepare('SELECT * FROM session_snapshots WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  /**
+   * Get a user's snapshots (newest first)
+   */
+  findByUserId(userId) {
+    const stmt = db.prepare(`
+      SELECT * FROM session_snapshots
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `);
+    return stmt.all(userId);
+  },
+
+  /**
+   * Get the number of snapshots a user has and the disk space they take
+   */
+  getUsage(userId) {
+    const stmt = db.prepare(`
+      SELECT COUNT(*) as count, COALESCE(SUM(size_bytes), 0) as size_bytes
+      FROM session_snapshots
+      WHERE user_id = ?
+    `);
+    return stmt.get(userId);
+  },
+
+  /**
+   * Create a snapshot record in creating state, copying the session's progress
+   */
+  create(session, name) {
+    const id = uuidv4();
+    const stmt = db.prepare(`
+      INSERT INTO session_snapshots (
+        id, user_id, session_id, name, status, kubernetes_version,
+        topology, addons, contexts, current_task_id, completed_tasks
+      )
+      VALUES (?, ?, ?, ?, 'creating', ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(
+      id,
+      session.user_id,
+      session.id,
+      name,
+      session.kubernetes_version,
+      session.topology,
+      session.addons,
+      session.contexts,
+      session.current_task_id || 1,
+      session.completed_tasks
+    );
+    logger.info('Created snapshot record', { snapshotId: id, sessionId: session.id, userId: session.user_id });
+    return this.findById(id);
+  },
+
+  /**
+   * Mark a snapshot as ready once its files are written
+   */
+  markReady(id, sizeBytes) {
+    const stmt = db.prepare(`
+      UPDATE session_snapshots
+      SET status = 'ready', size_bytes = ?
+      WHERE id = ?
+    `);
+    stmt.run(sizeBytes, id);
+    return this.findById(id);
+  },
+
+  /**
+   * Delete a snapshot record
+   */
+  delete(id) {
+    const stmt = db.prepare('DELETE FROM session_snapshots WHERE id = ?');
+    return stmt.run(id).changes > 0;
+  },
+};
+
+export default SnapshotModel;
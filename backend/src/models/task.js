@@ -1,4 +1,5 @@
 import db from '../db/index.js';
+import { satisfiesVersion } from '../utils/version.js';
 
 export const TaskModel = {
   /**
@@ -21,6 +22,14 @@ export const TaskModel = {
     return stmt.all();
   },
 
+  /**
+   * Get the cluster requirements of the tasks a session running a Kubernetes version can get
+   */
+  findRequirements(kubernetesVersion = null) {
+    const stmt = db.prepare('SELECT id, topology, addons, min_kubernetes_version FROM tasks');
+    return stmt.all().filter(task => satisfiesVersion(kubernetesVersion, task.min_kubernetes_version));
+  },
+
   /**
    * Get tasks by difficulty
    */
@@ -60,20 +69,22 @@ export const TaskModel = {
   /**
    * Get random 20 tasks for CKAD exam session
    * Weighted distribution: 25% easy, 40% medium, 35% hard
+   * Tasks that need a newer Kubernetes version than the session's are skipped
    */
-  getRandomExamTasks(count = 20) {
+  getRandomExamTasks(count = 20, kubernetesVersion = null) {
     // Calculate task distribution
     const easyCount = Math.round(count * 0.25);    // 25% - 5 tasks
     const mediumCount = Math.round(count * 0.40);  // 40% - 8 tasks
     const hardCount = count - easyCount - mediumCount; // 35% - 7 tasks
     
     // Get available tasks for each difficulty
-    const easyTasks = db.prepare('SELECT * FROM tasks WHERE difficulty = ? ORDER BY RANDOM() LIMIT ?')
-      .all('easy', easyCount);
-    const mediumTasks = db.prepare('SELECT * FROM tasks WHERE difficulty = ? ORDER BY RANDOM() LIMIT ?')
-      .all('medium', mediumCount);
-    const hardTasks = db.prepare('SELECT * FROM tasks WHERE difficulty = ? ORDER BY RANDOM() LIMIT ?')
-      .all('hard', hardCount);
+    const pick = (difficulty, limit) => db.prepare('SELECT * FROM tasks WHERE difficulty = ? ORDER BY RANDOM()')
+      .all(difficulty)
+      .filter(task => satisfiesVersion(kubernetesVersion, task.min_kubernetes_version))
+      .slice(0, limit);
+    const easyTasks = pick('easy', easyCount);
+    const mediumTasks = pick('medium', mediumCount);
+    const hardTasks = pick('hard', hardCount);
     
     // Combine all tasks
     const allTasks = [...easyTasks, ...mediumTasks, ...hardTasks];
@@ -98,10 +109,15 @@ export const TaskModel = {
   /**
    * Create a new task
    */
-  create({ title, body, difficulty = 'medium', category = null, verificationConfig = null, maxScore = 10 }) {
+  create({
+    title, body, difficulty = 'medium', category = null, verificationConfig = null,
+    minKubernetesVersion = null, topology = null, addons = [], context = null, maxScore = 10,
+  }) {
     const stmt = db.prepare(`
-      INSERT INTO tasks (title, body, difficulty, category, verification_config, max_score)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO tasks (
+        title, body, difficulty, category, verification_config, min_kubernetes_version, topology, addons, context, max_score
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     const result = stmt.run(
       title, 
@@ -109,6 +125,10 @@ export const TaskModel = {
       difficulty, 
       category,
       verificationConfig ? JSON.stringify(verificationConfig) : null,
+      minKubernetesVersion,
+      topology ? JSON.stringify(topology) : null,
+      addons.length > 0 ? JSON.stringify(addons) : null,
+      context,
       maxScore
     );
     return this.findById(result.lastInsertRowid);
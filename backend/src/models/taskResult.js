@@ -80,6 +80,38 @@ export const TaskResultModel = {
     return this.findById(id);
   },
 
+  /**
+   * Record a reset of a question's namespace
+   */
+  recordReset({ sessionId, taskId, userId, questionNumber, setupReady = true }) {
+    const stmt = db.prepare(`
+      INSERT INTO task_resets (session_id, task_id, user_id, question_number, setup_ready)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    stmt.run(sessionId, taskId, userId, questionNumber, setupReady ? 1 : 0);
+    logger.info('Recorded task reset', { sessionId, taskId, questionNumber, setupReady });
+  },
+
+  /**
+   * Find all question resets for a session (oldest first)
+   */
+  findResetsBySession(sessionId) {
+    const stmt = db.prepare(`
+      SELECT * FROM task_resets
+      WHERE session_id = ?
+      ORDER BY id ASC
+    `);
+    return stmt.all(sessionId);
+  },
+
+  /**
+   * Count a session's question resets
+   */
+  countResets(sessionId) {
+    const stmt = db.prepare('SELECT COUNT(*) as count FROM task_resets WHERE session_id = ?');
+    return stmt.get(sessionId).count;
+  },
+
   /**
    * Get session statistics
    */
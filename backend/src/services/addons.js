@@ -0,0 +1,159 @@
+import { existsSync } from 'fs';
+import { join, resolve } from 'path';
+import config from '../config/index.js';
+import TaskModel from '../models/task.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Cluster add-ons tasks can ask for. Manifests are bundled with the platform
+ * (see scripts/fetch-addons.sh), so installing them needs no network.
+ *
+ *   manifest   - file in the add-ons directory, applied as-is
+ *   patches    - JSON patches applied after the manifest (KIND-specific tweaks)
+ *   ready      - workloads that must finish rolling out before the add-on counts as ready
+ *   networking - KIND networking settings the add-on needs at cluster creation (CNI add-ons)
+ *   controlPlaneLabels - labels the add-on's workloads select the control-plane node by
+ */
+export const ADDONS = {
+  'ingress-nginx': {
+    label: 'Ingress NGINX',
+    manifest: 'ingress-nginx.yaml',
+    controlPlaneLabels: { 'ingress-ready': 'true' },
+    ready: [
+      { kind: 'deployment', name: 'ingress-nginx-controller', namespace: 'ingress-nginx' },
+    ],
+  },
+  'metrics-server': {
+    label: 'Metrics Server',
+    manifest: 'metrics-server.yaml',
+    // KIND kubelets serve self-signed certificates
+    patches: [
+      {
+        resource: 'deployment/metrics-server',
+        namespace: 'kube-system',
+        patch: [{ op: 'add', path: '/spec/template/spec/containers/0/args/-', value: '--kubelet-insecure-tls' }],
+      },
+    ],
+    ready: [
+      { kind: 'deployment', name: 'metrics-server', namespace: 'kube-system' },
+    ],
+  },
+  calico: {
+    label: 'Calico',
+    manifest: 'calico.yaml',
+    // Replaces kindnet, which doesn't enforce NetworkPolicy
+    networking: { disableDefaultCNI: true, podSubnet: '192.168.0.0/16' },
+    ready: [
+      { kind: 'daemonset', name: 'calico-node', namespace: 'kube-system' },
+      { kind: 'deployment', name: 'calico-kube-controllers', namespace: 'kube-system' },
+    ],
+  },
+};
+
+/**
+ * Parse a task's add-ons JSON, ignoring anything malformed
+ */
+const parseTaskAddons = (task) => {
+  if (!task.addons) {
+    return [];
+  }
+  try {
+    const addons = JSON.parse(task.addons);
+    return Array.isArray(addons) ? addons : [];
+  } catch {
+    logger.warn('Invalid task add-ons', { taskId: task.id });
+    return [];
+  }
+};
+
+/**
+ * Cluster add-on service - works out which add-ons a session needs and
+ * where their bundled manifests live
+ */
+export const AddonService = {
+  /**
+   * Directory holding the bundled add-on manifests
+   */
+  getDirectory() {
+    return resolve(config.addons.directory);
+  },
+
+  /**
+   * Keep the known add-ons from a list of names (deduplicated, in ADDONS order)
+   */
+  normalize(names = []) {
+    const unknown = names.filter(name => !ADDONS[name]);
+    if (unknown.length > 0) {
+      logger.warn('Ignoring unknown cluster add-ons', { unknown });
+    }
+    return Object.keys(ADDONS).filter(name => names.includes(name));
+  },
+
+  /**
+   * Add-ons needed by a set of tasks
+   */
+  fromTasks(tasks) {
+    return this.normalize(tasks.flatMap(parseTaskAddons));
+  },
+
+  /**
+   * Parse a stored session add-on list
+   */
+  fromJson(json) {
+    if (!json) {
+      return [];
+    }
+    try {
+      return this.normalize(JSON.parse(json));
+    } catch {
+      return [];
+    }
+  },
+
+  /**
+   * Resolve add-on names to their definitions, with the manifest path
+   */
+  resolve(names) {
+    return this.normalize(names).map(name => ({
+      name,
+      ...ADDONS[name],
+      manifestPath: join(this.getDirectory(), ADDONS[name].manifest),
+    }));
+  },
+
+  /**
+   * KIND networking settings required by a set of resolved add-ons
+   */
+  getNetworking(addons) {
+    return Object.assign({}, ...addons.map(addon => addon.networking || {}));
+  },
+
+  /**
+   * Check the manifests of every add-on the tasks use are bundled.
+   * Returns null when they are, or the problem (sessions needing them would fail).
+   */
+  checkManifests() {
+    const directory = this.getDirectory();
+    const missing = this.fromTasks(TaskModel.findRequirements())
+      .map(name => ADDONS[name].manifest)
+      .filter(manifest => !existsSync(join(directory, manifest)));
+
+    if (missing.length === 0) {
+      return null;
+    }
+    return `Add-on manifests missing from ${directory}: ${missing.join(', ')} (run scripts/fetch-addons.sh)`;
+  },
+
+  /**
+   * List add-ons with whether their manifest is bundled
+   */
+  list() {
+    return Object.entries(ADDONS).map(([name, addon]) => ({
+      name,
+      label: addon.label,
+      available: existsSync(join(this.getDirectory(), addon.manifest)),
+    }));
+  },
+};
+
+export default AddonService;
@@ -0,0 +1,281 @@
+import { readFileSync, statfsSync } from 'fs';
+import { freemem } from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import SessionModel from '../models/session.js';
+import QueueModel from '../models/queue.js';
+import SnapshotModel from '../models/snapshot.js';
+import PoolService from './pool.js';
+import ProvisionerService from './provisioner.js';
+import SnapshotService from './snapshots.js';
+import ClusterTopology from './topology.js';
+import AddonService from './addons.js';
+import logger from '../utils/logger.js';
+
+// Queue processing timer
+let queueTimer = null;
+
+/**
+ * Memory available for new workloads, in MB
+ * (MemAvailable counts reclaimable page cache, unlike os.freemem())
+ */
+const getAvailableMemoryMb = () => {
+  try {
+    const match = readFileSync('/proc/meminfo', 'utf8').match(/^MemAvailable:\s+(\d+) kB/m);
+    if (match) {
+      return Math.floor(parseInt(match[1], 10) / 1024);
+    }
+  } catch {
+    // Not Linux - fall back to free memory
+  }
+  return Math.floor(freemem() / 1024 / 1024);
+};
+
+/**
+ * Free disk space on the admission disk path, in MB
+ */
+const getAvailableDiskMb = () => {
+  const stats = statfsSync(config.admission.diskPath);
+  return Math.floor((stats.bavail * stats.bsize) / 1024 / 1024);
+};
+
+/**
+ * Session admission - decides whether a session can start now, and runs the
+ * FIFO waiting queue for users who have to wait for a slot
+ */
+export const AdmissionService = {
+  /**
+   * Get free host memory and disk, in MB
+   */
+  getHostResources() {
+    let freeDiskMb = null;
+    try {
+      freeDiskMb = getAvailableDiskMb();
+    } catch (error) {
+      logger.warn('Failed to read free disk space', { path: config.admission.diskPath, error: error.message });
+    }
+
+    return { freeMemoryMb: getAvailableMemoryMb(), freeDiskMb };
+  },
+
+  /**
+   * Check the host can take another cluster.
+   * Returns null when it can, or the reason it can't.
+   */
+  checkHost() {
+    const { minFreeMemoryMb, minFreeDiskMb } = config.admission;
+    const { freeMemoryMb, freeDiskMb } = this.getHostResources();
+
+    if (minFreeMemoryMb > 0 && freeMemoryMb < minFreeMemoryMb) {
+      return `Not enough free memory on the host (${freeMemoryMb}MB free, ${minFreeMemoryMb}MB needed)`;
+    }
+    if (minFreeDiskMb > 0 && freeDiskMb !== null && freeDiskMb < minFreeDiskMb) {
+      return `Not enough free disk space on the host (${freeDiskMb}MB free, ${minFreeDiskMb}MB needed)`;
+    }
+    return null;
+  },
+
+  /**
+   * Take a slot for a cluster that doesn't come from the warm pool (a new on-demand one,
+   * or a paused one starting again) if the host has room for it. Pool entries that are
+   * still provisioning hold their slots; a ready one gives its slot up.
+   * Returns null when the cluster can start, or the reason it can't.
+   */
+  reserveSlot() {
+    if (!PoolService.canTakeSlot()) {
+      return 'All session slots are reserved by clusters that are still being prepared';
+    }
+
+    const hostProblem = this.checkHost();
+    if (hostProblem) {
+      return hostProblem;
+    }
+
+    PoolService.takeSlot();
+    return null;
+  },
+
+  /**
+   * Start a session for a user if there is room for it right now.
+   * With a snapshot, the session restores it instead of getting new tasks.
+   * Returns { session, plan, pooled } when started, or { reason } when the user has to wait.
+   */
+  tryStart(userId, kubernetesVersion, snapshot = null) {
+    if (SessionModel.countHoldingSlots() >= config.session.maxConcurrent) {
+      return { reason: `All ${config.session.maxConcurrent} session slots are in use` };
+    }
+
+    // Pick the exam tasks first - they decide the cluster topology, add-ons and contexts
+    const plan = snapshot ? SnapshotService.plan(snapshot) : ProvisionerService.planSession(kubernetesVersion);
+
+    // Prefer a pre-provisioned cluster from the warm pool
+    const pooled = PoolService.claim(kubernetesVersion, plan.topology, plan.addons);
+
+    // Without a pooled cluster we need a slot and enough host resources for an on-demand one
+    if (!pooled) {
+      const reason = this.reserveSlot();
+      if (reason) {
+        logger.warn('Session admission refused', { userId, reason });
+        return { reason };
+      }
+    }
+
+    // Generate cluster name (or take over the pooled one)
+    const clusterName = pooled ? pooled.cluster_name : `ckad-${uuidv4().split('-')[0]}`;
+
+    // A pooled cluster can have more workers and add-ons than the tasks need; the session
+    // records what it really has, so health checks and rebuilds match the cluster
+    const topology = pooled ? ClusterTopology.normalize({ ...plan.topology, workers: pooled.workers }) : plan.topology;
+    const addons = pooled ? AddonService.normalize([...AddonService.fromJson(pooled.addons), ...plan.addons]) : plan.addons;
+
+    logger.info('Starting new session', {
+      userId,
+      clusterName,
+      kubernetesVersion,
+      workers: topology.workers,
+      addons,
+      contexts: plan.contexts,
+      pooled: !!pooled,
+      snapshotId: snapshot ? snapshot.id : null,
+    });
+
+    // Create the session in provisioning state to reserve the slot
+    const session = SessionModel.create({
+      userId,
+      clusterName,
+      kubeconfigPath: pooled ? pooled.kubeconfig_path : null,
+      terminalContainerId: pooled ? pooled.terminal_container_id : null,
+      kubernetesVersion,
+      topology,
+      addons,
+      contexts: plan.contexts,
+    });
+
+    // Build the environment in the background - clients follow /api/session/events
+    ProvisionerService.provision(session, pooled, plan.taskIds, snapshot);
+
+    return { session, plan, pooled };
+  },
+
+  /**
+   * Estimate minutes until the user at `position` gets a slot, from the
+   * remaining TTLs of active sessions (null when no session is running to free one)
+   */
+  estimateWaitMinutes(position) {
+    const remaining = SessionModel.getRemainingMinutes();
+    if (remaining.length === 0) {
+      return null;
+    }
+
+    // Slots free up as sessions end; once every current session has ended,
+    // the next round of sessions runs for a full TTL each
+    const index = (position - 1) % remaining.length;
+    const rounds = Math.floor((position - 1) / remaining.length);
+    return remaining[index] + rounds * config.session.ttlMinutes;
+  },
+
+  /**
+   * Get a user's place in the queue (null when not queued)
+   */
+  getQueueStatus(userId) {
+    const position = QueueModel.getPosition(userId);
+    if (!position) {
+      return null;
+    }
+
+    const entry = QueueModel.findByUserId(userId);
+    return {
+      position,
+      waiting: QueueModel.count(),
+      estimatedWaitMinutes: this.estimateWaitMinutes(position),
+      kubernetesVersion: entry.kubernetes_version,
+      snapshotId: entry.snapshot_id,
+      joinedAt: entry.created_at,
+    };
+  },
+
+  /**
+   * Put a user at the back of the queue
+   */
+  join(userId, kubernetesVersion, snapshotId = null) {
+    QueueModel.enqueue(userId, kubernetesVersion, snapshotId);
+    return this.getQueueStatus(userId);
+  },
+
+  /**
+   * Take a user out of the queue
+   */
+  leave(userId) {
+    const removed = QueueModel.remove(userId);
+    if (removed) {
+      logger.info('User left session queue', { userId });
+    }
+    return removed;
+  },
+
+  /**
+   * Start sessions for waiting users, in order, while there is room.
+   * Stops at the first user who can't start so nobody jumps the queue.
+   */
+  processQueue() {
+    const abandoned = QueueModel.removeAbandoned(config.queue.abandonAfterSeconds);
+    if (abandoned.length > 0) {
+      logger.info('Dropped abandoned queue entries', { userIds: abandoned });
+    }
+
+    let entry;
+    while ((entry = QueueModel.peek())) {
+      // Started a session some other way - nothing to wait for
+      if (SessionModel.findActiveByUserId(entry.user_id)) {
+        QueueModel.remove(entry.user_id);
+        continue;
+      }
+
+      // The snapshot to restore was deleted while waiting
+      const snapshot = entry.snapshot_id ? SnapshotModel.findById(entry.snapshot_id) : null;
+      if (entry.snapshot_id && !snapshot) {
+        QueueModel.remove(entry.user_id);
+        continue;
+      }
+
+      const result = this.tryStart(entry.user_id, entry.kubernetes_version, snapshot);
+      if (!result.session) {
+        logger.debug('Session queue waiting', { waiting: QueueModel.count(), reason: result.reason });
+        return;
+      }
+
+      QueueModel.remove(entry.user_id);
+      logger.info('Started queued session', { userId: entry.user_id, sessionId: result.session.id });
+    }
+  },
+
+  /**
+   * Process the queue, logging failures instead of throwing (for timers and callbacks)
+   */
+  tryProcessQueue() {
+    try {
+      this.processQueue();
+    } catch (error) {
+      logger.error('Session queue processing failed', { error: error.message });
+    }
+  },
+
+  /**
+   * Start processing the queue periodically
+   */
+  start() {
+    queueTimer = setInterval(() => this.tryProcessQueue(), config.queue.checkIntervalMs);
+  },
+
+  /**
+   * Stop processing the queue (waiting users stay queued for the next start)
+   */
+  stop() {
+    if (queueTimer) {
+      clearInterval(queueTimer);
+      queueTimer = null;
+    }
+  },
+};
+
+export default AdmissionService;
@@ -1,9 +1,14 @@
 import { CronJob } from 'cron';
+import config from '../config/index.js';
 import SessionModel from '../models/session.js';
 import PortModel from '../models/port.js';
 import AuthModel from '../models/auth.js';
-import KindService from './kind.js';
+import ClusterDriver from './drivers/index.js';
 import TerminalService from './terminal.js';
+import PoolService from './pool.js';
+import ProvisionerService from './provisioner.js';
+import ClusterContexts from './contexts.js';
+import RecordingService from './recordings.js';
 import { closeSessionConnections } from '../websocket/terminal.js';
 import logger from '../utils/logger.js';
 
@@ -42,19 +47,25 @@ async function cleanupExpiredSessions() {
         });
       });
 
-      // Delete KIND cluster
-      await KindService.cleanupCluster(session.cluster_name).catch(err => {
-        logger.warn('Failed to cleanup cluster', { 
-          sessionId: session.id, 
-          error: err.message 
+      // Delete the clusters (the other contexts' first, then the main one)
+      for (const clusterName of ClusterContexts.getClusterNames(session).reverse()) {
+        await ClusterDriver.cleanupCluster(clusterName).catch(err => {
+          logger.warn('Failed to cleanup cluster', { 
+            sessionId: session.id, 
+            clusterName,
+            error: err.message 
+          });
         });
-      });
+      }
 
       // Release ports
       PortModel.releasePorts(session.id);
 
+      // Finish the recordings
+      RecordingService.releaseSession(session.id);
+
       // Update session status
-      SessionModel.updateStatus(session.id, 'timeout', 'Session expired');
+      SessionModel.transition(session.id, 'expired', 'Session expired');
 
       logger.info('Expired session cleaned up', { sessionId: session.id });
     } catch (error) {
@@ -66,6 +77,54 @@ async function cleanupExpiredSessions() {
   }
 }
 
+/**
+ * Reclaim sessions paused for longer than session.maxPausedMinutes
+ * (paused sessions don't hold a slot, but their clusters still use memory and disk)
+ */
+async function reclaimPausedSessions() {
+  const { maxPausedMinutes } = config.session;
+
+  for (const session of SessionModel.findPausedTooLong(maxPausedMinutes)) {
+    try {
+      logger.info('Reclaiming paused session', {
+        sessionId: session.id,
+        clusterName: session.cluster_name,
+        pausedAt: session.paused_at,
+      });
+
+      closeSessionConnections(session.id);
+      await ProvisionerService.cleanupSession(session.id, session.cluster_name);
+      SessionModel.transition(session.id, 'expired', `Paused for longer than ${maxPausedMinutes} minutes`);
+    } catch (error) {
+      logger.error('Failed to reclaim paused session', {
+        sessionId: session.id,
+        error: error.message,
+      });
+    }
+  }
+}
+
+// Provisioning sessions older than this with no provisioner behind them are abandoned
+const STUCK_PROVISIONING_MINUTES = 10;
+
+/**
+ * Fail sessions whose provisioning was interrupted (e.g. backend restart)
+ */
+async function cleanupStuckProvisioning() {
+  const stuckSessions = SessionModel.findStuckProvisioning(STUCK_PROVISIONING_MINUTES)
+    .filter(session => !ProvisionerService.isInFlight(session.id));
+
+  for (const session of stuckSessions) {
+    logger.warn('Failing session stuck in provisioning', {
+      sessionId: session.id,
+      step: session.provisioning_step,
+    });
+
+    await ProvisionerService.cleanupSession(session.id, session.cluster_name);
+    SessionModel.transition(session.id, 'failed', 'Failed: provisioning was interrupted');
+  }
+}
+
 /**
  * Cleanup orphaned resources (runs on startup and periodically)
  */
@@ -73,20 +132,26 @@ async function cleanupOrphanedResources() {
   logger.info('Running orphaned resources cleanup...');
 
   try {
-    // Get active sessions from DB
+    // Fail interrupted provisioning first so its resources count as orphans
+    await cleanupStuckProvisioning();
+
+    // Get active sessions and warm pool clusters from DB
     const activeSessions = SessionModel.findAllActive();
-    const validClusterNames = activeSessions.map(s => s.cluster_name);
-    const validContainerNames = activeSessions.map(s => `term-${s.cluster_name}`);
+    const validClusterNames = [
+      ...activeSessions.flatMap(s => ClusterContexts.getClusterNames(s)),
+      ...PoolService.getClusterNames(),
+    ];
+    const validContainerNames = validClusterNames.map(name => `term-${name}`);
 
-    // Find orphaned KIND clusters
-    const kindClusters = await KindService.listClusters();
-    const orphanedClusters = kindClusters.filter(
+    // Find orphaned clusters
+    const clusters = await ClusterDriver.listClusters();
+    const orphanedClusters = clusters.filter(
       name => name.startsWith('ckad-') && !validClusterNames.includes(name)
     );
 
     for (const clusterName of orphanedClusters) {
-      logger.info('Removing orphaned KIND cluster', { clusterName });
-      await KindService.deleteCluster(clusterName).catch(err => {
+      logger.info('Removing orphaned cluster', { clusterName });
+      await ClusterDriver.deleteCluster(clusterName).catch(err => {
         logger.warn('Failed to delete orphaned cluster', { 
           clusterName, 
           error: err.message 
@@ -97,6 +162,20 @@ async function cleanupOrphanedResources() {
     // Find orphaned terminal containers
     const orphanedCount = await TerminalService.cleanupOrphanedContainers(validContainerNames);
 
+    // Find orphaned cluster networks (their clusters and terminals are gone by now)
+    const orphanedNetworks = (await ClusterDriver.listNetworks())
+      .filter(name => !validClusterNames.includes(name));
+
+    for (const clusterName of orphanedNetworks) {
+      logger.info('Removing orphaned cluster network', { clusterName });
+      await ClusterDriver.removeNetwork(clusterName).catch(err => {
+        logger.warn('Failed to remove orphaned cluster network', {
+          clusterName,
+          error: err.message,
+        });
+      });
+    }
+
     // Cleanup orphaned port allocations
     PortModel.cleanupOrphanedPorts();
 
@@ -104,9 +183,15 @@ async function cleanupOrphanedResources() {
     AuthModel.cleanupExpiredRefreshTokens();
     AuthModel.cleanupOTPs();
 
+    // Finish recordings a restart left open, then apply retention and the size limit
+    await RecordingService.recoverInterrupted();
+    const deletedRecordings = await RecordingService.cleanup();
+
     logger.info('Orphaned resources cleanup completed', {
       orphanedClusters: orphanedClusters.length,
       orphanedContainers: orphanedCount,
+      orphanedNetworks: orphanedNetworks.length,
+      deletedRecordings,
     });
   } catch (error) {
     logger.error('Failed to cleanup orphaned resources', { error: error.message });
@@ -121,10 +206,13 @@ let orphanedResourcesJob = null;
  * Start cleanup scheduler
  */
 export function startCleanupScheduler() {
-  // Run expired sessions cleanup every 30 seconds
+  // Run expired and paused sessions cleanup every 30 seconds
   expiredSessionsJob = new CronJob(
     '*/30 * * * * *', // Every 30 seconds
-    cleanupExpiredSessions,
+    async () => {
+      await cleanupExpiredSessions();
+      await reclaimPausedSessions();
+    },
     null,
     true,
     'UTC'
@@ -164,7 +252,9 @@ export default {
   startCleanupScheduler,
   stopCleanupScheduler,
   cleanupExpiredSessions,
+  reclaimPausedSessions,
   cleanupOrphanedResources,
+  cleanupStuckProvisioning,
 };
 
 
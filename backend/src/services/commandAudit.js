@@ -0,0 +1,219 @@
+import config from '../config/index.js';
+import SessionModel from '../models/session.js';
+import CommandModel from '../models/command.js';
+import logger from '../utils/logger.js';
+
+/**
+ * The terminal image's PROMPT_COMMAND hook prints this OSC sequence after every command:
+ * ESC ] 697;ckad-command;<exit code>;<base64 command> BEL
+ * It is taken out of the shell's output before anything else sees it.
+ */
+const AUDIT_PREFIX = '\x1b]697;ckad-command;';
+const AUDIT_END = '\x07';
+
+// An unterminated sequence longer than this is passed through as output
+const MAX_PENDING = 64 * 1024;
+
+// Commands taken into account for the kubectl analytics
+const ANALYTICS_COMMANDS = 5000;
+// Questions listed in the analytics
+const ANALYTICS_QUESTIONS = 50;
+
+const KUBECTL = new Set(['kubectl', 'k']);
+
+// kubectl flags that take a value as the next word (which isn't the verb then)
+const VALUE_FLAGS = new Set([
+  '-n', '--namespace', '--context', '--cluster', '--user', '--kubeconfig', '-s', '--server',
+  '-o', '--output', '-f', '--filename', '-l', '--selector', '-c', '--container',
+  '--field-selector', '--image', '--replicas', '--port', '--type', '--dry-run', '-p', '--patch',
+]);
+
+/**
+ * Length of the end of `data` that could be the start of an audit sequence
+ */
+const partialPrefixLength = (data) => {
+  for (let length = Math.min(AUDIT_PREFIX.length - 1, data.length); length > 0; length--) {
+    if (AUDIT_PREFIX.startsWith(data.slice(-length))) {
+      return length;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Split a shell command line into its kubectl invocations: [{ verb, flags }]
+ */
+const parseKubectl = (commandLine) => {
+  const invocations = [];
+
+  for (const segment of commandLine.split(/\|\||&&|[|;]/)) {
+    const words = segment.trim().split(/\s+/).filter(Boolean);
+    // Skip environment assignments (KUBECONFIG=... kubectl get pods)
+    while (words.length > 0 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0])) {
+      words.shift();
+    }
+    if (words.length === 0 || !KUBECTL.has(words[0].split('/').pop())) {
+      continue;
+    }
+
+    let verb = null;
+    const flags = new Set();
+    for (let i = 1; i < words.length; i++) {
+      const word = words[i];
+      if (word === '--') {
+        break;
+      }
+      if (word.startsWith('-')) {
+        const [flag] = word.split('=');
+        flags.add(flag);
+        if (!word.includes('=') && VALUE_FLAGS.has(flag)) {
+          i++;
+        }
+      } else if (!verb) {
+        verb = word;
+      }
+    }
+    invocations.push({ verb, flags: [...flags] });
+  }
+
+  return invocations;
+};
+
+/**
+ * Sort a count map into [{ [key]: name, count }], most used first
+ */
+const topCounts = (counts, key, limit) =>
+  [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([name, count]) => ({ [key]: name, count }));
+
+/**
+ * Command audit service - picks the commands users run out of their shells' output and
+ * logs them with the question that was open, for the kubectl analytics on the progress page
+ */
+export const CommandAuditService = {
+  /**
+   * Create a parser for one shell's output stream. It returns the output without the
+   * audit sequences, and the commands they reported ([{ command, exitCode }]); a sequence
+   * split across chunks is held back until it is complete.
+   */
+  createParser() {
+    let pending = '';
+
+    return (chunk) => {
+      let data = pending + chunk;
+      let output = '';
+      const commands = [];
+      pending = '';
+
+      for (;;) {
+        const start = data.indexOf(AUDIT_PREFIX);
+        if (start === -1) {
+          break;
+        }
+        const end = data.indexOf(AUDIT_END, start);
+        if (end === -1) {
+          if (data.length - start > MAX_PENDING) {
+            break;
+          }
+          output += data.slice(0, start);
+          pending = data.slice(start);
+          return { output, commands };
+        }
+
+        output += data.slice(0, start);
+        const [exitCode, encoded = ''] = data.slice(start + AUDIT_PREFIX.length, end).split(';');
+        const command = Buffer.from(encoded, 'base64').toString('utf8').trim();
+        if (command) {
+          commands.push({ command, exitCode: /^\d+$/.test(exitCode) ? Number(exitCode) : null });
+        }
+        data = data.slice(end + 1);
+      }
+
+      const partial = partialPrefixLength(data);
+      pending = data.slice(data.length - partial);
+      output += data.slice(0, data.length - partial);
+      return { output, commands };
+    };
+  },
+
+  /**
+   * Log a command run in a session's shell against the question open at the time
+   */
+  record(sessionId, terminal, { command, exitCode }) {
+    if (!config.terminal.auditCommands) {
+      return;
+    }
+
+    try {
+      const session = SessionModel.findById(sessionId);
+      if (!session) {
+        return;
+      }
+      const questionNumber = session.current_task_id || null;
+      const { assigned } = SessionModel.getAssignedTasks(sessionId);
+      const taskId = questionNumber ? assigned[questionNumber - 1] || null : null;
+
+      CommandModel.create({
+        sessionId,
+        taskId,
+        userId: session.user_id,
+        questionNumber,
+        terminal,
+        command: command.slice(0, config.terminal.auditMaxCommandLength),
+        exitCode,
+      });
+    } catch (error) {
+      logger.error('Failed to log command', { sessionId, terminal, error: error.message });
+    }
+  },
+
+  /**
+   * kubectl analytics of a user: the verbs and flags they use most, and per question how
+   * many commands it took and the time from the first command to passing verification
+   */
+  getUserStats(userId) {
+    const verbs = new Map();
+    const flags = new Map();
+    let kubectlCommands = 0;
+
+    for (const { command } of CommandModel.findRecentByUserId(userId, ANALYTICS_COMMANDS)) {
+      const invocations = parseKubectl(command);
+      if (invocations.length > 0) {
+        kubectlCommands++;
+      }
+      for (const { verb, flags: used } of invocations) {
+        if (verb) {
+          verbs.set(verb, (verbs.get(verb) || 0) + 1);
+        }
+        for (const flag of used) {
+          flags.set(flag, (flags.get(flag) || 0) + 1);
+        }
+      }
+    }
+
+    const questions = CommandModel.getQuestionStats(userId, ANALYTICS_QUESTIONS).map(stat => ({
+      sessionId: stat.session_id,
+      taskId: stat.task_id,
+      questionNumber: stat.question_number,
+      title: stat.title,
+      commands: stat.commands,
+      firstCommandAt: stat.first_command_at,
+      passedAt: stat.passed_at,
+      // null until passed (or when it passed before any command was logged)
+      secondsToPass: stat.seconds_to_pass !== null && stat.seconds_to_pass >= 0 ? stat.seconds_to_pass : null,
+    }));
+
+    return {
+      totalCommands: CommandModel.countByUserId(userId),
+      // Of the latest ANALYTICS_COMMANDS commands
+      kubectlCommands,
+      verbs: topCounts(verbs, 'verb', 15),
+      flags: topCounts(flags, 'flag', 20),
+      questions,
+    };
+  },
+};
+
+export default CommandAuditService;
@@ -0,0 +1,141 @@
+import config from '../config/index.js';
+import SessionModel from '../models/session.js';
+import TaskModel from '../models/task.js';
+import logger from '../utils/logger.js';
+
+// Context names end up in cluster, container and network names
+const CONTEXT_NAME = /^[a-z][a-z0-9-]{0,14}[a-z0-9]$/;
+
+/**
+ * Cluster contexts: like the real exam, a session can have several clusters, one
+ * per kubeconfig context. The main cluster is the primary context
+ * (cluster.primaryContext); every other context a task declares gets a
+ * single-node cluster of its own, named `<cluster name>-<context>`.
+ *
+ * Sessions store the list of extra contexts, e.g. ["k8s-c2"].
+ */
+export const ClusterContexts = {
+  /**
+   * Name of the context of a session's main cluster
+   */
+  primary() {
+    return config.cluster.primaryContext;
+  },
+
+  /**
+   * Check a context name can be used
+   */
+  isValid(name) {
+    return typeof name === 'string' && CONTEXT_NAME.test(name);
+  },
+
+  /**
+   * Extra contexts needed by a set of tasks, capped so the session has at most
+   * cluster.maxContexts contexts. Tasks whose context is left out run on the primary one.
+   */
+  fromTasks(tasks) {
+    const declared = [...new Set(tasks.map(task => task.context).filter(name => name && name !== this.primary()))];
+
+    const valid = declared.filter(name => {
+      if (!this.isValid(name)) {
+        logger.warn('Invalid task context', { context: name });
+        return false;
+      }
+      return true;
+    });
+
+    const contexts = valid.slice(0, Math.max(0, config.cluster.maxContexts - 1));
+    if (contexts.length < valid.length) {
+      logger.warn('Tasks need more contexts than allowed', { wanted: valid, maxContexts: config.cluster.maxContexts });
+    }
+    return contexts;
+  },
+
+  /**
+   * Parse a stored list of extra contexts
+   */
+  fromJson(json) {
+    if (!json) {
+      return [];
+    }
+    try {
+      const contexts = JSON.parse(json);
+      return Array.isArray(contexts) ? contexts.filter(name => this.isValid(name) && name !== this.primary()) : [];
+    } catch {
+      return [];
+    }
+  },
+
+  /**
+   * Name of the cluster behind a context of a session
+   */
+  getClusterName(clusterName, context) {
+    return context && context !== this.primary() ? `${clusterName}-${context}` : clusterName;
+  },
+
+  /**
+   * A session's contexts with their clusters, primary first:
+   * [{ name, clusterName, primary }]
+   */
+  list(session) {
+    return [this.primary(), ...this.fromJson(session.contexts)].map((name, index) => ({
+      name,
+      clusterName: this.getClusterName(session.cluster_name, name),
+      primary: index === 0,
+    }));
+  },
+
+  /**
+   * Names of all of a session's clusters, main cluster first
+   */
+  getClusterNames(session) {
+    return this.list(session).map(context => context.clusterName);
+  },
+
+  /**
+   * Check if a session has clusters besides its main one
+   */
+  hasExtraContexts(session) {
+    return this.fromJson(session.contexts).length > 0;
+  },
+
+  /**
+   * Context names to show for a session, primary first. Empty for single-cluster
+   * sessions, whose terminal keeps the cluster's own context.
+   */
+  describe(session) {
+    return this.hasExtraContexts(session) ? this.list(session).map(context => context.name) : [];
+  },
+
+  /**
+   * Context a task runs against in a session. Null for single-cluster sessions, where
+   * everything runs against the terminal's only context.
+   */
+  forTask(session, task) {
+    if (!this.hasExtraContexts(session)) {
+      return null;
+    }
+    return task && this.fromJson(session.contexts).includes(task.context) ? task.context : this.primary();
+  },
+
+  /**
+   * Context of one of a session's questions (see forTask)
+   */
+  forQuestion(session, questionNumber) {
+    if (!this.hasExtraContexts(session)) {
+      return null;
+    }
+    const { assigned } = SessionModel.getAssignedTasks(session.id);
+    const taskId = assigned[questionNumber - 1];
+    return this.forTask(session, taskId ? TaskModel.findById(taskId) : null);
+  },
+
+  /**
+   * Add a session's context to a task for API responses
+   */
+  describeTask(session, task) {
+    return task ? { ...task, context: this.forTask(session, task) } : task;
+  },
+};
+
+export default ClusterContexts;
@@ -0,0 +1,465 @@
+import http from 'http';
+import { EventEmitter } from 'events';
+import { finished } from 'stream/promises';
+import { StringDecoder } from 'string_decoder';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { CommandFailedError, CommandTimeoutError, CommandAbortedError } from '../utils/command.js';
+
+/**
+ * Error returned by the Docker Engine API (statusCode is null when the daemon
+ * couldn't be reached)
+ */
+export class DockerApiError extends Error {
+  constructor(message, statusCode = null) {
+    super(message);
+    this.name = 'DockerApiError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Make a Docker Engine API request over the Unix socket.
+ * Resolves with the parsed JSON body, or with the raw socket when `upgrade` is set
+ * (hijacked exec streams).
+ */
+const request = (method, path, { query, body, timeout = 30000, upgrade = false } = {}) => new Promise((resolve, reject) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined) {
+      params.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  }
+  const search = params.toString() ? `?${params}` : '';
+  const payload = body === undefined ? null : JSON.stringify(body);
+
+  const req = http.request({
+    socketPath: config.docker.socketPath,
+    method,
+    path: `/${config.docker.apiVersion}${path}${search}`,
+    headers: {
+      ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+      ...(upgrade ? { Connection: 'Upgrade', Upgrade: 'tcp' } : {}),
+    },
+    timeout,
+  });
+
+  req.on('timeout', () => req.destroy(new DockerApiError(`Docker API ${method} ${path} timed out after ${timeout}ms`)));
+  req.on('error', (error) => {
+    reject(error instanceof DockerApiError ? error : new DockerApiError(`Docker API ${method} ${path} failed: ${error.message}`));
+  });
+
+  req.on('upgrade', (res, socket, head) => {
+    socket.setTimeout(0);
+    if (head.length > 0) {
+      socket.unshift(head);
+    }
+    resolve(socket);
+  });
+
+  req.on('response', (res) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      let data = text || null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch {
+        // Plain text body
+      }
+
+      if (res.statusCode >= 400) {
+        reject(new DockerApiError(data?.message || text || `HTTP ${res.statusCode}`, res.statusCode));
+      } else {
+        resolve(data);
+      }
+    });
+  });
+
+  req.end(payload || undefined);
+});
+
+/**
+ * Split a non-TTY exec stream into stdout and stderr. Each frame has an 8-byte
+ * header: stream type (1 = stdout, 2 = stderr), 3 zero bytes, payload size (big-endian).
+ */
+const demultiplex = (socket, onStdout, onStderr) => {
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 8) {
+      const size = buffer.readUInt32BE(4);
+      if (buffer.length < 8 + size) {
+        break;
+      }
+      (buffer[0] === 2 ? onStderr : onStdout)(buffer.subarray(8, 8 + size));
+      buffer = buffer.subarray(8 + size);
+    }
+  });
+};
+
+/**
+ * Interactive TTY exec session, with the shell session surface the WebSocket
+ * handler uses (data/exit events, write, resize, kill). Resizing resizes the exec's TTY.
+ */
+class ExecSession extends EventEmitter {
+  constructor(execId, socket) {
+    super();
+    this.execId = execId;
+    this.socket = socket;
+    this.exited = false;
+
+    const decoder = new StringDecoder('utf8');
+    socket.on('data', chunk => this.emit('data', decoder.write(chunk)));
+    socket.on('error', error => logger.debug('Exec stream error', { execId, error: error.message }));
+    socket.on('close', () => this.finish());
+  }
+
+  async finish() {
+    if (this.exited) {
+      return;
+    }
+    this.exited = true;
+
+    const exitCode = await DockerClient.getExitCode(this.execId).catch(() => null);
+    this.emit('exit', exitCode, null);
+  }
+
+  write(data) {
+    if (!this.socket.destroyed) {
+      this.socket.write(data);
+    }
+  }
+
+  resize(cols, rows) {
+    DockerClient.resizeExec(this.execId, cols, rows).catch((error) => {
+      logger.debug('Failed to resize exec', { execId: this.execId, error: error.message });
+    });
+  }
+
+  kill() {
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Docker Engine API client (Unix socket) - containers, exec with TTY hijack
+ * and resize, networks, images and stats
+ */
+export const DockerClient = {
+  request,
+
+  /**
+   * Get daemon info (security options, runtimes, ...)
+   */
+  async info() {
+    return request('GET', '/info');
+  },
+
+  /**
+   * Create a container (does not start it)
+   */
+  async createContainer(name, spec) {
+    return request('POST', '/containers/create', { query: { name }, body: spec });
+  },
+
+  /**
+   * Start a created or stopped container
+   */
+  async startContainer(container) {
+    await request('POST', `/containers/${container}/start`);
+  },
+
+  /**
+   * Inspect a container, or null if it doesn't exist
+   */
+  async inspectContainer(container) {
+    try {
+      return await request('GET', `/containers/${container}/json`, { timeout: 5000 });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Stop a container, killing it after `seconds`
+   */
+  async stopContainer(container, seconds = 10) {
+    await request('POST', `/containers/${container}/stop`, { query: { t: seconds }, timeout: (seconds + 10) * 1000 });
+  },
+
+  /**
+   * Restart a container (stopped containers are started)
+   */
+  async restartContainer(container, seconds = 10) {
+    await request('POST', `/containers/${container}/restart`, { query: { t: seconds }, timeout: (seconds + 30) * 1000 });
+  },
+
+  /**
+   * Remove a container (force kills it if running)
+   */
+  async removeContainer(container, { force = true } = {}) {
+    await request('DELETE', `/containers/${container}`, { query: { force } });
+  },
+
+  /**
+   * Freeze a container's processes
+   */
+  async pauseContainer(container) {
+    await request('POST', `/containers/${container}/pause`);
+  },
+
+  /**
+   * Unfreeze a paused container
+   */
+  async unpauseContainer(container) {
+    await request('POST', `/containers/${container}/unpause`);
+  },
+
+  /**
+   * List containers matching filters, e.g. { label: ['io.x-k8s.kind.cluster=ckad-x'] }
+   */
+  async listContainers(filters = {}, { all = false } = {}) {
+    return request('GET', '/containers/json', { query: { all, filters } });
+  },
+
+  /**
+   * Get a one-shot resource usage sample for a container:
+   * { cpuPercent, memoryBytes, memoryLimitBytes, pids } (raw Docker stats in `raw`)
+   */
+  async getStats(container) {
+    const stats = await request('GET', `/containers/${container}/stats`, { query: { stream: false } });
+    const cpuDelta = stats.cpu_stats.cpu_usage.total_usage - stats.precpu_stats.cpu_usage.total_usage;
+    const systemDelta = (stats.cpu_stats.system_cpu_usage || 0) - (stats.precpu_stats.system_cpu_usage || 0);
+    const cpus = stats.cpu_stats.online_cpus || 1;
+
+    return {
+      cpuPercent: systemDelta > 0 ? Math.round((cpuDelta / systemDelta) * cpus * 1000) / 10 : 0,
+      memoryBytes: stats.memory_stats.usage || 0,
+      memoryLimitBytes: stats.memory_stats.limit || 0,
+      pids: stats.pids_stats?.current || 0,
+      raw: stats,
+    };
+  },
+
+  /**
+   * Check an image exists locally
+   */
+  async imageExists(image) {
+    try {
+      await request('GET', `/images/${encodeURIComponent(image)}/json`, { timeout: 10000 });
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Create a network
+   */
+  async createNetwork(name, { internal = false, labels = {} } = {}) {
+    return request('POST', '/networks/create', {
+      body: { Name: name, Internal: internal, Labels: labels, CheckDuplicate: true },
+    });
+  },
+
+  /**
+   * Inspect a network, or null if it doesn't exist
+   */
+  async inspectNetwork(network) {
+    try {
+      return await request('GET', `/networks/${network}`, { timeout: 10000 });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a network. Returns false if it didn't exist.
+   */
+  async removeNetwork(network) {
+    try {
+      await request('DELETE', `/networks/${network}`);
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Attach a container to a network
+   */
+  async connectNetwork(network, container) {
+    await request('POST', `/networks/${network}/connect`, { body: { Container: container } });
+  },
+
+  /**
+   * List networks matching filters, e.g. { label: ['io.ckad.cluster'] }
+   */
+  async listNetworks(filters = {}) {
+    return request('GET', '/networks', { query: { filters } });
+  },
+
+  /**
+   * Resize an exec's TTY
+   */
+  async resizeExec(execId, cols, rows) {
+    await request('POST', `/exec/${execId}/resize`, { query: { h: rows, w: cols }, timeout: 5000 });
+  },
+
+  /**
+   * Get an exec's exit code, waiting briefly for Docker to record it
+   * (null if the process is still running)
+   */
+  async getExitCode(execId) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const exec = await request('GET', `/exec/${execId}/json`, { timeout: 5000 });
+      if (!exec.Running) {
+        return exec.ExitCode;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return null;
+  },
+
+  /**
+   * Run a command (argv array) in a container and collect its output, or stream its
+   * stdout into `output` (a Writable, ended when the command is done).
+   * Resolves with { stdout, stderr, exitCode }; rejects with a CommandError on failure,
+   * timeout or abort (the process keeps running in the container in the last two cases).
+   */
+  async exec(container, argv, { timeout = 30000, signal, input, output, allowFailure = false, user, env } = {}) {
+    const details = { command: 'docker', args: ['exec', container, ...argv] };
+    const commandLine = ['docker', ...details.args].join(' ');
+    let failure = null;
+    let socket = null;
+    // Listening from the start, so a destination that fails to open doesn't go unhandled
+    const written = output
+      ? finished(output).catch((error) => {
+        failure = failure || new CommandFailedError(`Failed to write output of ${commandLine}: ${error.message}`, details);
+        if (socket) {
+          socket.destroy();
+        }
+      })
+      : null;
+
+    if (signal?.aborted) {
+      throw new CommandAbortedError(`Command aborted: ${commandLine}`, details);
+    }
+
+    const { Id: execId } = await request('POST', `/containers/${container}/exec`, {
+      body: {
+        Cmd: argv,
+        AttachStdin: input !== undefined,
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: false,
+        ...(user ? { User: user } : {}),
+        ...(env ? { Env: Object.entries(env).map(([key, value]) => `${key}=${value}`) } : {}),
+      },
+    });
+    socket = await request('POST', `/exec/${execId}/start`, { body: { Detach: false, Tty: false }, upgrade: true });
+    if (failure) {
+      socket.destroy();
+    }
+
+    const stdout = [];
+    const stderr = [];
+    const onStdout = output
+      ? (chunk) => {
+        // Hold the exec's output back while the destination catches up
+        if (!output.write(chunk)) {
+          socket.pause();
+          output.once('drain', () => socket.resume());
+        }
+      }
+      : chunk => stdout.push(chunk);
+    demultiplex(socket, onStdout, chunk => stderr.push(chunk));
+
+    if (input !== undefined) {
+      // Closing our side tells the process its stdin is done
+      if (typeof input.pipe === 'function') {
+        input.pipe(socket);
+      } else {
+        socket.end(input);
+      }
+    }
+
+    await new Promise((resolve) => {
+      const stop = (error) => {
+        failure = failure || error;
+        socket.destroy();
+      };
+      const timer = timeout > 0
+        ? setTimeout(() => stop(new CommandTimeoutError(`Command timed out after ${timeout}ms: ${commandLine}`, details)), timeout)
+        : null;
+      const onAbort = () => stop(new CommandAbortedError(`Command aborted: ${commandLine}`, details));
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      socket.on('error', () => {});
+      socket.on('close', () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      });
+    });
+
+    if (output) {
+      output.end();
+      await written;
+    }
+
+    const result = {
+      stdout: Buffer.concat(stdout).toString('utf8'),
+      stderr: Buffer.concat(stderr).toString('utf8'),
+      exitCode: failure ? null : await this.getExitCode(execId),
+    };
+
+    if (failure) {
+      Object.assign(failure, result);
+      throw failure;
+    }
+    if (result.exitCode !== 0 && !allowFailure) {
+      throw new CommandFailedError(`Command failed: ${commandLine}\n${result.stderr}`, { ...details, ...result });
+    }
+    return result;
+  },
+
+  /**
+   * Start an interactive TTY exec (e.g. a shell) in a container
+   * Returns an ExecSession
+   */
+  async openShell(container, argv, { cols = 120, rows = 30, env = {} } = {}) {
+    const { Id: execId } = await request('POST', `/containers/${container}/exec`, {
+      body: {
+        Cmd: argv,
+        AttachStdin: true,
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: true,
+        Env: Object.entries(env).map(([key, value]) => `${key}=${value}`),
+      },
+    });
+    const socket = await request('POST', `/exec/${execId}/start`, { body: { Detach: false, Tty: true }, upgrade: true });
+
+    const session = new ExecSession(execId, socket);
+    session.resize(cols, rows);
+    return session;
+  },
+};
+
+export default DockerClient;
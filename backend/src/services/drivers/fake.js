@@ -0,0 +1,602 @@
+import { EventEmitter } from 'events';
+import { writeFile, unlink, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import { CommandFailedError } from '../../utils/command.js';
+
+// Simulated clusters and terminal containers (name -> state)
+const clusters = new Map();
+const terminals = new Map();
+
+// Clusters with a simulated Docker network
+const networks = new Set();
+
+const delay = (ms = config.cluster.fakeDelayMs) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build a kubeconfig that points nowhere - enough for code that only passes paths around
+ */
+const fakeKubeconfig = (clusterName, server) => `apiVersion: v1
+kind: Config
+clusters:
+  - name: ${clusterName}
+    cluster:
+      server: ${server}
+contexts:
+  - name: ${clusterName}
+    context:
+      cluster: ${clusterName}
+      user: ${clusterName}
+      namespace: default
+current-context: ${clusterName}
+users:
+  - name: ${clusterName}
+    user:
+      token: fake
+`;
+
+/**
+ * Run a script against a simulated terminal.
+ * Only namespaces, nodes, contexts and `kubectl version` are modelled; everything else succeeds with no output.
+ * `fake-crash [node]` crashes a node (the control plane by default), for trying out the watchdog.
+ */
+const runScript = (terminal, script) => {
+  terminal.history.push(script);
+  const lines = [];
+
+  for (const command of script.split(/\n|&&|;/).map(part => part.trim()).filter(Boolean)) {
+    let match;
+
+    if ((match = command.match(/^kubectl create (?:namespace|ns) ([\w-]+)/))) {
+      terminal.namespaces.add(match[1]);
+      lines.push(`namespace/${match[1]} created`);
+    } else if ((match = command.match(/^kubectl delete (?:namespace|ns) ([\w-]+)/))) {
+      if (terminal.namespaces.delete(match[1])) {
+        lines.push(`namespace "${match[1]}" deleted`);
+      }
+    } else if ((match = command.match(/^kubectl config set-context --current --namespace=([\w-]+)/))) {
+      terminal.namespace = match[1];
+      lines.push('Context "fake" modified.');
+    } else if ((match = command.match(/^kubectl config use-context ([\w-]+)/))) {
+      if (!terminal.contexts.includes(match[1])) {
+        lines.push(`error: no context exists with the name: "${match[1]}"`);
+      } else {
+        terminal.context = match[1];
+        lines.push(`Switched to context "${match[1]}".`);
+      }
+    } else if (/^kubectl config current-context\b/.test(command)) {
+      lines.push(terminal.context);
+    } else if (/^kubectl get (?:namespaces|ns)\b/.test(command)) {
+      lines.push('NAME', ...terminal.namespaces);
+    } else if (/^kubectl get (?:nodes|node|no)\b/.test(command)) {
+      const cluster = clusters.get(terminal.clusterName);
+      lines.push('NAME STATUS ROLES', ...(cluster?.nodes || []).map(node => `${node.name} ${node.crashed ? 'NotReady' : 'Ready'} ${node.role}`));
+    } else if ((match = command.match(/^fake-crash\s*([\w-]*)/))) {
+      const cluster = clusters.get(terminal.clusterName);
+      const node = cluster?.nodes.find(candidate => candidate.name === match[1] || (!match[1] && candidate.role === 'control-plane'));
+      if (node) {
+        node.crashed = true;
+        lines.push(`node/${node.name} crashed`);
+      }
+    } else if (/^kubectl version\b/.test(command)) {
+      lines.push(`Server Version: ${terminal.kubernetesVersion || 'v0.0.0-fake'}`);
+    }
+  }
+
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+};
+
+/**
+ * Interactive shell on a simulated terminal, with the shell session surface the
+ * WebSocket handler uses (data/exit events, write, resize, kill)
+ */
+class FakeShell extends EventEmitter {
+  constructor(terminal) {
+    super();
+    this.terminal = terminal;
+    this.line = '';
+    this.exited = false;
+    setImmediate(() => this.prompt());
+  }
+
+  prompt() {
+    this.emit('data', `fake@ckad:${this.terminal.namespace}$ `);
+  }
+
+  write(data) {
+    if (this.exited) {
+      return;
+    }
+
+    for (const char of data) {
+      if (char === '\r' || char === '\n') {
+        this.emit('data', '\r\n');
+        const line = this.line;
+        const command = line.trim();
+        this.line = '';
+
+        if (command === 'exit') {
+          this.kill();
+          return;
+        }
+        if (command === 'clear') {
+          this.emit('data', '\x1b[2J\x1b[H');
+        } else if (command) {
+          const output = runScript(this.terminal, command);
+          this.emit('data', output.replace(/\n/g, '\r\n'));
+        }
+        // Report the command like the terminal image's PROMPT_COMMAND hook does
+        if (command && !line.startsWith(' ')) {
+          this.emit('data', `\x1b]697;ckad-command;0;${Buffer.from(command).toString('base64')}\x07`);
+        }
+        this.prompt();
+      } else if (char === '\x7f') {
+        if (this.line.length > 0) {
+          this.line = this.line.slice(0, -1);
+          this.emit('data', '\b \b');
+        }
+      } else if (char === '\x03') {
+        this.line = '';
+        this.emit('data', '^C\r\n');
+        this.prompt();
+      } else {
+        this.line += char;
+        this.emit('data', char);
+      }
+    }
+  }
+
+  resize() {}
+
+  kill() {
+    if (!this.exited) {
+      this.exited = true;
+      this.emit('exit', 0);
+    }
+  }
+}
+
+/**
+ * Fake cluster driver - simulates clusters and terminal containers in
+ * process, so the session lifecycle runs without Docker or KIND
+ */
+export const FakeDriver = {
+  name: 'fake',
+
+  /**
+   * Create a simulated cluster
+   * onProgress is called with 'cluster_created', 'node_ready' and 'system_pods_running'
+   */
+  async createCluster(clusterName, ports, { onProgress = () => {}, kubernetesVersion = null, topology = null, addons = [] } = {}) {
+    const startTime = Date.now();
+    const { kubeconfigPath, terminalKubeconfigPath } = this.getKubeconfig(clusterName);
+
+    if (clusters.has(clusterName)) {
+      throw new Error(`Failed to create cluster: cluster ${clusterName} already exists`);
+    }
+
+    await delay();
+    networks.add(clusterName);
+    const workers = Array.from({ length: topology ? topology.workers : 0 }, (_, index) => ({
+      name: index === 0 ? `${clusterName}-worker` : `${clusterName}-worker${index + 1}`,
+      role: 'worker',
+      labels: {},
+      taints: [],
+    }));
+    clusters.set(clusterName, {
+      ports,
+      kubernetesVersion,
+      nodes: [{ name: `${clusterName}-control-plane`, role: 'control-plane', labels: {}, taints: [] }, ...workers],
+      addons: new Set(addons.filter(addon => addon.networking?.disableDefaultCNI).map(addon => addon.name)),
+      ready: false,
+      createdAt: new Date(),
+    });
+
+    await this.exportKubeconfig(clusterName);
+    logger.info('Fake cluster created', { clusterName, kubernetesVersion });
+    onProgress('cluster_created');
+
+    await this.waitForClusterReady(clusterName, kubeconfigPath, { onProgress });
+
+    return {
+      success: true,
+      clusterName,
+      kubeconfigPath,
+      terminalKubeconfigPath,
+      duration: Date.now() - startTime,
+    };
+  },
+
+  /**
+   * Wait for a simulated cluster to become ready
+   */
+  async waitForClusterReady(clusterName, kubeconfigPath, { onProgress = () => {} } = {}) {
+    const cluster = clusters.get(clusterName);
+    if (!cluster) {
+      throw new Error('Cluster not found');
+    }
+
+    if (!cluster.ready) {
+      await delay();
+      onProgress('node_ready');
+      await delay();
+      cluster.ready = true;
+    } else {
+      onProgress('node_ready');
+    }
+    onProgress('system_pods_running');
+    return true;
+  },
+
+  /**
+   * Apply the topology's node labels and taints to the simulated worker nodes
+   */
+  async configureNodes(clusterName, kubeconfigPath, topology) {
+    const cluster = clusters.get(clusterName);
+    if (!cluster) {
+      throw new Error('Cluster not found');
+    }
+
+    const workers = cluster.nodes.filter(node => node.role === 'worker');
+    (topology?.nodes || []).forEach((node, index) => {
+      if (workers[index]) {
+        Object.assign(workers[index].labels, node.labels);
+        workers[index].taints.push(...node.taints);
+      }
+    });
+  },
+
+  /**
+   * Install an add-on on a simulated cluster
+   */
+  async installAddon(clusterName, kubeconfigPath, addon) {
+    const cluster = clusters.get(clusterName);
+    if (!cluster) {
+      throw new Error('Cluster not found');
+    }
+
+    await delay();
+    cluster.addons.add(addon.name);
+    logger.info('Fake add-on installed', { clusterName, addon: addon.name });
+  },
+
+  /**
+   * Write the host and terminal kubeconfig files for a simulated cluster
+   */
+  async exportKubeconfig(clusterName) {
+    const cluster = clusters.get(clusterName);
+    if (!cluster) {
+      throw new Error('Cluster not found');
+    }
+
+    const { kubeconfigPath, terminalKubeconfigPath } = this.getKubeconfig(clusterName);
+    await writeFile(kubeconfigPath, fakeKubeconfig(clusterName, `https://127.0.0.1:${cluster.ports.apiPort}`), { mode: 0o600 });
+    await writeFile(terminalKubeconfigPath, fakeKubeconfig(clusterName, `https://${clusterName}-control-plane:6443`), { mode: 0o600 });
+    return { kubeconfigPath, terminalKubeconfigPath };
+  },
+
+  /**
+   * Write a terminal kubeconfig for several simulated clusters - only the context
+   * names are kept, in a comment the simulated terminal reads back
+   */
+  async mergeKubeconfigs(clusterName, contexts) {
+    const { mergedKubeconfigPath } = this.getKubeconfig(clusterName);
+
+    for (const context of contexts) {
+      await this.exportKubeconfig(context.clusterName);
+    }
+    const names = contexts.map(context => context.name);
+    await writeFile(
+      mergedKubeconfigPath,
+      `# contexts: ${names.join(',')}\n${fakeKubeconfig(names[0], `https://${clusterName}-control-plane:6443`)}`,
+      { mode: 0o600 }
+    );
+    return mergedKubeconfigPath;
+  },
+
+  /**
+   * Get simulated cluster state ('running', 'stopped') or null if missing
+   */
+  async getClusterStatus(clusterName) {
+    const cluster = clusters.get(clusterName);
+    if (!cluster) {
+      return null;
+    }
+    if (cluster.paused) {
+      return 'paused';
+    }
+    return cluster.stopped ? 'stopped' : 'running';
+  },
+
+  /**
+   * Freeze a simulated cluster
+   */
+  async pauseCluster(clusterName) {
+    const cluster = clusters.get(clusterName);
+    if (!cluster) {
+      throw new Error('Cluster not found');
+    }
+    cluster.paused = true;
+  },
+
+  /**
+   * Unfreeze a simulated cluster and wait for it to be ready
+   */
+  async resumeCluster(clusterName, kubeconfigPath) {
+    const cluster = clusters.get(clusterName);
+    if (!cluster) {
+      throw new Error('Cluster not found');
+    }
+    cluster.paused = false;
+    await this.waitForClusterReady(clusterName, kubeconfigPath);
+  },
+
+  /**
+   * Report the health of a simulated cluster (nodes crash with `fake-crash`)
+   */
+  async checkClusterHealth(clusterName) {
+    const cluster = clusters.get(clusterName);
+    if (!cluster) {
+      return { apiServer: false, notReadyNodes: [], error: 'Cluster not found' };
+    }
+
+    if (cluster.nodes.some(node => node.role === 'control-plane' && node.crashed)) {
+      return { apiServer: false, notReadyNodes: [], error: 'The connection to the server was refused' };
+    }
+    const notReadyNodes = cluster.nodes.filter(node => node.crashed).map(node => node.name);
+    return { apiServer: true, notReadyNodes, error: null };
+  },
+
+  /**
+   * Restart a simulated node (the control plane when nodeName is null)
+   */
+  async restartNode(clusterName, nodeName = null) {
+    const cluster = clusters.get(clusterName);
+    const node = cluster?.nodes.find(candidate => nodeName ? candidate.name === nodeName : candidate.role === 'control-plane');
+    if (!node) {
+      throw new Error(`No such node: ${nodeName || `${clusterName}-control-plane`}`);
+    }
+
+    await delay();
+    node.crashed = false;
+    logger.info('Fake cluster node restarted', { clusterName, node: node.name });
+  },
+
+  /**
+   * Write an empty snapshot of a simulated cluster (there are no resources to save)
+   */
+  async snapshotCluster(clusterName, kubeconfigPath, { namespace, directory }) {
+    if (!clusters.has(clusterName)) {
+      throw new Error('Cluster not found');
+    }
+
+    await delay();
+    await writeFile(join(directory, 'namespace.json'), JSON.stringify({ apiVersion: 'v1', kind: 'List', items: [] }));
+    logger.info('Fake cluster snapshot saved', { clusterName, namespace });
+  },
+
+  /**
+   * Check a snapshot can be read back into a simulated cluster
+   */
+  async restoreCluster(clusterName, kubeconfigPath, { namespace, directory }) {
+    if (!clusters.has(clusterName)) {
+      throw new Error('Cluster not found');
+    }
+
+    JSON.parse(await readFile(join(directory, 'namespace.json'), 'utf8'));
+    await delay();
+    logger.info('Fake cluster snapshot restored', { clusterName, namespace });
+  },
+
+  /**
+   * Start a stopped simulated cluster
+   */
+  async startCluster(clusterName) {
+    const cluster = clusters.get(clusterName);
+    if (!cluster) {
+      throw new Error('Cluster not found');
+    }
+
+    await delay();
+    cluster.stopped = false;
+    await this.exportKubeconfig(clusterName);
+  },
+
+  /**
+   * Delete a simulated cluster
+   */
+  async deleteCluster(clusterName) {
+    clusters.delete(clusterName);
+    logger.info('Fake cluster deleted', { clusterName });
+    return { success: true };
+  },
+
+  /**
+   * Delete a simulated cluster and its kubeconfig files
+   */
+  async cleanupCluster(clusterName) {
+    if (clusters.has(clusterName)) {
+      await this.deleteCluster(clusterName);
+    }
+
+    const { kubeconfigPath, terminalKubeconfigPath, mergedKubeconfigPath } = this.getKubeconfig(clusterName);
+    for (const path of [kubeconfigPath, terminalKubeconfigPath, mergedKubeconfigPath]) {
+      if (existsSync(path)) {
+        await unlink(path);
+      }
+    }
+
+    await this.removeNetwork(clusterName);
+    return { success: true };
+  },
+
+  /**
+   * Remove a simulated cluster network
+   */
+  async removeNetwork(clusterName) {
+    if ([...terminals.values()].some(terminal => [terminal.clusterName, ...terminal.extraClusters].includes(clusterName))) {
+      throw new Error(`network net-${clusterName} has active endpoints`);
+    }
+    networks.delete(clusterName);
+  },
+
+  /**
+   * List the simulated clusters that have a network
+   */
+  async listNetworks() {
+    return [...networks];
+  },
+
+  /**
+   * List simulated clusters
+   */
+  async listClusters() {
+    return [...clusters.keys()];
+  },
+
+  /**
+   * Check if a simulated cluster exists
+   */
+  async clusterExists(clusterName) {
+    return clusters.has(clusterName);
+  },
+
+  /**
+   * Get kubeconfig paths for a cluster (host access, terminal access and
+   * the terminal's merged kubeconfig when the session has several contexts)
+   */
+  getKubeconfig(clusterName) {
+    return {
+      kubeconfigPath: `/tmp/kubeconfig-${clusterName}`,
+      terminalKubeconfigPath: `/tmp/kubeconfig-${clusterName}-terminal`,
+      mergedKubeconfigPath: `/tmp/kubeconfig-${clusterName}-contexts`,
+    };
+  },
+
+  /**
+   * Simulated terminal profile check - every profile can be applied
+   */
+  async checkTerminalProfile(profile) {
+    await delay();
+    logger.debug('Fake terminal profile check passed', { profile: profile.name });
+  },
+
+  /**
+   * Create a simulated terminal container for a cluster (and the clusters behind
+   * a session's other contexts)
+   */
+  async createTerminal(clusterName, kubeconfigPath, profile, { extraClusters = [] } = {}) {
+    const containerName = `term-${clusterName}`;
+
+    const missing = [clusterName, ...extraClusters].find(name => !clusters.has(name));
+    if (missing) {
+      throw new Error(`Failed to create terminal container: cluster ${missing} not found`);
+    }
+
+    // A merged kubeconfig lists its contexts in its first line
+    const kubeconfig = await readFile(kubeconfigPath, 'utf8');
+    const contexts = kubeconfig.match(/^# contexts: (.+)$/m)?.[1].split(',') || [clusterName];
+
+    await delay();
+    const containerId = uuidv4().replace(/-/g, '');
+    terminals.set(containerName, {
+      containerId,
+      clusterName,
+      extraClusters,
+      kubernetesVersion: clusters.get(clusterName).kubernetesVersion,
+      kubeconfigPath,
+      profile: profile.name,
+      contexts,
+      context: contexts[0],
+      namespace: 'default',
+      namespaces: new Set(['default', 'kube-system', 'kube-public', 'kube-node-lease']),
+      history: [],
+    });
+
+    logger.info('Fake terminal container created', { containerName, containerId, profile: profile.name });
+    return { success: true, containerName, containerId };
+  },
+
+  /**
+   * Remove a simulated terminal container
+   */
+  async removeTerminal(containerName) {
+    terminals.delete(containerName);
+    logger.info('Fake terminal container removed', { containerName });
+    return { success: true };
+  },
+
+  /**
+   * Get simulated terminal status ('running', 'paused') or null if missing
+   */
+  async getTerminalStatus(containerName) {
+    if (!terminals.has(containerName)) {
+      return null;
+    }
+    return terminals.get(containerName).paused ? 'paused' : 'running';
+  },
+
+  /**
+   * Freeze a simulated terminal container
+   */
+  async pauseTerminal(containerName) {
+    const terminal = terminals.get(containerName);
+    if (!terminal) {
+      throw new Error(`No such container: ${containerName}`);
+    }
+    terminal.paused = true;
+  },
+
+  /**
+   * Unfreeze a simulated terminal container
+   */
+  async resumeTerminal(containerName) {
+    const terminal = terminals.get(containerName);
+    if (!terminal) {
+      throw new Error(`No such container: ${containerName}`);
+    }
+    terminal.paused = false;
+  },
+
+  /**
+   * List simulated terminal containers
+   */
+  async listTerminals() {
+    return [...terminals.keys()];
+  },
+
+  /**
+   * Run a command (argv array) against a simulated terminal.
+   * `bash -c <script>` runs the script; anything else runs as one command line.
+   */
+  async exec(containerName, argv) {
+    const terminal = terminals.get(containerName);
+    if (!terminal) {
+      throw new CommandFailedError(`Command failed: docker exec ${containerName}\nNo such container: ${containerName}`, {
+        command: 'docker',
+        args: ['exec', containerName, ...argv],
+        exitCode: 1,
+      });
+    }
+
+    const script = /(^|\/)(ba)?sh$/.test(argv[0]) && argv[1] === '-c' ? argv[2] : argv.join(' ');
+    return { stdout: runScript(terminal, script), stderr: '', exitCode: 0 };
+  },
+
+  /**
+   * Spawn an interactive shell on a simulated terminal
+   */
+  async spawnShell(containerName) {
+    const terminal = terminals.get(containerName);
+    if (!terminal) {
+      throw new Error(`No such container: ${containerName}`);
+    }
+
+    return new FakeShell(terminal);
+  },
+};
+
+export default FakeDriver;
@@ -0,0 +1,78 @@
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import KindDriver from './kind.js';
+import FakeDriver from './fake.js';
+
+/**
+ * Cluster drivers, selected with CLUSTER_DRIVER.
+ *
+ * A driver provides the clusters and terminal containers for sessions:
+ *   createCluster(clusterName, ports, { onProgress, kubernetesVersion, topology, addons })
+ *                                                       -> { kubeconfigPath, terminalKubeconfigPath, duration }
+ *   waitForClusterReady(clusterName, kubeconfigPath, { onProgress })
+ *   configureNodes(clusterName, kubeconfigPath, topology) - apply worker labels and taints
+ *   installAddon(clusterName, kubeconfigPath, addon) - install a bundled add-on and wait until it's ready
+ *   deleteCluster(clusterName), cleanupCluster(clusterName) - cleanup also removes the cluster's network
+ *   listNetworks()                                      -> names of clusters that have their own Docker network
+ *   removeNetwork(clusterName) - remove a cluster's network (after its containers are gone)
+ *   listClusters(), clusterExists(clusterName), getKubeconfig(clusterName)
+ *   exportKubeconfig(clusterName)                       -> { kubeconfigPath, terminalKubeconfigPath }, rewrites the files
+ *   mergeKubeconfigs(clusterName, [{ name, clusterName }]) -> path of a terminal kubeconfig with one named context
+ *                                                          per cluster, the first one current
+ *   getClusterStatus(clusterName)                       -> 'running' | 'paused' | 'stopped' | null if the cluster is gone
+ *   startCluster(clusterName) - start stopped nodes and wait until the cluster is ready
+ *   checkClusterHealth(clusterName, kubeconfigPath)     -> { apiServer, notReadyNodes, error }, never rejects
+ *   restartNode(clusterName, nodeName) - restart a node container (the control plane when nodeName is null)
+ *   pauseCluster(clusterName), resumeCluster(clusterName, kubeconfigPath) - freeze/unfreeze the nodes
+ *   snapshotCluster(clusterName, kubeconfigPath, { namespace, directory, nodePaths }) - save a namespace and node files
+ *   restoreCluster(clusterName, kubeconfigPath, { namespace, directory }) - restore them into a same-topology cluster
+ *   createTerminal(clusterName, kubeconfigPath, profile, { extraClusters })
+ *                                                       -> { containerName, containerId }, applying the hardening
+ *                                                          profile from TerminalService.getProfile(); the terminal
+ *                                                          can also reach the extraClusters
+ *   checkTerminalProfile(profile) - rejects when the hardening profile can't be applied on this host
+ *   removeTerminal(containerName), getTerminalStatus(containerName), listTerminals()
+ *   pauseTerminal(containerName), resumeTerminal(containerName)
+ *   exec(containerName, argv, { timeout, signal, input, allowFailure })
+ *                                                       -> { stdout, stderr, exitCode }, rejects with a CommandError
+ *   spawnShell(containerName, { cols, rows })           -> promise of a shell session: 'data' and 'exit' events,
+ *                                                          write(data), resize(cols, rows), kill()
+ */
+export const DRIVERS = {
+  kind: KindDriver,
+  fake: FakeDriver,
+};
+
+const REQUIRED_METHODS = [
+  'createCluster', 'waitForClusterReady', 'configureNodes', 'installAddon', 'deleteCluster', 'cleanupCluster',
+  'listNetworks', 'removeNetwork',
+  'listClusters', 'clusterExists', 'getKubeconfig', 'exportKubeconfig', 'mergeKubeconfigs', 'getClusterStatus', 'startCluster',
+  'checkClusterHealth', 'restartNode',
+  'pauseCluster', 'resumeCluster', 'snapshotCluster', 'restoreCluster',
+  'createTerminal', 'checkTerminalProfile', 'removeTerminal', 'getTerminalStatus', 'listTerminals', 'pauseTerminal', 'resumeTerminal',
+  'exec', 'spawnShell',
+];
+
+/**
+ * Resolve a driver by name, checking it implements the driver interface
+ */
+export function getDriver(name) {
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown cluster driver '${name}' (available: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof driver[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Cluster driver '${name}' is missing: ${missing.join(', ')}`);
+  }
+
+  return driver;
+}
+
+// Driver used by this process
+export const ClusterDriver = getDriver(config.cluster.driver);
+
+logger.info('Using cluster driver', { driver: ClusterDriver.name });
+
+export default ClusterDriver;
@@ -0,0 +1,1161 @@
+import { writeFile, unlink, readFile, readdir, chmod } from 'fs/promises';
+import { existsSync, createReadStream, createWriteStream } from 'fs';
+import { join } from 'path';
+import config from '../../config/index.js';
+import logger from '../../utils/logger.js';
+import KubernetesVersions from '../kubernetesVersions.js';
+import AddonService from '../addons.js';
+import DockerClient from '../docker.js';
+import { runCommand } from '../../utils/command.js';
+
+// Run kind and kubectl (against a kubeconfig) with an argv array.
+// Containers, exec sessions and networks go through the Docker Engine API (DockerClient).
+const kind = (args, options) => runCommand('kind', args, options);
+const kubectl = (kubeconfigPath, args, options = {}) =>
+  runCommand('kubectl', args, { ...options, env: { ...options.env, KUBECONFIG: kubeconfigPath } });
+
+// Label on session networks, set to the cluster name (finds leftover networks)
+const NETWORK_LABEL = 'io.ckad.cluster';
+
+// Namespaced resources that are recreated by the cluster itself and never go in a snapshot
+const SNAPSHOT_SKIPPED_RESOURCES = [
+  'events', 'events.events.k8s.io', 'endpoints', 'endpointslices.discovery.k8s.io',
+  'leases.coordination.k8s.io', 'controllerrevisions.apps',
+];
+
+/**
+ * Parse a Docker size ('512m', '1g', '64k' or plain bytes) into bytes
+ */
+const parseByteSize = (size) => {
+  const match = String(size).trim().match(/^(\d+(?:\.\d+)?)([kmg]?)b?$/i);
+  if (!match) {
+    throw new Error(`Invalid size '${size}'`);
+  }
+  const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  return Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+};
+
+/**
+ * Container create settings applying a terminal hardening profile
+ * (User, Env, WorkingDir and the HostConfig security fields)
+ */
+const terminalProfileSpec = async (profile) => {
+  const hostConfig = {};
+  const securityOpt = [];
+
+  if (profile.readOnlyRootfs) {
+    // The home directory and /tmp are the only writable places
+    hostConfig.ReadonlyRootfs = true;
+    hostConfig.Tmpfs = {
+      [profile.home]: `rw,exec,size=${profile.homeSize},uid=${profile.uid},gid=${profile.gid},mode=0700`,
+      '/tmp': 'rw,nosuid,size=64m',
+    };
+  }
+  if (profile.dropCapabilities) {
+    hostConfig.CapDrop = ['ALL'];
+  }
+  if (profile.noNewPrivileges) {
+    securityOpt.push('no-new-privileges');
+  }
+  if (profile.seccompProfile && profile.seccompProfile !== 'default') {
+    // The API takes the profile itself, not its path
+    securityOpt.push(`seccomp=${JSON.stringify(JSON.parse(await readFile(profile.seccompProfile, 'utf8')))}`);
+  }
+  if (securityOpt.length > 0) {
+    hostConfig.SecurityOpt = securityOpt;
+  }
+
+  return {
+    ...(profile.user ? { User: profile.user } : {}),
+    Env: [`HOME=${profile.home}`],
+    WorkingDir: profile.home,
+    HostConfig: hostConfig,
+  };
+};
+
+/**
+ * Check a namespaced object belongs in a snapshot - objects owned by a controller
+ * are recreated by their owner, and the namespace defaults by Kubernetes
+ */
+const isSnapshotObject = (item) => {
+  const { kind, metadata, type } = item;
+  if (metadata.ownerReferences?.length) {
+    return false;
+  }
+  if (kind === 'ServiceAccount' && metadata.name === 'default') {
+    return false;
+  }
+  if (kind === 'ConfigMap' && metadata.name === 'kube-root-ca.crt') {
+    return false;
+  }
+  return !(kind === 'Secret' && type === 'kubernetes.io/service-account-token');
+};
+
+/**
+ * Strip the fields the old cluster assigned, so the object can be applied to a new one.
+ * Pods lose their node binding - node names change with the cluster name.
+ */
+const toSnapshotObject = (item) => {
+  const { status, ...object } = item;
+  const { uid, resourceVersion, creationTimestamp, managedFields, generation, selfLink, namespace, ...metadata } = object.metadata;
+  const annotations = Object.fromEntries(
+    Object.entries(metadata.annotations || {}).filter(([key]) =>
+      key !== 'kubectl.kubernetes.io/last-applied-configuration' && !key.startsWith('pv.kubernetes.io/'))
+  );
+  const spec = { ...object.spec };
+
+  if (object.kind === 'Service') {
+    delete spec.clusterIP;
+    delete spec.clusterIPs;
+  } else if (object.kind === 'PersistentVolumeClaim') {
+    delete spec.volumeName;
+  } else if (object.kind === 'Pod') {
+    delete spec.nodeName;
+  } else if (object.kind === 'Job' && spec.template) {
+    // Jobs get a generated selector tied to their UID
+    const labels = { ...spec.template.metadata?.labels };
+    delete labels['controller-uid'];
+    delete labels['batch.kubernetes.io/controller-uid'];
+    delete spec.selector;
+    spec.template = { ...spec.template, metadata: { ...spec.template.metadata, labels } };
+  }
+
+  return {
+    ...object,
+    metadata: { ...metadata, annotations },
+    ...(object.spec ? { spec } : {}),
+  };
+};
+
+/**
+ * KIND cluster driver - clusters are KIND clusters, terminals are Docker containers.
+ * Each cluster gets its own Docker network holding only its nodes and its terminal,
+ * so one user's terminal can't reach another user's cluster.
+ */
+export const KindDriver = {
+  name: 'kind',
+
+  /**
+   * Generate KIND cluster config
+   * Without a node image, kind uses the default image of the installed binary
+   */
+  generateConfig(clusterName, ports, { nodeImage = null, workers = 0, networking = {} } = {}) {
+    const { apiPort, ingressPort, ingressHttpsPort } = ports;
+    const { listenAddress } = config.kind;
+    const imageLine = nodeImage ? `\n    image: ${nodeImage}` : '';
+    const networkingLines = [
+      networking.disableDefaultCNI ? '\n  disableDefaultCNI: true' : '',
+      networking.podSubnet ? `\n  podSubnet: "${networking.podSubnet}"` : '',
+    ].join('');
+    const workerNodes = Array.from({ length: workers }, () => `
+  - role: worker${imageLine}
+    kubeadmConfigPatches:
+      - |
+        kind: JoinConfiguration
+        nodeRegistration:
+          kubeletExtraArgs:
+            system-reserved: memory=256Mi
+            eviction-hard: memory.available<100Mi`).join('');
+
+    return `
+kind: Cluster
+apiVersion: kind.x-k8s.io/v1alpha4
+name: ${clusterName}${networkingLines ? `\nnetworking:${networkingLines}` : ''}
+nodes:
+  - role: control-plane${imageLine}
+    extraPortMappings:
+      - containerPort: 6443
+        hostPort: ${apiPort}
+        listenAddress: "${listenAddress}"
+        protocol: TCP
+      - containerPort: 80
+        hostPort: ${ingressPort}
+        listenAddress: "${listenAddress}"
+        protocol: TCP
+      - containerPort: 443
+        hostPort: ${ingressHttpsPort}
+        listenAddress: "${listenAddress}"
+        protocol: TCP
+    kubeadmConfigPatches:
+      - |
+        kind: InitConfiguration
+        nodeRegistration:
+          kubeletExtraArgs:
+            system-reserved: memory=256Mi
+            eviction-hard: memory.available<100Mi${workerNodes}
+`;
+  },
+
+  /**
+   * Get the node name KIND gives worker `index` (0-based)
+   */
+  getWorkerName(clusterName, index) {
+    return index === 0 ? `${clusterName}-worker` : `${clusterName}-worker${index + 1}`;
+  },
+
+  /**
+   * Name of the Docker network holding a cluster's nodes and terminal
+   */
+  getNetworkName(clusterName) {
+    return `net-${clusterName}`;
+  },
+
+  /**
+   * Create a cluster's Docker network (KIND puts the nodes on it when it exists)
+   */
+  async createNetwork(clusterName) {
+    const network = this.getNetworkName(clusterName);
+    await DockerClient.createNetwork(network, { labels: { [NETWORK_LABEL]: clusterName } });
+    logger.info('Created cluster network', { clusterName, network });
+  },
+
+  /**
+   * Remove a cluster's Docker network (its containers must be gone first)
+   */
+  async removeNetwork(clusterName) {
+    for (const network of [this.getEgressNetworkName(clusterName), this.getNetworkName(clusterName)]) {
+      if (await DockerClient.removeNetwork(network)) {
+        logger.info('Removed cluster network', { clusterName, network });
+      }
+    }
+  },
+
+  /**
+   * List the clusters that have a Docker network
+   */
+  async listNetworks() {
+    const networks = await DockerClient.listNetworks({ label: [NETWORK_LABEL] });
+    return [...new Set(networks.map(network => network.Labels[NETWORK_LABEL]).filter(Boolean))];
+  },
+
+  /**
+   * Name of a cluster's internal network for hardened terminals
+   */
+  getEgressNetworkName(clusterName) {
+    return `${this.getNetworkName(clusterName)}-terminal`;
+  },
+
+  /**
+   * Get a cluster's internal terminal network, creating it if needed. It holds only the
+   * terminal and the control-plane node and has no route off the host, so the terminal
+   * can reach the API server and nothing else.
+   */
+  async ensureEgressNetwork(clusterName) {
+    const network = this.getEgressNetworkName(clusterName);
+
+    if (!(await DockerClient.inspectNetwork(network))) {
+      await DockerClient.createNetwork(network, { internal: true, labels: { [NETWORK_LABEL]: clusterName } });
+      logger.info('Created terminal network', { clusterName, network });
+    }
+
+    try {
+      await DockerClient.connectNetwork(network, `${clusterName}-control-plane`);
+    } catch (error) {
+      if (!/already exists/i.test(error.message)) {
+        throw error;
+      }
+    }
+
+    return network;
+  },
+
+  /**
+   * Get the network a cluster's terminal should join. Clusters created before
+   * per-cluster networks live on the shared 'kind' network.
+   */
+  async getTerminalNetwork(clusterName) {
+    const network = this.getNetworkName(clusterName);
+    if (await DockerClient.inspectNetwork(network)) {
+      return network;
+    }
+
+    logger.warn('Cluster has no network of its own, using the shared kind network', { clusterName });
+    return 'kind';
+  },
+
+  /**
+   * Create a KIND cluster running the given Kubernetes version, with the topology's workers.
+   * CNI add-ons replace kindnet, so they are applied before waiting for the nodes.
+   * onProgress is called with 'cluster_created', 'node_ready' and 'system_pods_running'
+   */
+  async createCluster(clusterName, ports, { onProgress = () => {}, kubernetesVersion = null, topology = null, addons = [] } = {}) {
+    const workers = topology ? topology.workers : 0;
+    const networking = AddonService.getNetworking(addons);
+    const configPath = `/tmp/kind-config-${clusterName}.yaml`;
+    const { kubeconfigPath, terminalKubeconfigPath } = this.getKubeconfig(clusterName);
+
+    try {
+      // Generate and write config file
+      const nodeImage = KubernetesVersions.getNodeImage(kubernetesVersion);
+      const configContent = this.generateConfig(clusterName, ports, { nodeImage, workers, networking });
+      await writeFile(configPath, configContent);
+      logger.info('Created KIND config file', { clusterName, configPath, nodeImage, workers });
+
+      // Create KIND cluster
+      logger.info('Creating KIND cluster...', { clusterName });
+      const startTime = Date.now();
+
+      // Nodes go on the cluster's own network instead of the shared 'kind' one
+      await this.createNetwork(clusterName);
+      await kind(
+        ['create', 'cluster', '--name', clusterName, '--config', configPath],
+        {
+          timeout: 180000, // 3 minute timeout (increased from 2 minutes)
+          env: { KIND_EXPERIMENTAL_DOCKER_NETWORK: this.getNetworkName(clusterName) },
+        }
+      );
+
+      const duration = Date.now() - startTime;
+      logger.info('KIND cluster created', { clusterName, durationMs: duration });
+
+      await this.exportKubeconfig(clusterName);
+      onProgress('cluster_created');
+
+      // Nodes stay NotReady until a CNI is running
+      for (const addon of addons.filter(item => item.networking?.disableDefaultCNI)) {
+        await this.applyAddonManifest(clusterName, kubeconfigPath, addon);
+      }
+
+      // Validate cluster is ready
+      await this.waitForClusterReady(clusterName, kubeconfigPath, { onProgress, nodeCount: 1 + workers });
+
+      return {
+        success: true,
+        clusterName,
+        configPath,
+        kubeconfigPath,
+        terminalKubeconfigPath,
+        duration,
+      };
+    } catch (error) {
+      logger.error('Failed to create KIND cluster', { 
+        clusterName, 
+        error: error.message 
+      });
+
+      // Cleanup on failure
+      await this.cleanupCluster(clusterName).catch(() => {});
+      
+      throw new Error(`Failed to create cluster: ${error.message}`);
+    }
+  },
+
+  /**
+   * Wait for cluster to be ready (all `nodeCount` nodes Ready, system pods running)
+   */
+  async waitForClusterReady(clusterName, kubeconfigPath, { maxAttempts = 60, onProgress = () => {}, nodeCount = 1 } = {}) {
+    logger.info('Waiting for cluster to be ready...', { clusterName });
+    let nodeReadyReported = false;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        // First check if the cluster exists
+        if (!(await this.clusterExists(clusterName))) {
+          logger.error('Cluster not found in kind cluster list', { clusterName });
+          throw new Error('Cluster not found');
+        }
+
+        // Check node status
+        const { stdout } = await kubectl(
+          kubeconfigPath,
+          ['get', 'nodes', '-o', 'wide', '--request-timeout=10s'],
+          { timeout: 15000 }
+        );
+
+        if (attempt <= 3 || attempt % 5 === 0) {
+          logger.info('Node status check', { clusterName, attempt, stdout: stdout.substring(0, 200) });
+        }
+
+        // Check that every node is Ready and not in NotReady state
+        const lines = stdout.split('\n');
+        const nodeLines = lines.filter(line => line.startsWith(`${clusterName}-`));
+        
+        if (nodeLines.length > 0) {
+          const nodeStatus = nodeLines.map(line => line.trim()).join(' | ');
+          if (attempt <= 3 || attempt % 5 === 0) {
+            logger.info('Node lines found', { clusterName, attempt, nodeStatus });
+          }
+          
+          // Check for Ready status (STATUS column) on all expected nodes
+          const readyNodes = nodeLines.filter(line => line.split(/\s+/)[1]?.startsWith('Ready'));
+          if (nodeLines.length >= nodeCount && readyNodes.length === nodeLines.length) {
+            logger.info('Nodes are ready', { clusterName, attempt, nodeCount });
+            if (!nodeReadyReported) {
+              nodeReadyReported = true;
+              onProgress('node_ready');
+            }
+            
+            // Additional validation: check if system pods are running
+            try {
+              const { stdout: podStatus } = await kubectl(
+                kubeconfigPath,
+                ['get', 'pods', '-n', 'kube-system', '--request-timeout=10s'],
+                { timeout: 15000 }
+              );
+              
+              // Count running pods
+              const runningPods = (podStatus.match(/Running/g) || []).length;
+              const totalPods = podStatus.split('\n').filter(line => line.trim() && !line.startsWith('NAME')).length;
+              
+              logger.info('System pods status', { 
+                clusterName, 
+                attempt,
+                runningPods, 
+                totalPods,
+                podStatusPreview: podStatus.substring(0, 300)
+              });
+              
+              // If we have at least a few critical pods running, consider it ready
+              if (runningPods >= 3) {
+                logger.info('Cluster fully ready with system pods', { clusterName, runningPods });
+                onProgress('system_pods_running');
+                return true;
+              } else {
+                if (attempt % 5 === 0) {
+                  logger.info('Not enough pods running yet', { clusterName, attempt, runningPods, required: 3 });
+                }
+              }
+            } catch (podError) {
+              // Pods not ready yet, but node is ready - continue waiting
+              if (attempt <= 3 || attempt % 5 === 0) {
+                logger.info('System pods check failed', { 
+                  clusterName, 
+                  attempt, 
+                  error: podError.message 
+                });
+              }
+            }
+          } else {
+            if (attempt <= 3 || attempt % 5 === 0) {
+              logger.info('Nodes not in Ready state', { 
+                clusterName, 
+                attempt, 
+                ready: readyNodes.length,
+                expected: nodeCount,
+              });
+            }
+          }
+        } else {
+          if (attempt <= 3 || attempt % 5 === 0) {
+            logger.info('No cluster nodes found', { clusterName, attempt, allLines: lines.length });
+          }
+        }
+      } catch (error) {
+        if (attempt <= 3 || attempt % 10 === 0) {
+          logger.info('Cluster readiness check exception', {
+            clusterName, 
+            attempt, 
+            maxAttempts,
+            error: error.message,
+            errorType: error.constructor.name
+          });
+        }
+      }
+
+      // Log progress every 10 attempts
+      if (attempt % 10 === 0) {
+        logger.info('Still waiting for cluster', { 
+          clusterName, 
+          attempt, 
+          maxAttempts, 
+          timeElapsed: `${attempt * 2}s`,
+          maxTime: `${maxAttempts * 2}s`
+        });
+      }
+
+      // Wait before next attempt (2 seconds)
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    logger.error('Cluster readiness timeout', { 
+      clusterName, 
+      totalAttempts: maxAttempts, 
+      totalTime: `${maxAttempts * 2}s` 
+    });
+    throw new Error('Cluster did not become ready in time');
+  },
+
+  /**
+   * Apply the topology's node labels and taints to the worker nodes
+   */
+  async configureNodes(clusterName, kubeconfigPath, topology) {
+    for (const [index, node] of (topology?.nodes || []).entries()) {
+      const nodeName = this.getWorkerName(clusterName, index);
+      const labels = Object.entries(node.labels).map(([key, value]) => `${key}=${value}`);
+
+      if (labels.length > 0) {
+        await kubectl(kubeconfigPath, ['label', 'node', nodeName, ...labels, '--overwrite'], { timeout: 15000 });
+      }
+
+      for (const taint of node.taints) {
+        await kubectl(kubeconfigPath, ['taint', 'node', nodeName, taint, '--overwrite'], { timeout: 15000 });
+      }
+
+      logger.info('Configured node', { clusterName, nodeName, labels, taints: node.taints });
+    }
+  },
+
+  /**
+   * Load the add-on's images into the cluster nodes when they exist locally,
+   * so nodes don't have to pull them (best effort - missing images are pulled as usual)
+   */
+  async loadAddonImages(clusterName, addon) {
+    const manifest = await readFile(addon.manifestPath, 'utf8');
+    const images = [...new Set([...manifest.matchAll(/^\s*image:\s*["']?([^\s"']+)/gm)].map(match => match[1]))];
+
+    for (const image of images) {
+      try {
+        if (!(await DockerClient.imageExists(image))) {
+          throw new Error('image not found locally');
+        }
+        await kind(['load', 'docker-image', image, '--name', clusterName], { timeout: 120000 });
+      } catch (error) {
+        logger.debug('Add-on image not preloaded', { clusterName, addon: addon.name, image, error: error.message });
+      }
+    }
+  },
+
+  /**
+   * Apply an add-on's bundled manifest (and its patches)
+   */
+  async applyAddonManifest(clusterName, kubeconfigPath, addon) {
+    if (!existsSync(addon.manifestPath)) {
+      throw new Error(`Manifest for add-on '${addon.name}' not found at ${addon.manifestPath}`);
+    }
+
+    await this.loadAddonImages(clusterName, addon);
+
+    await kubectl(kubeconfigPath, ['apply', '-f', addon.manifestPath], { timeout: 60000 });
+
+    for (const { resource, namespace, patch } of addon.patches || []) {
+      await kubectl(
+        kubeconfigPath,
+        ['patch', resource, '-n', namespace, '--type=json', '-p', JSON.stringify(patch)],
+        { timeout: 15000 }
+      );
+    }
+
+    logger.info('Applied add-on manifest', { clusterName, addon: addon.name });
+  },
+
+  /**
+   * Install an add-on and wait for its workloads to roll out
+   */
+  async installAddon(clusterName, kubeconfigPath, addon) {
+    const labels = Object.entries(addon.controlPlaneLabels || {}).map(([key, value]) => `${key}=${value}`);
+    if (labels.length > 0) {
+      await kubectl(
+        kubeconfigPath,
+        ['label', 'node', `${clusterName}-control-plane`, ...labels, '--overwrite'],
+        { timeout: 15000 }
+      );
+    }
+
+    // Re-applying is a no-op for add-ons already applied at cluster creation
+    await this.applyAddonManifest(clusterName, kubeconfigPath, addon);
+
+    const timeout = config.addons.readyTimeoutSeconds;
+    for (const { kind: resourceKind, name, namespace } of addon.ready) {
+      await kubectl(
+        kubeconfigPath,
+        ['rollout', 'status', `${resourceKind}/${name}`, '-n', namespace, `--timeout=${timeout}s`],
+        { timeout: (timeout + 15) * 1000 }
+      );
+    }
+
+    logger.info('Add-on ready', { clusterName, addon: addon.name });
+  },
+
+  /**
+   * Write the host and terminal kubeconfig files for a cluster
+   * (also used to restore them after /tmp was cleared, e.g. by a host reboot)
+   */
+  async exportKubeconfig(clusterName) {
+    const { kubeconfigPath, terminalKubeconfigPath } = this.getKubeconfig(clusterName);
+
+    // Generate kubeconfig
+    const { stdout: kubeconfigContent } = await kind(['get', 'kubeconfig', '--name', clusterName]);
+    
+    // Fix kubeconfig server address: replace 0.0.0.0 with 127.0.0.1
+    // This is needed because the certificate is valid for 127.0.0.1, not 0.0.0.0
+    const fixedKubeconfig = kubeconfigContent.replace(/https:\/\/0\.0\.0\.0:/g, 'https://127.0.0.1:');
+    await writeFile(kubeconfigPath, fixedKubeconfig, { mode: 0o600 });
+    await chmod(kubeconfigPath, 0o600);
+    
+    // Create a separate kubeconfig for the terminal container
+    // Terminal container is on the cluster's network, so it uses the cluster container name
+    const terminalKubeconfig = kubeconfigContent.replace(
+      /https:\/\/0\.0\.0\.0:\d+/g, 
+      `https://${clusterName}-control-plane:6443`
+    );
+    await writeFile(terminalKubeconfigPath, terminalKubeconfig, { mode: 0o600 });
+    await chmod(terminalKubeconfigPath, 0o600);
+    
+    logger.info('Generated and fixed kubeconfig', { 
+      clusterName, 
+      kubeconfigPath,
+      terminalKubeconfigPath
+    });
+
+    return { kubeconfigPath, terminalKubeconfigPath };
+  },
+
+  /**
+   * Write a terminal kubeconfig holding several clusters, one named context each
+   * (contexts: [{ name, clusterName }], the first becomes the current context).
+   * Returns its path.
+   */
+  async mergeKubeconfigs(clusterName, contexts) {
+    const { mergedKubeconfigPath } = this.getKubeconfig(clusterName);
+
+    const paths = [];
+    for (const context of contexts) {
+      paths.push((await this.exportKubeconfig(context.clusterName)).terminalKubeconfigPath);
+    }
+
+    // kubectl merges the files listed in KUBECONFIG; --flatten inlines the certificates
+    const { stdout } = await kubectl(paths.join(':'), ['config', 'view', '--flatten'], { timeout: 15000 });
+    await writeFile(mergedKubeconfigPath, stdout, { mode: 0o600 });
+    await chmod(mergedKubeconfigPath, 0o600);
+
+    for (const context of contexts) {
+      await kubectl(mergedKubeconfigPath, ['config', 'rename-context', `kind-${context.clusterName}`, context.name], { timeout: 10000 });
+    }
+    await kubectl(mergedKubeconfigPath, ['config', 'use-context', contexts[0].name], { timeout: 10000 });
+
+    logger.info('Merged kubeconfig contexts', {
+      clusterName,
+      contexts: contexts.map(context => context.name),
+      mergedKubeconfigPath,
+    });
+    return mergedKubeconfigPath;
+  },
+
+  /**
+   * Get the state of a cluster's node containers:
+   * 'running' (all running), 'paused' (all paused), 'stopped' (otherwise) or null if the cluster is gone
+   */
+  async getClusterStatus(clusterName) {
+    const nodes = await this.listNodeContainers(clusterName);
+
+    if (nodes.length === 0) {
+      return null;
+    }
+    if (nodes.every(node => node.State === 'running')) {
+      return 'running';
+    }
+    return nodes.every(node => node.State === 'paused') ? 'paused' : 'stopped';
+  },
+
+  /**
+   * List a cluster's node containers (Docker API container summaries, stopped ones included)
+   */
+  async listNodeContainers(clusterName) {
+    return DockerClient.listContainers({ label: [`io.x-k8s.kind.cluster=${clusterName}`] }, { all: true });
+  },
+
+  /**
+   * Get the names of a cluster's node containers
+   */
+  async getNodeContainers(clusterName) {
+    const nodes = await this.listNodeContainers(clusterName);
+    return nodes.map(node => node.Names[0].replace(/^\//, '')).sort();
+  },
+
+  /**
+   * Freeze a cluster's node containers (memory is kept, CPU is released)
+   */
+  async pauseCluster(clusterName) {
+    const nodeNames = await this.getNodeContainers(clusterName);
+    for (const nodeName of nodeNames) {
+      await DockerClient.pauseContainer(nodeName);
+    }
+    logger.info('Cluster paused', { clusterName, nodes: nodeNames });
+  },
+
+  /**
+   * Unfreeze a paused cluster and wait for it to be ready again
+   * (node leases and pods may need a moment to catch up after the freeze)
+   */
+  async resumeCluster(clusterName, kubeconfigPath) {
+    const nodeNames = await this.getNodeContainers(clusterName);
+    for (const nodeName of nodeNames) {
+      await DockerClient.unpauseContainer(nodeName);
+    }
+    logger.info('Cluster unpaused', { clusterName, nodes: nodeNames });
+
+    await this.waitForClusterReady(clusterName, kubeconfigPath, { nodeCount: nodeNames.length });
+  },
+
+  /**
+   * Start a cluster's stopped node containers and wait for it to be ready again
+   */
+  async startCluster(clusterName) {
+    const nodeNames = await this.getNodeContainers(clusterName);
+
+    logger.info('Starting cluster nodes', { clusterName, nodes: nodeNames });
+    for (const nodeName of nodeNames) {
+      await DockerClient.startContainer(nodeName);
+    }
+
+    const { kubeconfigPath } = await this.exportKubeconfig(clusterName);
+    await this.waitForClusterReady(clusterName, kubeconfigPath, { nodeCount: nodeNames.length });
+  },
+
+  /**
+   * Probe a cluster's API server (/readyz) and the readiness of its nodes
+   * Returns { apiServer, notReadyNodes, error }
+   */
+  async checkClusterHealth(clusterName, kubeconfigPath) {
+    const probe = (args) => kubectl(kubeconfigPath, [...args, '--request-timeout=5s'], { timeout: 10000 });
+
+    try {
+      await probe(['get', '--raw', '/readyz']);
+      const { stdout } = await probe(['get', 'nodes', '-o', 'json']);
+      const notReadyNodes = JSON.parse(stdout).items
+        .filter(node => !(node.status?.conditions || []).some(c => c.type === 'Ready' && c.status === 'True'))
+        .map(node => node.metadata.name);
+
+      return { apiServer: true, notReadyNodes, error: null };
+    } catch (error) {
+      return { apiServer: false, notReadyNodes: [], error: (error.stderr || '').trim() || error.message };
+    }
+  },
+
+  /**
+   * Restart a node container (the control plane when nodeName is null)
+   */
+  async restartNode(clusterName, nodeName = null) {
+    const containerName = nodeName || `${clusterName}-control-plane`;
+    await DockerClient.restartContainer(containerName);
+    logger.info('Cluster node restarted', { clusterName, node: containerName });
+  },
+
+  /**
+   * Save a namespace's resources (namespace.json) and the given node directories
+   * (node-<role>.tar.gz per node) into a snapshot directory
+   */
+  async snapshotCluster(clusterName, kubeconfigPath, { namespace, directory, nodePaths = [] }) {
+    const { stdout: resourceList } = await kubectl(
+      kubeconfigPath,
+      ['api-resources', '--namespaced', '--verbs=list,create', '-o', 'name'],
+      { timeout: 30000 }
+    );
+    const resources = resourceList.trim().split('\n')
+      .filter(resource => resource && !SNAPSHOT_SKIPPED_RESOURCES.includes(resource));
+
+    const { stdout } = await kubectl(
+      kubeconfigPath,
+      ['get', resources.join(','), '-n', namespace, '-o', 'json'],
+      { timeout: 60000, maxBuffer: 64 * 1024 * 1024 }
+    );
+    const items = JSON.parse(stdout).items.filter(isSnapshotObject).map(toSnapshotObject);
+    await writeFile(join(directory, 'namespace.json'), JSON.stringify({ apiVersion: 'v1', kind: 'List', items }, null, 2));
+
+    for (const nodeName of await this.getNodeContainers(clusterName)) {
+      const { stdout: existing } = await DockerClient.exec(
+        nodeName,
+        ['sh', '-c', 'for path in "$@"; do [ -e "$path" ] && echo "$path"; done; true', 'sh', ...nodePaths],
+        { timeout: 10000 }
+      );
+      const paths = existing.trim().split('\n').filter(Boolean).map(path => path.replace(/^\//, ''));
+      if (paths.length === 0) {
+        continue;
+      }
+
+      const role = nodeName.slice(clusterName.length + 1);
+      await DockerClient.exec(
+        nodeName,
+        ['tar', '-czf', '-', '-C', '/', ...paths],
+        { timeout: 120000, output: createWriteStream(join(directory, `node-${role}.tar.gz`)) }
+      );
+    }
+
+    logger.info('Cluster snapshot saved', { clusterName, namespace, objects: items.length });
+  },
+
+  /**
+   * Restore a snapshot directory written by snapshotCluster into a cluster with the same topology.
+   * Node files go back first so hostPath volumes have their data when the pods start.
+   */
+  async restoreCluster(clusterName, kubeconfigPath, { namespace, directory }) {
+    const nodeArchives = (await readdir(directory)).filter(file => /^node-.+\.tar\.gz$/.test(file));
+    for (const file of nodeArchives) {
+      const nodeName = `${clusterName}-${file.slice('node-'.length, -'.tar.gz'.length)}`;
+      await DockerClient.exec(
+        nodeName,
+        ['tar', '-xzf', '-', '-C', '/'],
+        { timeout: 120000, input: createReadStream(join(directory, file)) }
+      );
+    }
+
+    const manifestPath = join(directory, 'namespace.json');
+    const { items } = JSON.parse(await readFile(manifestPath, 'utf8'));
+    if (items.length > 0) {
+      await kubectl(kubeconfigPath, ['apply', '-n', namespace, '-f', manifestPath], { timeout: 120000 });
+    }
+
+    logger.info('Cluster snapshot restored', { clusterName, namespace, objects: items.length, nodeArchives: nodeArchives.length });
+  },
+
+  /**
+   * Delete a KIND cluster
+   */
+  async deleteCluster(clusterName) {
+    try {
+      logger.info('Deleting KIND cluster...', { clusterName });
+
+      // Paused node containers can't be killed - thaw them first
+      if (await this.getClusterStatus(clusterName) === 'paused') {
+        const nodeNames = await this.getNodeContainers(clusterName);
+        for (const nodeName of nodeNames) {
+          await DockerClient.unpauseContainer(nodeName).catch(() => {});
+        }
+      }
+
+      await kind(['delete', 'cluster', '--name', clusterName], {
+        timeout: 60000,
+      });
+
+      logger.info('KIND cluster deleted', { clusterName });
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete KIND cluster', { 
+        clusterName, 
+        error: error.message 
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Cleanup cluster resources (config files, etc.)
+   */
+  async cleanupCluster(clusterName) {
+    const configPath = `/tmp/kind-config-${clusterName}.yaml`;
+    const { kubeconfigPath, terminalKubeconfigPath, mergedKubeconfigPath } = this.getKubeconfig(clusterName);
+
+    try {
+      // Delete KIND cluster if exists
+      const clusters = await this.listClusters();
+      if (clusters.includes(clusterName)) {
+        await this.deleteCluster(clusterName);
+      }
+
+      // Remove config files
+      if (existsSync(configPath)) {
+        await unlink(configPath);
+        logger.debug('Removed config file', { configPath });
+      }
+
+      for (const path of [kubeconfigPath, terminalKubeconfigPath, mergedKubeconfigPath]) {
+        if (existsSync(path)) {
+          await unlink(path);
+          logger.debug('Removed kubeconfig file', { path });
+        }
+      }
+
+      // The terminal is removed before the cluster, so nothing is left on the network
+      await this.removeNetwork(clusterName);
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to cleanup cluster', { 
+        clusterName, 
+        error: error.message 
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * List all KIND clusters
+   */
+  async listClusters() {
+    try {
+      const { stdout } = await kind(['get', 'clusters'], { timeout: 10000 });
+      return stdout.trim().split('\n').filter(name => name.length > 0);
+    } catch (error) {
+      // If no clusters, kind returns error
+      if (error.message.includes('No kind clusters found')) {
+        return [];
+      }
+      logger.error('Failed to list KIND clusters', { error: error.message });
+      return [];
+    }
+  },
+
+  /**
+   * Check if a cluster exists
+   */
+  async clusterExists(clusterName) {
+    const clusters = await this.listClusters();
+    return clusters.includes(clusterName);
+  },
+
+  /**
+   * Get kubeconfig paths for a cluster (host access, terminal access and
+   * the terminal's merged kubeconfig when the session has several contexts)
+   */
+  getKubeconfig(clusterName) {
+    return {
+      kubeconfigPath: `/tmp/kubeconfig-${clusterName}`,
+      terminalKubeconfigPath: `/tmp/kubeconfig-${clusterName}-terminal`,
+      mergedKubeconfigPath: `/tmp/kubeconfig-${clusterName}-contexts`,
+    };
+  },
+
+  /**
+   * Get cluster info
+   */
+  async getClusterInfo(clusterName, kubeconfigPath) {
+    try {
+      const { stdout } = await kubectl(kubeconfigPath, ['cluster-info'], { timeout: 10000 });
+      return stdout;
+    } catch (error) {
+      logger.error('Failed to get cluster info', { 
+        clusterName, 
+        error: error.message 
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Check a terminal hardening profile can be applied, by running a throwaway
+   * container with it (also checks the terminal image is there)
+   */
+  async checkTerminalProfile(profile) {
+    if (profile.seccompProfile) {
+      const { SecurityOptions = [] } = await DockerClient.info();
+      if (!SecurityOptions.some(option => option.includes('name=seccomp'))) {
+        throw new Error('Docker is running without seccomp support');
+      }
+    }
+
+    if (!(await DockerClient.imageExists(config.terminal.image))) {
+      throw new Error(`Terminal image ${config.terminal.image} not found`);
+    }
+
+    // Non-root, writable home, read-only everywhere else
+    const script = profile.readOnlyRootfs
+      ? 'id -u && touch "$HOME/.probe" && ! touch /.probe 2>/dev/null'
+      : 'id -u';
+    const spec = await terminalProfileSpec(profile);
+
+    let stdout;
+    let containerId = null;
+    try {
+      ({ Id: containerId } = await DockerClient.createContainer(`ckad-profile-check-${Date.now()}`, {
+        ...spec,
+        Image: config.terminal.image,
+        Cmd: ['sleep', '60'],
+        HostConfig: { ...spec.HostConfig, NetworkMode: 'none' },
+      }));
+      await DockerClient.startContainer(containerId);
+      ({ stdout } = await DockerClient.exec(containerId, ['sh', '-c', script], { timeout: 30000 }));
+    } catch (error) {
+      throw new Error(`Terminal profile check container failed: ${error.message}`);
+    } finally {
+      if (containerId) {
+        await DockerClient.removeContainer(containerId).catch(() => {});
+      }
+    }
+
+    const uid = stdout.trim().split('\n')[0];
+    if (uid !== String(profile.uid ?? 0)) {
+      throw new Error(`Terminal runs as uid ${uid}, expected ${profile.uid ?? 0}`);
+    }
+    logger.debug('Terminal profile check passed', { profile: profile.name });
+  },
+
+  /**
+   * Create a terminal container for a cluster with a hardening profile
+   * (see TerminalService.getProfile). The terminal also joins the networks of
+   * extraClusters, the clusters behind a session's other contexts.
+   */
+  async createTerminal(clusterName, kubeconfigPath, profile, { extraClusters = [] } = {}) {
+    const containerName = `term-${clusterName}`;
+    const terminalKubeconfig = `${profile.home}/.kube/config`;
+
+    try {
+      logger.info('Creating terminal container...', { containerName, profile: profile.name });
+
+      const spec = await terminalProfileSpec(profile);
+      const network = profile.restrictEgress
+        ? await this.ensureEgressNetwork(clusterName)
+        : await this.getTerminalNetwork(clusterName);
+
+      const { Id: containerId } = await DockerClient.createContainer(containerName, {
+        ...spec,
+        Image: config.terminal.image,
+        // Keep container running
+        Cmd: ['sleep', 'infinity'],
+        Env: [
+          ...spec.Env,
+          `KUBECONFIG=${terminalKubeconfig}`,
+          // Terminal settings
+          'TERM=xterm-256color',
+          'PS1=\\u@ckad:\\w\\$ ',
+        ],
+        HostConfig: {
+          ...spec.HostConfig,
+          NetworkMode: network,
+          Memory: parseByteSize(config.terminal.memoryLimit),
+          NanoCpus: Math.round(parseFloat(config.terminal.cpuLimit) * 1e9),
+          PidsLimit: 100,
+          // The kubeconfig is mounted, or copied into the home tmpfs once the container
+          // runs (a non-root user can't read the host's 0600 file)
+          ...(profile.user ? {} : { Binds: [`${kubeconfigPath}:${terminalKubeconfig}:ro`] }),
+        },
+      });
+      await DockerClient.startContainer(containerId);
+
+      for (const extraCluster of extraClusters) {
+        const extraNetwork = profile.restrictEgress
+          ? await this.ensureEgressNetwork(extraCluster)
+          : await this.getTerminalNetwork(extraCluster);
+        await DockerClient.connectNetwork(extraNetwork, containerId);
+      }
+
+      logger.info('Terminal container created', { containerName, containerId });
+
+      // Wait for container to be ready
+      await this.waitForTerminalReady(containerName);
+
+      if (profile.user) {
+        await DockerClient.exec(
+          containerName,
+          ['sh', '-c', 'mkdir -p "$(dirname "$KUBECONFIG")" && cat > "$KUBECONFIG" && chmod 600 "$KUBECONFIG"'],
+          { timeout: 15000, input: createReadStream(kubeconfigPath) }
+        );
+      }
+
+      return {
+        success: true,
+        containerName,
+        containerId,
+      };
+    } catch (error) {
+      logger.error('Failed to create terminal container', {
+        containerName,
+        error: error.message,
+      });
+
+      // Cleanup on failure
+      await this.removeTerminal(containerName).catch(() => {});
+
+      throw new Error(`Failed to create terminal container: ${error.message}`);
+    }
+  },
+
+  /**
+   * Wait for terminal container to be running
+   */
+  async waitForTerminalReady(containerName, maxAttempts = 10) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (await this.getTerminalStatus(containerName) === 'running') {
+        logger.debug('Terminal container is ready', { containerName });
+        return true;
+      }
+
+      logger.debug('Container not ready yet', { containerName, attempt });
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    throw new Error('Container did not become ready in time');
+  },
+
+  /**
+   * Stop and remove a terminal container
+   */
+  async removeTerminal(containerName) {
+    try {
+      // Stop container (with 10 second grace period)
+      try {
+        await DockerClient.stopContainer(containerName, 10);
+        logger.debug('Container stopped', { containerName });
+      } catch (error) {
+        // Container might already be stopped
+      }
+
+      // Remove container
+      await DockerClient.removeContainer(containerName, { force: true });
+      logger.info('Terminal container removed', { containerName });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to remove terminal container', {
+        containerName,
+        error: error.message,
+      });
+      throw error;
+    }
+  },
+
+  /**
+   * Get terminal container status ('running', 'exited', ...) or null if missing
+   */
+  async getTerminalStatus(containerName) {
+    try {
+      const container = await DockerClient.inspectContainer(containerName);
+      return container ? container.State.Status : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Freeze a terminal container
+   */
+  async pauseTerminal(containerName) {
+    await DockerClient.pauseContainer(containerName);
+    logger.info('Terminal container paused', { containerName });
+  },
+
+  /**
+   * Unfreeze a paused terminal container
+   */
+  async resumeTerminal(containerName) {
+    await DockerClient.unpauseContainer(containerName);
+    logger.info('Terminal container unpaused', { containerName });
+  },
+
+  /**
+   * List all terminal containers
+   */
+  async listTerminals() {
+    try {
+      const containers = await DockerClient.listContainers({ name: ['term-'] });
+      return containers.map(container => container.Names[0].replace(/^\//, ''));
+    } catch (error) {
+      logger.error('Failed to list terminal containers', { error: error.message });
+      return [];
+    }
+  },
+
+  /**
+   * Run a command (argv array) in a terminal container
+   * Resolves with { stdout, stderr, exitCode }; rejects with a CommandError on failure
+   */
+  async exec(containerName, argv, { timeout = 30000, signal, input, allowFailure } = {}) {
+    return DockerClient.exec(containerName, argv, { timeout, signal, input, allowFailure });
+  },
+
+  /**
+   * Open an interactive shell in a terminal container (a TTY exec session -
+   * resizing it resizes the exec's TTY)
+   */
+  async spawnShell(containerName, { cols = 120, rows = 30 } = {}) {
+    return DockerClient.openShell(containerName, ['/bin/bash'], {
+      cols,
+      rows,
+      env: {
+        TERM: 'xterm-256color',
+        COLORTERM: 'truecolor',
+      },
+    });
+  },
+};
+
+export default KindDriver;
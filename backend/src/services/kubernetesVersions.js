@@ -0,0 +1,76 @@
+import config from '../config/index.js';
+import { ValidationError } from '../api/middleware/errorHandler.js';
+import { normalizeVersion as normalize, compareVersions } from '../utils/version.js';
+
+/**
+ * Parse configured versions: 'v1.29.2' or 'v1.29.2=kindest/node:v1.29.2@sha256:...'
+ */
+const parseVersions = () => config.kubernetes.versions.map(entry => {
+  const [version, image] = entry.split('=').map(part => part.trim());
+  return {
+    version: normalize(version),
+    image: image || `${config.kubernetes.nodeImage}:${normalize(version)}`,
+  };
+});
+
+/**
+ * Kubernetes versions available for sessions (backed by local kindest/node images)
+ */
+export const KubernetesVersions = {
+  /**
+   * List available versions, newest first
+   */
+  list() {
+    return parseVersions()
+      .map(entry => entry.version)
+      .sort((a, b) => compareVersions(b, a));
+  },
+
+  /**
+   * Get the version used when a session doesn't ask for one
+   * (null when no versions are configured - the kind binary's default node image is used)
+   */
+  getDefault() {
+    if (config.kubernetes.defaultVersion) {
+      return normalize(config.kubernetes.defaultVersion);
+    }
+    return this.list()[0] || null;
+  },
+
+  /**
+   * Resolve a requested version to an available one.
+   * Accepts 'v1.29.2', '1.29.2' or a minor version ('1.29' picks its newest patch).
+   */
+  resolve(requested) {
+    if (requested === undefined || requested === null || requested === '') {
+      return this.getDefault();
+    }
+
+    const wanted = normalize(requested);
+    const available = this.list();
+    const match = available.find(version => version === wanted)
+      || available.find(version => version.startsWith(`${wanted}.`));
+
+    if (!match) {
+      throw new ValidationError(
+        `Kubernetes version ${wanted} is not available` +
+        (available.length > 0 ? ` (available: ${available.join(', ')})` : '')
+      );
+    }
+
+    return match;
+  },
+
+  /**
+   * Get the kindest/node image for a version (null for the kind default)
+   */
+  getNodeImage(version) {
+    if (!version) {
+      return null;
+    }
+    const entry = parseVersions().find(item => item.version === normalize(version));
+    return entry ? entry.image : `${config.kubernetes.nodeImage}:${normalize(version)}`;
+  },
+};
+
+export default KubernetesVersions;
@@ -0,0 +1,316 @@
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import PoolModel from '../models/pool.js';
+import PortModel from '../models/port.js';
+import SessionModel from '../models/session.js';
+import TaskModel from '../models/task.js';
+import ClusterDriver from './drivers/index.js';
+import KubernetesVersions from './kubernetesVersions.js';
+import ClusterTopology from './topology.js';
+import AddonService from './addons.js';
+import TerminalService from './terminal.js';
+import logger from '../utils/logger.js';
+
+// Refill state
+let refillTimer = null;
+let isFilling = false;
+
+// Longest wait before retrying after failed refills
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// Failed refills in a row, and when the next refill may start
+let failedRefills = 0;
+let retryAt = 0;
+
+/**
+ * Warm pool of pre-provisioned clusters + terminal containers
+ */
+export const PoolService = {
+  /**
+   * Number of pool entries we should add right now.
+   * The pool shares session.maxConcurrent with active sessions.
+   */
+  getDeficit() {
+    const poolCount = PoolModel.count();
+    const freeSlots = config.session.maxConcurrent - SessionModel.countHoldingSlots() - poolCount;
+    const wanted = config.pool.size - poolCount;
+    return Math.max(0, Math.min(wanted, freeSlots));
+  },
+
+  /**
+   * Check if there is a free slot for an on-demand (non-pooled) cluster
+   */
+  hasFreeSlot() {
+    return SessionModel.countHoldingSlots() + PoolModel.count() < config.session.maxConcurrent;
+  },
+
+  /**
+   * Check if an on-demand cluster can get a slot, counting the slots of ready
+   * pool entries (they are given up for it - see takeSlot())
+   */
+  canTakeSlot() {
+    return this.hasFreeSlot() || PoolModel.countReady() > 0;
+  },
+
+  /**
+   * Make sure an on-demand cluster has a slot. Without a free one, the oldest ready
+   * pool entry gives its slot up and is torn down, so pool clusters a session can't
+   * use never hold back admission. Returns false when every slot is really taken.
+   */
+  takeSlot() {
+    if (this.hasFreeSlot()) {
+      return true;
+    }
+
+    const entry = PoolModel.findAll().find(item => item.status === 'ready');
+    if (!entry) {
+      return false;
+    }
+
+    // Out of the pool right away, so it no longer counts against the slots
+    PoolModel.delete(entry.id);
+    logger.info('Releasing warm pool entry for an on-demand cluster', {
+      poolId: entry.id,
+      clusterName: entry.cluster_name,
+    });
+    this.destroyEntry(entry).catch(err => {
+      logger.error('Failed to tear down released pool entry', {
+        poolId: entry.id,
+        error: err.message,
+      });
+    });
+    return true;
+  },
+
+  /**
+   * What pool clusters are built with, from the tasks for the default Kubernetes version:
+   * the most workers any task needs and every add-on the tasks use, so nearly every
+   * session fits on one. Node labels and taints are applied when a session claims the cluster.
+   */
+  getProfile() {
+    const tasks = TaskModel.findRequirements(KubernetesVersions.getDefault());
+    return {
+      workers: ClusterTopology.maxWorkers(tasks),
+      addons: AddonService.fromTasks(tasks),
+    };
+  },
+
+  /**
+   * Check if a pool entry can host a session's cluster. Add-ons missing from the entry
+   * are installed on claim, except networking ones, which only work from cluster creation.
+   */
+  fits(entry, topology, addons = []) {
+    const installed = AddonService.fromJson(entry.addons);
+    const networking = AddonService.resolve(addons).filter(addon => addon.networking);
+
+    return (entry.workers || 0) >= (topology ? topology.workers : 0)
+      && networking.every(addon => installed.includes(addon.name));
+  },
+
+  /**
+   * Provision a single pool entry: ports, cluster and terminal container.
+   * Pool clusters run the default Kubernetes version.
+   * Returns whether the entry became ready.
+   */
+  async provisionEntry() {
+    const shortId = uuidv4().split('-')[0];
+    const clusterName = `ckad-${shortId}`;
+    const kubernetesVersion = KubernetesVersions.getDefault();
+    const profile = this.getProfile();
+    const topology = ClusterTopology.normalize({ workers: profile.workers });
+    const addons = AddonService.resolve(profile.addons);
+    const entry = PoolModel.create(clusterName, kubernetesVersion, topology.workers, profile.addons);
+
+    try {
+      // Ports are owned by the pool entry until a session claims it
+      const ports = PortModel.allocatePorts(entry.id);
+
+      const clusterResult = await ClusterDriver.createCluster(clusterName, ports, { kubernetesVersion, topology, addons });
+      for (const addon of addons) {
+        await ClusterDriver.installAddon(clusterName, clusterResult.kubeconfigPath, addon);
+      }
+
+      const terminalKubeconfigPath = clusterResult.terminalKubeconfigPath || clusterResult.kubeconfigPath;
+      const terminalResult = await TerminalService.createContainer(clusterName, terminalKubeconfigPath);
+
+      PoolModel.markReady(entry.id, {
+        kubeconfigPath: clusterResult.kubeconfigPath,
+        terminalKubeconfigPath,
+        terminalContainerId: terminalResult.containerId,
+      });
+
+      logger.info('Warm pool entry ready', {
+        poolId: entry.id,
+        clusterName,
+        workers: topology.workers,
+        addons: profile.addons,
+        durationMs: clusterResult.duration,
+      });
+      return true;
+    } catch (error) {
+      logger.error('Failed to provision warm pool entry', {
+        poolId: entry.id,
+        clusterName,
+        error: error.message,
+      });
+      await this.destroyEntry(entry);
+      return false;
+    }
+  },
+
+  /**
+   * Tear down a pool entry and everything it owns
+   */
+  async destroyEntry(entry) {
+    await TerminalService.removeContainer(`term-${entry.cluster_name}`).catch(() => {});
+    await ClusterDriver.cleanupCluster(entry.cluster_name).catch(err => {
+      logger.warn('Failed to cleanup pool cluster', {
+        poolId: entry.id,
+        error: err.message,
+      });
+    });
+    PortModel.releasePorts(entry.id);
+    PoolModel.delete(entry.id);
+  },
+
+  /**
+   * Fill the pool up to its target size, one cluster at a time.
+   * A failed entry ends the refill; the next one waits twice as long as the last
+   * (from pool.refillIntervalMs up to MAX_BACKOFF_MS), so a persistent failure
+   * doesn't turn into a create/delete loop.
+   */
+  async fill() {
+    if (isFilling || config.pool.size <= 0 || Date.now() < retryAt) {
+      return;
+    }
+
+    isFilling = true;
+    try {
+      while (this.getDeficit() > 0) {
+        logger.info('Refilling warm pool', {
+          target: config.pool.size,
+          current: PoolModel.count(),
+        });
+
+        if (!await this.provisionEntry()) {
+          failedRefills++;
+          const backoffMs = Math.min(config.pool.refillIntervalMs * 2 ** (failedRefills - 1), MAX_BACKOFF_MS);
+          retryAt = Date.now() + backoffMs;
+          logger.warn('Warm pool refill paused after a failure', { failedRefills, retryInMs: backoffMs });
+          break;
+        }
+        failedRefills = 0;
+      }
+    } catch (error) {
+      logger.error('Warm pool refill failed', { error: error.message });
+    } finally {
+      isFilling = false;
+    }
+  },
+
+  /**
+   * Claim a ready pool entry running the given Kubernetes version that can host the
+   * session's topology and add-ons. The entry's cluster becomes the session's primary
+   * context; clusters for extra contexts are created on claim.
+   * Returns the entry (already removed from the pool) or null.
+   * Triggers a background refill either way.
+   */
+  claim(kubernetesVersion, topology = null, addons = []) {
+    const entry = config.pool.size > 0
+      ? PoolModel.claimReady(kubernetesVersion, item => this.fits(item, topology, addons))
+      : null;
+
+    if (entry) {
+      logger.info('Claimed warm pool entry', { poolId: entry.id, clusterName: entry.cluster_name });
+    }
+
+    setImmediate(() => this.fill());
+    return entry;
+  },
+
+  /**
+   * Get cluster names owned by the pool (so orphan cleanup leaves them alone)
+   */
+  getClusterNames() {
+    return PoolModel.findAll().map(entry => entry.cluster_name);
+  },
+
+  /**
+   * Drop pool entries left over from a previous process: half-provisioned
+   * entries, ready entries whose cluster has disappeared, and entries built
+   * for a Kubernetes version that is no longer the default or with less than
+   * the tasks need now (workers or add-ons)
+   */
+  async reconcile() {
+    const entries = PoolModel.findAll();
+    if (entries.length === 0) {
+      return;
+    }
+
+    const clusters = await ClusterDriver.listClusters();
+    const kubernetesVersion = KubernetesVersions.getDefault();
+    const profile = this.getProfile();
+
+    for (const entry of entries) {
+      if (entry.status === 'ready'
+        && clusters.includes(entry.cluster_name)
+        && entry.kubernetes_version === kubernetesVersion
+        && entry.workers >= profile.workers
+        && profile.addons.every(name => AddonService.fromJson(entry.addons).includes(name))) {
+        continue;
+      }
+
+      logger.info('Removing stale warm pool entry', {
+        poolId: entry.id,
+        clusterName: entry.cluster_name,
+        status: entry.status,
+      });
+      await this.destroyEntry(entry);
+    }
+  },
+
+  /**
+   * Get pool statistics
+   */
+  getStats() {
+    return {
+      size: config.pool.size,
+      total: PoolModel.count(),
+      ready: PoolModel.countReady(),
+    };
+  },
+
+  /**
+   * Start the pool manager (reconcile, fill, then refill periodically)
+   */
+  async start() {
+    if (config.pool.size <= 0) {
+      logger.info('Warm pool disabled');
+      return;
+    }
+
+    logger.info('Starting warm pool', { size: config.pool.size });
+
+    try {
+      await this.reconcile();
+    } catch (error) {
+      logger.error('Failed to reconcile warm pool', { error: error.message });
+    }
+
+    this.fill();
+    refillTimer = setInterval(() => this.fill(), config.pool.refillIntervalMs);
+  },
+
+  /**
+   * Stop the periodic refill (pool clusters are kept for the next start)
+   */
+  stop() {
+    if (refillTimer) {
+      clearInterval(refillTimer);
+      refillTimer = null;
+    }
+    logger.info('Warm pool stopped');
+  },
+};
+
+export default PoolService;
@@ -0,0 +1,425 @@
+import { EventEmitter } from 'events';
+import SessionModel from '../models/session.js';
+import TaskModel from '../models/task.js';
+import IncidentModel from '../models/incident.js';
+import PortModel from '../models/port.js';
+import ClusterDriver from './drivers/index.js';
+import TerminalService from './terminal.js';
+import ClusterTopology from './topology.js';
+import AddonService from './addons.js';
+import SnapshotService from './snapshots.js';
+import ClusterContexts from './contexts.js';
+import RecordingService from './recordings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Provisioning steps, in order, as reported to clients
+ */
+export const PROVISIONING_STEPS = [
+  { key: 'tasks_assigned', label: 'Tasks assigned' },
+  { key: 'ports_allocated', label: 'Ports allocated' },
+  { key: 'cluster_created', label: 'Cluster created' },
+  { key: 'node_ready', label: 'Nodes Ready' },
+  { key: 'system_pods_running', label: 'System pods running' },
+  { key: 'nodes_configured', label: 'Node labels and taints applied' },
+  { key: 'addons_ready', label: 'Cluster add-ons ready' },
+  { key: 'contexts_ready', label: 'Other cluster contexts ready' },
+  { key: 'terminal_ready', label: 'Terminal container up' },
+  { key: 'namespace_created', label: 'Question namespace ready' },
+];
+
+// Progress events per session (event name = session ID)
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Sessions being provisioned by this process
+const inFlight = new Set();
+
+/**
+ * Session provisioning service - builds the session environment in the
+ * background and publishes progress events
+ */
+export const ProvisionerService = {
+  /**
+   * Build a progress snapshot for a completed step
+   */
+  describeStep(step) {
+    const index = PROVISIONING_STEPS.findIndex(s => s.key === step);
+    const completed = index + 1;
+
+    return {
+      step: step || null,
+      label: index >= 0 ? PROVISIONING_STEPS[index].label : 'Waiting to start',
+      completed,
+      total: PROVISIONING_STEPS.length,
+      percentage: Math.round((completed / PROVISIONING_STEPS.length) * 100),
+    };
+  },
+
+  /**
+   * Get current provisioning progress for a session
+   */
+  getProgress(session) {
+    return {
+      ...this.describeStep(session.provisioning_step),
+      steps: PROVISIONING_STEPS,
+    };
+  },
+
+  /**
+   * Subscribe to provisioning events for a session
+   * Returns an unsubscribe function
+   */
+  subscribe(sessionId, listener) {
+    events.on(sessionId, listener);
+    return () => events.off(sessionId, listener);
+  },
+
+  /**
+   * Check if a session is being provisioned by this process
+   */
+  isInFlight(sessionId) {
+    return inFlight.has(sessionId);
+  },
+
+  /**
+   * Record and publish a completed step
+   */
+  report(sessionId, step) {
+    SessionModel.setProvisioningStep(sessionId, step);
+    events.emit(sessionId, { type: 'progress', ...this.describeStep(step) });
+    logger.debug('Provisioning step completed', { sessionId, step });
+  },
+
+  /**
+   * Pick the exam tasks for a new session (20 random tasks, like the real exam),
+   * the cluster topology that satisfies all of them, the add-ons they need and
+   * the extra cluster contexts they target
+   */
+  planSession(kubernetesVersion) {
+    let tasks = [];
+
+    try {
+      tasks = TaskModel.getRandomExamTasks(20, kubernetesVersion);
+    } catch (error) {
+      logger.error('Failed to pick exam tasks', { error: error.message });
+      // Continue anyway - tasks can be added later
+      // Don't fail session creation just because of insufficient tasks
+    }
+
+    return {
+      taskIds: tasks.map(task => task.id),
+      topology: ClusterTopology.fromTasks(tasks),
+      addons: AddonService.fromTasks(tasks),
+      contexts: ClusterContexts.fromTasks(tasks),
+    };
+  },
+
+  /**
+   * Start a session's terminal container. With extra contexts its kubeconfig has one
+   * context per cluster (the primary one current) and it can reach every cluster.
+   */
+  async createTerminal(session) {
+    const contexts = ClusterContexts.list(session);
+    const extraClusters = contexts.filter(context => !context.primary).map(context => context.clusterName);
+
+    const kubeconfigPath = extraClusters.length > 0
+      ? await ClusterDriver.mergeKubeconfigs(session.cluster_name, contexts)
+      : (await ClusterDriver.exportKubeconfig(session.cluster_name)).terminalKubeconfigPath;
+
+    return TerminalService.createContainer(session.cluster_name, kubeconfigPath, { extraClusters });
+  },
+
+  /**
+   * Create a session's clusters (allocating their ports unless the session already has
+   * them), configure the main cluster's nodes and add-ons and start the terminal
+   * container. With a warm pool entry, its cluster, ports and terminal container are
+   * taken over instead of created. Returns the terminal container name.
+   */
+  async buildEnvironment(session, onProgress, pooled = null) {
+    const sessionId = session.id;
+    const clusterName = session.cluster_name;
+    const topology = ClusterTopology.fromJson(session.topology);
+    const addons = AddonService.resolve(AddonService.fromJson(session.addons));
+    const [primary, ...extraContexts] = ClusterContexts.list(session);
+
+    if (pooled) {
+      PortModel.reassignPorts(pooled.id, sessionId);
+    }
+
+    // A rebuild keeps the ports, so anything the user noted down (ingress URLs) keeps working
+    const ports = {};
+    for (const context of [primary, ...extraContexts]) {
+      const portContext = context.primary ? null : context.name;
+      ports[context.name] = PortModel.getClusterPorts(sessionId, portContext)
+        || PortModel.allocatePorts(sessionId, portContext);
+    }
+    logger.info('Ports allocated', { sessionId, ports });
+    onProgress('ports_allocated');
+
+    let kubeconfigPath;
+    if (pooled) {
+      // Built with enough workers and the common add-ons when the pool was filled
+      kubeconfigPath = pooled.kubeconfig_path;
+      SessionModel.addNotes(sessionId, 'Cluster claimed from warm pool');
+      ['cluster_created', 'node_ready', 'system_pods_running'].forEach(onProgress);
+    } else {
+      // Create cluster
+      const clusterResult = await ClusterDriver.createCluster(clusterName, ports[primary.name], {
+        onProgress,
+        kubernetesVersion: session.kubernetes_version,
+        topology,
+        addons,
+      });
+      kubeconfigPath = clusterResult.kubeconfigPath;
+
+      // Update session with kubeconfig path
+      SessionModel.updateDetails(sessionId, { kubeconfigPath });
+      SessionModel.addNotes(sessionId, `Cluster created in ${clusterResult.duration}ms`);
+    }
+
+    // Node labels and taints must be in place before the first question
+    await ClusterDriver.configureNodes(clusterName, kubeconfigPath, topology);
+    onProgress('nodes_configured');
+
+    // Add-ons must be ready before the first question is shown (a pooled cluster has most already)
+    const installed = pooled ? AddonService.fromJson(pooled.addons) : [];
+    for (const addon of addons.filter(item => !installed.includes(item.name))) {
+      await ClusterDriver.installAddon(clusterName, kubeconfigPath, addon);
+      SessionModel.addNotes(sessionId, `Add-on ${addon.name} installed`);
+    }
+    onProgress('addons_ready');
+
+    // Every other context gets a single-node cluster (topology and add-ons are the main cluster's)
+    for (const context of extraContexts) {
+      const contextResult = await ClusterDriver.createCluster(context.clusterName, ports[context.name], {
+        kubernetesVersion: session.kubernetes_version,
+      });
+      SessionModel.addNotes(sessionId, `Cluster for context ${context.name} created in ${contextResult.duration}ms`);
+    }
+    onProgress('contexts_ready');
+
+    // The pool entry's terminal container already has the cluster's kubeconfig; with
+    // other contexts it is replaced by one that can reach their clusters too
+    if (pooled) {
+      if (extraContexts.length === 0) {
+        onProgress('terminal_ready');
+        return `term-${clusterName}`;
+      }
+      await TerminalService.removeContainer(`term-${clusterName}`);
+    }
+
+    // Create terminal container with the terminal-specific kubeconfig
+    const terminalResult = await this.createTerminal(session);
+
+    // Update session with terminal container ID
+    SessionModel.updateDetails(sessionId, {
+      terminalContainerId: terminalResult.containerId,
+    });
+    onProgress('terminal_ready');
+
+    return terminalResult.containerName;
+  },
+
+  /**
+   * Provision the environment for a session.
+   * With a warm pool entry, only the per-session steps are left to do.
+   * With a snapshot, its progress and question namespace are restored.
+   * Never throws - failures are recorded on the session and published.
+   */
+  async provision(session, pooled = null, taskIds = [], snapshot = null) {
+    const sessionId = session.id;
+    const clusterName = session.cluster_name;
+    const onProgress = (step) => this.report(sessionId, step);
+
+    inFlight.add(sessionId);
+
+    try {
+      // Assign the exam tasks picked at session start
+      if (taskIds.length > 0) {
+        SessionModel.assignRandomTasks(sessionId, taskIds);
+        logger.info('Assigned random exam tasks', {
+          sessionId,
+          taskCount: taskIds.length,
+          taskIds,
+        });
+      }
+
+      // Pick up where the snapshot left off
+      if (snapshot) {
+        SessionModel.updateTaskProgress(sessionId, snapshot.current_task_id, snapshot.completed_tasks);
+        // Only the current question's namespace is in the snapshot
+        SessionModel.resetOpenedQuestions(sessionId);
+        SessionModel.addNotes(sessionId, `Restored from snapshot "${snapshot.name}"`);
+      }
+      onProgress('tasks_assigned');
+
+      const containerName = await this.buildEnvironment(session, onProgress, pooled);
+
+      // Initialize the namespace for the first question (or the snapshot's question)
+      const questionNumber = snapshot ? snapshot.current_task_id : 1;
+      try {
+        const context = ClusterContexts.forQuestion(session, questionNumber);
+        await TerminalService.openQuestionNamespace(containerName, questionNumber, context);
+        logger.info('Initialized namespace for question', {
+          sessionId,
+          namespace: `q${questionNumber}`,
+        });
+      } catch (error) {
+        logger.warn('Failed to initialize first namespace', {
+          sessionId,
+          error: error.message,
+        });
+        // Continue anyway - not critical for session creation
+      }
+
+      // A restore that doesn't bring the user's work back is a failed session
+      if (snapshot) {
+        await SnapshotService.restore(snapshot, SessionModel.findById(sessionId));
+      }
+      onProgress('namespace_created');
+
+      SessionModel.transition(sessionId, 'ready');
+      events.emit(sessionId, { type: 'ready', sessionId });
+
+      logger.info('Session started successfully', {
+        sessionId,
+        userId: session.user_id,
+        clusterName,
+      });
+    } catch (error) {
+      // Cleanup on failure
+      logger.error('Session provisioning failed, cleaning up', {
+        sessionId,
+        error: error.message,
+      });
+
+      await this.cleanupSession(sessionId, clusterName);
+      SessionModel.transition(sessionId, 'failed', `Failed: ${error.message}`);
+
+      events.emit(sessionId, { type: 'failed', message: error.message });
+    } finally {
+      inFlight.delete(sessionId);
+    }
+  },
+
+  /**
+   * Rebuild a session's cluster and terminal container from scratch (the session
+   * must already be 'rebuilding'). The ports, assigned tasks, current question and
+   * task results stay as they are; the current question's namespace and setup
+   * script are applied again. Never throws - a failed rebuild fails the session.
+   */
+  async rebuild(session) {
+    const sessionId = session.id;
+    const clusterName = session.cluster_name;
+    const containerName = `term-${clusterName}`;
+    const onProgress = (step) => this.report(sessionId, step);
+
+    inFlight.add(sessionId);
+
+    try {
+      SessionModel.setProvisioningStep(sessionId, null);
+
+      // The outage (if any) ends with the old cluster
+      const incident = IncidentModel.findOpen(sessionId);
+      if (incident) {
+        IncidentModel.resolve(incident.id, 'Replaced by a cluster rebuild');
+      }
+
+      if (await TerminalService.containerExists(containerName)) {
+        await TerminalService.removeContainer(containerName);
+      }
+      for (const name of ClusterContexts.getClusterNames(session).reverse()) {
+        await ClusterDriver.cleanupCluster(name);
+      }
+      onProgress('tasks_assigned');
+
+      await this.buildEnvironment(session, onProgress);
+
+      // Put the user back on their current question (other questions' namespaces are
+      // gone with the old cluster, so their setup scripts run again when they're opened)
+      const questionNumber = session.current_task_id || 1;
+      const { assigned } = SessionModel.getAssignedTasks(sessionId);
+      const task = assigned[questionNumber - 1] ? TaskModel.findById(assigned[questionNumber - 1]) : null;
+      const context = ClusterContexts.forTask(session, task);
+
+      SessionModel.resetOpenedQuestions(sessionId);
+      await TerminalService.openQuestionNamespace(containerName, questionNumber, context);
+
+      if (task && task.setup_script) {
+        const setup = await TerminalService.execScript(containerName, task.setup_script, { timeout: 30000, context });
+        if (!setup.success || !await TerminalService.waitForSetupResources(containerName, `q${questionNumber}`, { context })) {
+          logger.warn('Setup resources not ready after cluster rebuild', {
+            sessionId,
+            taskId: task.id,
+            error: setup.error,
+          });
+        }
+      }
+      onProgress('namespace_created');
+
+      SessionModel.transition(sessionId, 'ready', 'Cluster rebuilt');
+      events.emit(sessionId, { type: 'ready', sessionId });
+
+      logger.info('Session cluster rebuilt', { sessionId, clusterName, questionNumber });
+    } catch (error) {
+      logger.error('Cluster rebuild failed, cleaning up', {
+        sessionId,
+        error: error.message,
+      });
+
+      await this.cleanupSession(sessionId, clusterName);
+      SessionModel.transition(sessionId, 'failed', `Failed: cluster rebuild - ${error.message}`);
+
+      events.emit(sessionId, { type: 'failed', message: error.message });
+    } finally {
+      inFlight.delete(sessionId);
+    }
+  },
+
+  /**
+   * Cleanup session resources (terminal container, clusters, ports, recorders)
+   */
+  async cleanupSession(sessionId, clusterName) {
+    const errors = [];
+    const session = SessionModel.findById(sessionId);
+
+    // Remove terminal container
+    try {
+      const containerName = `term-${clusterName}`;
+      await TerminalService.removeContainer(containerName);
+    } catch (error) {
+      errors.push(`Terminal cleanup: ${error.message}`);
+      logger.error('Failed to remove terminal container', { sessionId, error: error.message });
+    }
+
+    // Delete the clusters of the other contexts, then the main one
+    const clusterNames = session ? ClusterContexts.getClusterNames(session).reverse() : [clusterName];
+    for (const name of clusterNames) {
+      try {
+        await ClusterDriver.cleanupCluster(name);
+      } catch (error) {
+        errors.push(`Cluster cleanup (${name}): ${error.message}`);
+        logger.error('Failed to cleanup cluster', { sessionId, clusterName: name, error: error.message });
+      }
+    }
+
+    // Release ports
+    try {
+      PortModel.releasePorts(sessionId);
+    } catch (error) {
+      errors.push(`Port cleanup: ${error.message}`);
+      logger.error('Failed to release ports', { sessionId, error: error.message });
+    }
+
+    RecordingService.releaseSession(sessionId);
+
+    if (errors.length > 0) {
+      logger.warn('Session cleanup completed with errors', { sessionId, errors });
+    } else {
+      logger.info('Session cleanup completed successfully', { sessionId });
+    }
+  },
+};
+
+export default ProvisionerService;
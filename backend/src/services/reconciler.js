@@ -0,0 +1,185 @@
+import config from '../config/index.js';
+import SessionModel from '../models/session.js';
+import ClusterDriver from './drivers/index.js';
+import TerminalService from './terminal.js';
+import ProvisionerService from './provisioner.js';
+import ClusterContexts from './contexts.js';
+import { notifySession, closeSessionConnections } from '../websocket/terminal.js';
+import logger from '../utils/logger.js';
+
+// Reconcile state
+let reconcileTimer = null;
+let isReconciling = false;
+
+/**
+ * Session reconciler - compares active sessions in the DB with the clusters and
+ * terminal containers that actually exist, and repairs or fails the sessions
+ * that drifted (e.g. after a host reboot or a crashed container).
+ * Orphans in the other direction are handled by the cleanup scheduler.
+ */
+export const ReconcilerService = {
+  /**
+   * Fail a session that can't be repaired, releasing whatever is left of it
+   */
+  async failSession(session, reason) {
+    logger.warn('Failing session during reconciliation', { sessionId: session.id, reason });
+
+    notifySession(session.id, `${reason}. This session has ended - please start a new one.`);
+    closeSessionConnections(session.id);
+
+    await ProvisionerService.cleanupSession(session.id, session.cluster_name);
+    SessionModel.transition(session.id, 'failed', `Failed: ${reason}`);
+  },
+
+  /**
+   * Replace a missing or stopped terminal container and put the user back
+   * in their current question's namespace
+   */
+  async recreateTerminal(session, containerName) {
+    const status = await TerminalService.getContainerStatus(containerName);
+    if (status !== null) {
+      await TerminalService.removeContainer(containerName);
+    }
+
+    // Kubeconfig files live in /tmp, which doesn't survive a reboot - they are written again
+    const terminalResult = await ProvisionerService.createTerminal(session);
+    SessionModel.updateDetails(session.id, { terminalContainerId: terminalResult.containerId });
+
+    const questionNumber = session.current_task_id || 1;
+    await TerminalService.openQuestionNamespace(
+      containerName,
+      questionNumber,
+      ClusterContexts.forQuestion(session, questionNumber)
+    );
+  },
+
+  /**
+   * Check a ready session's clusters and terminal, repairing what can be repaired.
+   * Returns 'ok', 'repaired' or 'failed'.
+   */
+  async reconcileReadySession(session) {
+    const containerName = `term-${session.cluster_name}`;
+    let repaired = false;
+    const clusterStatuses = {};
+
+    for (const context of ClusterContexts.list(session)) {
+      const clusterName = context.clusterName;
+      const described = context.primary ? 'The cluster' : `The cluster for context ${context.name}`;
+
+      const clusterStatus = await ClusterDriver.getClusterStatus(clusterName);
+      clusterStatuses[clusterName] = clusterStatus;
+      if (clusterStatus === null) {
+        await this.failSession(session, `${context.primary ? 'The cluster for this session' : described} no longer exists`);
+        return 'failed';
+      }
+
+      if (clusterStatus === 'stopped') {
+        try {
+          await ClusterDriver.startCluster(clusterName);
+          SessionModel.addNotes(session.id, `Reconciler restarted stopped cluster nodes (${clusterName})`);
+          repaired = true;
+        } catch (error) {
+          await this.failSession(session, `${described} stopped and could not be restarted (${error.message})`);
+          return 'failed';
+        }
+      }
+    }
+
+    const terminalStatus = await TerminalService.getContainerStatus(containerName);
+    if (terminalStatus !== 'running') {
+      try {
+        await this.recreateTerminal(session, containerName);
+        SessionModel.addNotes(session.id, `Reconciler recreated terminal container (was ${terminalStatus || 'missing'})`);
+        repaired = true;
+      } catch (error) {
+        await this.failSession(session, `The terminal container could not be recreated (${error.message})`);
+        return 'failed';
+      }
+    }
+
+    if (repaired) {
+      logger.info('Repaired session', { sessionId: session.id, clusterStatuses, terminalStatus });
+      notifySession(session.id, 'Your environment was restored after an outage. Reconnect the terminal to continue.');
+      return 'repaired';
+    }
+    return 'ok';
+  },
+
+  /**
+   * Reconcile all active sessions.
+   * On startup nothing can still be provisioning, rebuilding or stopping in this
+   * process, so sessions left in those states are resolved too.
+   */
+  async reconcile({ startup = false } = {}) {
+    if (isReconciling) {
+      return null;
+    }
+    isReconciling = true;
+
+    const summary = { checked: 0, repaired: 0, failed: 0 };
+
+    try {
+      for (const session of SessionModel.findAllActive()) {
+        if (ProvisionerService.isInFlight(session.id)) {
+          continue;
+        }
+        summary.checked++;
+
+        try {
+          if (session.status === 'ready') {
+            const result = await this.reconcileReadySession(session);
+            if (result !== 'ok') {
+              summary[result]++;
+            }
+          } else if (startup && session.status === 'provisioning') {
+            await this.failSession(session, 'Provisioning was interrupted by a backend restart');
+            summary.failed++;
+          } else if (startup && session.status === 'rebuilding') {
+            await this.failSession(session, 'The cluster rebuild was interrupted by a backend restart');
+            summary.failed++;
+          } else if (startup && session.status === 'completing') {
+            // Stop was interrupted - finish releasing the resources
+            await ProvisionerService.cleanupSession(session.id, session.cluster_name);
+            SessionModel.transition(session.id, 'completed', 'Cleanup finished after backend restart');
+          }
+        } catch (error) {
+          logger.error('Failed to reconcile session', { sessionId: session.id, error: error.message });
+        }
+      }
+
+      if (summary.repaired > 0 || summary.failed > 0) {
+        logger.info('Session reconciliation completed', { startup, ...summary });
+      }
+      return summary;
+    } finally {
+      isReconciling = false;
+    }
+  },
+
+  /**
+   * Reconcile now, then periodically
+   */
+  start() {
+    this.reconcile({ startup: true }).catch(error => {
+      logger.error('Startup reconciliation failed', { error: error.message });
+    });
+
+    reconcileTimer = setInterval(() => {
+      this.reconcile().catch(error => {
+        logger.error('Session reconciliation failed', { error: error.message });
+      });
+    }, config.reconciler.intervalMs);
+  },
+
+  /**
+   * Stop periodic reconciliation
+   */
+  stop() {
+    if (reconcileTimer) {
+      clearInterval(reconcileTimer);
+      reconcileTimer = null;
+    }
+  },
+};
+
+export default ReconcilerService;
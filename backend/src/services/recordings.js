@@ -0,0 +1,337 @@
+import { createWriteStream, mkdirSync } from 'fs';
+import { readdir, readFile, rm, rmdir, stat } from 'fs/promises';
+import { join, resolve } from 'path';
+import config from '../config/index.js';
+import RecordingModel from '../models/recording.js';
+import logger from '../utils/logger.js';
+
+const MB = 1024 * 1024;
+
+// Recording progress is saved to the database at most this often while output flows
+const SAVE_INTERVAL_MS = 10000;
+
+// Label of the marker written when a question is opened ("Question 3")
+const QUESTION_MARKER = /^Question (\d+)$/;
+
+// Recordings being written (recording ID -> recorder)
+const active = new Map();
+
+// Bytes recorded per running session, counting recordings being written
+const sessionUsage = new Map();
+
+// Seconds (with millisecond precision) between two Date.now() values
+const secondsBetween = (from, to) => Math.round(to - from) / 1000;
+
+/**
+ * Keep the parts of an asciicast where a question was open, one after the other.
+ * Resize events are kept throughout so the terminal size stays right.
+ */
+const sliceQuestion = (cast, question) => {
+  const [header, ...lines] = cast.split('\n').filter(Boolean);
+  const events = [header];
+  let current = null;
+  let elapsed = 0;
+  let segmentStart = 0;
+
+  for (const line of lines) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      // A recording cut short by a crash can end with half a line
+      continue;
+    }
+    const [time, type, data] = event;
+
+    const match = type === 'm' && QUESTION_MARKER.exec(data);
+    if (match) {
+      const next = Number(match[1]);
+      if (current === question && next !== question) {
+        elapsed += time - segmentStart;
+      } else if (current !== question && next === question) {
+        segmentStart = time;
+      }
+      current = next;
+    }
+
+    if (current === question) {
+      events.push(JSON.stringify([Math.round((elapsed + time - segmentStart) * 1000) / 1000, type, data]));
+    } else if (type === 'r') {
+      events.push(JSON.stringify([Math.round(elapsed * 1000) / 1000, type, data]));
+    }
+  }
+
+  return `${events.join('\n')}\n`;
+};
+
+/**
+ * Terminal recording service - writes every shell's output and resizes as an
+ * asciicast v2 file (https://docs.asciinema.org/manual/asciicast/v2/), with a
+ * "Question N" marker each time a question is opened. Files live in one directory per
+ * session under recordings.directory; recordings.maxSessionMb caps what a session
+ * records, and old recordings are deleted by cleanup().
+ */
+export const RecordingService = {
+  /**
+   * Path of a recording's asciicast file
+   */
+  getPath(recording) {
+    return join(resolve(config.recordings.directory), recording.session_id, `${recording.id}.cast`);
+  },
+
+  /**
+   * Start recording a shell of a session. Returns a recorder with output(data),
+   * resize(cols, rows), marker(question) and stop(), or null when recording is disabled.
+   */
+  start(session, terminal, { width, height }) {
+    if (!config.recordings.enabled) {
+      return null;
+    }
+
+    const recording = RecordingModel.create({
+      sessionId: session.id,
+      userId: session.user_id,
+      terminal,
+      width,
+      height,
+    });
+    const path = this.getPath(recording);
+    mkdirSync(join(path, '..'), { recursive: true });
+
+    const stream = createWriteStream(path);
+    stream.on('error', (error) => {
+      logger.error('Failed to write recording', { recordingId: recording.id, error: error.message });
+    });
+
+    if (!sessionUsage.has(session.id)) {
+      sessionUsage.set(session.id, RecordingModel.getSessionSize(session.id));
+    }
+
+    const startedAt = Date.now();
+    const limitBytes = config.recordings.maxSessionMb * MB;
+    const markers = [];
+    let sizeBytes = 0;
+    let truncated = false;
+    let lastSavedAt = startedAt;
+    let stopped = false;
+
+    const save = () => {
+      lastSavedAt = Date.now();
+      RecordingModel.updateProgress(recording.id, {
+        sizeBytes,
+        durationSeconds: secondsBetween(startedAt, lastSavedAt),
+        markers,
+        truncated,
+      });
+    };
+
+    const write = (line, { force = false } = {}) => {
+      const bytes = Buffer.byteLength(line) + 1;
+      if (!force && sessionUsage.get(session.id) + bytes > limitBytes) {
+        if (!truncated) {
+          truncated = true;
+          logger.warn('Session recording limit reached', { sessionId: session.id, maxSessionMb: config.recordings.maxSessionMb });
+          save();
+        }
+        return;
+      }
+      stream.write(`${line}\n`);
+      sizeBytes += bytes;
+      sessionUsage.set(session.id, sessionUsage.get(session.id) + bytes);
+    };
+
+    const writeEvent = (type, data) => {
+      if (stopped) {
+        return;
+      }
+      write(JSON.stringify([secondsBetween(startedAt, Date.now()), type, data]), { force: type === 'm' });
+      if (Date.now() - lastSavedAt > SAVE_INTERVAL_MS) {
+        save();
+      }
+    };
+
+    const recorder = {
+      recording,
+      sessionId: session.id,
+
+      output(data) {
+        writeEvent('o', data);
+      },
+
+      resize(cols, rows) {
+        writeEvent('r', `${cols}x${rows}`);
+      },
+
+      marker(question) {
+        if (stopped) {
+          return;
+        }
+        markers.push({ time: secondsBetween(startedAt, Date.now()), question });
+        writeEvent('m', `Question ${question}`);
+        save();
+      },
+
+      stop() {
+        if (stopped) {
+          return;
+        }
+        stopped = true;
+        active.delete(recording.id);
+        stream.end();
+        save();
+        RecordingModel.finish(recording.id, { sizeBytes, durationSeconds: secondsBetween(startedAt, Date.now()) });
+        logger.info('Recording finished', { recordingId: recording.id, sessionId: session.id, terminal, sizeBytes });
+      },
+    };
+
+    write(JSON.stringify({
+      version: 2,
+      width,
+      height,
+      timestamp: Math.floor(startedAt / 1000),
+      title: `Session ${session.id} - ${terminal}`,
+      env: { SHELL: '/bin/bash', TERM: 'xterm-256color' },
+    }), { force: true });
+
+    active.set(recording.id, recorder);
+    recorder.marker(session.current_task_id || 1);
+
+    logger.info('Recording started', { recordingId: recording.id, sessionId: session.id, terminal });
+    return recorder;
+  },
+
+  /**
+   * Mark the opening of a question in every recording of a session
+   */
+  markQuestion(sessionId, questionNumber) {
+    for (const recorder of active.values()) {
+      if (recorder.sessionId === sessionId) {
+        recorder.marker(questionNumber);
+      }
+    }
+  },
+
+  /**
+   * Finish the recordings of a session that has ended and forget its recorded size
+   */
+  releaseSession(sessionId) {
+    for (const recorder of [...active.values()]) {
+      if (recorder.sessionId === sessionId) {
+        recorder.stop();
+      }
+    }
+    sessionUsage.delete(sessionId);
+  },
+
+  /**
+   * Read a recording's asciicast, or only the parts where one question was open
+   */
+  async readCast(recording, { question = null } = {}) {
+    const cast = await readFile(this.getPath(recording), 'utf8');
+    return question ? sliceQuestion(cast, question) : cast;
+  },
+
+  /**
+   * Format a recording for API responses
+   */
+  toJson(recording) {
+    let markers = [];
+    try {
+      markers = JSON.parse(recording.markers || '[]');
+    } catch {
+      markers = [];
+    }
+
+    return {
+      id: recording.id,
+      sessionId: recording.session_id,
+      terminal: recording.terminal,
+      status: recording.status,
+      width: recording.width,
+      height: recording.height,
+      sizeBytes: recording.size_bytes,
+      durationSeconds: recording.duration_seconds,
+      truncated: !!recording.truncated,
+      questions: markers,
+      startedAt: recording.started_at,
+      endedAt: recording.ended_at,
+    };
+  },
+
+  /**
+   * Delete a recording and its file (and the session's directory once empty)
+   */
+  async delete(recording) {
+    const recorder = active.get(recording.id);
+    if (recorder) {
+      recorder.stop();
+    }
+    // Stopping saved the final size, which the row passed in may predate
+    const { size_bytes: sizeBytes } = RecordingModel.findById(recording.id) || recording;
+
+    const path = this.getPath(recording);
+    await rm(path, { force: true });
+    await rmdir(join(path, '..')).catch(() => {});
+    RecordingModel.delete(recording.id);
+
+    // The session's other recorders keep counting against its limit
+    const sessionId = recording.session_id;
+    if (![...active.values()].some(other => other.sessionId === sessionId)) {
+      sessionUsage.delete(sessionId);
+    } else if (sessionUsage.has(sessionId)) {
+      sessionUsage.set(sessionId, Math.max(0, sessionUsage.get(sessionId) - sizeBytes));
+    }
+    logger.info('Recording deleted', { recordingId: recording.id, sessionId: recording.session_id });
+  },
+
+  /**
+   * Finish recordings a restart left open, sizing them from their files
+   */
+  async recoverInterrupted() {
+    for (const recording of RecordingModel.findRecording()) {
+      if (active.has(recording.id)) {
+        continue;
+      }
+      const sizeBytes = await stat(this.getPath(recording)).then(file => file.size).catch(() => recording.size_bytes);
+      RecordingModel.finish(recording.id, { sizeBytes, durationSeconds: recording.duration_seconds });
+      logger.info('Finished interrupted recording', { recordingId: recording.id, sessionId: recording.session_id });
+    }
+  },
+
+  /**
+   * Delete recordings past recordings.retentionDays, the oldest ones while all of them
+   * take more than recordings.maxTotalMb, and files left behind by deleted sessions
+   */
+  async cleanup() {
+    let deleted = 0;
+
+    for (const recording of RecordingModel.findExpired(config.recordings.retentionDays)) {
+      await this.delete(recording);
+      deleted++;
+    }
+
+    let totalBytes = RecordingModel.getTotalSize();
+    for (const recording of RecordingModel.findFinishedOldestFirst()) {
+      if (totalBytes <= config.recordings.maxTotalMb * MB) {
+        break;
+      }
+      await this.delete(recording);
+      totalBytes -= recording.size_bytes;
+      deleted++;
+    }
+
+    // Sessions' recording rows go with them; their directories are removed here
+    const directory = resolve(config.recordings.directory);
+    const sessionIds = new Set(RecordingModel.getSessionIds());
+    const entries = await readdir(directory).catch(() => []);
+    for (const entry of entries.filter(name => !sessionIds.has(name))) {
+      logger.info('Removing recordings of deleted session', { sessionId: entry });
+      await rm(join(directory, entry), { recursive: true, force: true });
+      sessionUsage.delete(entry);
+    }
+
+    return deleted;
+  },
+};
+
+export default RecordingService;
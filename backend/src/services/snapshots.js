@@ -0,0 +1,170 @@
+import { mkdir, readdir, rm, stat } from 'fs/promises';
+import { join, resolve } from 'path';
+import config from '../config/index.js';
+import SnapshotModel from '../models/snapshot.js';
+import ClusterDriver from './drivers/index.js';
+import ClusterTopology from './topology.js';
+import AddonService from './addons.js';
+import ClusterContexts from './contexts.js';
+import logger from '../utils/logger.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Total size of the files in a snapshot directory, in bytes
+ */
+const getDirectorySize = async (directory) => {
+  const files = await readdir(directory);
+  const sizes = await Promise.all(files.map(async file => (await stat(join(directory, file))).size));
+  return sizes.reduce((total, size) => total + size, 0);
+};
+
+/**
+ * Parse stored task progress ({ assigned, completed }, or the old completed-only array)
+ */
+const parseTaskData = (json) => {
+  try {
+    const taskData = JSON.parse(json || '[]');
+    return Array.isArray(taskData) ? { assigned: [], completed: taskData } : taskData;
+  } catch {
+    return { assigned: [], completed: [] };
+  }
+};
+
+/**
+ * Cluster holding a session question's namespace, with its host kubeconfig
+ */
+const getQuestionCluster = (session, questionNumber) => {
+  const clusterName = ClusterContexts.getClusterName(
+    session.cluster_name,
+    ClusterContexts.forQuestion(session, questionNumber)
+  );
+  const kubeconfigPath = (clusterName === session.cluster_name && session.kubeconfig_path)
+    || ClusterDriver.getKubeconfig(clusterName).kubeconfigPath;
+  return { clusterName, kubeconfigPath };
+};
+
+/**
+ * Session snapshot service - saves a session's progress, its current question
+ * namespace and files on that question's cluster nodes, and restores them into a new session.
+ * Snapshot files live in one directory per snapshot under snapshots.directory.
+ */
+export const SnapshotService = {
+  /**
+   * Directory holding a snapshot's files
+   */
+  getPath(snapshotId) {
+    return join(resolve(config.snapshots.directory), snapshotId);
+  },
+
+  /**
+   * Get a user's snapshot usage against the quotas
+   */
+  getQuota(userId) {
+    const usage = SnapshotModel.getUsage(userId);
+    return {
+      used: usage.count,
+      max: config.snapshots.maxPerUser,
+      usedMb: Math.round((usage.size_bytes / MB) * 10) / 10,
+      maxMb: config.snapshots.maxTotalMb,
+    };
+  },
+
+  /**
+   * Check the user can save another snapshot.
+   * Returns null when they can, or the reason they can't.
+   */
+  checkQuota(userId) {
+    const quota = this.getQuota(userId);
+
+    if (quota.used >= quota.max) {
+      return `You already have ${quota.used} snapshots (limit ${quota.max}). Delete one to save a new one.`;
+    }
+    if (quota.usedMb >= quota.maxMb) {
+      return `Your snapshots use ${quota.usedMb}MB (limit ${quota.maxMb}MB). Delete one to save a new one.`;
+    }
+    return null;
+  },
+
+  /**
+   * Snapshot a ready session: its task progress, current question namespace and node files
+   */
+  async create(session, name) {
+    const snapshot = SnapshotModel.create(session, name);
+    const directory = this.getPath(snapshot.id);
+    const { clusterName, kubeconfigPath } = getQuestionCluster(session, snapshot.current_task_id);
+
+    try {
+      await mkdir(directory, { recursive: true });
+      await ClusterDriver.snapshotCluster(clusterName, kubeconfigPath, {
+        namespace: `q${snapshot.current_task_id}`,
+        directory,
+        nodePaths: config.snapshots.nodePaths,
+      });
+
+      const sizeBytes = await getDirectorySize(directory);
+      logger.info('Session snapshot saved', { snapshotId: snapshot.id, sessionId: session.id, sizeBytes });
+      return SnapshotModel.markReady(snapshot.id, sizeBytes);
+    } catch (error) {
+      logger.error('Failed to snapshot session', { sessionId: session.id, error: error.message });
+      await rm(directory, { recursive: true, force: true });
+      SnapshotModel.delete(snapshot.id);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a snapshot and its files
+   */
+  async delete(snapshot) {
+    await rm(this.getPath(snapshot.id), { recursive: true, force: true });
+    SnapshotModel.delete(snapshot.id);
+    logger.info('Session snapshot deleted', { snapshotId: snapshot.id, userId: snapshot.user_id });
+  },
+
+  /**
+   * Session plan for restoring a snapshot - the snapshot's tasks, topology, add-ons and contexts
+   * (same shape as ProvisionerService.planSession)
+   */
+  plan(snapshot) {
+    return {
+      taskIds: parseTaskData(snapshot.completed_tasks).assigned,
+      topology: ClusterTopology.fromJson(snapshot.topology),
+      addons: AddonService.fromJson(snapshot.addons),
+      contexts: ClusterContexts.fromJson(snapshot.contexts),
+    };
+  },
+
+  /**
+   * Restore a snapshot's namespace and node files into a freshly provisioned session
+   */
+  async restore(snapshot, session) {
+    const { clusterName, kubeconfigPath } = getQuestionCluster(session, snapshot.current_task_id);
+    await ClusterDriver.restoreCluster(clusterName, kubeconfigPath, {
+      namespace: `q${snapshot.current_task_id}`,
+      directory: this.getPath(snapshot.id),
+    });
+    logger.info('Session snapshot restored', { snapshotId: snapshot.id, sessionId: session.id });
+  },
+
+  /**
+   * Format a snapshot for API responses
+   */
+  toJson(snapshot) {
+    const { assigned, completed } = parseTaskData(snapshot.completed_tasks);
+    return {
+      id: snapshot.id,
+      name: snapshot.name,
+      status: snapshot.status,
+      sessionId: snapshot.session_id,
+      kubernetesVersion: snapshot.kubernetes_version,
+      question: snapshot.current_task_id,
+      totalQuestions: assigned.length,
+      completedQuestions: completed.length,
+      sizeBytes: snapshot.size_bytes,
+      createdAt: snapshot.created_at,
+    };
+  },
+};
+
+export default SnapshotService;
@@ -1,259 +1,239 @@
-import { exec, spawn } from 'child_process';
-import { promisify } from 'util';
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
 import config from '../config/index.js';
+import ClusterDriver from './drivers/index.js';
 import logger from '../utils/logger.js';
 
-const execAsync = promisify(exec);
+// Terminal hardening profiles (selected with TERMINAL_PROFILE)
+export const TERMINAL_PROFILES = ['hardened', 'standard'];
+
+// Result of the startup check that the configured profile can be applied
+let profileStatus = { profile: config.terminal.profile, status: 'pending', error: null };
+
+// kubectl arguments selecting a kubeconfig context (none for the current one)
+const contextArgs = (context) => (context ? ['--context', context] : []);
 
 /**
- * Terminal container management service
+ * kubectl argv making a namespace the default of a context (or of the current one)
+ */
+const setNamespaceArgv = (namespace, context) =>
+  ['kubectl', 'config', 'set-context', context || '--current', `--namespace=${namespace}`];
+
+/**
+ * Terminal container management service (containers are provided by the cluster driver)
  */
 export const TerminalService = {
   /**
-   * Create a terminal container for a session
+   * Resolve the configured hardening profile into the settings the driver applies
    */
-  async createContainer(clusterName, kubeconfigPath) {
-    const containerName = `term-${clusterName}`;
+  getProfile() {
+    const { profile, user, home, homeSize, seccompProfile } = config.terminal;
 
-    try {
-      logger.info('Creating terminal container...', { containerName });
-
-      // Build docker run command
-      const dockerCmd = [
-        'docker', 'run', '-d',
-        '--name', containerName,
-        '--network', 'kind',
-        `--memory=${config.terminal.memoryLimit}`,
-        `--cpus=${config.terminal.cpuLimit}`,
-        '--pids-limit=100',
-        // Mount kubeconfig
-        '-v', `${kubeconfigPath}:/root/.kube/config:ro`,
-        '-e', 'KUBECONFIG=/root/.kube/config',
-        // Terminal settings
-        '-e', 'TERM=xterm-256color',
-        '-e', 'PS1=\\u@ckad:\\w\\$ ',
-        // Image
-        config.terminal.image,
-        // Keep container running
-        'sleep', 'infinity',
-      ];
-
-      const { stdout, stderr } = await execAsync(dockerCmd.join(' '), {
-        timeout: 30000,
-      });
-
-      const containerId = stdout.trim();
-      logger.info('Terminal container created', { containerName, containerId });
-
-      // Wait for container to be ready
-      await this.waitForContainerReady(containerName);
+    if (!TERMINAL_PROFILES.includes(profile)) {
+      throw new Error(`Unknown terminal profile '${profile}' (available: ${TERMINAL_PROFILES.join(', ')})`);
+    }
 
+    if (profile === 'standard') {
       return {
-        success: true,
-        containerName,
-        containerId,
+        name: profile,
+        user: null,
+        home: '/root',
+        readOnlyRootfs: false,
+        dropCapabilities: false,
+        noNewPrivileges: false,
+        seccompProfile: null,
+        restrictEgress: false,
       };
-    } catch (error) {
-      logger.error('Failed to create terminal container', {
-        containerName,
-        error: error.message,
-      });
-
-      // Cleanup on failure
-      await this.removeContainer(containerName).catch(() => {});
+    }
 
-      throw new Error(`Failed to create terminal container: ${error.message}`);
+    const match = user.match(/^(\d+):(\d+)$/);
+    if (!match || match[1] === '0') {
+      throw new Error(`TERMINAL_USER must be a non-root uid:gid, got '${user}'`);
     }
+    if (!home.startsWith('/')) {
+      throw new Error(`TERMINAL_HOME must be an absolute path, got '${home}'`);
+    }
+
+    return {
+      name: profile,
+      user,
+      uid: parseInt(match[1], 10),
+      gid: parseInt(match[2], 10),
+      home,
+      homeSize,
+      readOnlyRootfs: true,
+      dropCapabilities: true,
+      noNewPrivileges: true,
+      // 'default' applies Docker's built-in seccomp profile
+      seccompProfile: seccompProfile ? resolve(seccompProfile) : 'default',
+      restrictEgress: true,
+    };
   },
 
   /**
-   * Wait for container to be ready
+   * Check the configured profile can be applied (run on startup).
+   * Never throws - the result is reported by getProfileStatus() and /readyz.
    */
-  async waitForContainerReady(containerName, maxAttempts = 10) {
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        const { stdout } = await execAsync(
-          `docker inspect -f '{{.State.Running}}' ${containerName}`,
-          { timeout: 5000 }
-        );
-
-        if (stdout.trim() === 'true') {
-          logger.debug('Terminal container is ready', { containerName });
-          return true;
+  async validateProfile() {
+    const { profile } = config.terminal;
+
+    try {
+      const settings = this.getProfile();
+
+      if (settings.seccompProfile && settings.seccompProfile !== 'default') {
+        let seccomp;
+        try {
+          seccomp = JSON.parse(await readFile(settings.seccompProfile, 'utf8'));
+        } catch (error) {
+          throw new Error(`Can't read seccomp profile ${settings.seccompProfile}: ${error.message}`);
+        }
+        if (!seccomp.defaultAction) {
+          throw new Error(`Seccomp profile ${settings.seccompProfile} has no defaultAction`);
         }
-      } catch (error) {
-        logger.debug('Container not ready yet', { containerName, attempt });
       }
 
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await ClusterDriver.checkTerminalProfile(settings);
+
+      profileStatus = { profile, status: 'ok', error: null };
+      logger.info('Terminal profile can be applied', { profile });
+    } catch (error) {
+      profileStatus = { profile, status: 'failed', error: error.message };
+      logger.error('Terminal profile can not be applied', { profile, error: error.message });
     }
 
-    throw new Error('Container did not become ready in time');
+    return profileStatus;
   },
 
   /**
-   * Stop and remove a terminal container
+   * Get the result of the startup profile check ('pending', 'ok' or 'failed')
    */
-  async removeContainer(containerName) {
-    try {
-      // Stop container (with 10 second grace period)
-      try {
-        await execAsync(`docker stop -t 10 ${containerName}`, { timeout: 20000 });
-        logger.debug('Container stopped', { containerName });
-      } catch (error) {
-        // Container might already be stopped
-      }
+  getProfileStatus() {
+    return profileStatus;
+  },
 
-      // Remove container
-      await execAsync(`docker rm -f ${containerName}`, { timeout: 10000 });
-      logger.info('Terminal container removed', { containerName });
+  /**
+   * Create a terminal container for a session (extraClusters are the clusters
+   * behind the session's other kubeconfig contexts)
+   */
+  async createContainer(clusterName, kubeconfigPath, { extraClusters = [] } = {}) {
+    return ClusterDriver.createTerminal(clusterName, kubeconfigPath, this.getProfile(), { extraClusters });
+  },
 
-      return { success: true };
-    } catch (error) {
-      logger.error('Failed to remove terminal container', {
-        containerName,
-        error: error.message,
-      });
-      throw error;
-    }
+  /**
+   * Stop and remove a terminal container
+   */
+  async removeContainer(containerName) {
+    return ClusterDriver.removeTerminal(containerName);
   },
 
   /**
    * Check if container exists
    */
   async containerExists(containerName) {
-    try {
-      await execAsync(`docker inspect ${containerName}`, { timeout: 5000 });
-      return true;
-    } catch (error) {
-      return false;
-    }
+    return (await ClusterDriver.getTerminalStatus(containerName)) !== null;
   },
 
   /**
    * Get container status
    */
   async getContainerStatus(containerName) {
-    try {
-      const { stdout } = await execAsync(
-        `docker inspect -f '{{.State.Status}}' ${containerName}`,
-        { timeout: 5000 }
-      );
-      return stdout.trim();
-    } catch (error) {
-      return null;
-    }
+    return ClusterDriver.getTerminalStatus(containerName);
   },
 
   /**
-   * Spawn a PTY process attached to container
-   * Returns the spawn process for WebSocket handling
+   * Open an interactive shell in a container
+   * Resolves with the exec session (data/exit events, write, resize, kill) for WebSocket handling
    */
-  spawnTerminal(containerName) {
-    const ptyProcess = spawn('docker', ['exec', '-it', containerName, '/bin/bash'], {
-      name: 'xterm-256color',
-      cols: 80,
-      rows: 24,
-      cwd: process.env.HOME,
-      env: process.env,
-    });
-
-    return ptyProcess;
+  async spawnTerminal(containerName, size) {
+    return ClusterDriver.spawnShell(containerName, size);
   },
 
   /**
    * List all terminal containers
    */
   async listContainers() {
-    try {
-      const { stdout } = await execAsync(
-        'docker ps --filter "name=term-" --format "{{.Names}}"',
-        { timeout: 10000 }
-      );
-      return stdout.trim().split('\n').filter(Boolean);
-    } catch (error) {
-      logger.error('Failed to list terminal containers', { error: error.message });
-      return [];
-    }
+    return ClusterDriver.listTerminals();
   },
 
   /**
-   * Execute command in terminal container
+   * Execute a command (argv array) in a terminal container
+   * Options: timeout (ms), signal (AbortSignal), allowFailure (non-zero exit isn't an error)
    */
-  async execCommand(containerName, command, timeout = 30000) {
+  async execCommand(containerName, argv, { timeout = 30000, signal, allowFailure = false } = {}) {
     try {
-      const { stdout, stderr } = await execAsync(
-        `docker exec ${containerName} /bin/bash -c "${command.replace(/"/g, '\\"')}"`,
-        { timeout }
-      );
-      return { success: true, stdout, stderr };
+      const { stdout, stderr, exitCode } = await ClusterDriver.exec(containerName, argv, { timeout, signal, allowFailure });
+      return { success: true, stdout, stderr, exitCode };
     } catch (error) {
       logger.error('Failed to execute command in container', {
         containerName,
-        command,
+        command: argv.join(' '),
+        exitCode: error.exitCode,
         error: error.message,
       });
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, exitCode: error.exitCode ?? null };
     }
   },
 
   /**
-   * Clean terminal and prepare for next question
-   * Creates new namespace, makes it default, deletes previous namespace
+   * Wrap a bash script so its kubectl commands run against one kubeconfig context.
+   * It works on a copy of the kubeconfig, so the user's current context is left alone.
+   * Without a context the script is returned as is.
    */
-  async cleanTerminalForNextQuestion(containerName, currentQuestionNumber) {
+  scriptForContext(script, context) {
+    if (!context) {
+      return script;
+    }
+
+    return [
+      'kubeconfig="$(mktemp)"',
+      `trap 'rm -f "$kubeconfig"' EXIT`,
+      `kubectl config view --raw > "$kubeconfig" && KUBECONFIG="$kubeconfig" kubectl config use-context ${context} > /dev/null || exit 1`,
+      'export KUBECONFIG="$kubeconfig"',
+      script,
+    ].join('\n');
+  },
+
+  /**
+   * Execute a bash script (e.g. a task's setup script) in a terminal container,
+   * against the given kubeconfig context (see scriptForContext)
+   */
+  async execScript(containerName, script, { context = null, ...options } = {}) {
+    return this.execCommand(containerName, ['/bin/bash', '-c', this.scriptForContext(script, context)], options);
+  },
+
+  /**
+   * Switch the terminal to a question's namespace, creating it if needed.
+   * Other questions' namespaces are left alone so users can go back to them.
+   * With a context, the namespace is created in that context's cluster and becomes
+   * that context's default; switching to the context is left to the user.
+   */
+  async openQuestionNamespace(containerName, questionNumber, context = null) {
     try {
-      const newNamespace = `q${currentQuestionNumber}`;
-      const previousNamespace = currentQuestionNumber > 1 ? `q${currentQuestionNumber - 1}` : null;
-
-      logger.info('Cleaning terminal for next question', { 
-        containerName, 
-        currentQuestionNumber,
-        newNamespace,
-        previousNamespace
-      });
+      const namespace = `q${questionNumber}`;
 
-      // Clear terminal screen
-      await this.execCommand(containerName, 'clear', 5000);
+      logger.info('Opening question namespace', { containerName, namespace });
 
-      // Create new namespace
-      await this.execCommand(
-        containerName,
-        `kubectl create namespace ${newNamespace} 2>/dev/null || true`,
-        10000
-      );
+      // Clear terminal screen
+      await this.execCommand(containerName, ['clear'], { timeout: 5000, allowFailure: true });
 
-      // Set new namespace as default
+      // Create the namespace (it exists when the question was opened before)
       await this.execCommand(
         containerName,
-        `kubectl config set-context --current --namespace=${newNamespace}`,
-        10000
+        ['kubectl', 'create', 'namespace', namespace, ...contextArgs(context)],
+        { timeout: 10000, allowFailure: true }
       );
 
-      // Delete previous namespace (if exists and not default)
-      if (previousNamespace && previousNamespace !== 'default') {
-        await this.execCommand(
-          containerName,
-          `kubectl delete namespace ${previousNamespace} --ignore-not-found=true --timeout=30s`,
-          35000
-        );
+      // Set it as default
+      const selected = await this.execCommand(containerName, setNamespaceArgv(namespace, context), { timeout: 10000 });
+      if (!selected.success) {
+        throw new Error(`Failed to switch to namespace ${namespace}: ${selected.error}`);
       }
 
-      logger.info('Terminal cleaned successfully', { 
-        containerName,
-        newNamespace,
-        deletedNamespace: previousNamespace
-      });
-
-      return {
-        success: true,
-        newNamespace,
-        deletedNamespace: previousNamespace,
-      };
+      return { success: true, namespace };
     } catch (error) {
-      logger.error('Failed to clean terminal', {
+      logger.error('Failed to open question namespace', {
         containerName,
-        currentQuestionNumber,
+        questionNumber,
         error: error.message,
       });
       return {
@@ -263,6 +243,67 @@ export const TerminalService = {
     }
   },
 
+  /**
+   * Start a question over: delete its namespace, create it again and make it the default
+   * (in the given context's cluster, see openQuestionNamespace)
+   */
+  async resetQuestionNamespace(containerName, questionNumber, context = null) {
+    const namespace = `q${questionNumber}`;
+
+    try {
+      logger.info('Resetting question namespace', { containerName, namespace });
+
+      await this.execCommand(containerName, ['clear'], { timeout: 5000, allowFailure: true });
+
+      // Wait for the deletion to finish, or the namespace can't be created again
+      const deleted = await this.execCommand(
+        containerName,
+        ['kubectl', 'delete', 'namespace', namespace, '--ignore-not-found=true', '--wait=true', '--timeout=90s', ...contextArgs(context)],
+        { timeout: 95000 }
+      );
+      if (!deleted.success) {
+        throw new Error(`Failed to delete namespace ${namespace}: ${deleted.error}`);
+      }
+
+      const created = await this.execCommand(
+        containerName,
+        ['kubectl', 'create', 'namespace', namespace, ...contextArgs(context)],
+        { timeout: 10000 }
+      );
+      if (!created.success) {
+        throw new Error(`Failed to create namespace ${namespace}: ${created.error}`);
+      }
+
+      await this.execCommand(containerName, setNamespaceArgv(namespace, context), { timeout: 10000 });
+
+      return { success: true, namespace };
+    } catch (error) {
+      logger.error('Failed to reset question namespace', { containerName, namespace, error: error.message });
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Wait for the deployments and pods a setup script created in a namespace to be ready
+   * (finished pods, e.g. from jobs, are left out). Returns true when they all are.
+   */
+  async waitForSetupResources(containerName, namespace, { context = null, timeoutSeconds = 90 } = {}) {
+    const waitFor = (args) => this.execCommand(
+      containerName,
+      ['kubectl', 'wait', ...args, '--all', '-n', namespace, `--timeout=${timeoutSeconds}s`, ...contextArgs(context)],
+      { timeout: (timeoutSeconds + 10) * 1000, allowFailure: true }
+    );
+
+    const results = [
+      await waitFor(['deployment', '--for=condition=Available']),
+      await waitFor(['pod', '--for=condition=Ready', '--field-selector=status.phase!=Succeeded']),
+    ];
+
+    // `kubectl wait --all` fails with "no matching resources" when there is nothing to wait for
+    return results.every(result => result.success &&
+      (result.exitCode === 0 || /no matching resources/i.test(result.stderr)));
+  },
+
   /**
    * Cleanup orphaned terminal containers
    */
@@ -0,0 +1,137 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const LABEL_KEY = /^[A-Za-z0-9][\w./-]*$/;
+const LABEL_VALUE = /^[\w.-]*$/;
+const TAINT = /^([A-Za-z0-9][\w./-]*)(?:=([\w.-]*))?:(NoSchedule|PreferNoSchedule|NoExecute)$/;
+
+/**
+ * Parse a task's topology JSON, ignoring anything malformed
+ */
+const parseTaskTopology = (task) => {
+  if (!task.topology) {
+    return null;
+  }
+  try {
+    return JSON.parse(task.topology);
+  } catch {
+    logger.warn('Invalid task topology', { taskId: task.id });
+    return null;
+  }
+};
+
+/**
+ * Cluster topology: worker count plus labels and taints per worker.
+ *
+ *   { workers: 2, nodes: [{ labels: { disktype: 'ssd' }, taints: ['app=blue:NoSchedule'] }, { labels: {}, taints: [] }] }
+ *
+ * Tasks declare the topology they need in the same shape; `nodes[i]` describes worker i.
+ */
+export const ClusterTopology = {
+  /**
+   * Single control-plane node, no workers
+   */
+  empty() {
+    return { workers: 0, nodes: [] };
+  },
+
+  /**
+   * Normalize a topology: clamp the worker count to cluster.maxWorkers,
+   * give every worker an entry and drop labels/taints that aren't valid
+   */
+  normalize(raw) {
+    const declaredNodes = Array.isArray(raw?.nodes) ? raw.nodes : [];
+    const wanted = Math.max(parseInt(raw?.workers, 10) || 0, declaredNodes.length);
+    const workers = Math.min(wanted, config.cluster.maxWorkers);
+
+    if (wanted > workers) {
+      logger.warn('Topology needs more workers than allowed', { wanted, maxWorkers: config.cluster.maxWorkers });
+    }
+
+    const nodes = [];
+    for (let i = 0; i < workers; i++) {
+      const node = declaredNodes[i] || {};
+      const labels = Object.fromEntries(
+        Object.entries(node.labels || {})
+          .filter(([key, value]) => LABEL_KEY.test(key) && LABEL_VALUE.test(String(value)))
+          .map(([key, value]) => [key, String(value)])
+      );
+      const taints = (node.taints || []).filter(taint => TAINT.test(taint));
+      nodes.push({ labels, taints: [...new Set(taints)] });
+    }
+
+    return { workers, nodes };
+  },
+
+  /**
+   * Merge topologies into one that satisfies all of them:
+   * the most workers, and the labels and taints of each worker combined
+   */
+  merge(topologies) {
+    const merged = { workers: 0, nodes: [] };
+
+    for (const topology of topologies.filter(Boolean)) {
+      const declaredNodes = Array.isArray(topology.nodes) ? topology.nodes : [];
+      merged.workers = Math.max(merged.workers, parseInt(topology.workers, 10) || 0, declaredNodes.length);
+
+      declaredNodes.forEach((node, i) => {
+        const target = merged.nodes[i] || (merged.nodes[i] = { labels: {}, taints: [] });
+        for (const [key, value] of Object.entries(node.labels || {})) {
+          if (key in target.labels && target.labels[key] !== String(value)) {
+            logger.warn('Conflicting node label in topology', { worker: i, key, kept: target.labels[key], value });
+            continue;
+          }
+          target.labels[key] = String(value);
+        }
+        target.taints.push(...(node.taints || []));
+      });
+    }
+
+    return this.normalize(merged);
+  },
+
+  /**
+   * Topology satisfying the requirements of a set of tasks
+   */
+  fromTasks(tasks) {
+    return this.merge(tasks.map(parseTaskTopology));
+  },
+
+  /**
+   * Most workers any single task of a set needs
+   */
+  maxWorkers(tasks) {
+    return Math.max(0, ...tasks.map(task => this.normalize(parseTaskTopology(task)).workers));
+  },
+
+  /**
+   * Parse a stored session topology
+   */
+  fromJson(json) {
+    if (!json) {
+      return this.empty();
+    }
+    try {
+      return this.normalize(JSON.parse(json));
+    } catch {
+      return this.empty();
+    }
+  },
+
+  /**
+   * Check if a topology needs anything beyond a single control-plane node
+   */
+  isEmpty(topology) {
+    return !topology || topology.workers === 0;
+  },
+
+  /**
+   * Parse a taint string ('key=value:Effect') into its parts
+   */
+  parseTaint(taint) {
+    const [, key, value = '', effect] = taint.match(TAINT);
+    return { key, value, effect };
+  },
+};
+
+export default ClusterTopology;
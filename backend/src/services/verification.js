@@ -1,9 +1,7 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import ClusterDriver from './drivers/index.js';
+import TerminalService from './terminal.js';
 import logger from '../utils/logger.js';
 
-const execAsync = promisify(exec);
-
 /**
  * Task verification service - runs kubectl commands to verify task completion
  */
@@ -12,17 +10,19 @@ export const VerificationService = {
    * Execute verification script in the terminal container
    * @param {string} containerName - Terminal container name
    * @param {string} script - Verification script to run (kubectl commands)
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<{success: boolean, output: string, error: string|null}>}
+   * @param {object} options - timeout (ms), signal (AbortSignal) and context (kubeconfig context the
+   *   task targets - null runs against the terminal's current context)
+   * @returns {Promise<{success: boolean, output: string, error: string|null, exitCode: number|null}>}
    */
-  async executeVerification(containerName, script, timeout = 30000) {
+  async executeVerification(containerName, script, { timeout = 30000, signal, context = null } = {}) {
     try {
       logger.info('Executing verification script', { containerName, script: script.substring(0, 100) });
 
-      // Execute the script in the container
-      const { stdout, stderr } = await execAsync(
-        `docker exec ${containerName} /bin/bash -c ${JSON.stringify(script)}`,
-        { timeout }
+      // The script goes to bash as a single argument - no host shell quoting involved
+      const { stdout, stderr, exitCode } = await ClusterDriver.exec(
+        containerName,
+        ['/bin/bash', '-c', TerminalService.scriptForContext(script, context)],
+        { timeout, signal }
       );
 
       const output = stdout.trim();
@@ -38,11 +38,13 @@ export const VerificationService = {
         success: true,
         output,
         error: errorOutput || null,
+        exitCode,
       };
     } catch (error) {
       logger.error('Verification script execution failed', {
         containerName,
         error: error.message,
+        exitCode: error.exitCode,
         stderr: error.stderr,
       });
 
@@ -50,6 +52,7 @@ export const VerificationService = {
         success: false,
         output: error.stdout || '',
         error: error.message,
+        exitCode: error.exitCode ?? null,
       };
     }
   },
@@ -102,9 +105,10 @@ export const VerificationService = {
    * Evaluate a single verification check
    * @param {object} check - Check configuration
    * @param {string} output - Command output
+   * @param {number|null} [exitCode] - Command exit code, when known
    * @returns {object} Check result
    */
-  evaluateCheck(check, output) {
+  evaluateCheck(check, output, exitCode) {
     const result = {
       name: check.name,
       passed: false,
@@ -157,9 +161,13 @@ export const VerificationService = {
           break;
 
         case 'exit_code':
-          // For exit code checks (would need to be captured differently)
-          // For now, assume success if we got output
-          result.passed = output.length > 0;
+          // Without a captured exit code, assume success if we got output
+          if (exitCode === undefined) {
+            result.passed = output.length > 0;
+          } else {
+            result.actual = exitCode;
+            result.passed = exitCode === (check.expected ?? 0);
+          }
           result.message = result.passed ? 'Command executed successfully' : 'Command failed';
           break;
 
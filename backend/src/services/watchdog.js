@@ -0,0 +1,253 @@
+import config from '../config/index.js';
+import SessionModel from '../models/session.js';
+import IncidentModel from '../models/incident.js';
+import ClusterDriver from './drivers/index.js';
+import ClusterTopology from './topology.js';
+import ProvisionerService from './provisioner.js';
+import ClusterContexts from './contexts.js';
+import ReconcilerService from './reconciler.js';
+import { notifySession } from '../websocket/terminal.js';
+import logger from '../utils/logger.js';
+
+// Watchdog state
+let watchdogTimer = null;
+
+// Ready sessions being watched (session ID -> { failures, incidentId, busy })
+const watched = new Map();
+
+/**
+ * A session's clusters to probe, main cluster first: [{ name, clusterName, primary, kubeconfigPath }]
+ */
+const getProbeTargets = (session) => ClusterContexts.list(session).map(context => ({
+  ...context,
+  kubeconfigPath: (context.primary && session.kubeconfig_path)
+    || ClusterDriver.getKubeconfig(context.clusterName).kubeconfigPath,
+}));
+
+// A probe is healthy when the API server responds and every node is Ready
+const isHealthy = (health) => health.apiServer && health.notReadyNodes.length === 0;
+
+/**
+ * Cluster health watchdog - probes the API server and node readiness of every
+ * ready session's clusters. Once a cluster counts as down it records an incident,
+ * warns the user, stops the session's TTL clock and restarts the affected node
+ * containers; sessions whose cluster stays down too long are failed.
+ * Missing or stopped containers are the reconciler's job.
+ */
+export const WatchdogService = {
+  /**
+   * Get the watch state of a session, picking up an incident left open by a restart
+   */
+  getState(sessionId) {
+    if (!watched.has(sessionId)) {
+      const incident = IncidentModel.findOpen(sessionId);
+      watched.set(sessionId, { failures: 0, incidentId: incident ? incident.id : null, busy: false });
+    }
+    return watched.get(sessionId);
+  },
+
+  /**
+   * Get a session's cluster health for the UI:
+   * { status: 'healthy' | 'degraded', incident }
+   */
+  getHealth(sessionId) {
+    const incident = IncidentModel.findOpen(sessionId);
+    if (!incident) {
+      return { status: 'healthy', incident: null };
+    }
+
+    return {
+      status: 'degraded',
+      incident: {
+        id: incident.id,
+        kind: incident.kind,
+        message: incident.message,
+        recoveryAttempts: incident.recovery_attempts,
+        maxRecoveryAttempts: config.watchdog.maxRecoveryAttempts,
+        startedAt: incident.started_at,
+      },
+    };
+  },
+
+  /**
+   * Describe a failed probe of one of a session's clusters as an incident kind and message
+   */
+  describe(health, target) {
+    const where = target.primary ? '' : ` of context ${target.name}`;
+    if (!health.apiServer) {
+      return {
+        kind: 'api_server_down',
+        message: `The Kubernetes API server${where} is not responding${health.error ? ` (${health.error.split('\n')[0]})` : ''}`,
+      };
+    }
+    return {
+      kind: 'nodes_not_ready',
+      message: `Nodes${where} not ready: ${health.notReadyNodes.join(', ')}`,
+    };
+  },
+
+  /**
+   * Close a session's open incident and restart its TTL clock
+   */
+  resolve(session, state, resolution) {
+    IncidentModel.resolve(state.incidentId, resolution);
+    SessionModel.markRecovered(session.id);
+    SessionModel.addNotes(session.id, `Watchdog: ${resolution}`);
+    state.incidentId = null;
+    state.failures = 0;
+
+    logger.info('Cluster recovered', { sessionId: session.id, clusterName: session.cluster_name, resolution });
+    notifySession(session.id, 'Your cluster is healthy again - the session timer is running again.');
+  },
+
+  /**
+   * Restart the node containers behind a failed probe and wait for the cluster.
+   * Returns true when the cluster is healthy afterwards.
+   */
+  async recover(session, health, target) {
+    const { clusterName, kubeconfigPath } = target;
+    // Only the main cluster has workers
+    const topology = target.primary ? ClusterTopology.fromJson(session.topology) : null;
+    // Without an API server there's no telling which node is at fault - start with the control plane
+    const nodeNames = health.apiServer ? health.notReadyNodes : [null];
+
+    try {
+      for (const nodeName of nodeNames) {
+        await ClusterDriver.restartNode(clusterName, nodeName);
+      }
+      await ClusterDriver.waitForClusterReady(clusterName, kubeconfigPath, {
+        maxAttempts: 45,
+        nodeCount: 1 + (topology ? topology.workers : 0),
+      });
+    } catch (error) {
+      logger.warn('Cluster recovery attempt failed', { sessionId: session.id, clusterName, error: error.message });
+      return false;
+    }
+
+    return isHealthy(await ClusterDriver.checkClusterHealth(clusterName, kubeconfigPath));
+  },
+
+  /**
+   * Probe one session's clusters and act on the result (the first cluster that is
+   * down is the one recovered)
+   */
+  async checkSession(session) {
+    const state = this.getState(session.id);
+
+    let health = null;
+    let target = null;
+    for (target of getProbeTargets(session)) {
+      health = await ClusterDriver.checkClusterHealth(target.clusterName, target.kubeconfigPath);
+      if (!isHealthy(health)) {
+        break;
+      }
+    }
+
+    if (isHealthy(health)) {
+      if (state.incidentId) {
+        this.resolve(session, state, 'Cluster came back on its own');
+      }
+      state.failures = 0;
+      return;
+    }
+
+    state.failures++;
+    if (state.failures < config.watchdog.failureThreshold) {
+      logger.debug('Cluster health probe failed', { sessionId: session.id, failures: state.failures, error: health.error });
+      return;
+    }
+
+    let incident = state.incidentId ? IncidentModel.findById(state.incidentId) : null;
+    if (!incident) {
+      const { kind, message } = this.describe(health, target);
+      incident = IncidentModel.open(session.id, kind, message);
+      state.incidentId = incident.id;
+      SessionModel.markDegraded(session.id);
+      SessionModel.addNotes(session.id, `Watchdog: ${message}`);
+      notifySession(session.id, `${message}. The session timer is stopped while the cluster is recovered.`);
+    }
+
+    if (incident.down_minutes > config.watchdog.maxDownMinutes) {
+      IncidentModel.resolve(incident.id, 'Session failed - the cluster did not recover');
+      watched.delete(session.id);
+      await ReconcilerService.failSession(session, `The cluster was down for more than ${config.watchdog.maxDownMinutes} minutes`);
+      return;
+    }
+
+    if (incident.recovery_attempts >= config.watchdog.maxRecoveryAttempts) {
+      return;
+    }
+
+    const attempt = IncidentModel.recordRecoveryAttempt(incident.id).recovery_attempts;
+    logger.info('Attempting cluster recovery', { sessionId: session.id, clusterName: target.clusterName, attempt });
+
+    if (await this.recover(session, health, target)) {
+      this.resolve(session, state, `Recovered by restarting ${health.apiServer ? health.notReadyNodes.join(', ') : 'the control plane'}`);
+    } else if (attempt >= config.watchdog.maxRecoveryAttempts) {
+      notifySession(
+        session.id,
+        'The cluster could not be recovered automatically. The timer stays stopped - if it does not come back, stop this session and start a new one.'
+      );
+    }
+  },
+
+  /**
+   * Probe every ready session's cluster. Each session is checked on its own, so a
+   * slow recovery doesn't hold up the others.
+   */
+  tick() {
+    const sessions = SessionModel.findAllActive()
+      .filter(session => session.status === 'ready' && !ProvisionerService.isInFlight(session.id));
+    const readyIds = new Set(sessions.map(session => session.id));
+
+    // Sessions that stopped being ready (paused, stopped, failed) aren't watched anymore
+    for (const sessionId of watched.keys()) {
+      if (!readyIds.has(sessionId) && !watched.get(sessionId).busy) {
+        watched.delete(sessionId);
+      }
+    }
+    for (const incident of IncidentModel.findOpenForInactiveSessions()) {
+      IncidentModel.resolve(incident.id, `Session ${incident.session_status}`);
+    }
+
+    for (const session of sessions) {
+      const state = this.getState(session.id);
+      if (state.busy) {
+        continue;
+      }
+
+      state.busy = true;
+      this.checkSession(session)
+        .catch(error => logger.error('Cluster health check failed', { sessionId: session.id, error: error.message }))
+        .finally(() => {
+          state.busy = false;
+        });
+    }
+  },
+
+  /**
+   * Probe periodically
+   */
+  start() {
+    watchdogTimer = setInterval(() => {
+      try {
+        this.tick();
+      } catch (error) {
+        logger.error('Cluster health watchdog failed', { error: error.message });
+      }
+    }, config.watchdog.intervalMs);
+    logger.info('Cluster health watchdog started', { intervalMs: config.watchdog.intervalMs });
+  },
+
+  /**
+   * Stop probing
+   */
+  stop() {
+    if (watchdogTimer) {
+      clearInterval(watchdogTimer);
+      watchdogTimer = null;
+    }
+  },
+};
+
+export default WatchdogService;
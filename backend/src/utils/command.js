@@ -0,0 +1,200 @@
+import { spawn } from 'child_process';
+import { finished } from 'stream/promises';
+
+/**
+ * Command runner - runs executables with an argv array and no shell, so arguments
+ * are passed as-is and never need quoting
+ */
+
+// Most stdout/stderr bytes kept per command
+const DEFAULT_MAX_BUFFER = 16 * 1024 * 1024;
+
+/**
+ * Base class for command errors. Carries the command, its arguments, exit code
+ * (null when it didn't exit by itself) and whatever output it produced.
+ */
+export class CommandError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CommandError';
+    this.command = details.command;
+    this.args = details.args || [];
+    this.exitCode = details.exitCode ?? null;
+    this.stdout = details.stdout || '';
+    this.stderr = details.stderr || '';
+  }
+}
+
+/**
+ * The command exited with a non-zero code
+ */
+export class CommandFailedError extends CommandError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CommandFailedError';
+  }
+}
+
+/**
+ * The command ran longer than its timeout and was killed
+ */
+export class CommandTimeoutError extends CommandError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CommandTimeoutError';
+  }
+}
+
+/**
+ * The command was killed because its AbortSignal fired
+ */
+export class CommandAbortedError extends CommandError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CommandAbortedError';
+  }
+}
+
+/**
+ * The executable isn't installed (or not on PATH)
+ */
+export class CommandNotFoundError extends CommandError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CommandNotFoundError';
+  }
+}
+
+/**
+ * Run a command and collect its output.
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Arguments, passed to the executable unchanged
+ * @param {object} [options]
+ * @param {number} [options.timeout=30000] - Kill the command after this many ms (0 = no limit)
+ * @param {AbortSignal} [options.signal] - Kill the command when the signal aborts
+ * @param {string|Buffer|import('stream').Readable} [options.input] - Written to the command's stdin
+ * @param {import('stream').Writable} [options.output] - Receives stdout instead of it being collected
+ * @param {object} [options.env] - Extra environment variables
+ * @param {string} [options.cwd] - Working directory
+ * @param {number} [options.maxBuffer] - Most stdout/stderr bytes to keep before killing the command
+ * @param {boolean} [options.allowFailure=false] - Resolve instead of rejecting on a non-zero exit code
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ */
+export function runCommand(command, args = [], options = {}) {
+  const {
+    timeout = 30000,
+    signal,
+    input,
+    output,
+    env,
+    cwd,
+    maxBuffer = DEFAULT_MAX_BUFFER,
+    allowFailure = false,
+  } = options;
+  const commandLine = [command, ...args].join(' ');
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CommandAbortedError(`Command aborted: ${commandLine}`, { command, args }));
+      return;
+    }
+
+    const child = spawn(command, args, {
+      cwd,
+      env: env ? { ...process.env, ...env } : process.env,
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+    });
+
+    const stdoutChunks = [];
+    const stderrChunks = [];
+    let outputBytes = 0;
+    let failure = null;
+    let settled = false;
+
+    // Kill the command, remembering why for the rejection
+    const stop = (error) => {
+      if (!failure) {
+        failure = error;
+        child.kill('SIGKILL');
+      }
+    };
+
+    const timer = timeout > 0
+      ? setTimeout(() => stop(new CommandTimeoutError(`Command timed out after ${timeout}ms: ${commandLine}`)), timeout)
+      : null;
+    const onAbort = () => stop(new CommandAbortedError(`Command aborted: ${commandLine}`));
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const settle = (error, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+
+      if (error) {
+        Object.assign(error, { command, args }, result);
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const collect = (chunks) => (chunk) => {
+      outputBytes += chunk.length;
+      if (outputBytes > maxBuffer) {
+        stop(new CommandError(`Command output exceeded ${maxBuffer} bytes: ${commandLine}`));
+      } else {
+        chunks.push(chunk);
+      }
+    };
+
+    if (output) {
+      child.stdout.pipe(output);
+    } else {
+      child.stdout.on('data', collect(stdoutChunks));
+    }
+    child.stderr.on('data', collect(stderrChunks));
+
+    if (input !== undefined) {
+      // The command may exit without reading all of its input
+      child.stdin.on('error', () => {});
+      if (typeof input.pipe === 'function') {
+        input.on('error', error => stop(new CommandError(`Failed to read input for ${commandLine}: ${error.message}`)));
+        input.pipe(child.stdin);
+      } else {
+        child.stdin.end(input);
+      }
+    }
+
+    child.on('error', (error) => {
+      const wrapped = error.code === 'ENOENT'
+        ? new CommandNotFoundError(`Command not found: ${command}`)
+        : new CommandError(`Failed to run ${commandLine}: ${error.message}`);
+      settle(failure || wrapped, { stdout: '', stderr: '', exitCode: null });
+    });
+
+    child.on('close', async (exitCode) => {
+      if (output) {
+        await finished(output).catch(error => stop(new CommandError(`Failed to write output of ${commandLine}: ${error.message}`)));
+      }
+
+      const result = {
+        stdout: Buffer.concat(stdoutChunks).toString('utf8'),
+        stderr: Buffer.concat(stderrChunks).toString('utf8'),
+        exitCode,
+      };
+
+      if (failure) {
+        settle(failure, result);
+      } else if (exitCode !== 0 && !allowFailure) {
+        settle(new CommandFailedError(`Command failed: ${commandLine}\n${result.stderr}`), result);
+      } else {
+        settle(null, result);
+      }
+    });
+  });
+}
+
+export default runCommand;
@@ -0,0 +1,39 @@
+/**
+ * Kubernetes version helpers ('v1.29.2', '1.29', ...)
+ */
+
+/**
+ * Normalize a version string to 'vMAJOR.MINOR[.PATCH]'
+ */
+export const normalizeVersion = (version) => {
+  const trimmed = String(version).trim();
+  return trimmed.startsWith('v') ? trimmed : `v${trimmed}`;
+};
+
+/**
+ * Compare two versions (negative if a < b, 0 if equal, positive if a > b).
+ * Missing parts count as 0, so 'v1.29' equals 'v1.29.0'.
+ */
+export const compareVersions = (a, b) => {
+  const parts = (version) => normalizeVersion(version).slice(1).split('.').map(part => parseInt(part, 10) || 0);
+  const left = parts(a);
+  const right = parts(b);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Check that a version satisfies a minimum version.
+ * Passes when there is no minimum, or when the version is unknown.
+ */
+export const satisfiesVersion = (version, minVersion) => {
+  return !minVersion || !version || compareVersions(version, minVersion) >= 0;
+};
+
+export default { normalizeVersion, compareVersions, satisfiesVersion };
@@ -1,18 +1,273 @@
 import { WebSocketServer } from 'ws';
-import { spawn } from 'node-pty';
 import { URL } from 'url';
+import config from '../config/index.js';
 import { authenticateWebSocket } from '../api/middleware/auth.js';
 import SessionModel from '../models/session.js';
+import TerminalService from '../services/terminal.js';
+import RecordingService from '../services/recordings.js';
+import CommandAuditService from '../services/commandAudit.js';
 import logger from '../utils/logger.js';
 
-// Store active terminal connections
-const activeConnections = new Map();
+/**
+ * Open shells (`<session id>:<terminal name>` -> shell).
+ * A shell outlives its WebSocket: when the connection drops it is detached and kept
+ * for terminal.detachTimeoutSeconds, so a reconnect picks up the same bash (running
+ * vim or kubectl -w included) and gets its recent output replayed.
+ *
+ * shell: { sessionId, terminal, pty, ws, scrollback, scrollbackSize, detachTimer, recorder, parseAudit }
+ */
+const shells = new Map();
+
+// Shells are named by the client (?terminal=), e.g. one per tab
+const TERMINAL_NAME = /^[A-Za-z0-9_-]{1,32}$/;
+const DEFAULT_TERMINAL = 'main';
+
+/**
+ * Count the shells open for a session (attached or not)
+ */
+const countSessionShells = (sessionId) =>
+  [...shells.values()].filter(shell => shell.sessionId === sessionId).length;
+
+/**
+ * Send a message to a shell's WebSocket, if one is attached
+ */
+const sendToShell = (shell, message) => {
+  if (shell.ws && shell.ws.readyState === shell.ws.OPEN) {
+    shell.ws.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Keep a shell's latest output for replay (at most terminal.scrollbackBytes)
+ */
+const appendScrollback = (shell, data) => {
+  const limit = config.terminal.scrollbackBytes;
+  shell.scrollback.push(data);
+  shell.scrollbackSize += data.length;
+
+  while (shell.scrollbackSize > limit && shell.scrollback.length > 1) {
+    shell.scrollbackSize -= shell.scrollback.shift().length;
+  }
+  if (shell.scrollbackSize > limit) {
+    shell.scrollback[0] = shell.scrollback[0].slice(-limit);
+    shell.scrollbackSize = shell.scrollback[0].length;
+  }
+};
+
+/**
+ * End a shell: kill its process and forget it
+ */
+const killShell = (shell) => {
+  clearTimeout(shell.detachTimer);
+  if (shells.get(`${shell.sessionId}:${shell.terminal}`) === shell) {
+    shells.delete(`${shell.sessionId}:${shell.terminal}`);
+  }
+  if (shell.recorder) {
+    shell.recorder.stop();
+  }
+  if (shell.pty) {
+    shell.pty.kill();
+  }
+};
+
+/**
+ * Keep a shell whose WebSocket went away until it is reattached or times out
+ */
+const detachShell = (shell) => {
+  shell.ws = null;
+
+  if (config.terminal.detachTimeoutSeconds <= 0) {
+    killShell(shell);
+    return;
+  }
+
+  clearTimeout(shell.detachTimer);
+  shell.detachTimer = setTimeout(() => {
+    logger.info('Detached shell timed out', { sessionId: shell.sessionId, terminal: shell.terminal });
+    killShell(shell);
+  }, config.terminal.detachTimeoutSeconds * 1000);
+
+  logger.info('Shell detached', {
+    sessionId: shell.sessionId,
+    terminal: shell.terminal,
+    keptForSeconds: config.terminal.detachTimeoutSeconds,
+  });
+};
+
+/**
+ * Start a shell in a session's terminal container. Its place is held while the
+ * exec session opens, so the shell limit can't be overrun and a second connection to
+ * the same name waits for this one.
+ */
+const openShell = (session, terminal) => {
+  const shellId = `${session.id}:${terminal}`;
+  const shell = {
+    sessionId: session.id,
+    terminal,
+    pty: null,
+    ws: null,
+    scrollback: [],
+    scrollbackSize: 0,
+    detachTimer: null,
+    recorder: null,
+    parseAudit: CommandAuditService.createParser(),
+  };
+  shells.set(shellId, shell);
+
+  shell.ready = (async () => {
+    // Open a TTY exec session (Docker Engine API) in the terminal container
+    const containerName = `term-${session.cluster_name}`;
+    try {
+      shell.pty = await TerminalService.spawnTerminal(containerName, { cols: 120, rows: 30 });
+    } catch (error) {
+      killShell(shell);
+      throw error;
+    }
+
+    const ptyProcess = shell.pty;
+    const startTime = Date.now();
+
+    // Record the shell for the review page - the exam goes on if it can't be
+    try {
+      shell.recorder = RecordingService.start(session, terminal, { width: 120, height: 30 });
+    } catch (error) {
+      logger.error('Failed to start recording', { sessionId: session.id, terminal, error: error.message });
+    }
+
+    // Log PTY creation
+    logger.info('PTY process created', {
+      sessionId: session.id,
+      terminal,
+      containerName
+    });
+
+    // Initialize terminal with proper settings for line wrapping
+    // Wait for bash to be ready, then clear the screen without showing commands
+    // (the COLUMNS and LINES env vars handle the dimensions; the leading space keeps it
+    // out of the history, and so out of the command log)
+    setTimeout(() => {
+      if (shells.get(shellId) === shell) {
+        ptyProcess.write(' clear\r');
+      }
+    }, 200);
+
+    // Handle PTY output -> command log + recording + scrollback + WebSocket
+    ptyProcess.on('data', (chunk) => {
+      const { output: data, commands } = shell.parseAudit(chunk);
+      commands.forEach(command => CommandAuditService.record(session.id, terminal, command));
+      if (!data) {
+        return;
+      }
+      if (shell.recorder) {
+        shell.recorder.output(data);
+      }
+      appendScrollback(shell, data);
+      sendToShell(shell, { type: 'output', data });
+    });
+
+    ptyProcess.on('exit', (exitCode, signal) => {
+      const uptime = Date.now() - startTime;
+      logger.info('PTY process exited', {
+        sessionId: session.id,
+        terminal,
+        exitCode,
+        signal,
+        uptimeMs: uptime
+      });
+
+      // If exited too quickly, might be an error
+      if (uptime < 5000 && exitCode !== 0) {
+        logger.error('PTY exited abnormally soon after start', {
+          sessionId: session.id,
+          terminal,
+          exitCode,
+          signal,
+          uptimeMs: uptime
+        });
+      }
+
+      const { ws } = shell;
+      sendToShell(shell, { type: 'exit', code: exitCode });
+      shell.ws = null;
+      if (ws && ws.readyState === ws.OPEN) {
+        ws.close(1000, 'Process exited');
+      }
+      killShell(shell);
+    });
+
+    return shell;
+  })();
+
+  return shell;
+};
+
+/**
+ * Attach a WebSocket to a shell, replacing the one attached before, and replay the
+ * shell's recent output
+ */
+const attachShell = (shell, ws) => {
+  clearTimeout(shell.detachTimer);
+  shell.detachTimer = null;
+
+  const previous = shell.ws;
+  shell.ws = ws;
+  if (previous && previous !== ws) {
+    previous.close(4008, 'New connection');
+  }
+
+  if (shell.scrollback.length > 0) {
+    ws.send(JSON.stringify({ type: 'replay', data: shell.scrollback.join('') }));
+  }
+};
+
+/**
+ * Handle a WebSocket message for a shell
+ */
+const handleMessage = (shell, ws, message) => {
+  try {
+    const parsed = JSON.parse(message.toString());
+
+    switch (parsed.type) {
+      case 'input':
+        shell.pty.write(parsed.data);
+        break;
+
+      case 'resize':
+        if (parsed.cols && parsed.rows) {
+          // Resizes the exec's TTY through the Docker API
+          // No need to write stty commands which would be visible
+          shell.pty.resize(parsed.cols, parsed.rows);
+          if (shell.recorder) {
+            shell.recorder.resize(parsed.cols, parsed.rows);
+          }
+        }
+        break;
+
+      case 'ping':
+        ws.send(JSON.stringify({ type: 'pong' }));
+        break;
+
+      case 'close':
+        // The user closed the shell - don't keep it for a reconnect
+        logger.info('Shell closed by client', { sessionId: shell.sessionId, terminal: shell.terminal });
+        shell.ws = null;
+        killShell(shell);
+        ws.close(1000, 'Shell closed');
+        break;
+
+      default:
+        logger.warn('Unknown message type', { type: parsed.type });
+    }
+  } catch (error) {
+    logger.error('Failed to parse WebSocket message', { error: error.message });
+  }
+};
 
 /**
  * Initialize WebSocket server for terminal connections
  */
 export function initializeWebSocket(server) {
-  const wss = new WebSocketServer({ 
+  const wss = new WebSocketServer({
     server,
     path: '/ws/terminal',
   });
@@ -20,13 +275,14 @@ export function initializeWebSocket(server) {
   wss.on('connection', async (ws, req) => {
     let userId = null;
     let sessionId = null;
-    let ptyProcess = null;
+    let terminal = null;
 
     try {
       // Parse URL and get token
       const url = new URL(req.url, `http://${req.headers.host}`);
       const token = url.searchParams.get('token');
       sessionId = url.searchParams.get('sessionId');
+      terminal = url.searchParams.get('terminal') || DEFAULT_TERMINAL;
 
       if (!token) {
         ws.close(4001, 'Token required');
@@ -38,6 +294,11 @@ export function initializeWebSocket(server) {
         return;
       }
 
+      if (!TERMINAL_NAME.test(terminal)) {
+        ws.close(4010, 'Invalid terminal name');
+        return;
+      }
+
       // Authenticate
       let authResult;
       try {
@@ -48,10 +309,10 @@ export function initializeWebSocket(server) {
         const isExpired = error.name === 'TokenExpiredError';
         const closeCode = isExpired ? 4003 : 4004;
         const closeReason = isExpired ? 'Token expired - refresh required' : 'Authentication failed';
-        logger.warn('WebSocket authentication failed', { 
-          error: error.message, 
+        logger.warn('WebSocket authentication failed', {
+          error: error.message,
           errorType: error.name,
-          isExpired 
+          isExpired
         });
         ws.close(closeCode, closeReason);
         return;
@@ -69,12 +330,19 @@ export function initializeWebSocket(server) {
         return;
       }
 
-      if (session.status !== 'started') {
+      if (session.status !== 'ready') {
         ws.close(4007, 'Session not active');
         return;
       }
 
-      logger.info('WebSocket connection established', { userId, sessionId });
+      const shellId = `${sessionId}:${terminal}`;
+      let shell = shells.get(shellId);
+      if (!shell && countSessionShells(sessionId) >= config.terminal.maxShells) {
+        ws.close(4009, `At most ${config.terminal.maxShells} terminals per session`);
+        return;
+      }
+
+      logger.info('WebSocket connection established', { userId, sessionId, terminal, reattach: !!shell });
 
       // Initialize WebSocket heartbeat
       ws.isAlive = true;
@@ -82,152 +350,59 @@ export function initializeWebSocket(server) {
         ws.isAlive = true;
       });
 
-      // Store connection
-      const connectionId = `${userId}-${sessionId}`;
-      if (activeConnections.has(connectionId)) {
-        // Close existing connection
-        const existing = activeConnections.get(connectionId);
-        existing.ws.close(4008, 'New connection');
-        if (existing.pty) {
-          existing.pty.kill();
-        }
-      }
-
-      // Spawn PTY process - use docker exec directly for cleaner terminal handling
-      const containerName = `term-${session.cluster_name}`;
-      
-      // Use docker exec directly without socat for better compatibility
-      // This provides cleaner output without rendering artifacts
-      ptyProcess = spawn('docker', [
-        'exec',
-        '-it',
-        containerName,
-        '/bin/bash'
-      ], {
-        name: 'xterm-256color',
-        cols: 120,
-        rows: 30,
-        cwd: process.env.HOME,
-        env: {
-          TERM: 'xterm-256color',
-          COLORTERM: 'truecolor',
-          COLUMNS: '120',
-          LINES: '30',
-        },
-      });
-
-      // Store connection
-      activeConnections.set(connectionId, { ws, pty: ptyProcess, sessionId });
-
-      // Log PTY creation
-      logger.info('PTY process created', { 
-        sessionId, 
-        containerName
-      });
-
-      // Initialize terminal with proper settings for line wrapping
-      // Wait for bash to be ready, then set terminal properties
-      setTimeout(() => {
-        if (ptyProcess && ws.readyState === ws.OPEN) {
-          // Clear screen without showing commands
-          // The COLUMNS and LINES env vars should handle the dimensions
-          ptyProcess.write('clear\r');
-        }
-      }, 200);
-
-      // Handle PTY output -> WebSocket
-      ptyProcess.on('data', (data) => {
-        if (ws.readyState === ws.OPEN) {
-          ws.send(JSON.stringify({ type: 'output', data }));
-        }
-      });
-
-      ptyProcess.on('exit', (exitCode, signal) => {
-        const uptime = Date.now() - (ptyProcess._startTime || Date.now());
-        logger.info('PTY process exited', { 
-          sessionId, 
-          exitCode, 
-          signal,
-          uptimeMs: uptime
-        });
-        
-        // If exited too quickly, might be an error
-        if (uptime < 5000 && exitCode !== 0) {
-          logger.error('PTY exited abnormally soon after start', {
-            sessionId,
-            exitCode,
-            signal,
-            uptimeMs: uptime
-          });
-        }
-        
-        if (ws.readyState === ws.OPEN) {
-          ws.send(JSON.stringify({ type: 'exit', code: exitCode }));
-          ws.close(1000, 'Process exited');
-        }
-        activeConnections.delete(connectionId);
-      });
-
-      // Track start time for debugging
-      ptyProcess._startTime = Date.now();
-
-      // Handle WebSocket messages -> PTY
+      // Messages that arrive while the shell is being opened are replayed once it's attached
+      const pendingMessages = [];
       ws.on('message', (message) => {
-        try {
-          const parsed = JSON.parse(message.toString());
-
-          switch (parsed.type) {
-            case 'input':
-              if (ptyProcess) {
-                ptyProcess.write(parsed.data);
-              }
-              break;
-
-            case 'resize':
-              if (ptyProcess && parsed.cols && parsed.rows) {
-                try {
-                  // PTY resize automatically updates the terminal dimensions
-                  // No need to write stty commands which would be visible
-                  ptyProcess.resize(parsed.cols, parsed.rows);
-                } catch (error) {
-                  logger.error('Failed to resize PTY', { sessionId, error: error.message });
-                }
-              }
-              break;
-
-            case 'ping':
-              ws.send(JSON.stringify({ type: 'pong' }));
-              break;
-
-            default:
-              logger.warn('Unknown message type', { type: parsed.type });
-          }
-        } catch (error) {
-          logger.error('Failed to parse WebSocket message', { error: error.message });
+        if (shell && shell.ws === ws) {
+          handleMessage(shell, ws, message);
+        } else {
+          pendingMessages.push(message);
         }
       });
 
       // Handle WebSocket close
       ws.on('close', (code, reason) => {
-        logger.info('WebSocket connection closed', { 
-          userId, 
-          sessionId, 
-          code, 
-          reason: reason.toString() 
+        logger.info('WebSocket connection closed', {
+          userId,
+          sessionId,
+          terminal,
+          code,
+          reason: reason.toString()
         });
 
-        activeConnections.delete(connectionId);
-
-        if (ptyProcess) {
-          ptyProcess.kill();
+        // A replaced connection closes after its successor has taken the shell
+        if (shell && shell.ws === ws) {
+          detachShell(shell);
         }
       });
 
       // Handle WebSocket error
       ws.on('error', (error) => {
-        logger.error('WebSocket error', { userId, sessionId, error: error.message });
+        logger.error('WebSocket error', { userId, sessionId, terminal, error: error.message });
       });
 
+      if (!shell) {
+        shell = openShell(session, terminal);
+      }
+      await shell.ready;
+
+      if (ws.readyState !== ws.OPEN) {
+        // Client went away while the shell was starting - keep it for a reconnect
+        if (!shell.ws && shells.get(shellId) === shell && !shell.detachTimer) {
+          detachShell(shell);
+        }
+        return;
+      }
+
+      if (shells.get(shellId) !== shell) {
+        // The shell ended while this connection was waiting for it
+        ws.close(1000, 'Process exited');
+        return;
+      }
+
+      attachShell(shell, ws);
+      pendingMessages.splice(0).forEach(message => handleMessage(shell, ws, message));
+
     } catch (error) {
       logger.error('WebSocket connection error', { error: error.message });
       ws.close(4000, 'Connection error');
@@ -254,17 +429,29 @@ export function initializeWebSocket(server) {
 }
 
 /**
- * Close all connections for a session
+ * Close all connections and shells for a session
  */
 export function closeSessionConnections(sessionId) {
-  for (const [connectionId, connection] of activeConnections.entries()) {
-    if (connection.sessionId === sessionId) {
-      logger.info('Closing connection for session', { sessionId });
-      connection.ws.close(1000, 'Session ended');
-      if (connection.pty) {
-        connection.pty.kill();
+  for (const shell of [...shells.values()]) {
+    if (shell.sessionId === sessionId) {
+      logger.info('Closing shell for session', { sessionId, terminal: shell.terminal });
+      const { ws } = shell;
+      shell.ws = null;
+      if (ws) {
+        ws.close(1000, 'Session ended');
       }
-      activeConnections.delete(connectionId);
+      killShell(shell);
+    }
+  }
+}
+
+/**
+ * Send a notice to the connections of a session
+ */
+export function notifySession(sessionId, message) {
+  for (const shell of shells.values()) {
+    if (shell.sessionId === sessionId) {
+      sendToShell(shell, { type: 'notice', message });
     }
   }
 }
@@ -273,10 +460,8 @@ export function closeSessionConnections(sessionId) {
  * Broadcast message to all connections
  */
 export function broadcast(message) {
-  for (const connection of activeConnections.values()) {
-    if (connection.ws.readyState === connection.ws.OPEN) {
-      connection.ws.send(JSON.stringify(message));
-    }
+  for (const shell of shells.values()) {
+    sendToShell(shell, message);
   }
 }
 
@@ -284,15 +469,13 @@ export function broadcast(message) {
  * Get count of active connections
  */
 export function getConnectionCount() {
-  return activeConnections.size;
+  return [...shells.values()].filter(shell => shell.ws).length;
 }
 
-export default { 
-  initializeWebSocket, 
-  closeSessionConnections, 
+export default {
+  initializeWebSocket,
+  closeSessionConnections,
+  notifySession,
   broadcast,
   getConnectionCount,
 };
-
-
-
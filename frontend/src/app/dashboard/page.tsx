@@ -11,15 +11,25 @@ import {
   Server,
   Activity,
   AlertCircle,
+  AlertTriangle,
   RefreshCw,
   TrendingUp,
+  Puzzle,
+  Layers,
+  Pause,
+  Camera,
+  Wrench,
+  Globe,
 } from 'lucide-react';
 import { clsx } from 'clsx';
 import { useAuthStore, useSessionStore } from '@/lib/store';
+import type { QueueInfo } from '@/lib/store';
 import { sessionApi, authApi, platformApi } from '@/lib/api';
 import Timer from '@/components/Timer';
 import Terminal from '@/components/Terminal';
 import TaskPanel from '@/components/TaskPanel';
+import ProvisioningProgress from '@/components/ProvisioningProgress';
+import QueueStatus from '@/components/QueueStatus';
 
 export default function DashboardPage() {
   const router = useRouter();
@@ -30,7 +40,13 @@ export default function DashboardPage() {
   const [isStarting, setIsStarting] = useState(false);
   const [isStopping, setIsStopping] = useState(false);
   const [isExtending, setIsExtending] = useState(false);
+  const [isPausing, setIsPausing] = useState(false);
+  const [isSnapshotting, setIsSnapshotting] = useState(false);
+  const [isRebuilding, setIsRebuilding] = useState(false);
+  const [isOpeningPreview, setIsOpeningPreview] = useState(false);
   const [platformStatus, setPlatformStatus] = useState<any>(null);
+  const [kubernetesVersion, setKubernetesVersion] = useState('');
+  const [queued, setQueued] = useState<{ queue: QueueInfo; reason?: string | null } | null>(null);
 
   // Check auth on mount
   useEffect(() => {
@@ -47,13 +63,13 @@ export default function DashboardPage() {
     }
   }, [isAuthenticated]);
 
-  // Poll session status every 30 seconds
+  // Poll session status every 30 seconds (10 while the cluster is recovering)
   useEffect(() => {
     if (!session) return;
 
     const interval = setInterval(() => {
       loadSessionStatus();
-    }, 30000);
+    }, session.health?.status === 'degraded' ? 10000 : 30000);
 
     return () => clearInterval(interval);
   }, [session]);
@@ -68,13 +84,28 @@ export default function DashboardPage() {
             id: result.session.id,
             clusterName: result.session.clusterName,
             status: result.session.status,
+            kubernetesVersion: result.session.kubernetesVersion,
+            topology: result.session.topology,
+            addons: result.session.addons,
+            contexts: result.session.contexts,
             startTime: result.session.startTime,
             ttlMinutes: result.session.ttlMinutes,
             remainingMinutes: result.session.remainingMinutes,
             extended: result.session.extended,
+            pausedAt: result.session.pausedAt,
+            maxPausedMinutes: result.session.maxPausedMinutes,
+            degradedAt: result.session.degradedAt,
+            health: result.health,
+            provisioning: result.provisioning,
+            rebuilds: result.rebuilds,
+            maxShells: result.terminal?.maxShells,
           });
+          setQueued(null);
         } else {
           setSession(null);
+          // Still waiting for a slot (e.g. after a page reload)
+          const queueResult = await sessionApi.queueStatus();
+          setQueued(queueResult.queued ? { queue: queueResult.queue } : null);
         }
       }
     } catch (err: any) {
@@ -102,20 +133,30 @@ export default function DashboardPage() {
       setError(null);
       
       console.log('Starting session...');
-      const result = await sessionApi.start();
+      const result = await sessionApi.start({ kubernetesVersion: kubernetesVersion || undefined });
       console.log('Session start result:', result);
 
-      if (result.success) {
+      if (result.success && result.queued) {
+        // No free slot - the session starts when it's our turn
+        setQueued({ queue: result.queue, reason: result.reason });
+        toast.info(`All clusters are busy - you're #${result.queue.position} in the queue`);
+      } else if (result.success) {
+        // Session comes back as 'provisioning' - progress is streamed below
         setSession({
           id: result.session.id,
           clusterName: result.session.clusterName,
           status: result.session.status,
+          kubernetesVersion: result.session.kubernetesVersion,
+          topology: result.session.topology,
+          addons: result.session.addons,
+          contexts: result.session.contexts,
           startTime: result.session.startTime,
           ttlMinutes: result.session.ttlMinutes,
-          remainingMinutes: result.session.remainingMinutes,
+          remainingMinutes: result.session.ttlMinutes,
           extended: result.session.extended,
+          provisioning: result.provisioning,
+          maxShells: result.terminal?.maxShells,
         });
-        toast.success('Practice session started!');
       } else {
         const errorMsg = result.message || result.error || 'Failed to start session';
         setError(errorMsg);
@@ -131,6 +172,77 @@ export default function DashboardPage() {
     }
   };
 
+  const handleProvisioningReady = async () => {
+    await loadSessionStatus();
+    loadPlatformStatus();
+    toast.success('Practice session started!');
+  };
+
+  const handleQueueTurn = async () => {
+    setQueued(null);
+    await loadSessionStatus();
+    toast.success("It's your turn - preparing your cluster");
+  };
+
+  const handleQueueLeft = () => {
+    setQueued(null);
+    loadPlatformStatus();
+  };
+
+  const handleProvisioningFailed = (message: string) => {
+    setSession(null);
+    setError(message);
+    toast.error(`Failed to start session: ${message}`);
+    loadPlatformStatus();
+  };
+
+  const handleRebuildCluster = async () => {
+    const rebuilds = session?.rebuilds;
+    if (
+      !confirm(
+        'Rebuild your cluster from scratch? Everything in the cluster is deleted and the current ' +
+          'question is set up again. Your answers and progress are kept and the timer is stopped ' +
+          `while the cluster is rebuilt.${rebuilds ? ` You have ${rebuilds.remaining} of ${rebuilds.limit} rebuilds left.` : ''}`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setIsRebuilding(true);
+      const result = await sessionApi.rebuild();
+
+      if (result.success) {
+        // Progress is streamed below until the cluster is ready again
+        setSession({
+          ...session!,
+          status: 'rebuilding',
+          provisioning: result.provisioning,
+          rebuilds: result.rebuilds,
+        });
+        toast.info('Rebuilding your cluster');
+      } else {
+        toast.error(result.message || 'Failed to rebuild the cluster');
+      }
+    } catch (err: any) {
+      toast.error(err.message || 'Failed to rebuild the cluster');
+    } finally {
+      setIsRebuilding(false);
+    }
+  };
+
+  const handleRebuildReady = async () => {
+    await loadSessionStatus();
+    toast.success('Your cluster has been rebuilt');
+  };
+
+  const handleRebuildFailed = (message: string) => {
+    setSession(null);
+    setError(message);
+    toast.error(`Failed to rebuild the cluster: ${message}`);
+    loadPlatformStatus();
+  };
+
   const handleStopSession = async () => {
     if (!confirm('Are you sure you want to end your session? All progress will be lost.')) {
       return;
@@ -153,6 +265,103 @@ export default function DashboardPage() {
     }
   };
 
+  const handlePauseSession = async () => {
+    try {
+      setIsPausing(true);
+      const result = await sessionApi.pause();
+
+      if (result.success) {
+        setSession({
+          ...session!,
+          status: 'paused',
+          pausedAt: result.session.pausedAt,
+          remainingMinutes: result.session.remainingMinutes,
+          maxPausedMinutes: result.session.maxPausedMinutes,
+        });
+        toast.success('Session paused - the timer is stopped');
+      } else {
+        toast.error(result.message || 'Failed to pause session');
+      }
+    } catch (err: any) {
+      toast.error(err.message || 'Failed to pause session');
+    } finally {
+      setIsPausing(false);
+    }
+  };
+
+  const handleResumeSession = async () => {
+    try {
+      setIsPausing(true);
+      const result = await sessionApi.resume();
+
+      if (result.success) {
+        updateRemainingTime(result.session.remainingMinutes);
+        setSession({
+          ...session!,
+          status: 'ready',
+          pausedAt: null,
+          remainingMinutes: result.session.remainingMinutes,
+        });
+        toast.success('Session resumed');
+      } else {
+        toast.error(result.message || 'Failed to resume session');
+      }
+    } catch (err: any) {
+      toast.error(err.message || 'Failed to resume session');
+    } finally {
+      setIsPausing(false);
+    }
+  };
+
+  const handleSnapshotSession = async () => {
+    const name = prompt('Name this snapshot (optional). You can restore it later from My Progress.');
+    if (name === null) {
+      return;
+    }
+
+    try {
+      setIsSnapshotting(true);
+      const result = await sessionApi.createSnapshot(name.trim() || undefined);
+      toast.success(
+        `Snapshot "${result.snapshot.name}" saved (${result.quota.used} of ${result.quota.max} used)`
+      );
+    } catch (err: any) {
+      toast.error(err.message || 'Failed to save snapshot');
+    } finally {
+      setIsSnapshotting(false);
+    }
+  };
+
+  const handleOpenPreview = async () => {
+    const host = prompt(
+      'Host to request, e.g. the host of your Ingress rule (leave empty to match Ingresses without a host).'
+    );
+    if (host === null) {
+      return;
+    }
+
+    // Open the tab right away - browsers block pop-ups opened after an await
+    const tab = window.open('', '_blank');
+
+    try {
+      setIsOpeningPreview(true);
+      const result = await sessionApi.preview({ host: host.trim() || undefined });
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to open the preview');
+      }
+      if (tab) {
+        tab.location.href = result.url;
+      } else {
+        window.open(result.url, '_blank');
+      }
+    } catch (err: any) {
+      tab?.close();
+      toast.error(err.message || 'Failed to open the preview');
+    } finally {
+      setIsOpeningPreview(false);
+    }
+  };
+
   const handleExtendSession = async () => {
     try {
       setIsExtending(true);
@@ -219,12 +428,13 @@ export default function DashboardPage() {
 
         <div className="flex items-center gap-4">
           {/* Session Timer */}
-          {session && (
+          {session && session.status === 'ready' && (
             <Timer
               remainingMinutes={session.remainingMinutes}
               onExtend={handleExtendSession}
               canExtend={!session.extended}
               isExtending={isExtending}
+              stopped={!!session.degradedAt}
             />
           )}
 
@@ -255,7 +465,29 @@ export default function DashboardPage() {
 
       {/* Main Content */}
       <main className="flex-1 flex flex-col p-4 gap-4 overflow-hidden">
-        {!session ? (
+        {/* Cluster outage found by the watchdog */}
+        {session?.status === 'ready' && session.health?.incident && (
+          <div className="flex items-center gap-3 px-4 py-3 bg-yellow-500/10 border border-yellow-500/30 rounded-xl text-yellow-400 text-sm">
+            <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+            <span className="flex-1">
+              {session.health.incident.message}. The timer is stopped while the cluster recovers
+              {session.health.incident.recoveryAttempts > 0 &&
+                ` (recovery attempt ${session.health.incident.recoveryAttempts} of ${session.health.incident.maxRecoveryAttempts})`}
+              .
+            </span>
+            <Loader2 className="w-4 h-4 animate-spin flex-shrink-0" />
+          </div>
+        )}
+
+        {!session && queued ? (
+          // Waiting for a free slot
+          <QueueStatus
+            initialQueue={queued.queue}
+            reason={queued.reason}
+            onTurn={handleQueueTurn}
+            onLeave={handleQueueLeft}
+          />
+        ) : !session ? (
           // No Active Session - Show Start Button
           <div className="flex-1 flex items-center justify-center">
             <div className="text-center max-w-md">
@@ -275,6 +507,33 @@ export default function DashboardPage() {
                 </div>
               )}
 
+              {/* Kubernetes version (only when the platform offers a choice) */}
+              {platformStatus?.sessionConfig?.kubernetesVersions?.length > 1 && (
+                <div className="flex items-center justify-center gap-3 mb-6 text-sm">
+                  <label htmlFor="kubernetes-version" className="text-terminal-muted">
+                    Kubernetes version
+                  </label>
+                  <select
+                    id="kubernetes-version"
+                    value={kubernetesVersion}
+                    onChange={(e) => setKubernetesVersion(e.target.value)}
+                    disabled={isStarting}
+                    className="px-3 py-2 bg-terminal-surface border border-terminal-border rounded-lg focus:border-terminal-accent outline-none"
+                  >
+                    <option value="">
+                      {platformStatus.sessionConfig.defaultKubernetesVersion} (default)
+                    </option>
+                    {platformStatus.sessionConfig.kubernetesVersions
+                      .filter((version: string) => version !== platformStatus.sessionConfig.defaultKubernetesVersion)
+                      .map((version: string) => (
+                        <option key={version} value={version}>
+                          {version}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+              )}
+
               <button
                 onClick={handleStartSession}
                 disabled={isStarting || isLoading}
@@ -286,7 +545,7 @@ export default function DashboardPage() {
                 {isStarting ? (
                   <>
                     <Loader2 className="w-5 h-5 animate-spin" />
-                    Creating cluster...
+                    Starting...
                   </>
                 ) : (
                   <>
@@ -296,12 +555,6 @@ export default function DashboardPage() {
                 )}
               </button>
 
-              {isStarting && (
-                <p className="text-sm text-terminal-muted mt-4 animate-pulse">
-                  This may take up to 60 seconds...
-                </p>
-              )}
-
               {/* Info cards */}
               <div className="grid grid-cols-3 gap-4 mt-12 text-left">
                 <div className="p-4 bg-terminal-surface rounded-xl border border-terminal-border">
@@ -321,6 +574,51 @@ export default function DashboardPage() {
               </div>
             </div>
           </div>
+        ) : session.status === 'provisioning' ? (
+          // Session is being provisioned - show live progress
+          <ProvisioningProgress
+            sessionId={session.id}
+            initialProgress={session.provisioning}
+            onReady={handleProvisioningReady}
+            onFailed={handleProvisioningFailed}
+          />
+        ) : session.status === 'rebuilding' ? (
+          // Cluster is being rebuilt - progress is kept, the timer is stopped
+          <ProvisioningProgress
+            sessionId={session.id}
+            initialProgress={session.provisioning}
+            title="Rebuilding your cluster"
+            onReady={handleRebuildReady}
+            onFailed={handleRebuildFailed}
+          />
+        ) : session.status === 'paused' ? (
+          // Paused - the cluster is frozen until the user resumes
+          <div className="flex-1 flex items-center justify-center">
+            <div className="max-w-md text-center">
+              <div className="w-16 h-16 mx-auto mb-6 flex items-center justify-center bg-terminal-surface border border-terminal-border rounded-2xl">
+                <Pause className="w-8 h-8 text-terminal-accent" />
+              </div>
+              <h2 className="text-2xl font-bold mb-2">Session paused</h2>
+              <p className="text-terminal-muted mb-6">
+                Your cluster is frozen and the timer is stopped with{' '}
+                <span className="text-terminal-text">{session.remainingMinutes} minutes</span> left.
+                {session.maxPausedMinutes && (
+                  <>
+                    {' '}Resume within {session.maxPausedMinutes} minutes of pausing or the session
+                    will be ended.
+                  </>
+                )}
+              </p>
+              <button
+                onClick={handleResumeSession}
+                disabled={isPausing}
+                className="inline-flex items-center gap-2 px-6 py-3 bg-terminal-accent text-terminal-bg font-semibold rounded-xl hover:bg-terminal-accent/90 transition-all disabled:opacity-50"
+              >
+                {isPausing ? <Loader2 className="w-5 h-5 animate-spin" /> : <Play className="w-5 h-5" />}
+                Resume Session
+              </button>
+            </div>
+          </div>
         ) : (
           // Active Session - Show Question + Terminal Side by Side
           <div className="flex-1 flex gap-4 overflow-hidden">
@@ -335,21 +633,64 @@ export default function DashboardPage() {
                 sessionId={session.id}
                 wsUrl={`/ws/terminal?sessionId=${session.id}`}
                 accessToken={accessToken!}
+                maxShells={session.maxShells}
               />
             </div>
           </div>
         )}
 
         {/* Session Controls (when active) */}
-        {session && (
+        {session && session.status !== 'provisioning' && session.status !== 'rebuilding' && (
           <div className="flex items-center justify-between px-4 py-3 bg-terminal-surface border border-terminal-border rounded-xl">
             <div className="flex items-center gap-4">
               <div className="flex items-center gap-2">
-                <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse" />
+                <div
+                  className={clsx(
+                    'w-2 h-2 rounded-full',
+                    session.status === 'paused' ? 'bg-yellow-500' : 'bg-green-500 animate-pulse'
+                  )}
+                />
                 <span className="text-sm">
                   Cluster: <code className="text-terminal-accent">{session.clusterName}</code>
                 </span>
               </div>
+              {session.kubernetesVersion && (
+                <span className="text-sm text-terminal-muted">
+                  Kubernetes <code className="text-terminal-text">{session.kubernetesVersion}</code>
+                </span>
+              )}
+              {!!session.topology?.workers && (
+                <span className="text-sm text-terminal-muted">
+                  Nodes: 1 control-plane + {session.topology.workers} worker
+                  {session.topology.workers > 1 ? 's' : ''}
+                </span>
+              )}
+              {session.contexts && session.contexts.length > 0 && (
+                <div className="flex items-center gap-1.5 text-sm text-terminal-muted" title="kubeconfig contexts (one cluster each)">
+                  <Layers className="w-4 h-4" />
+                  {session.contexts.map((context) => (
+                    <code
+                      key={context}
+                      className="px-1.5 py-0.5 text-xs text-terminal-text bg-terminal-border rounded"
+                    >
+                      {context}
+                    </code>
+                  ))}
+                </div>
+              )}
+              {session.addons && session.addons.length > 0 && (
+                <div className="flex items-center gap-1.5 text-sm text-terminal-muted" title="Cluster add-ons">
+                  <Puzzle className="w-4 h-4" />
+                  {session.addons.map((addon) => (
+                    <code
+                      key={addon}
+                      className="px-1.5 py-0.5 text-xs text-terminal-text bg-terminal-border rounded"
+                    >
+                      {addon}
+                    </code>
+                  ))}
+                </div>
+              )}
             </div>
 
             <div className="flex items-center gap-3">
@@ -360,6 +701,50 @@ export default function DashboardPage() {
               >
                 <RefreshCw className="w-4 h-4 text-terminal-muted" />
               </button>
+              {session.status === 'ready' && (
+                <button
+                  onClick={handleOpenPreview}
+                  disabled={isOpeningPreview}
+                  className="inline-flex items-center gap-2 px-4 py-2 text-terminal-muted border border-terminal-border rounded-lg hover:bg-terminal-border hover:text-terminal-text transition-all disabled:opacity-50"
+                  title="Open your cluster's ingress in a new tab to try your Ingresses and Services"
+                >
+                  {isOpeningPreview ? <Loader2 className="w-4 h-4 animate-spin" /> : <Globe className="w-4 h-4" />}
+                  Preview
+                </button>
+              )}
+              {session.status === 'ready' && (
+                <button
+                  onClick={handleSnapshotSession}
+                  disabled={isSnapshotting}
+                  className="inline-flex items-center gap-2 px-4 py-2 text-terminal-muted border border-terminal-border rounded-lg hover:bg-terminal-border hover:text-terminal-text transition-all disabled:opacity-50"
+                  title="Save your progress and the current question's namespace to continue another day"
+                >
+                  {isSnapshotting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Camera className="w-4 h-4" />}
+                  Snapshot
+                </button>
+              )}
+              {session.status === 'ready' && (
+                <button
+                  onClick={handlePauseSession}
+                  disabled={isPausing}
+                  className="inline-flex items-center gap-2 px-4 py-2 text-terminal-muted border border-terminal-border rounded-lg hover:bg-terminal-border hover:text-terminal-text transition-all disabled:opacity-50"
+                  title="Freeze the cluster and stop the timer"
+                >
+                  {isPausing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Pause className="w-4 h-4" />}
+                  Pause
+                </button>
+              )}
+              {session.status === 'ready' && session.rebuilds && session.rebuilds.limit > 0 && (
+                <button
+                  onClick={handleRebuildCluster}
+                  disabled={isRebuilding || session.rebuilds.remaining === 0}
+                  className="inline-flex items-center gap-2 px-4 py-2 text-terminal-muted border border-terminal-border rounded-lg hover:bg-terminal-border hover:text-terminal-text transition-all disabled:opacity-50"
+                  title="Delete and recreate the cluster when it is broken beyond a question reset. Your progress is kept."
+                >
+                  {isRebuilding ? <Loader2 className="w-4 h-4 animate-spin" /> : <Wrench className="w-4 h-4" />}
+                  Rebuild Cluster ({session.rebuilds.remaining} left)
+                </button>
+              )}
               <button
                 onClick={handleStopSession}
                 disabled={isStopping}
@@ -12,10 +12,18 @@ import {
   BarChart3,
   Calendar,
   Award,
-  ArrowLeft
+  ArrowLeft,
+  Camera,
+  RotateCcw,
+  Trash2,
+  Loader2,
+  PlayCircle,
+  TerminalSquare
 } from 'lucide-react';
 import { clsx } from 'clsx';
+import { toast } from 'sonner';
 import { useAuthStore } from '@/lib/store';
+import type { SessionSnapshot, SnapshotQuota } from '@/lib/store';
 import { sessionApi } from '@/lib/api';
 
 interface ProgressData {
@@ -41,6 +49,8 @@ interface ProgressData {
     maxScore: number;
     scorePercentage: number;
     tasksPassed: number;
+    // Terminal recordings kept for the review page
+    recordings: number;
   }>;
   byDifficulty: Array<{
     difficulty: string;
@@ -56,6 +66,26 @@ interface ProgressData {
     passRate: number;
     avgScore: number;
   }>;
+  snapshots: SessionSnapshot[];
+  snapshotQuota: SnapshotQuota;
+  // From the command audit log
+  commands: {
+    totalCommands: number;
+    kubectlCommands: number;
+    verbs: Array<{ verb: string; count: number }>;
+    flags: Array<{ flag: string; count: number }>;
+    questions: Array<{
+      sessionId: string;
+      taskId: number;
+      questionNumber: number;
+      title: string;
+      commands: number;
+      firstCommandAt: string;
+      passedAt: string | null;
+      // From the first command to passing verification
+      secondsToPass: number | null;
+    }>;
+  };
 }
 
 export default function ProgressPage() {
@@ -63,6 +93,7 @@ export default function ProgressPage() {
   const { isAuthenticated } = useAuthStore();
   const [progress, setProgress] = useState<ProgressData | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [busySnapshotId, setBusySnapshotId] = useState<string | null>(null);
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -86,6 +117,39 @@ export default function ProgressPage() {
     }
   };
 
+  const handleRestoreSnapshot = async (snapshot: SessionSnapshot) => {
+    try {
+      setBusySnapshotId(snapshot.id);
+      const result = await sessionApi.restoreSnapshot(snapshot.id);
+      toast.success(
+        result.queued
+          ? `Waiting for a free slot to restore "${snapshot.name}"`
+          : `Restoring "${snapshot.name}"...`
+      );
+      router.push('/dashboard');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to restore snapshot');
+      setBusySnapshotId(null);
+    }
+  };
+
+  const handleDeleteSnapshot = async (snapshot: SessionSnapshot) => {
+    if (!confirm(`Delete snapshot "${snapshot.name}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setBusySnapshotId(snapshot.id);
+      await sessionApi.deleteSnapshot(snapshot.id);
+      toast.success('Snapshot deleted');
+      loadProgress();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to delete snapshot');
+    } finally {
+      setBusySnapshotId(null);
+    }
+  };
+
   const formatDate = (dateString: string | null) => {
     if (!dateString) return 'Never';
     const date = new Date(dateString);
@@ -98,6 +162,12 @@ export default function ProgressPage() {
     });
   };
 
+  const formatDuration = (seconds: number | null) => {
+    if (seconds === null) return '-';
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+  };
+
   const getDifficultyColor = (difficulty: string) => {
     switch (difficulty) {
       case 'easy': return 'text-green-400';
@@ -293,6 +363,159 @@ export default function ProgressPage() {
           </div>
         </div>
 
+        {/* Snapshots */}
+        <div className="bg-terminal-surface border border-terminal-border rounded-xl p-6 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-2">
+              <Camera className="w-5 h-5 text-terminal-accent" />
+              <h2 className="text-lg font-bold">Snapshots</h2>
+            </div>
+            <span className="text-sm text-terminal-muted">
+              {progress.snapshotQuota.used} / {progress.snapshotQuota.max} saved
+              {' · '}
+              {progress.snapshotQuota.usedMb} / {progress.snapshotQuota.maxMb} MB
+            </span>
+          </div>
+          {progress.snapshots.length === 0 ? (
+            <p className="text-center py-6 text-sm text-terminal-muted">
+              No snapshots yet. Use Snapshot during a session to save your progress and continue another day.
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {progress.snapshots.map((snapshot) => (
+                <div
+                  key={snapshot.id}
+                  className="flex items-center justify-between gap-4 bg-terminal-bg rounded-lg p-4"
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium truncate">{snapshot.name}</p>
+                    <p className="text-xs text-terminal-muted mt-1">
+                      Question {snapshot.question} of {snapshot.totalQuestions}
+                      {' · '}
+                      {snapshot.completedQuestions} completed
+                      {snapshot.kubernetesVersion && <> · Kubernetes {snapshot.kubernetesVersion}</>}
+                      {' · '}
+                      {formatDate(snapshot.createdAt)}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => handleRestoreSnapshot(snapshot)}
+                      disabled={snapshot.status !== 'ready' || busySnapshotId !== null}
+                      className="inline-flex items-center gap-2 px-3 py-1.5 text-sm bg-terminal-accent/10 text-terminal-accent border border-terminal-accent/30 rounded-lg hover:bg-terminal-accent/20 transition-all disabled:opacity-50"
+                    >
+                      {busySnapshotId === snapshot.id ? (
+                        <Loader2 className="w-4 h-4 animate-spin" />
+                      ) : (
+                        <RotateCcw className="w-4 h-4" />
+                      )}
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handleDeleteSnapshot(snapshot)}
+                      disabled={snapshot.status !== 'ready' || busySnapshotId !== null}
+                      className="p-2 text-terminal-muted hover:text-red-400 hover:bg-red-500/10 rounded-lg transition-colors disabled:opacity-50"
+                      title="Delete snapshot"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Command Habits */}
+        <div className="bg-terminal-surface border border-terminal-border rounded-xl p-6 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-2">
+              <TerminalSquare className="w-5 h-5 text-terminal-accent" />
+              <h2 className="text-lg font-bold">Command Habits</h2>
+            </div>
+            <span className="text-sm text-terminal-muted">
+              {progress.commands.totalCommands} commands logged
+              {progress.commands.totalCommands > 0 && (
+                <> · {progress.commands.kubectlCommands} with kubectl</>
+              )}
+            </span>
+          </div>
+          {progress.commands.totalCommands === 0 ? (
+            <p className="text-center py-6 text-sm text-terminal-muted">
+              No commands yet. The commands you run in the terminal show up here.
+            </p>
+          ) : (
+            <div className="grid lg:grid-cols-2 gap-6">
+              <div className="space-y-5">
+                <div>
+                  <h3 className="text-sm font-semibold text-terminal-muted mb-2">kubectl verbs</h3>
+                  <div className="space-y-2">
+                    {progress.commands.verbs.map((verb) => (
+                      <div key={verb.verb} className="flex items-center gap-3">
+                        <span className="w-24 text-sm font-mono truncate">{verb.verb}</span>
+                        <div className="flex-1 h-1.5 bg-terminal-border rounded-full overflow-hidden">
+                          <div
+                            className="h-full bg-terminal-accent"
+                            style={{ width: `${(verb.count / progress.commands.verbs[0].count) * 100}%` }}
+                          />
+                        </div>
+                        <span className="w-10 text-right text-xs text-terminal-muted">{verb.count}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <h3 className="text-sm font-semibold text-terminal-muted mb-2">kubectl flags</h3>
+                  <div className="flex flex-wrap gap-2">
+                    {progress.commands.flags.map((flag) => (
+                      <span
+                        key={flag.flag}
+                        className="px-2 py-1 text-xs font-mono bg-terminal-bg border border-terminal-border rounded"
+                      >
+                        {flag.flag} <span className="text-terminal-muted">×{flag.count}</span>
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold text-terminal-muted mb-2">Per question</h3>
+                <div className="max-h-80 overflow-y-auto">
+                  <table className="w-full">
+                    <thead>
+                      <tr className="border-b border-terminal-border text-xs text-terminal-muted">
+                        <th className="text-left py-2 px-2">Question</th>
+                        <th className="text-right py-2 px-2">Commands</th>
+                        <th className="text-right py-2 px-2">Time to pass</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-terminal-border">
+                      {progress.commands.questions.map((question) => (
+                        <tr key={`${question.sessionId}-${question.taskId}`}>
+                          <td className="py-2 px-2 text-sm">
+                            <span className="text-terminal-muted">Q{question.questionNumber}</span> {question.title}
+                          </td>
+                          <td className="py-2 px-2 text-right text-sm">{question.commands}</td>
+                          <td
+                            className={clsx(
+                              'py-2 px-2 text-right text-sm',
+                              question.secondsToPass === null ? 'text-terminal-muted' : 'text-green-400'
+                            )}
+                            title={question.passedAt ? `First command ${formatDate(question.firstCommandAt)}` : 'Not passed'}
+                          >
+                            {formatDuration(question.secondsToPass)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Recent Sessions */}
         <div className="bg-terminal-surface border border-terminal-border rounded-xl p-6">
           <div className="flex items-center gap-2 mb-4">
@@ -309,12 +532,13 @@ export default function ProgressPage() {
                   <th className="text-center py-3 px-4">Passed</th>
                   <th className="text-right py-3 px-4">Score</th>
                   <th className="text-right py-3 px-4">Percentage</th>
+                  <th className="text-right py-3 px-4">Replay</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-terminal-border">
                 {progress.recentSessions.length === 0 ? (
                   <tr>
-                    <td colSpan={6} className="text-center py-8 text-terminal-muted">
+                    <td colSpan={7} className="text-center py-8 text-terminal-muted">
                       No sessions yet. Start practicing!
                     </td>
                   </tr>
@@ -327,9 +551,11 @@ export default function ProgressPage() {
                       <td className="py-3 px-4">
                         <span className={clsx(
                           'inline-flex items-center gap-1 px-2 py-1 rounded text-xs font-medium',
-                          session.status === 'completed' 
+                          session.status === 'completed'
                             ? 'bg-green-500/20 text-green-400'
-                            : 'bg-yellow-500/20 text-yellow-400'
+                            : session.status === 'failed' || session.status === 'expired'
+                              ? 'bg-red-500/20 text-red-400'
+                              : 'bg-yellow-500/20 text-yellow-400'
                         )}>
                           {session.status === 'completed' ? (
                             <CheckCircle className="w-3 h-3" />
@@ -353,6 +579,20 @@ export default function ProgressPage() {
                           {session.scorePercentage}%
                         </span>
                       </td>
+                      <td className="py-3 px-4 text-right">
+                        {session.recordings > 0 ? (
+                          <button
+                            onClick={() => router.push(`/review?session=${session.id}`)}
+                            className="inline-flex items-center gap-1 text-sm text-terminal-accent hover:underline"
+                            title="Replay this session's terminal"
+                          >
+                            <PlayCircle className="w-4 h-4" />
+                            Review
+                          </button>
+                        ) : (
+                          <span className="text-sm text-terminal-muted">-</span>
+                        )}
+                      </td>
                     </tr>
                   ))
                 )}
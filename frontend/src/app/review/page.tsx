@@ -0,0 +1,233 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { ArrowLeft, PlayCircle, Trash2, AlertTriangle } from 'lucide-react';
+import { clsx } from 'clsx';
+import { toast } from 'sonner';
+import { useAuthStore } from '@/lib/store';
+import type { SessionRecording } from '@/lib/store';
+import { recordingsApi } from '@/lib/api';
+import CastPlayer from '@/components/CastPlayer';
+
+interface RecordedSession {
+  id: string;
+  status: string;
+  startTime: string;
+  recordings: SessionRecording[];
+}
+
+const formatDuration = (seconds: number) => {
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${Math.round(seconds % 60)}s` : `${Math.round(seconds)}s`;
+};
+
+function ReviewPlayer() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const sessionId = searchParams.get('session');
+  const { isAuthenticated } = useAuthStore();
+
+  const [session, setSession] = useState<RecordedSession | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [recordingId, setRecordingId] = useState<string | null>(null);
+  // null plays the whole recording; a number only that question's parts
+  const [question, setQuestion] = useState<number | null>(null);
+  const [cast, setCast] = useState<string | null>(null);
+  const [castError, setCastError] = useState<string | null>(null);
+
+  const recording = session?.recordings.find((r) => r.id === recordingId) || null;
+  const questions = recording
+    ? recording.questions
+        .map((mark) => mark.question)
+        .filter((number, index, all) => all.indexOf(number) === index)
+        .sort((a, b) => a - b)
+    : [];
+
+  const loadRecordings = async () => {
+    try {
+      setIsLoading(true);
+      const result = await recordingsApi.list(sessionId || undefined);
+      const found: RecordedSession | undefined = result.sessions[0];
+      setSession(found || null);
+      setRecordingId(found?.recordings[0]?.id || null);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to load recordings');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      router.push('/login');
+      return;
+    }
+    loadRecordings();
+  }, [isAuthenticated, router, sessionId]);
+
+  useEffect(() => {
+    if (!recordingId) {
+      setCast(null);
+      return;
+    }
+    let cancelled = false;
+    setCast(null);
+    setCastError(null);
+
+    recordingsApi
+      .cast(recordingId, question || undefined)
+      .then((text) => !cancelled && setCast(text))
+      .catch((error) => !cancelled && setCastError(error.message || 'Failed to load recording'));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [recordingId, question]);
+
+  const handleSelectRecording = (id: string) => {
+    setRecordingId(id);
+    setQuestion(null);
+  };
+
+  const handleDelete = async () => {
+    if (!recording || !confirm(`Delete the recording of "${recording.terminal}"? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await recordingsApi.delete(recording.id);
+      toast.success('Recording deleted');
+      setQuestion(null);
+      loadRecordings();
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to delete recording');
+    }
+  };
+
+  if (!isAuthenticated || isLoading) {
+    return (
+      <div className="min-h-screen bg-terminal-bg flex items-center justify-center">
+        <div className="w-8 h-8 border-2 border-terminal-accent border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-terminal-bg">
+      {/* Header */}
+      <header className="sticky top-0 z-10 bg-terminal-surface border-b border-terminal-border backdrop-blur-sm bg-opacity-95">
+        <div className="max-w-7xl mx-auto px-6 py-4">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => router.push('/progress')}
+              className="p-2 hover:bg-terminal-border rounded-lg transition-colors"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <div className="flex items-center gap-3">
+              <PlayCircle className="w-8 h-8 text-terminal-accent" />
+              <div>
+                <h1 className="text-2xl font-bold">Session Review</h1>
+                <p className="text-sm text-terminal-muted">
+                  {session
+                    ? `Replay of your terminal from ${new Date(session.startTime).toLocaleString()}`
+                    : 'Replay your terminal from a past session'}
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-6 py-8 space-y-4">
+        {!session || session.recordings.length === 0 ? (
+          <div className="text-center py-16">
+            <PlayCircle className="w-16 h-16 mx-auto mb-4 text-terminal-muted opacity-50" />
+            <p className="text-terminal-muted">No recordings for this session</p>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              {/* One recording per shell */}
+              <div className="flex flex-wrap items-center gap-2">
+                {session.recordings.map((r) => (
+                  <button
+                    key={r.id}
+                    onClick={() => handleSelectRecording(r.id)}
+                    className={clsx(
+                      'px-3 py-1.5 text-sm rounded-lg border transition-colors',
+                      r.id === recordingId
+                        ? 'border-terminal-accent text-terminal-accent bg-terminal-accent/10'
+                        : 'border-terminal-border text-terminal-muted hover:text-terminal-text'
+                    )}
+                  >
+                    {r.terminal} · {formatDuration(r.durationSeconds)}
+                    {r.status === 'recording' && ' · recording'}
+                  </button>
+                ))}
+              </div>
+
+              {recording && (
+                <div className="flex items-center gap-2">
+                  <select
+                    value={question ?? ''}
+                    onChange={(event) => setQuestion(event.target.value ? Number(event.target.value) : null)}
+                    className="px-3 py-1.5 text-sm bg-terminal-surface border border-terminal-border rounded-lg"
+                  >
+                    <option value="">Whole session</option>
+                    {questions.map((number) => (
+                      <option key={number} value={number}>
+                        Question {number} only
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleDelete}
+                    disabled={recording.status !== 'finished'}
+                    className="p-2 hover:bg-red-500/20 rounded-lg transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+                    title={recording.status === 'finished' ? 'Delete recording' : 'Still being recorded'}
+                  >
+                    <Trash2 className="w-4 h-4 text-red-400" />
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {recording?.truncated && (
+              <div className="flex items-center gap-2 px-4 py-2 bg-yellow-500/10 border border-yellow-500/30 rounded-lg text-yellow-400 text-sm">
+                <AlertTriangle className="w-4 h-4" />
+                The session reached its recording limit - later output wasn&apos;t recorded.
+              </div>
+            )}
+
+            {castError ? (
+              <div className="px-4 py-3 bg-red-500/10 border border-red-500/30 rounded-lg text-red-400 text-sm">
+                {castError}
+              </div>
+            ) : cast ? (
+              <CastPlayer key={`${recordingId}-${question}`} cast={cast} />
+            ) : (
+              <div className="flex justify-center py-16">
+                <div className="w-8 h-8 border-2 border-terminal-accent border-t-transparent rounded-full animate-spin" />
+              </div>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default function ReviewPage() {
+  return (
+    <Suspense
+      fallback={
+        <div className="min-h-screen bg-terminal-bg flex items-center justify-center">
+          <div className="w-8 h-8 border-2 border-terminal-accent border-t-transparent rounded-full animate-spin" />
+        </div>
+      }
+    >
+      <ReviewPlayer />
+    </Suspense>
+  );
+}
@@ -0,0 +1,272 @@
+'use client';
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Play, Pause, RotateCcw } from 'lucide-react';
+import { clsx } from 'clsx';
+
+interface CastPlayerProps {
+  // Asciicast v2 text: a header line, then [time, type, data] event lines
+  cast: string;
+}
+
+interface CastEvent {
+  // Seconds into the playback timeline (after idle compression)
+  time: number;
+  type: string;
+  data: string;
+}
+
+// Pauses longer than this are shortened to it, like asciinema's idle_time_limit
+const IDLE_LIMIT_SECONDS = 2;
+const SPEEDS = [1, 2, 4, 8];
+
+const parseCast = (cast: string) => {
+  const [headerLine, ...lines] = cast.split('\n').filter(Boolean);
+  const header = JSON.parse(headerLine || '{}');
+  const events: CastEvent[] = [];
+  let previous = 0;
+  let time = 0;
+
+  for (const line of lines) {
+    try {
+      const [at, type, data] = JSON.parse(line);
+      time += Math.min(Math.max(at - previous, 0), IDLE_LIMIT_SECONDS);
+      previous = at;
+      events.push({ time, type, data });
+    } catch {
+      // Skip a half-written last line
+    }
+  }
+
+  return {
+    width: header.width || 120,
+    height: header.height || 30,
+    events,
+    duration: events.length > 0 ? events[events.length - 1].time : 0,
+  };
+};
+
+const formatTime = (seconds: number) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+export default function CastPlayer({ cast }: CastPlayerProps) {
+  const { width, height, events, duration } = useMemo(() => parseCast(cast), [cast]);
+
+  // Where each question was opened, shown as jump buttons
+  const questionMarks = useMemo(
+    () =>
+      events
+        .filter((event) => event.type === 'm' && /^Question \d+$/.test(event.data))
+        .map((event) => ({ time: event.time, label: event.data.replace('Question ', 'Q') })),
+    [events]
+  );
+
+  const terminalRef = useRef<HTMLDivElement>(null);
+  const xtermRef = useRef<any>(null);
+  // Number of events written to the terminal so far
+  const renderedRef = useRef(0);
+  const positionRef = useRef(0);
+
+  const [isReady, setIsReady] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [speed, setSpeed] = useState(1);
+
+  // Bring the terminal to a point of the recording - replaying from the start when
+  // going back, since terminal output can't be undone
+  const renderTo = (time: number) => {
+    const xterm = xtermRef.current;
+    if (!xterm) {
+      return;
+    }
+
+    if (renderedRef.current > 0 && events[renderedRef.current - 1].time > time) {
+      xterm.reset();
+      xterm.resize(width, height);
+      renderedRef.current = 0;
+    }
+
+    let output = '';
+    while (renderedRef.current < events.length && events[renderedRef.current].time <= time) {
+      const event = events[renderedRef.current++];
+      if (event.type === 'o') {
+        output += event.data;
+      } else if (event.type === 'r') {
+        const [cols, rows] = event.data.split('x').map(Number);
+        if (cols && rows) {
+          xterm.write(output);
+          output = '';
+          xterm.resize(cols, rows);
+        }
+      }
+    }
+    if (output) {
+      xterm.write(output);
+    }
+
+    positionRef.current = time;
+    setPosition(time);
+  };
+
+  // Create the xterm instance (read-only, sized like the recorded shell)
+  useEffect(() => {
+    let disposed = false;
+
+    const initTerminal = async () => {
+      const { Terminal } = await import('@xterm/xterm');
+      await import('@xterm/xterm/css/xterm.css');
+
+      if (disposed || !terminalRef.current) return;
+
+      const xterm = new Terminal({
+        cols: width,
+        rows: height,
+        theme: {
+          background: '#0a0a0f',
+          foreground: '#e4e4e7',
+          cursor: '#00ff9d',
+          cursorAccent: '#0a0a0f',
+          selectionBackground: '#00ff9d33',
+        },
+        fontFamily: '"JetBrains Mono", "Fira Code", monospace',
+        fontSize: 13,
+        lineHeight: 1.2,
+        cursorBlink: false,
+        convertEol: true,
+        disableStdin: true,
+        scrollback: 5000,
+      });
+      xterm.open(terminalRef.current);
+      xtermRef.current = xterm;
+      renderedRef.current = 0;
+      setIsReady(true);
+    };
+
+    initTerminal();
+
+    return () => {
+      disposed = true;
+      if (xtermRef.current) {
+        xtermRef.current.dispose();
+        xtermRef.current = null;
+      }
+    };
+  }, [width, height]);
+
+  // Advance the playback every frame while playing
+  useEffect(() => {
+    if (!isReady || !isPlaying) {
+      return;
+    }
+    let frame: number;
+    let last = performance.now();
+
+    const tick = (now: number) => {
+      const next = Math.min(positionRef.current + ((now - last) / 1000) * speed, duration);
+      last = now;
+      renderTo(next);
+      if (next >= duration) {
+        setIsPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isReady, isPlaying, speed, duration]);
+
+  const handlePlayPause = () => {
+    if (!isPlaying && positionRef.current >= duration) {
+      renderTo(0);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  const handleRestart = () => {
+    renderTo(0);
+    setIsPlaying(true);
+  };
+
+  return (
+    <div className="flex flex-col bg-terminal-bg border border-terminal-border rounded-xl overflow-hidden">
+      <div className="overflow-auto p-2">
+        <div ref={terminalRef} />
+      </div>
+
+      {/* Controls */}
+      <div className="px-4 py-3 bg-terminal-surface border-t border-terminal-border space-y-3">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handlePlayPause}
+            disabled={!isReady || duration === 0}
+            className="p-1.5 hover:bg-terminal-border rounded-lg transition-colors disabled:opacity-40"
+            title={isPlaying ? 'Pause' : 'Play'}
+          >
+            {isPlaying ? (
+              <Pause className="w-4 h-4 text-terminal-accent" />
+            ) : (
+              <Play className="w-4 h-4 text-terminal-accent" />
+            )}
+          </button>
+          <button
+            onClick={handleRestart}
+            disabled={!isReady || duration === 0}
+            className="p-1.5 hover:bg-terminal-border rounded-lg transition-colors disabled:opacity-40"
+            title="Restart"
+          >
+            <RotateCcw className="w-4 h-4 text-terminal-muted hover:text-terminal-accent" />
+          </button>
+
+          <span className="text-xs font-mono text-terminal-muted w-12 text-right">{formatTime(position)}</span>
+          <input
+            type="range"
+            min={0}
+            max={duration || 0}
+            step={0.1}
+            value={position}
+            disabled={!isReady || duration === 0}
+            onChange={(event) => renderTo(Number(event.target.value))}
+            className="flex-1 accent-terminal-accent"
+          />
+          <span className="text-xs font-mono text-terminal-muted w-12">{formatTime(duration)}</span>
+
+          <div className="flex items-center gap-1">
+            {SPEEDS.map((value) => (
+              <button
+                key={value}
+                onClick={() => setSpeed(value)}
+                className={clsx(
+                  'px-2 py-0.5 text-xs rounded transition-colors',
+                  speed === value
+                    ? 'bg-terminal-accent/20 text-terminal-accent'
+                    : 'text-terminal-muted hover:text-terminal-text'
+                )}
+              >
+                {value}x
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {questionMarks.length > 0 && (
+          <div className="flex flex-wrap items-center gap-1.5">
+            <span className="text-xs text-terminal-muted mr-1">Jump to</span>
+            {questionMarks.map((mark, index) => (
+              <button
+                key={`${mark.label}-${index}`}
+                onClick={() => renderTo(mark.time)}
+                className="px-2 py-0.5 text-xs font-mono rounded bg-terminal-border hover:bg-terminal-accent/20 hover:text-terminal-accent transition-colors"
+                title={`Opened at ${formatTime(mark.time)}`}
+              >
+                {mark.label} · {formatTime(mark.time)}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { CheckCircle2, Circle, Loader2, Server } from 'lucide-react';
+import { clsx } from 'clsx';
+import { sessionApi } from '@/lib/api';
+import type { ProvisioningProgress as Progress, ProvisioningStep } from '@/lib/store';
+
+interface ProvisioningProgressProps {
+  sessionId: string;
+  initialProgress?: Progress | null;
+  title?: string;
+  onReady: () => void;
+  onFailed: (message: string) => void;
+}
+
+export default function ProvisioningProgress({
+  sessionId,
+  initialProgress,
+  title = 'Preparing your cluster',
+  onReady,
+  onFailed,
+}: ProvisioningProgressProps) {
+  const [progress, setProgress] = useState<Progress | null>(initialProgress || null);
+  const [steps, setSteps] = useState<ProvisioningStep[]>(initialProgress?.steps || []);
+
+  // Keep latest callbacks without re-opening the stream
+  const onReadyRef = useRef(onReady);
+  const onFailedRef = useRef(onFailed);
+  onReadyRef.current = onReady;
+  onFailedRef.current = onFailed;
+
+  useEffect(() => {
+    const events = sessionApi.subscribeEvents(sessionId);
+
+    events.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        switch (message.type) {
+          case 'snapshot':
+            if (message.steps) {
+              setSteps(message.steps);
+            }
+            setProgress(message);
+            break;
+          case 'progress':
+            setProgress((prev) => ({ ...message, steps: prev?.steps }));
+            break;
+          case 'ready':
+            events.close();
+            onReadyRef.current();
+            break;
+          case 'failed':
+            events.close();
+            onFailedRef.current(message.message || 'Session provisioning failed');
+            break;
+        }
+      } catch (e) {
+        console.error('Invalid provisioning event:', e);
+      }
+    };
+
+    events.onerror = () => {
+      // EventSource retries on its own; the dashboard also polls session status
+      console.warn('Provisioning event stream interrupted');
+    };
+
+    return () => {
+      events.close();
+    };
+  }, [sessionId]);
+
+  const percentage = progress?.percentage || 0;
+  const completed = progress?.completed || 0;
+
+  return (
+    <div className="flex-1 flex items-center justify-center">
+      <div className="w-full max-w-md">
+        <div className="w-24 h-24 mx-auto mb-6 rounded-2xl bg-terminal-surface border border-terminal-border flex items-center justify-center">
+          <Server className="w-12 h-12 text-terminal-accent animate-pulse" />
+        </div>
+        <h2 className="text-2xl font-bold mb-2 text-center">{title}</h2>
+        <p className="text-terminal-muted mb-6 text-center text-sm">
+          {progress?.label || 'Waiting to start'}
+        </p>
+
+        {/* Progress Bar */}
+        <div className="space-y-2 mb-6">
+          <div className="flex items-center justify-between text-xs text-terminal-muted">
+            <span>
+              Step {completed} of {progress?.total || steps.length}
+            </span>
+            <span>{percentage}%</span>
+          </div>
+          <div className="h-2 bg-terminal-surface rounded-full overflow-hidden border border-terminal-border">
+            <div
+              className="h-full bg-terminal-accent transition-all duration-500 ease-out"
+              style={{ width: `${percentage}%` }}
+            />
+          </div>
+        </div>
+
+        {/* Steps */}
+        <ul className="space-y-2 p-4 bg-terminal-surface rounded-xl border border-terminal-border">
+          {steps.map((step, idx) => {
+            const isDone = idx < completed;
+            const isCurrent = idx === completed;
+            return (
+              <li
+                key={step.key}
+                className={clsx('flex items-center gap-2 text-sm', {
+                  'text-terminal-accent': isDone,
+                  'text-terminal-text': isCurrent,
+                  'text-terminal-muted': !isDone && !isCurrent,
+                })}
+              >
+                {isDone ? (
+                  <CheckCircle2 className="w-4 h-4" />
+                ) : isCurrent ? (
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                ) : (
+                  <Circle className="w-4 h-4" />
+                )}
+                {step.label}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
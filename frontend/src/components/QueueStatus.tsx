@@ -0,0 +1,104 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { Clock, Loader2, Users } from 'lucide-react';
+import { sessionApi } from '@/lib/api';
+import type { QueueInfo } from '@/lib/store';
+
+interface QueueStatusProps {
+  initialQueue: QueueInfo;
+  reason?: string | null;
+  onTurn: () => void;
+  onLeave: () => void;
+}
+
+// How often to check the queue - the server drops users who stop checking
+const POLL_INTERVAL_MS = 5000;
+
+export default function QueueStatus({ initialQueue, reason, onTurn, onLeave }: QueueStatusProps) {
+  const [queue, setQueue] = useState<QueueInfo>(initialQueue);
+  const [isLeaving, setIsLeaving] = useState(false);
+
+  // Keep latest callbacks without restarting the poll
+  const onTurnRef = useRef(onTurn);
+  const onLeaveRef = useRef(onLeave);
+  onTurnRef.current = onTurn;
+  onLeaveRef.current = onLeave;
+
+  useEffect(() => {
+    const interval = setInterval(async () => {
+      try {
+        const result = await sessionApi.queueStatus();
+        if (!result.success) return;
+
+        if (result.queued) {
+          setQueue(result.queue);
+        } else {
+          clearInterval(interval);
+          if (result.sessionId) {
+            onTurnRef.current();
+          } else {
+            // Dropped from the queue (e.g. after being away too long)
+            onLeaveRef.current();
+          }
+        }
+      } catch (err) {
+        console.error('Failed to check session queue:', err);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleLeave = async () => {
+    try {
+      setIsLeaving(true);
+      await sessionApi.leaveQueue();
+    } catch (err) {
+      // Already out of the queue
+    } finally {
+      setIsLeaving(false);
+      onLeaveRef.current();
+    }
+  };
+
+  return (
+    <div className="flex-1 flex items-center justify-center">
+      <div className="w-full max-w-md text-center">
+        <div className="w-24 h-24 mx-auto mb-6 rounded-2xl bg-terminal-surface border border-terminal-border flex items-center justify-center">
+          <Users className="w-12 h-12 text-terminal-accent animate-pulse" />
+        </div>
+        <h2 className="text-2xl font-bold mb-2">You&apos;re in the queue</h2>
+        <p className="text-terminal-muted mb-6 text-sm">
+          {reason || 'All practice clusters are busy.'} Your session starts automatically when a
+          slot frees up - keep this page open.
+        </p>
+
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <div className="p-4 bg-terminal-surface rounded-xl border border-terminal-border">
+            <p className="text-3xl font-bold text-terminal-accent">#{queue.position}</p>
+            <p className="text-xs text-terminal-muted mt-1">
+              Position ({queue.waiting} waiting)
+            </p>
+          </div>
+          <div className="p-4 bg-terminal-surface rounded-xl border border-terminal-border">
+            <p className="text-3xl font-bold flex items-center justify-center gap-2">
+              <Clock className="w-6 h-6 text-terminal-muted" />
+              {queue.estimatedWaitMinutes !== null ? `~${queue.estimatedWaitMinutes}m` : '?'}
+            </p>
+            <p className="text-xs text-terminal-muted mt-1">Estimated wait</p>
+          </div>
+        </div>
+
+        <button
+          onClick={handleLeave}
+          disabled={isLeaving}
+          className="inline-flex items-center gap-2 px-4 py-2 bg-terminal-surface border border-terminal-border rounded-lg hover:border-red-500 hover:text-red-400 transition-colors disabled:opacity-50"
+        >
+          {isLeaving && <Loader2 className="w-4 h-4 animate-spin" />}
+          Leave queue
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -9,9 +9,11 @@ import {
   CheckCircle2,
   ChevronRight,
   Trophy,
-  Clock,
   Target,
-  SkipForward
+  SkipForward,
+  RotateCcw,
+  Flag,
+  Copy
 } from 'lucide-react';
 import { clsx } from 'clsx';
 import { tasksApi } from '@/lib/api';
@@ -23,6 +25,7 @@ interface Task {
   difficulty: 'easy' | 'medium' | 'hard';
   category: string;
   body: string;
+  context?: string | null;
 }
 
 interface Progress {
@@ -32,6 +35,20 @@ interface Progress {
   percentage: number;
 }
 
+interface QuestionStatus {
+  number: number;
+  taskId: number;
+  completed: boolean;
+  attempted: boolean;
+  flagged: boolean;
+}
+
+interface ResetAllowance {
+  used: number;
+  limit: number;
+  remaining: number;
+}
+
 export default function TaskPanel() {
   const [currentTask, setCurrentTask] = useState<Task | null>(null);
   const [progress, setProgress] = useState<Progress | null>(null);
@@ -39,6 +56,10 @@ export default function TaskPanel() {
   const [isVerifying, setIsVerifying] = useState(false);
   const [isCompleting, setIsCompleting] = useState(false);
   const [isSkipping, setIsSkipping] = useState(false);
+  const [isResetting, setIsResetting] = useState(false);
+  const [resets, setResets] = useState<ResetAllowance | null>(null);
+  const [questions, setQuestions] = useState<QuestionStatus[]>([]);
+  const [isSwitching, setIsSwitching] = useState(false);
   const [isCompleted, setIsCompleted] = useState(false);
   const [verificationResult, setVerificationResult] = useState<any>(null);
 
@@ -54,6 +75,8 @@ export default function TaskPanel() {
       if (result.success) {
         setCurrentTask(result.task);
         setProgress(result.progress);
+        setResets(result.resets);
+        setQuestions(result.questions || []);
         setIsCompleted(false);
         setVerificationResult(null); // Reset verification when loading new task
       }
@@ -114,6 +137,7 @@ export default function TaskPanel() {
 
       if (result.success) {
         toast.success(result.message);
+        setQuestions(result.questions || []);
         
         if (result.nextTask) {
           // Load next task
@@ -149,7 +173,7 @@ export default function TaskPanel() {
 
     // Confirm skip action
     const confirmed = window.confirm(
-      'Are you sure you want to skip this question? You will not receive any points for it and cannot go back.'
+      'Are you sure you want to skip this question? You will not receive any points for it unless you come back to it from the question grid.'
     );
 
     if (!confirmed) return;
@@ -160,6 +184,7 @@ export default function TaskPanel() {
 
       if (result.success) {
         toast.info(result.message);
+        setQuestions(result.questions || []);
         
         if (result.nextTask) {
           // Load next task
@@ -180,6 +205,91 @@ export default function TaskPanel() {
     }
   };
 
+  const handleResetTask = async () => {
+    if (!currentTask || !resets) return;
+
+    const confirmed = window.confirm(
+      `Start this question over? Everything in namespace q${progress?.current} will be deleted and the ` +
+        `question set up again. You have ${resets.remaining} of ${resets.limit} resets left.`
+    );
+
+    if (!confirmed) return;
+
+    try {
+      setIsResetting(true);
+      const result = await tasksApi.reset(currentTask.id);
+
+      if (result.success) {
+        setResets(result.resets);
+        setVerificationResult(null);
+        if (result.setupReady) {
+          toast.success(result.message);
+        } else {
+          toast.warning(result.message);
+        }
+      } else {
+        toast.error(result.message || 'Failed to reset question');
+      }
+    } catch (error: any) {
+      console.error('Failed to reset task:', error);
+      toast.error(error.message || 'Failed to reset question');
+    } finally {
+      setIsResetting(false);
+    }
+  };
+
+  const handleGotoQuestion = async (questionNumber: number) => {
+    if (!progress || questionNumber === progress.current) return;
+
+    try {
+      setIsSwitching(true);
+      const result = await tasksApi.goto(questionNumber);
+
+      if (result.success) {
+        setCurrentTask(result.task);
+        setProgress(result.progress);
+        setQuestions(result.questions);
+        setIsCompleted(false);
+        setVerificationResult(null);
+      } else {
+        toast.error(result.message || 'Failed to switch question');
+      }
+    } catch (error: any) {
+      console.error('Failed to switch question:', error);
+      toast.error(error.message || 'Failed to switch question');
+    } finally {
+      setIsSwitching(false);
+    }
+  };
+
+  const handleToggleFlag = async () => {
+    if (!currentTask) return;
+
+    const flagged = !questions.find((question) => question.taskId === currentTask.id)?.flagged;
+
+    try {
+      const result = await tasksApi.flag(currentTask.id, flagged);
+
+      if (result.success) {
+        setQuestions(result.questions);
+      } else {
+        toast.error(result.message || 'Failed to flag question');
+      }
+    } catch (error: any) {
+      console.error('Failed to flag question:', error);
+      toast.error(error.message || 'Failed to flag question');
+    }
+  };
+
+  const handleCopyContextCommand = async (context: string) => {
+    try {
+      await navigator.clipboard.writeText(`kubectl config use-context ${context}`);
+      toast.success('Command copied - paste it in the terminal');
+    } catch {
+      toast.error('Could not copy the command');
+    }
+  };
+
   const getDifficultyColor = (difficulty: string) => {
     switch (difficulty) {
       case 'easy':
@@ -215,6 +325,8 @@ export default function TaskPanel() {
     );
   }
 
+  const isFlagged = !!questions.find((question) => question.taskId === currentTask.id)?.flagged;
+
   if (isCompleted) {
     return (
       <div className="h-full flex flex-col bg-terminal-surface border border-terminal-border rounded-xl">
@@ -256,14 +368,28 @@ export default function TaskPanel() {
               Question {progress.current} of {progress.total}
             </span>
           </div>
-          <span
-            className={clsx(
-              'text-xs px-2.5 py-1 rounded-full font-medium',
-              getDifficultyColor(currentTask.difficulty)
-            )}
-          >
-            {currentTask.difficulty.toUpperCase()}
-          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleToggleFlag}
+              className={clsx(
+                'p-1.5 rounded-lg border transition-colors',
+                isFlagged
+                  ? 'text-orange-400 bg-orange-400/10 border-orange-400/30'
+                  : 'text-terminal-muted border-terminal-border hover:text-terminal-text'
+              )}
+              title={isFlagged ? 'Remove flag' : 'Flag this question to come back to it'}
+            >
+              <Flag className="w-4 h-4" />
+            </button>
+            <span
+              className={clsx(
+                'text-xs px-2.5 py-1 rounded-full font-medium',
+                getDifficultyColor(currentTask.difficulty)
+              )}
+            >
+              {currentTask.difficulty.toUpperCase()}
+            </span>
+          </div>
         </div>
 
         {/* Progress Bar */}
@@ -279,6 +405,37 @@ export default function TaskPanel() {
             />
           </div>
         </div>
+
+        {/* Question Grid */}
+        {questions.length > 0 && (
+          <div className="grid grid-cols-10 gap-1.5 mt-3">
+            {questions.map((question) => (
+              <button
+                key={question.number}
+                onClick={() => handleGotoQuestion(question.number)}
+                disabled={isSwitching || isResetting || isSkipping || isCompleting}
+                className={clsx(
+                  'relative h-7 rounded text-xs font-medium border transition-colors disabled:cursor-not-allowed',
+                  question.number === progress.current
+                    ? 'border-terminal-accent text-terminal-accent bg-terminal-accent/10'
+                    : question.completed
+                      ? 'border-green-500/30 text-green-400 bg-green-500/10 hover:border-green-400'
+                      : question.attempted
+                        ? 'border-yellow-500/30 text-yellow-400 bg-yellow-500/10 hover:border-yellow-400'
+                        : 'border-terminal-border text-terminal-muted hover:border-terminal-accent'
+                )}
+                title={`Question ${question.number}${question.completed ? ' (completed)' : ''}${
+                  question.flagged ? ' (flagged)' : ''
+                }`}
+              >
+                {question.number}
+                {question.flagged && (
+                  <Flag className="absolute -top-1 -right-1 w-3 h-3 text-orange-400 fill-orange-400" />
+                )}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Task Content */}
@@ -301,13 +458,30 @@ export default function TaskPanel() {
             </h2>
           </div>
 
+          {/* Context switch (sessions with more than one cluster) */}
+          {currentTask.context && (
+            <div className="mb-4 flex items-center justify-between gap-3 p-3 bg-terminal-bg border border-terminal-border rounded-lg text-sm">
+              <div className="min-w-0">
+                <p className="text-xs text-terminal-muted mb-1">Set the context for this question:</p>
+                <code className="text-terminal-text break-all">kubectl config use-context {currentTask.context}</code>
+              </div>
+              <button
+                onClick={() => handleCopyContextCommand(currentTask.context as string)}
+                className="p-2 hover:bg-terminal-border rounded-lg transition-colors flex-shrink-0"
+                title="Copy command"
+              >
+                <Copy className="w-4 h-4 text-terminal-muted" />
+              </button>
+            </div>
+          )}
+
           {/* Namespace Info Banner */}
           {progress && progress.current === 1 && (
             <div className="mb-4 p-3 bg-blue-500/10 border border-blue-500/30 rounded-lg text-sm">
               <p className="text-blue-400">
                 💡 <strong>Tip:</strong> Each question uses a separate namespace (q1, q2, q3...). 
                 Your current namespace is already set to <code className="px-1.5 py-0.5 bg-blue-500/20 rounded">q{progress.current}</code>.
-                Work will be automatically cleaned when you move to the next question.
+                Your work in each namespace is kept when you switch to another question.
               </p>
             </div>
           )}
@@ -429,10 +603,36 @@ export default function TaskPanel() {
           )}
         </button>
 
+        {/* Reset Question Button */}
+        {resets && resets.limit > 0 && (
+          <button
+            onClick={handleResetTask}
+            disabled={isResetting || isSkipping || isCompleting || resets.remaining === 0}
+            className={clsx(
+              'w-full flex items-center justify-center gap-2 px-6 py-2.5 rounded-lg font-medium transition-all',
+              'bg-terminal-border/50 text-terminal-muted hover:bg-terminal-border hover:text-terminal-fg',
+              'border border-terminal-border',
+              'disabled:opacity-50 disabled:cursor-not-allowed'
+            )}
+          >
+            {isResetting ? (
+              <>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Resetting...
+              </>
+            ) : (
+              <>
+                <RotateCcw className="w-4 h-4" />
+                Reset Question ({resets.remaining} left)
+              </>
+            )}
+          </button>
+        )}
+
         {/* Skip Question Button */}
         <button
           onClick={handleSkipTask}
-          disabled={isSkipping || isCompleting}
+          disabled={isSkipping || isCompleting || isResetting}
           className={clsx(
             'w-full flex items-center justify-center gap-2 px-6 py-2.5 rounded-lg font-medium transition-all',
             'bg-terminal-border/50 text-terminal-muted hover:bg-terminal-border hover:text-terminal-fg',
@@ -454,8 +654,8 @@ export default function TaskPanel() {
         </button>
 
         <p className="text-xs text-terminal-muted text-center mt-3">
-          <Clock className="w-3 h-3 inline mr-1" />
-          No going back - CKAD exam rules apply
+          <Flag className="w-3 h-3 inline mr-1" />
+          Flag questions and come back to them from the grid above
         </p>
       </div>
     </div>
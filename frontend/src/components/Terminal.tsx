@@ -1,265 +1,98 @@
 'use client';
 
 import { useEffect, useRef, useState } from 'react';
-import { Terminal as TerminalIcon, Maximize2, Minimize2, RefreshCw } from 'lucide-react';
+import { Terminal as TerminalIcon, Maximize2, Minimize2, RefreshCw, Plus, X } from 'lucide-react';
 import { clsx } from 'clsx';
+import TerminalShell, { type ShellStatus, type TerminalShellHandle } from '@/components/TerminalShell';
 
 interface TerminalProps {
   sessionId: string;
   wsUrl: string;
   accessToken: string;
+  // Shells the server allows per session
+  maxShells?: number;
 }
 
-export default function Terminal({ sessionId, wsUrl, accessToken }: TerminalProps) {
-  const terminalRef = useRef<HTMLDivElement>(null);
-  const xtermRef = useRef<any>(null);
-  const wsRef = useRef<WebSocket | null>(null);
-  const fitAddonRef = useRef<any>(null);
+interface Shell {
+  // Name of the shell on the server (?terminal=)
+  id: string;
+  label: string;
+}
+
+interface SavedShells {
+  shells: Shell[];
+  activeId: string;
+  nextShell: number;
+}
 
-  const [isConnected, setIsConnected] = useState(false);
-  const [isConnecting, setIsConnecting] = useState(true);
-  const [error, setError] = useState<string | null>(null);
+const DEFAULT_SHELLS: SavedShells = { shells: [{ id: 'main', label: 'Shell 1' }], activeId: 'main', nextShell: 2 };
+
+// Shells outlive page reloads on the server, so the tabs are remembered per session
+const storageKey = (sessionId: string) => `ckad-shells-${sessionId}`;
+
+const loadShells = (sessionId: string): SavedShells => {
+  if (typeof window === 'undefined') return DEFAULT_SHELLS;
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(storageKey(sessionId)) || 'null');
+    return saved?.shells?.length ? saved : DEFAULT_SHELLS;
+  } catch {
+    return DEFAULT_SHELLS;
+  }
+};
+
+export default function Terminal({ sessionId, wsUrl, accessToken, maxShells = 4 }: TerminalProps) {
+  const [initial] = useState(() => loadShells(sessionId));
+  const [shells, setShells] = useState<Shell[]>(initial.shells);
+  const [activeId, setActiveId] = useState(initial.activeId);
+  const [statuses, setStatuses] = useState<Record<string, ShellStatus>>({});
+  const [reconnects, setReconnects] = useState<Record<string, number>>({});
   const [isFullscreen, setIsFullscreen] = useState(false);
+  const nextShellRef = useRef(initial.nextShell);
+  const shellHandles = useRef<Record<string, TerminalShellHandle | null>>({});
 
   useEffect(() => {
-    let xterm: any;
-    let fitAddon: any;
-    let webLinksAddon: any;
-
-    const initTerminal = async () => {
-      // Dynamic imports for xterm (client-side only)
-      const { Terminal } = await import('@xterm/xterm');
-      const { FitAddon } = await import('@xterm/addon-fit');
-      const { WebLinksAddon } = await import('@xterm/addon-web-links');
-      
-      // Import xterm CSS
-      await import('@xterm/xterm/css/xterm.css');
-
-      if (!terminalRef.current) return;
-
-      // Create terminal instance
-      xterm = new Terminal({
-        theme: {
-          background: '#0a0a0f',
-          foreground: '#e4e4e7',
-          cursor: '#00ff9d',
-          cursorAccent: '#0a0a0f',
-          selectionBackground: '#00ff9d33',
-          black: '#0a0a0f',
-          red: '#ef4444',
-          green: '#00ff9d',
-          yellow: '#fbbf24',
-          blue: '#3b82f6',
-          magenta: '#a855f7',
-          cyan: '#06b6d4',
-          white: '#e4e4e7',
-          brightBlack: '#71717a',
-          brightRed: '#f87171',
-          brightGreen: '#4ade80',
-          brightYellow: '#fcd34d',
-          brightBlue: '#60a5fa',
-          brightMagenta: '#c084fc',
-          brightCyan: '#22d3ee',
-          brightWhite: '#ffffff',
-        },
-        fontFamily: '"JetBrains Mono", "Fira Code", monospace',
-        fontSize: 14,
-        lineHeight: 1.2,
-        cursorBlink: true,
-        cursorStyle: 'block',
-        scrollback: 5000,
-        convertEol: true,
-        scrollOnUserInput: true,
-        allowProposedApi: true,
-        windowOptions: {
-          setWinLines: true,
-        },
-      });
-
-      // Add addons
-      fitAddon = new FitAddon();
-      webLinksAddon = new WebLinksAddon();
-      xterm.loadAddon(fitAddon);
-      xterm.loadAddon(webLinksAddon);
-
-      // Open terminal in DOM
-      xterm.open(terminalRef.current);
-      fitAddon.fit();
-
-      xtermRef.current = xterm;
-      fitAddonRef.current = fitAddon;
-
-      // Connect WebSocket
-      connectWebSocket(xterm);
-
-      // Handle resize with debouncing
-      let resizeTimeout: NodeJS.Timeout;
-      const handleResize = () => {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-          if (fitAddon && xterm) {
-            fitAddon.fit();
-            // Send resize to server
-            if (wsRef.current?.readyState === WebSocket.OPEN) {
-              wsRef.current.send(
-                JSON.stringify({
-                  type: 'resize',
-                  cols: xterm.cols,
-                  rows: xterm.rows,
-                })
-              );
-            }
-          }
-        }, 50);
-      };
-
-      window.addEventListener('resize', handleResize);
-      
-      // Initial fit after a short delay to ensure container is sized
-      setTimeout(() => {
-        if (fitAddon) {
-          fitAddon.fit();
-        }
-      }, 100);
-
-      // Handle terminal input
-      xterm.onData((data: string) => {
-        if (wsRef.current?.readyState === WebSocket.OPEN) {
-          wsRef.current.send(JSON.stringify({ type: 'input', data }));
-        }
-      });
-
-      return () => {
-        window.removeEventListener('resize', handleResize);
-      };
-    };
-
-      const connectWebSocket = (xterm: any) => {
-        setIsConnecting(true);
-        setError(null);
-
-        // Use relative WebSocket URL (same domain)
-        const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsFullUrl = `${wsProtocol}//${window.location.host}${wsUrl}&token=${accessToken}`;
-        const ws = new WebSocket(wsFullUrl);
-      wsRef.current = ws;
-
-      ws.onopen = () => {
-        setIsConnected(true);
-        setIsConnecting(false);
-        
-        // Send initial terminal size immediately after connection
-        setTimeout(() => {
-          if (fitAddon) {
-            fitAddon.fit();
-            ws.send(
-              JSON.stringify({
-                type: 'resize',
-                cols: xterm.cols,
-                rows: xterm.rows,
-              })
-            );
-          }
-        }, 100);
-      };
-
-      ws.onmessage = (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          switch (message.type) {
-            case 'output':
-              xterm.write(message.data);
-              break;
-            case 'connected':
-              // Ignore - bash will show prompt
-              break;
-            case 'exit':
-              xterm.write('\r\n\x1b[33m● Session ended\x1b[0m\r\n');
-              setIsConnected(false);
-              break;
-            case 'error':
-              xterm.write(`\r\n\x1b[31m● Error: ${message.message}\x1b[0m\r\n`);
-              break;
-            case 'server_shutdown':
-              xterm.write('\r\n\x1b[33m● Server is restarting...\x1b[0m\r\n');
-              break;
-          }
-        } catch (e) {
-          // Handle raw data
-          xterm.write(event.data);
-        }
-      };
+    const saved: SavedShells = { shells, activeId, nextShell: nextShellRef.current };
+    sessionStorage.setItem(storageKey(sessionId), JSON.stringify(saved));
+  }, [sessionId, shells, activeId]);
 
-      ws.onerror = () => {
-        setError('Connection error');
-        setIsConnecting(false);
-      };
+  const activeStatus = statuses[activeId] || 'connecting';
+  const canAddShell = shells.length < maxShells;
 
-      ws.onclose = (event) => {
-        setIsConnected(false);
-        setIsConnecting(false);
-        if (event.code !== 1000) {
-          xterm.write('\r\n\x1b[31m● Disconnected\x1b[0m\r\n');
-        }
-      };
-    };
-
-    initTerminal();
-
-    return () => {
-      if (wsRef.current) {
-        wsRef.current.close();
-      }
-      if (xtermRef.current) {
-        xtermRef.current.dispose();
-      }
-    };
-  }, [sessionId, wsUrl, accessToken]);
+  const setShellStatus = (id: string, status: ShellStatus) => {
+    setStatuses((current) => (current[id] === status ? current : { ...current, [id]: status }));
+  };
 
-  const handleReconnect = () => {
-    if (wsRef.current) {
-      wsRef.current.close();
+  const handleAddShell = () => {
+    if (!canAddShell) {
+      return;
     }
-    if (xtermRef.current) {
-      xtermRef.current.clear();
-      const wsProtocol = typeof window !== 'undefined' && window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-      const wsHost = typeof window !== 'undefined' ? window.location.host : 'localhost:3001';
-      const wsFullUrl = `${wsProtocol}//${wsHost}${wsUrl}&token=${accessToken}`;
-      const ws = new WebSocket(wsFullUrl);
-      wsRef.current = ws;
-      setIsConnecting(true);
-
-      ws.onopen = () => {
-        setIsConnected(true);
-        setIsConnecting(false);
-        xtermRef.current.write('\r\n\x1b[32m● Reconnected\x1b[0m\r\n\r\n');
-      };
-
-      ws.onmessage = (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          if (message.type === 'output') {
-            xtermRef.current.write(message.data);
-          }
-        } catch {
-          xtermRef.current.write(event.data);
-        }
-      };
+    const number = nextShellRef.current++;
+    const shell = { id: `shell-${number}`, label: `Shell ${number}` };
+    setShells((current) => [...current, shell]);
+    setActiveId(shell.id);
+  };
 
-      ws.onclose = () => {
-        setIsConnected(false);
-        setIsConnecting(false);
-      };
+  const handleCloseShell = (id: string) => {
+    const index = shells.findIndex((shell) => shell.id === id);
+    const remaining = shells.filter((shell) => shell.id !== id);
+    if (index === -1 || remaining.length === 0) {
+      return;
+    }
+    // Closing the tab ends the shell - it isn't kept for a reconnect
+    shellHandles.current[id]?.close();
+    delete shellHandles.current[id];
+    setShells(remaining);
+    if (id === activeId) {
+      setActiveId(remaining[Math.max(0, index - 1)].id);
     }
   };
 
+  const handleReconnect = () => {
+    setReconnects((current) => ({ ...current, [activeId]: (current[activeId] || 0) + 1 }));
+  };
+
   const toggleFullscreen = () => {
     setIsFullscreen(!isFullscreen);
-    setTimeout(() => {
-      if (fitAddonRef.current) {
-        fitAddonRef.current.fit();
-      }
-    }, 100);
   };
 
   return (
@@ -273,24 +106,64 @@ export default function Terminal({ sessionId, wsUrl, accessToken }: TerminalProp
       )}
     >
       {/* Terminal header */}
-      <div className="flex items-center justify-between px-4 py-2 bg-terminal-surface border-b border-terminal-border">
-        <div className="flex items-center gap-2">
-          <TerminalIcon className="w-4 h-4 text-terminal-accent" />
-          <span className="text-sm font-medium">Terminal</span>
-          <div
-            className={clsx('w-2 h-2 rounded-full', {
-              'bg-green-500': isConnected,
-              'bg-yellow-500 animate-pulse': isConnecting,
-              'bg-red-500': !isConnected && !isConnecting,
+      <div className="flex items-center justify-between gap-2 px-4 py-2 bg-terminal-surface border-b border-terminal-border">
+        <div className="flex items-center gap-2 min-w-0">
+          <TerminalIcon className="w-4 h-4 flex-shrink-0 text-terminal-accent" />
+
+          {/* Shell tabs */}
+          <div className="flex items-center gap-1 overflow-x-auto">
+            {shells.map((shell) => {
+              const status = statuses[shell.id] || 'connecting';
+              return (
+                <div
+                  key={shell.id}
+                  className={clsx(
+                    'group flex items-center gap-1.5 pl-2.5 pr-1 py-1 text-sm rounded-lg cursor-pointer whitespace-nowrap transition-colors',
+                    shell.id === activeId
+                      ? 'bg-terminal-border text-terminal-text'
+                      : 'text-terminal-muted hover:bg-terminal-border/50 hover:text-terminal-text'
+                  )}
+                  onClick={() => setActiveId(shell.id)}
+                  title={status === 'connected' ? 'Connected' : status === 'connecting' ? 'Connecting...' : 'Disconnected'}
+                >
+                  <div
+                    className={clsx('w-2 h-2 rounded-full', {
+                      'bg-green-500': status === 'connected',
+                      'bg-yellow-500 animate-pulse': status === 'connecting',
+                      'bg-red-500': status === 'disconnected',
+                    })}
+                  />
+                  <span>{shell.label}</span>
+                  {shells.length > 1 ? (
+                    <button
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        handleCloseShell(shell.id);
+                      }}
+                      className="p-0.5 rounded opacity-60 hover:opacity-100 hover:bg-terminal-surface transition-opacity"
+                      title="Close shell"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  ) : (
+                    <span className="w-1" />
+                  )}
+                </div>
+              );
             })}
-          />
-          <span className="text-xs text-terminal-muted">
-            {isConnecting ? 'Connecting...' : isConnected ? 'Connected' : 'Disconnected'}
-          </span>
+            <button
+              onClick={handleAddShell}
+              disabled={!canAddShell}
+              className="p-1.5 hover:bg-terminal-border rounded-lg transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+              title={canAddShell ? 'New shell' : `At most ${maxShells} shells per session`}
+            >
+              <Plus className="w-4 h-4 text-terminal-muted hover:text-terminal-accent" />
+            </button>
+          </div>
         </div>
 
-        <div className="flex items-center gap-2">
-          {!isConnected && !isConnecting && (
+        <div className="flex items-center gap-2 flex-shrink-0">
+          {activeStatus === 'disconnected' && (
             <button
               onClick={handleReconnect}
               className="p-1.5 hover:bg-terminal-border rounded-lg transition-colors"
@@ -313,16 +186,21 @@ export default function Terminal({ sessionId, wsUrl, accessToken }: TerminalProp
         </div>
       </div>
 
-      {/* Terminal content */}
-      <div ref={terminalRef} className="flex-1 p-2" />
-
-      {/* Error message */}
-      {error && (
-        <div className="px-4 py-2 bg-red-500/10 border-t border-red-500/30 text-red-400 text-sm">
-          {error}
-        </div>
-      )}
+      {/* One shell per tab - hidden tabs stay connected */}
+      {shells.map((shell) => (
+        <TerminalShell
+          key={`${sessionId}-${shell.id}`}
+          ref={(handle) => {
+            shellHandles.current[shell.id] = handle;
+          }}
+          wsUrl={`${wsUrl}&terminal=${shell.id}`}
+          accessToken={accessToken}
+          active={shell.id === activeId}
+          fullscreen={isFullscreen}
+          reconnectCount={reconnects[shell.id] || 0}
+          onStatusChange={(status) => setShellStatus(shell.id, status)}
+        />
+      ))}
     </div>
   );
 }
-
@@ -0,0 +1,316 @@
+'use client';
+
+import { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { authApi } from '@/lib/api';
+import { useAuthStore } from '@/lib/store';
+
+export type ShellStatus = 'connecting' | 'connected' | 'disconnected';
+
+export interface TerminalShellHandle {
+  // End the shell on the server (instead of keeping it for a reconnect)
+  close: () => void;
+}
+
+// Close codes after which reconnecting can't help (auth, session, limit, replaced)
+const NO_RETRY_CLOSE_CODES = [4001, 4002, 4004, 4005, 4006, 4007, 4008, 4009, 4010];
+const MAX_RECONNECT_ATTEMPTS = 8;
+
+interface TerminalShellProps {
+  // WebSocket path of this shell, e.g. /ws/terminal?sessionId=...&terminal=main
+  wsUrl: string;
+  accessToken: string;
+  // Only the active shell is shown (and sized)
+  active: boolean;
+  fullscreen: boolean;
+  // Bumped to reconnect the shell
+  reconnectCount: number;
+  onStatusChange: (status: ShellStatus) => void;
+}
+
+const TerminalShell = forwardRef<TerminalShellHandle, TerminalShellProps>(function TerminalShell({
+  wsUrl,
+  accessToken,
+  active,
+  fullscreen,
+  reconnectCount,
+  onStatusChange,
+}, ref) {
+  const terminalRef = useRef<HTMLDivElement>(null);
+  const xtermRef = useRef<any>(null);
+  const wsRef = useRef<WebSocket | null>(null);
+  const fitAddonRef = useRef<any>(null);
+  const activeRef = useRef(active);
+  // Read when connecting, so a refreshed token doesn't reconnect the shell
+  const accessTokenRef = useRef(accessToken);
+  const onStatusChangeRef = useRef(onStatusChange);
+
+  const [isReady, setIsReady] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  activeRef.current = active;
+  accessTokenRef.current = accessToken;
+  onStatusChangeRef.current = onStatusChange;
+
+  useImperativeHandle(ref, () => ({
+    close: () => {
+      if (wsRef.current?.readyState === WebSocket.OPEN) {
+        wsRef.current.send(JSON.stringify({ type: 'close' }));
+      }
+    },
+  }));
+
+  // Fit the terminal to its container and tell the server the new size
+  const fitAndResize = () => {
+    const xterm = xtermRef.current;
+    if (!xterm || !fitAddonRef.current || !activeRef.current) {
+      return;
+    }
+    fitAddonRef.current.fit();
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(
+        JSON.stringify({
+          type: 'resize',
+          cols: xterm.cols,
+          rows: xterm.rows,
+        })
+      );
+    }
+  };
+
+  // Create the xterm instance once
+  useEffect(() => {
+    let disposed = false;
+    let resizeTimeout: NodeJS.Timeout;
+
+    const handleResize = () => {
+      clearTimeout(resizeTimeout);
+      resizeTimeout = setTimeout(fitAndResize, 50);
+    };
+
+    const initTerminal = async () => {
+      // Dynamic imports for xterm (client-side only)
+      const { Terminal } = await import('@xterm/xterm');
+      const { FitAddon } = await import('@xterm/addon-fit');
+      const { WebLinksAddon } = await import('@xterm/addon-web-links');
+
+      // Import xterm CSS
+      await import('@xterm/xterm/css/xterm.css');
+
+      if (disposed || !terminalRef.current) return;
+
+      // Create terminal instance
+      const xterm = new Terminal({
+        theme: {
+          background: '#0a0a0f',
+          foreground: '#e4e4e7',
+          cursor: '#00ff9d',
+          cursorAccent: '#0a0a0f',
+          selectionBackground: '#00ff9d33',
+          black: '#0a0a0f',
+          red: '#ef4444',
+          green: '#00ff9d',
+          yellow: '#fbbf24',
+          blue: '#3b82f6',
+          magenta: '#a855f7',
+          cyan: '#06b6d4',
+          white: '#e4e4e7',
+          brightBlack: '#71717a',
+          brightRed: '#f87171',
+          brightGreen: '#4ade80',
+          brightYellow: '#fcd34d',
+          brightBlue: '#60a5fa',
+          brightMagenta: '#c084fc',
+          brightCyan: '#22d3ee',
+          brightWhite: '#ffffff',
+        },
+        fontFamily: '"JetBrains Mono", "Fira Code", monospace',
+        fontSize: 14,
+        lineHeight: 1.2,
+        cursorBlink: true,
+        cursorStyle: 'block',
+        scrollback: 5000,
+        convertEol: true,
+        scrollOnUserInput: true,
+        allowProposedApi: true,
+        windowOptions: {
+          setWinLines: true,
+        },
+      });
+
+      // Add addons
+      const fitAddon = new FitAddon();
+      xterm.loadAddon(fitAddon);
+      xterm.loadAddon(new WebLinksAddon());
+
+      // Open terminal in DOM
+      xterm.open(terminalRef.current);
+
+      xtermRef.current = xterm;
+      fitAddonRef.current = fitAddon;
+
+      // Handle terminal input
+      xterm.onData((data: string) => {
+        if (wsRef.current?.readyState === WebSocket.OPEN) {
+          wsRef.current.send(JSON.stringify({ type: 'input', data }));
+        }
+      });
+
+      window.addEventListener('resize', handleResize);
+      setIsReady(true);
+    };
+
+    initTerminal();
+
+    return () => {
+      disposed = true;
+      clearTimeout(resizeTimeout);
+      window.removeEventListener('resize', handleResize);
+      if (xtermRef.current) {
+        xtermRef.current.dispose();
+        xtermRef.current = null;
+      }
+    };
+  }, []);
+
+  // Connect the shell's WebSocket. The server keeps the shell when the connection
+  // drops, so it's reconnected automatically and replays the shell's recent output.
+  useEffect(() => {
+    if (!isReady) {
+      return;
+    }
+    const xterm = xtermRef.current;
+    let stopped = false;
+    let attempts = 0;
+    let retryTimeout: NodeJS.Timeout;
+
+    const connect = () => {
+      onStatusChangeRef.current('connecting');
+      setError(null);
+
+      // Use relative WebSocket URL (same domain)
+      const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+      const wsFullUrl = `${wsProtocol}//${window.location.host}${wsUrl}&token=${accessTokenRef.current}`;
+      const ws = new WebSocket(wsFullUrl);
+      wsRef.current = ws;
+
+      ws.onopen = () => {
+        attempts = 0;
+        onStatusChangeRef.current('connected');
+
+        // Send initial terminal size immediately after connection
+        setTimeout(fitAndResize, 100);
+      };
+
+      ws.onmessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          switch (message.type) {
+            case 'output':
+              xterm.write(message.data);
+              break;
+            case 'replay':
+              // Recent output of a shell we're reattached to - redraw from it
+              xterm.reset();
+              xterm.write(message.data);
+              break;
+            case 'connected':
+              // Ignore - bash will show prompt
+              break;
+            case 'exit':
+              xterm.write('\r\n\x1b[33m● Shell exited\x1b[0m\r\n');
+              onStatusChangeRef.current('disconnected');
+              break;
+            case 'error':
+              xterm.write(`\r\n\x1b[31m● Error: ${message.message}\x1b[0m\r\n`);
+              break;
+            case 'server_shutdown':
+              xterm.write('\r\n\x1b[33m● Server is restarting...\x1b[0m\r\n');
+              break;
+            case 'notice':
+              xterm.write(`\r\n\x1b[33m● ${message.message}\x1b[0m\r\n`);
+              break;
+          }
+        } catch (e) {
+          // Handle raw data
+          xterm.write(event.data);
+        }
+      };
+
+      ws.onerror = () => {
+        setError('Connection error');
+      };
+
+      ws.onclose = async (event) => {
+        if (stopped || wsRef.current !== ws) {
+          return;
+        }
+        onStatusChangeRef.current('disconnected');
+        if (event.code === 1000) {
+          return;
+        }
+
+        // Application close codes (4xxx) carry a reason worth showing, e.g. the shell limit
+        const reason = event.code >= 4000 && event.reason ? `: ${event.reason}` : '';
+        if (NO_RETRY_CLOSE_CODES.includes(event.code) || attempts >= MAX_RECONNECT_ATTEMPTS) {
+          xterm.write(`\r\n\x1b[31m● Disconnected${reason}\x1b[0m\r\n`);
+          return;
+        }
+
+        if (event.code === 4003) {
+          const tokens = await authApi.refreshTokens();
+          if (stopped) {
+            return;
+          }
+          if (!tokens) {
+            xterm.write(`\r\n\x1b[31m● Disconnected${reason}\x1b[0m\r\n`);
+            return;
+          }
+          useAuthStore.getState().updateTokens(tokens.accessToken, tokens.refreshToken);
+          accessTokenRef.current = tokens.accessToken;
+        }
+
+        onStatusChangeRef.current('connecting');
+        retryTimeout = setTimeout(connect, Math.min(1000 * 2 ** attempts, 15000));
+        attempts++;
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimeout);
+      const ws = wsRef.current;
+      wsRef.current = null;
+      ws?.close();
+    };
+  }, [isReady, wsUrl, reconnectCount]);
+
+  // Hidden shells have no size - fit when shown, or when the layout changes
+  useEffect(() => {
+    if (!active || !isReady) {
+      return;
+    }
+    const timeout = setTimeout(() => {
+      fitAndResize();
+      xtermRef.current?.focus();
+    }, 100);
+    return () => clearTimeout(timeout);
+  }, [active, fullscreen, isReady]);
+
+  return (
+    <div className={active ? 'flex-1 flex flex-col min-h-0' : 'hidden'}>
+      {/* Terminal content */}
+      <div ref={terminalRef} className="flex-1 p-2" />
+
+      {/* Error message */}
+      {error && (
+        <div className="px-4 py-2 bg-red-500/10 border-t border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default TerminalShell;
@@ -9,13 +9,16 @@ interface TimerProps {
   onExtend?: () => void;
   canExtend?: boolean;
   isExtending?: boolean;
+  // Stop counting down (the server has stopped the session clock)
+  stopped?: boolean;
 }
 
 export default function Timer({ 
   remainingMinutes, 
   onExtend, 
   canExtend = false,
-  isExtending = false 
+  isExtending = false,
+  stopped = false,
 }: TimerProps) {
   const [displayMinutes, setDisplayMinutes] = useState(remainingMinutes);
   const [seconds, setSeconds] = useState(0);
@@ -26,6 +29,8 @@ export default function Timer({
   }, [remainingMinutes]);
 
   useEffect(() => {
+    if (stopped) return;
+
     const interval = setInterval(() => {
       setSeconds((prev) => {
         if (prev <= 0) {
@@ -37,7 +42,7 @@ export default function Timer({
     }, 1000);
 
     return () => clearInterval(interval);
-  }, []);
+  }, [stopped]);
 
   const totalSeconds = displayMinutes * 60 + seconds;
   const isWarning = totalSeconds <= 600; // 10 minutes
@@ -83,7 +88,7 @@ export default function Timer({
         >
           {formatTime()}
         </span>
-        <span className="text-xs text-terminal-muted">remaining</span>
+        <span className="text-xs text-terminal-muted">{stopped ? 'stopped' : 'remaining'}</span>
       </div>
 
       {canExtend && onExtend && (
@@ -94,22 +94,25 @@ if (typeof window !== 'undefined') {
   console.log('[API Config] Has double /api/api?', testUrl.includes('/api/api'));
 }
 
-// Helper to get auth headers
-function getAuthHeaders(): HeadersInit {
-  if (typeof window === 'undefined') return {};
+// Helper to get the stored access token
+function getAccessToken(): string | null {
+  if (typeof window === 'undefined') return null;
   
   const stored = localStorage.getItem('ckad-auth');
-  if (!stored) return {};
+  if (!stored) return null;
   
   try {
     const { state } = JSON.parse(stored);
-    if (state?.accessToken) {
-      return { Authorization: `Bearer ${state.accessToken}` };
-    }
+    return state?.accessToken || null;
   } catch {
-    return {};
+    return null;
   }
-  return {};
+}
+
+// Helper to get auth headers
+function getAuthHeaders(): HeadersInit {
+  const accessToken = getAccessToken();
+  return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
 }
 
 // Generic fetch wrapper with auth
@@ -265,6 +268,15 @@ export const authApi = {
     return response.json();
   },
 
+  // Refresh the tokens (e.g. when a WebSocket is closed for an expired token)
+  async refreshTokens(): Promise<{ accessToken: string; refreshToken: string } | null> {
+    if (!(await refreshAccessToken())) {
+      return null;
+    }
+    const { state } = JSON.parse(localStorage.getItem('ckad-auth') || '{}');
+    return state?.accessToken ? { accessToken: state.accessToken, refreshToken: state.refreshToken } : null;
+  },
+
   // Google OAuth URL
   getGoogleAuthUrl() {
     return buildApiUrl('/api/auth/google');
@@ -288,11 +300,12 @@ export const authApi = {
 // ============ Session API ============
 
 export const sessionApi = {
-  // Start session
-  async start() {
+  // Start session (kubernetesVersion defaults to the platform default)
+  async start(options: { kubernetesVersion?: string } = {}) {
     try {
       const response = await fetchWithAuth('/api/session/start', {
         method: 'POST',
+        body: JSON.stringify(options),
       });
 
       // Check content type
@@ -321,6 +334,47 @@ export const sessionApi = {
     }
   },
 
+  // Subscribe to provisioning progress (Server-Sent Events)
+  // EventSource can't send headers, so the token goes in the query string
+  subscribeEvents(sessionId: string) {
+    const params = new URLSearchParams({ sessionId, token: getAccessToken() || '' });
+    return new EventSource(buildApiUrl(`/api/session/events?${params}`));
+  },
+
+  // Get place in the waiting queue (sessionId is set once the queued session has started)
+  async queueStatus() {
+    try {
+      const response = await fetchWithAuth('/api/session/queue');
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        throw new Error(`Server error: ${response.status} - ${text.substring(0, 100)}`);
+      }
+      return await response.json();
+    } catch (error: any) {
+      console.error('Session queue status failed:', error);
+      throw error;
+    }
+  },
+
+  // Leave the waiting queue
+  async leaveQueue() {
+    try {
+      const response = await fetchWithAuth('/api/session/queue', {
+        method: 'DELETE',
+      });
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        throw new Error(`Server error: ${response.status} - ${text.substring(0, 100)}`);
+      }
+      return await response.json();
+    } catch (error: any) {
+      console.error('Leave session queue failed:', error);
+      throw error;
+    }
+  },
+
   // Get session status
   async status() {
     try {
@@ -355,6 +409,82 @@ export const sessionApi = {
     }
   },
 
+  // Pause session (freezes the cluster and the TTL clock)
+  async pause() {
+    try {
+      const response = await fetchWithAuth('/api/session/pause', {
+        method: 'POST',
+      });
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        throw new Error(`Server error: ${response.status} - ${text.substring(0, 100)}`);
+      }
+      return await response.json();
+    } catch (error: any) {
+      console.error('Session pause failed:', error);
+      throw error;
+    }
+  },
+
+  // Resume paused session
+  async resume() {
+    try {
+      const response = await fetchWithAuth('/api/session/resume', {
+        method: 'POST',
+      });
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        throw new Error(`Server error: ${response.status} - ${text.substring(0, 100)}`);
+      }
+      return await response.json();
+    } catch (error: any) {
+      console.error('Session resume failed:', error);
+      throw error;
+    }
+  },
+
+  // Rebuild the cluster from scratch, keeping progress (follow subscribeEvents)
+  async rebuild() {
+    try {
+      const response = await fetchWithAuth('/api/session/rebuild', {
+        method: 'POST',
+      });
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        throw new Error(`Server error: ${response.status} - ${text.substring(0, 100)}`);
+      }
+      return await response.json();
+    } catch (error: any) {
+      console.error('Session rebuild failed:', error);
+      throw error;
+    }
+  },
+
+  // Get a preview URL for the session's ingress (host: Host header to send, e.g. an
+  // Ingress rule's host; context: cluster context whose ingress to use)
+  async preview(options: { host?: string; context?: string } = {}) {
+    try {
+      const response = await fetchWithAuth('/api/session/preview', {
+        method: 'POST',
+        body: JSON.stringify(options),
+      });
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        throw new Error(`Server error: ${response.status} - ${text.substring(0, 100)}`);
+      }
+      const data = await response.json();
+      // The preview is served by the backend, which may be on another origin
+      return data.success ? { ...data, url: buildApiUrl(data.url) } : data;
+    } catch (error: any) {
+      console.error('Session preview failed:', error);
+      throw error;
+    }
+  },
+
   // Stop session
   async stop() {
     try {
@@ -373,6 +503,89 @@ export const sessionApi = {
     }
   },
 
+  // List snapshots and quota usage
+  async snapshots() {
+    try {
+      const response = await fetchWithAuth('/api/session/snapshots');
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        throw new Error(`Server error: ${response.status} - ${text.substring(0, 100)}`);
+      }
+      return await response.json();
+    } catch (error: any) {
+      console.error('Snapshot list failed:', error);
+      throw error;
+    }
+  },
+
+  // Snapshot the active session (progress, question namespace and node files)
+  async createSnapshot(name?: string) {
+    try {
+      const response = await fetchWithAuth('/api/session/snapshots', {
+        method: 'POST',
+        body: JSON.stringify({ name }),
+      });
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        throw new Error(`Server error: ${response.status} - ${text.substring(0, 100)}`);
+      }
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP ${response.status}: ${data.error || 'Unknown error'}`);
+      }
+      return data;
+    } catch (error: any) {
+      console.error('Snapshot save failed:', error);
+      throw error;
+    }
+  },
+
+  // Delete a snapshot
+  async deleteSnapshot(id: string) {
+    try {
+      const response = await fetchWithAuth(`/api/session/snapshots/${id}`, {
+        method: 'DELETE',
+      });
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        throw new Error(`Server error: ${response.status} - ${text.substring(0, 100)}`);
+      }
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP ${response.status}: ${data.error || 'Unknown error'}`);
+      }
+      return data;
+    } catch (error: any) {
+      console.error('Snapshot delete failed:', error);
+      throw error;
+    }
+  },
+
+  // Start a session from a snapshot (queued like start when no slot is free)
+  async restoreSnapshot(id: string) {
+    try {
+      const response = await fetchWithAuth(`/api/session/snapshots/${id}/restore`, {
+        method: 'POST',
+      });
+      const contentType = response.headers.get('content-type');
+      if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        throw new Error(`Server error: ${response.status} - ${text.substring(0, 100)}`);
+      }
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP ${response.status}: ${data.error || 'Unknown error'}`);
+      }
+      return data;
+    } catch (error: any) {
+      console.error('Snapshot restore failed:', error);
+      throw error;
+    }
+  },
+
   // Get user progress statistics
   async getProgress() {
     try {
@@ -450,6 +663,75 @@ export const tasksApi = {
     });
     return response.json();
   },
+
+  // Switch to any assigned question (1-based); its namespace is kept between visits
+  async goto(questionNumber: number) {
+    const response = await fetchWithAuth('/api/tasks/session/goto', {
+      method: 'POST',
+      body: JSON.stringify({ questionNumber }),
+    });
+    return response.json();
+  },
+
+  // Flag a question to come back to it (or clear the flag)
+  async flag(taskId: number, flagged: boolean) {
+    const response = await fetchWithAuth('/api/tasks/session/flag', {
+      method: 'POST',
+      body: JSON.stringify({ taskId, flagged }),
+    });
+    return response.json();
+  },
+
+  // Start the current question over (fresh namespace, setup script rerun)
+  async reset(taskId: number) {
+    const response = await fetchWithAuth('/api/tasks/session/reset', {
+      method: 'POST',
+      body: JSON.stringify({ taskId }),
+    });
+    return response.json();
+  },
+};
+
+// ============ Recordings API ============
+
+export const recordingsApi = {
+  // List the user's terminal recordings, grouped by session
+  async list(sessionId?: string) {
+    const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+    const response = await fetchWithAuth(`/api/recordings${query}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP ${response.status}: ${data.error || 'Unknown error'}`);
+    }
+    return data;
+  },
+
+  // Get a recording as asciicast v2 text (only one question's parts, if given).
+  // Not JSON, so it can't go through fetchWithAuth.
+  async cast(id: string, question?: number) {
+    const endpoint = `/api/recordings/${id}/cast${question ? `?question=${question}` : ''}`;
+    let response = await fetch(buildApiUrl(endpoint), { headers: getAuthHeaders() });
+    if (response.status === 401 && (await refreshAccessToken())) {
+      response = await fetch(buildApiUrl(endpoint), { headers: getAuthHeaders() });
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || `HTTP ${response.status}`);
+    }
+    return response.text();
+  },
+
+  // Delete a finished recording
+  async delete(id: string) {
+    const response = await fetchWithAuth(`/api/recordings/${id}`, {
+      method: 'DELETE',
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP ${response.status}: ${data.error || 'Unknown error'}`);
+    }
+    return data;
+  },
 };
 
 // ============ Platform Status ============
@@ -8,14 +8,111 @@ interface User {
   name: string;
 }
 
+export interface ProvisioningStep {
+  key: string;
+  label: string;
+}
+
+export interface ProvisioningProgress {
+  step: string | null;
+  label: string;
+  completed: number;
+  total: number;
+  percentage: number;
+  steps?: ProvisioningStep[];
+}
+
+export interface ClusterTopology {
+  workers: number;
+  nodes: { labels: Record<string, string>; taints: string[] }[];
+}
+
+export interface QueueInfo {
+  position: number;
+  waiting: number;
+  estimatedWaitMinutes: number | null;
+  kubernetesVersion?: string | null;
+  snapshotId?: string | null;
+  joinedAt?: string;
+}
+
+export interface SessionSnapshot {
+  id: string;
+  name: string;
+  status: 'creating' | 'ready';
+  sessionId: string | null;
+  kubernetesVersion: string | null;
+  question: number;
+  totalQuestions: number;
+  completedQuestions: number;
+  sizeBytes: number;
+  createdAt: string;
+}
+
+export interface SessionRecording {
+  id: string;
+  sessionId: string;
+  // Shell the recording is of (terminal tab name, e.g. "main")
+  terminal: string;
+  status: 'recording' | 'finished';
+  width: number;
+  height: number;
+  sizeBytes: number;
+  durationSeconds: number;
+  // Output past the per-session limit wasn't recorded
+  truncated: boolean;
+  // When each question was opened, in seconds into the recording
+  questions: Array<{ time: number; question: number }>;
+  startedAt: string;
+  endedAt: string | null;
+}
+
+export interface ClusterIncident {
+  id: number;
+  kind: 'api_server_down' | 'nodes_not_ready';
+  message: string;
+  recoveryAttempts: number;
+  maxRecoveryAttempts: number;
+  startedAt: string;
+}
+
+export interface ClusterHealth {
+  status: 'healthy' | 'degraded';
+  incident: ClusterIncident | null;
+}
+
+export interface RebuildAllowance {
+  used: number;
+  limit: number;
+  remaining: number;
+}
+
+export interface SnapshotQuota {
+  used: number;
+  max: number;
+  usedMb: number;
+  maxMb: number;
+}
+
 interface Session {
   id: string;
   clusterName: string;
-  status: 'started' | 'ended' | 'timeout';
+  status: 'provisioning' | 'ready' | 'paused' | 'rebuilding' | 'completing' | 'completed' | 'failed' | 'expired';
+  kubernetesVersion?: string | null;
+  topology?: ClusterTopology | null;
+  addons?: string[];
+  contexts?: string[];
   startTime: string;
   ttlMinutes: number;
   remainingMinutes: number;
   extended: boolean;
+  pausedAt?: string | null;
+  maxPausedMinutes?: number;
+  degradedAt?: string | null;
+  health?: ClusterHealth | null;
+  provisioning?: ProvisioningProgress | null;
+  rebuilds?: RebuildAllowance | null;
+  maxShells?: number;
 }
 
 interface Task {
@@ -24,6 +121,7 @@ interface Task {
   difficulty: 'easy' | 'medium' | 'hard';
   category: string;
   body?: string;
+  context?: string | null;
 }
 
 // Auth Store
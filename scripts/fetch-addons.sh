@@ -0,0 +1,41 @@
+#!/bin/bash
+#
+# Fetch the cluster add-on manifests bundled with the platform
+# Run once when building/deploying - sessions install add-ons from these files
+# Usage: fetch-addons.sh [target-dir] [--with-images]
+#
+
+set -e
+
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+TARGET_DIR="${1:-$SCRIPT_DIR/../backend/addons}"
+WITH_IMAGES="${2:-}"
+
+INGRESS_NGINX_VERSION="controller-v1.10.1"
+METRICS_SERVER_VERSION="v0.7.1"
+CALICO_VERSION="v3.27.3"
+
+log() {
+    echo "[$(date +'%Y-%m-%d %H:%M:%S')] $1"
+}
+
+fetch() {
+    log "Fetching $2"
+    curl -fsSL "$1" -o "$TARGET_DIR/$2"
+}
+
+mkdir -p "$TARGET_DIR"
+
+fetch "https://raw.githubusercontent.com/kubernetes/ingress-nginx/$INGRESS_NGINX_VERSION/deploy/static/provider/kind/deploy.yaml" ingress-nginx.yaml
+fetch "https://github.com/kubernetes-sigs/metrics-server/releases/download/$METRICS_SERVER_VERSION/components.yaml" metrics-server.yaml
+fetch "https://raw.githubusercontent.com/projectcalico/calico/$CALICO_VERSION/manifests/calico.yaml" calico.yaml
+
+# Pull the add-on images so they can be loaded into clusters without a registry
+if [ "$WITH_IMAGES" == "--with-images" ]; then
+    for image in $(grep -h -E '^\s*image:' "$TARGET_DIR"/*.yaml | awk '{print $2}' | tr -d '"' | sort -u); do
+        log "Pulling $image"
+        docker pull "$image"
+    done
+fi
+
+log "Add-on manifests saved to $TARGET_DIR"
@@ -140,6 +140,11 @@ log "Building terminal container..."
 docker build -t ckad-terminal:latest -f docker/terminal/Dockerfile .
 success "Terminal image built"
 
+# Fetch the cluster add-on manifests (sessions install add-ons from them without network)
+log "Fetching cluster add-ons..."
+./scripts/fetch-addons.sh "$APP_DIR/backend/addons" --with-images
+success "Cluster add-ons fetched"
+
 # Install backend
 log "Installing backend..."
 cd $APP_DIR/backend